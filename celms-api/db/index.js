@@ -80,5 +80,8 @@ const runInitialSetup = async () => {
     };
 
     return client;
-  }
+  },
+  // Long-lived connection for LISTEN/NOTIFY (see services/realtime.js).
+  // Not wrapped like getClient: it stays checked out for the life of the process.
+  getListenerClient: () => pool.connect()
 };
\ No newline at end of file
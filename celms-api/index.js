@@ -9,9 +9,25 @@ const cookieParser = require('cookie-parser');
 const authRoutes = require('./routes/auth');
 const usersRoutes = require('./routes/users');
 const itemsRoutes = require('./routes/items');
+const categoriesRoutes = require('./routes/categories');
+const modelsRoutes = require('./routes/models');
 const loansRoutes = require('./routes/loans');
 const reservationsRoutes = require('./routes/reservations');
 const ticketsRoutes = require('./routes/tickets');
+const notificationsRoutes = require('./routes/notifications');
+const eventsRoutes = require('./routes/events');
+const penaltiesRoutes = require('./routes/penalties');
+const eligibilityRoutes = require('./routes/eligibility');
+const settingsRoutes = require('./routes/settings');
+const lockoutsRoutes = require('./routes/lockouts');
+const invitationsRoutes = require('./routes/invitations');
+const deskRoutes = require('./routes/desk');
+const waitlistRoutes = require('./routes/waitlist');
+const calendarRoutes = require('./routes/calendar');
+const jobsRoutes = require('./routes/jobs');
+const emailRoutes = require('./routes/email');
+const realtime = require('./services/realtime');
+const scheduler = require('./services/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -43,25 +59,52 @@ app.use(requestLogger); // Custom request logger
 app.use('/api/auth', authRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/items', itemsRoutes);
+app.use('/api/categories', categoriesRoutes);
+app.use('/api/models', modelsRoutes);
 app.use('/api/loans', loansRoutes);
 app.use('/api/reservations', reservationsRoutes);
 app.use('/api/tickets', ticketsRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/penalties', penaltiesRoutes);
+app.use('/api/eligibility', eligibilityRoutes);
+app.use('/api/admin/settings', settingsRoutes);
+app.use('/api/admin/lockouts', lockoutsRoutes);
+app.use('/api/admin/jobs', jobsRoutes);
+app.use('/api/admin/email', emailRoutes);
+app.use('/api/invitations', invitationsRoutes);
+app.use('/api/desk', deskRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // Admin utilities
 const adminRouter = express.Router();
 const { auth, checkRole } = require('./middleware/auth');
 const db = require('./db');
 
-// Expire old reservations endpoint
+// Expire old reservations endpoint (the expire_reservations job, run now)
 adminRouter.post('/expire-reservations', auth, checkRole(['admin', 'technician']), async (req, res) => {
   try {
-    const result = await db.query('SELECT fn_expire_old_reservations() as expired_count');
+    const run = await scheduler.runJob('expire_reservations', { actor: req.user.id });
+    if (run.status === 'failed') {
+      throw new Error(run.error);
+    }
+
     res.json({ 
       success: true,
-      message: `Expired ${result.rows[0].expired_count} old reservations`,
-      count: result.rows[0].expired_count
+      message: `Expired ${run.result.expired} old reservations`,
+      count: run.result.expired
     });
   } catch (err) {
+    if (err.code === 'JOB_RUNNING') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        code: 'JOB_RUNNING',
+        message: 'Reservations are being expired right now'
+      });
+    }
+
     console.error('Error expiring reservations:', err);
     res.status(500).json({
       success: false,
@@ -164,43 +207,29 @@ adminRouter.get('/stats', auth, checkRole(['admin']), async (req, res) => {
   }
 });
 
-// System maintenance endpoints
+// System maintenance endpoints (the retention_cleanup job, run now)
 adminRouter.post('/cleanup', auth, checkRole(['admin']), async (req, res) => {
   try {
-    const client = await db.getClient();
-    
-    try {
-      await client.query('BEGIN');
-      
-      // Clean up old activity logs (older than 90 days)
-      const logsResult = await client.query(
-        "DELETE FROM user_activity_log WHERE created_at < NOW() - INTERVAL '90 days' RETURNING COUNT(*) as deleted_count"
-      );
-      
-      // Clean up expired sessions if using a session table
-      // const sessionsResult = await client.query(
-      //  "DELETE FROM sessions WHERE expires < NOW() RETURNING COUNT(*) as deleted_count"
-      // );
-      
-      // Other cleanup operations can be added here
-      
-      await client.query('COMMIT');
-      
-      res.json({
-        success: true,
-        message: 'System cleanup completed successfully',
-        results: {
-          deletedLogs: logsResult.rows[0].deleted_count,
-          // deletedSessions: sessionsResult.rows[0].deleted_count
-        }
-      });
-    } catch (err) {
-      await client.query('ROLLBACK');
-      throw err;
-    } finally {
-      client.release();
+    const run = await scheduler.runJob('retention_cleanup', { actor: req.user.id });
+    if (run.status === 'failed') {
+      throw new Error(run.error);
     }
+
+    res.json({
+      success: true,
+      message: 'System cleanup completed successfully',
+      results: run.result
+    });
   } catch (err) {
+    if (err.code === 'JOB_RUNNING') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        code: 'JOB_RUNNING',
+        message: 'A cleanup is already running'
+      });
+    }
+
     console.error('Error during system cleanup:', err);
     res.status(500).json({
       success: false,
@@ -263,10 +292,27 @@ app.get('/', (req, res) => {
         <h2>API Documentation</h2>
         <div class="endpoint"><span class="method get">GET</span> /api/auth/me - Get current user</div>
         <div class="endpoint"><span class="method post">POST</span> /api/auth/login - User login</div>
-        <div class="endpoint"><span class="method post">POST</span> /api/auth/register - User registration</div>
+        <div class="endpoint"><span class="method post">POST</span> /api/auth/refresh - Rotate refresh token and get a new access token</div>
+        <div class="endpoint"><span class="method post">POST</span> /api/auth/logout - End the current session</div>
+        <div class="endpoint"><span class="method post">POST</span> /api/auth/logout-all - End all sessions</div>
+        <div class="endpoint"><span class="method post">POST</span> /api/invitations/accept - Set a password from an invitation</div>
         <div class="endpoint"><span class="method get">GET</span> /api/items - Get all equipment items</div>
+        <div class="endpoint"><span class="method get">GET</span> /api/categories - Get equipment categories</div>
+        <div class="endpoint"><span class="method get">GET</span> /api/models - Get equipment models</div>
         <div class="endpoint"><span class="method get">GET</span> /api/reservations - Get user reservations</div>
+        <div class="endpoint"><span class="method get">GET</span> /api/waitlist - Get waitlist entries and open offers</div>
+        <div class="endpoint"><span class="method get">GET</span> /api/calendar/feeds - Get your iCalendar feed subscriptions</div>
         <div class="endpoint"><span class="method get">GET</span> /api/loans - Get user loans</div>
+        <div class="endpoint"><span class="method post">POST</span> /api/desk/checkout - Front desk checkout by asset tag (admin/technician)</div>
+        <div class="endpoint"><span class="method get">GET</span> /api/notifications - Get user notifications</div>
+        <div class="endpoint"><span class="method get">GET</span> /api/events/stream - Live event stream (SSE)</div>
+        <div class="endpoint"><span class="method get">GET</span> /api/penalties - Get penalties and balances</div>
+        <div class="endpoint"><span class="method get">GET</span> /api/eligibility - Check borrowing eligibility</div>
+        <div class="endpoint"><span class="method get">GET</span> /api/admin/settings - System settings (admin)</div>
+        <div class="endpoint"><span class="method get">GET</span> /api/admin/lockouts - Login lockouts (admin)</div>
+        <div class="endpoint"><span class="method get">GET</span> /api/admin/jobs - Scheduled jobs and run history (admin)</div>
+        <div class="endpoint"><span class="method get">GET</span> /api/admin/email - Email outbox and delivery status (admin)</div>
+        <div class="endpoint"><span class="method get">GET</span> /api/invitations - User invitations (admin)</div>
       </body>
     </html>
   `);
@@ -287,4 +333,6 @@ app.use(errorHandler);
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  realtime.start();
+  scheduler.start();
 });
\ No newline at end of file
@@ -27,10 +27,15 @@ const auth = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, JWT_SECRET);
     
-    // Check if user still exists in database and has same role
+    // Check if user still exists in database and has same role, and that the
+    // session the token was issued for has not been revoked
     const userResult = await db.query(
-      'SELECT user_id, role FROM users WHERE user_id = $1',
-      [decoded.user.id]
+      `SELECT u.user_id, u.role, u.is_active, u.must_change_password,
+              s.session_id IS NOT NULL AND s.revoked_at IS NULL AND s.expires_at > now() AS session_ok
+       FROM users u
+       LEFT JOIN sessions s ON s.session_id = $2 AND s.user_id = u.user_id
+       WHERE u.user_id = $1`,
+      [decoded.user.id, decoded.sid || null]
     );
     
     if (userResult.rows.length === 0) {
@@ -42,21 +47,53 @@ const auth = async (req, res, next) => {
     }
     
     const dbUser = userResult.rows[0];
+
+    // Logged out, revoked by an admin, or a token from before sessions existed
+    if (!dbUser.session_ok) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        message: 'Your session has ended. Please log in again.',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    // Deactivated accounts lose access immediately, not when the token expires
+    if (!dbUser.is_active) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        message: 'This account has been deactivated',
+        code: 'ACCOUNT_INACTIVE'
+      });
+    }
     
     // Check if role has changed (if admin demoted the user)
     if (dbUser.role !== decoded.user.role) {
       return res.status(401).json({
         success: false,
         error: 'Unauthorized',
-        message: 'User permissions have changed. Please log in again.'
+        message: 'User permissions have changed. Please log in again.',
+        code: 'ROLE_CHANGED'
       });
     }
     
+    // After an admin reset only the auth routes (me, change-password) stay open
+    if (dbUser.must_change_password && req.baseUrl !== '/api/auth') {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You must change your password before continuing',
+        code: 'PASSWORD_CHANGE_REQUIRED'
+      });
+    }
+
     // Add user to request
     req.user = decoded.user;
     
     // Add token to request for potential refresh
     req.token = token;
+    req.sessionId = decoded.sid;
     
     next();
   } catch (err) {
@@ -1,19 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const { check, validationResult } = require('express-validator');
 const db = require('../db');
 const { auth } = require('../middleware/auth');
-
-// Use environment JWT secret or fallback to development secret
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-key-for-testing-only-not-for-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+const {
+  getPasswordPolicy,
+  validatePassword,
+  setPassword,
+  sendPasswordRejected
+} = require('../services/passwords');
+const {
+  createSession,
+  rotateSession,
+  revokeSessions,
+  listSessions
+} = require('../services/sessions');
+const {
+  sleep,
+  beginAttempt,
+  finishAttempt,
+  sendTooManyAttempts
+} = require('../services/loginThrottle');
 
 // Registration removed - users are predefined in the database
 
 /**
  * @route   POST api/auth/login
- * @desc    Authenticate user & get token
+ * @desc    Authenticate user & get token (throttled; repeated failures lock the email temporarily)
  * @access  Public
  */
 router.post(
@@ -36,13 +49,45 @@ router.post(
     const { email, password } = req.body;
 
     try {
-      // Get user from database - now using plain password field
+      const known = await db.query('SELECT user_id FROM users WHERE email = $1', [email]);
+      const knownUserId = known.rows[0]?.user_id || null;
+
+      // Refused before the password is checked, for unknown emails too
+      const attempt = await beginAttempt(db, { email, userId: knownUserId, ip: req.ip });
+      if (attempt.refused) {
+        return sendTooManyAttempts(res, attempt.refused.code, attempt.refused.message, attempt.refused.retryAfter);
+      }
+
+      // Progressive delay: each repeated failure doubles the wait
+      await sleep(attempt.delaySeconds);
+
+      // Password is checked in the database against the bcrypt hash
       const result = await db.query(
-        'SELECT user_id, first_name, last_name, email, role, password, phone FROM users WHERE email = $1', 
-        [email]
+        `SELECT user_id, first_name, last_name, email, role, phone, is_active, must_change_password,
+                fn_check_password(user_id, $2) AS password_ok
+         FROM users WHERE email = $1`,
+        [email, password]
       );
 
-      if (result.rows.length === 0) {
+      const user = result.rows[0];
+
+      if (!user || !user.password_ok) {
+        const lockout = await finishAttempt(db, attempt, {
+          ok: false,
+          email,
+          userId: user ? user.user_id : null,
+          ip: req.ip
+        });
+
+        if (lockout) {
+          return sendTooManyAttempts(
+            res,
+            'ACCOUNT_LOCKED',
+            `Too many failed login attempts. Try again in ${attempt.policy.lockoutMinutes} minute(s).`,
+            attempt.policy.lockoutMinutes * 60
+          );
+        }
+
         // Use consistent "Invalid credentials" message to not leak user existence
         return res.status(401).json({ 
           success: false,
@@ -51,27 +96,19 @@ router.post(
         });
       }
 
-      const user = result.rows[0];
-      
-      // Simple direct password comparison
-      const isMatch = password === user.password;
-      
-      if (!isMatch) {
-        return res.status(401).json({ 
+      // Only reported after a correct password so it does not reveal which accounts exist
+      if (!user.is_active) {
+        await finishAttempt(db, attempt, { ok: true, outcome: 'inactive' });
+        return res.status(401).json({
           success: false,
           error: 'Unauthorized',
-          message: 'Invalid credentials'
+          message: 'This account has been deactivated. Please contact an administrator.',
+          code: 'ACCOUNT_INACTIVE'
         });
       }
 
-      // Create JWT payload with user_id and role
-      const payload = {
-        user: {
-          id: user.user_id,
-          role: user.role,
-          email: user.email
-        }
-      };
+      // Resets the failure count for this email
+      await finishAttempt(db, attempt, { ok: true, outcome: 'success' });
 
       // Get technician information if applicable
       let techInfo = {};
@@ -98,39 +135,28 @@ router.post(
         [user.user_id, 'login', req.ip]
       ).catch(err => console.error('Failed to log login activity:', err));
 
-      // Sign and return JWT token
-      jwt.sign(
-        payload,
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN },
-        (err, token) => {
-          if (err) {
-            console.error('JWT Sign error:', err);
-            return res.status(500).json({
-              success: false,
-              error: 'Server Error',
-              message: 'Could not generate authentication token'
-            });
-          }
-          
-          // Return user info without password
-          delete user.password;
-          
-          res.json({ 
-            success: true,
-            token, 
-            user: {
-              user_id: user.user_id,
-              role: user.role,
-              first_name: user.first_name,
-              last_name: user.last_name,
-              email: user.email,
-              phone: user.phone,
-              ...techInfo
-            }
-          });
+      // Start a session: short-lived access token plus a rotating refresh token
+      const { token, refreshToken, session } = await createSession(db, user, {
+        userAgent: req.get('user-agent'),
+        ip: req.ip
+      });
+
+      res.json({
+        success: true,
+        token,
+        refreshToken,
+        session_expires_at: session.expires_at,
+        user: {
+          user_id: user.user_id,
+          role: user.role,
+          first_name: user.first_name,
+          last_name: user.last_name,
+          email: user.email,
+          phone: user.phone,
+          must_change_password: user.must_change_password,
+          ...techInfo
         }
-      );
+      });
     } catch (err) {
       console.error('Login error:', err);
       res.status(500).json({
@@ -142,6 +168,191 @@ router.post(
   }
 );
 
+/**
+ * @route   POST api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token; the refresh token is rotated
+ * @access  Public
+ */
+router.post(
+  '/refresh',
+  [check('refreshToken', 'Refresh token is required').isString().notEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Please check your input',
+        errors: errors.array()
+      });
+    }
+
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+      const result = await rotateSession(client, req.body.refreshToken);
+      // Commit even on failure: a replayed token revokes its session
+      await client.query('COMMIT');
+
+      if (result.error) {
+        return res.status(401).json({
+          success: false,
+          error: 'Unauthorized',
+          message: result.error.message,
+          code: result.error.code
+        });
+      }
+
+      res.json({
+        success: true,
+        token: result.token,
+        refreshToken: result.refreshToken,
+        session_expires_at: result.session.expires_at
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('Token refresh error:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to refresh session'
+      });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+/**
+ * @route   POST api/auth/logout
+ * @desc    End the current session
+ * @access  Private
+ */
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSessions(db, { sessionId: req.sessionId }, 'logout');
+
+    await db.query(
+      'INSERT INTO user_activity_log (user_id, activity, ip_address) VALUES ($1, $2, $3)',
+      [req.user.id, 'logout', req.ip]
+    ).catch(err => console.error('Failed to log logout activity:', err));
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to log out'
+    });
+  }
+});
+
+/**
+ * @route   POST api/auth/logout-all
+ * @desc    End every session of the current user, on all devices
+ * @access  Private
+ */
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(db, { userId: req.user.id }, 'logout_all');
+
+    await db.query(
+      'INSERT INTO user_activity_log (user_id, activity, ip_address) VALUES ($1, $2, $3)',
+      [req.user.id, 'logout_all', req.ip]
+    ).catch(err => console.error('Failed to log logout activity:', err));
+
+    res.json({
+      success: true,
+      message: `Logged out of ${revoked} session(s)`,
+      revoked
+    });
+  } catch (err) {
+    console.error('Logout-all error:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to log out'
+    });
+  }
+});
+
+/**
+ * @route   GET api/auth/sessions
+ * @desc    List the current user's active sessions (devices); the one making the request is flagged current
+ * @access  Private
+ */
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = (await listSessions(db, req.user.id)).map(session => ({
+      ...session,
+      current: session.session_id === req.sessionId
+    }));
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+  } catch (err) {
+    console.error('Error fetching sessions:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve sessions'
+    });
+  }
+});
+
+/**
+ * @route   DELETE api/auth/sessions/:sessionId
+ * @desc    Sign out one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(req.params.sessionId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'Invalid session ID'
+    });
+  }
+
+  try {
+    // Scoped to the caller so one user cannot end another user's session
+    const owned = await db.query(
+      'SELECT 1 FROM sessions WHERE session_id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [req.params.sessionId, req.user.id]
+    );
+
+    if (owned.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSessions(db, { sessionId: req.params.sessionId }, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Session ended'
+    });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to end session'
+    });
+  }
+});
+
 /**
  * @route   GET api/auth/me
  * @desc    Get current user
@@ -151,7 +362,9 @@ router.get('/me', auth, async (req, res) => {
   try {
     // Get basic user info
     const result = await db.query(
-      'SELECT user_id, role, first_name, last_name, email, phone, created_at FROM users WHERE user_id = $1',
+      `SELECT user_id, role, first_name, last_name, email, phone, created_at,
+              must_change_password, password_changed_at
+       FROM users WHERE user_id = $1`,
       [req.user.id]
     );
 
@@ -209,4 +422,155 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET api/auth/password-policy
+ * @desc    Get the password policy so forms can show the rules up front
+ * @access  Public
+ */
+router.get('/password-policy', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      policy: await getPasswordPolicy(db)
+    });
+  } catch (err) {
+    console.error('Error fetching password policy:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve password policy'
+    });
+  }
+});
+
+/**
+ * @route   POST api/auth/change-password
+ * @desc    Change the current user's password (clears a forced change after an admin reset)
+ * @access  Private
+ */
+router.post(
+  '/change-password',
+  [
+    auth,
+    check('currentPassword', 'Current password is required').isString().notEmpty(),
+    check('newPassword', 'New password is required').isString().notEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'Please check your input',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+      const account = await db.query('SELECT email FROM users WHERE user_id = $1', [req.user.id]);
+
+      if (account.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: 'User not found'
+        });
+      }
+
+      // The current password goes through the login limiter: a stolen access
+      // token must not give unthrottled guesses
+      const { email } = account.rows[0];
+      const attempt = await beginAttempt(db, { email, userId: req.user.id, ip: req.ip });
+      if (attempt.refused) {
+        return sendTooManyAttempts(res, attempt.refused.code, attempt.refused.message, attempt.refused.retryAfter);
+      }
+
+      await sleep(attempt.delaySeconds);
+
+      const current = await db.query(
+        'SELECT email, fn_check_password(user_id, $2) AS password_ok FROM users WHERE user_id = $1',
+        [req.user.id, currentPassword]
+      );
+
+      // 400 rather than 401 so the client does not treat it as an expired session
+      if (!current.rows[0].password_ok) {
+        const lockout = await finishAttempt(db, attempt, { ok: false, email, userId: req.user.id, ip: req.ip });
+        if (lockout) {
+          return sendTooManyAttempts(
+            res,
+            'ACCOUNT_LOCKED',
+            `Too many failed attempts. Logging in is locked for ${attempt.policy.lockoutMinutes} minute(s).`,
+            attempt.policy.lockoutMinutes * 60
+          );
+        }
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          code: 'INVALID_CURRENT_PASSWORD',
+          message: 'Current password is incorrect'
+        });
+      }
+
+      await finishAttempt(db, attempt, { ok: true, outcome: 'success' });
+
+      if (newPassword === currentPassword) {
+        return sendPasswordRejected(res, ['Must be different from the current password']);
+      }
+
+      const policy = await getPasswordPolicy(db);
+      const problems = validatePassword(policy, newPassword, { email: current.rows[0].email });
+      if (problems.length > 0) {
+        return sendPasswordRejected(res, problems);
+      }
+
+      const client = await db.getClient();
+
+      try {
+        await client.query('BEGIN');
+        const updated = await setPassword(client, req.user.id, newPassword);
+        // Other devices must sign in again with the new password
+        const revoked = await revokeSessions(
+          client,
+          { userId: req.user.id, exceptSessionId: req.sessionId },
+          'password_change'
+        );
+        await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+          req.user.id,
+          'user',
+          req.user.id,
+          'change_password',
+          null
+        ]);
+        await client.query('COMMIT');
+
+        await db.query(
+          'INSERT INTO user_activity_log (user_id, activity, ip_address) VALUES ($1, $2, $3)',
+          [req.user.id, 'password_change', req.ip]
+        ).catch(err => console.error('Failed to log password change:', err));
+
+        res.json({
+          success: true,
+          message: 'Password changed successfully',
+          password_changed_at: updated.password_changed_at,
+          revoked_sessions: revoked
+        });
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      } finally {
+        client.release();
+      }
+    } catch (err) {
+      console.error('Error changing password:', err);
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to change password'
+      });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const db = require('../db');
+const {
+  hashToken,
+  newFeedToken,
+  feedUrl,
+  toCalendar,
+  sendCalendar,
+  getFeedEvents
+} = require('../services/icalendar');
+
+// Active feeds one user may have at a time
+const MAX_FEEDS_PER_USER = 20;
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'technician';
+
+const FEED_SELECT = `SELECT f.feed_id, f.item_id, f.label, f.created_at, f.last_used_at, i.asset_tag
+  FROM calendar_feeds f
+  LEFT JOIN equipment_items i ON i.item_id = f.item_id`;
+
+/**
+ * @route   GET api/calendar/feeds
+ * @desc    List the current user's active calendar feeds (tokens are not shown again)
+ * @access  Private
+ */
+router.get('/feeds', auth, async (req, res) => {
+  try {
+    const result = await db.query(
+      `${FEED_SELECT}
+       WHERE f.user_id = $1 AND f.revoked_at IS NULL
+       ORDER BY f.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      feeds: result.rows
+    });
+  } catch (err) {
+    console.error('Error fetching calendar feeds:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve calendar feeds'
+    });
+  }
+});
+
+/**
+ * @route   POST api/calendar/feeds
+ * @desc    Create a calendar feed: the user's own, or an item's (item_id, admin/technician).
+ *          The response carries the feed URL; it is only shown once.
+ * @access  Private
+ */
+router.post('/feeds', auth, async (req, res) => {
+  const { item_id: itemId } = req.body;
+  const label = typeof req.body.label === 'string' ? req.body.label.trim().slice(0, 100) : '';
+
+  if (itemId !== undefined && itemId !== null && !/^\d+$/.test(String(itemId))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'item_id must be an item ID'
+    });
+  }
+  if (itemId && !isStaff(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'Item calendars are available to admins and technicians'
+    });
+  }
+
+  try {
+    if (itemId) {
+      const item = await db.query('SELECT 1 FROM equipment_items WHERE item_id = $1', [itemId]);
+      if (item.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Not Found',
+          message: `Item ${itemId} not found`
+        });
+      }
+    }
+
+    const active = await db.query(
+      'SELECT COUNT(*)::INT AS count FROM calendar_feeds WHERE user_id = $1 AND revoked_at IS NULL',
+      [req.user.id]
+    );
+    if (active.rows[0].count >= MAX_FEEDS_PER_USER) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        code: 'TOO_MANY_FEEDS',
+        message: `You can have at most ${MAX_FEEDS_PER_USER} calendar feeds; revoke one first`
+      });
+    }
+
+    const token = newFeedToken();
+    const created = await db.query(
+      `INSERT INTO calendar_feeds (user_id, item_id, token_hash, label)
+       VALUES ($1, $2, $3, $4)
+       RETURNING feed_id`,
+      [req.user.id, itemId || null, hashToken(token), label || null]
+    );
+    const feedId = created.rows[0].feed_id;
+
+    await db.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+      req.user.id, 'calendar_feed', String(feedId), 'create', { item_id: itemId || null, label: label || null }
+    ]);
+
+    const feed = await db.query(`${FEED_SELECT} WHERE f.feed_id = $1`, [feedId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Copy the URL now: it will not be shown again.',
+      url: feedUrl(req, token),
+      feed: feed.rows[0]
+    });
+  } catch (err) {
+    console.error('Error creating calendar feed:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to create calendar feed'
+    });
+  }
+});
+
+/**
+ * @route   DELETE api/calendar/feeds/:feedId
+ * @desc    Revoke one of the current user's calendar feeds; its URL stops working
+ * @access  Private
+ */
+router.delete('/feeds/:feedId', auth, async (req, res) => {
+  if (!/^\d+$/.test(req.params.feedId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'Invalid feed ID'
+    });
+  }
+
+  try {
+    // Scoped to the caller so one user cannot revoke another user's feed
+    const result = await db.query(
+      `UPDATE calendar_feeds SET revoked_at = now()
+       WHERE feed_id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING feed_id`,
+      [req.params.feedId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Calendar feed not found'
+      });
+    }
+
+    await db.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+      req.user.id, 'calendar_feed', req.params.feedId, 'revoke', null
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Calendar feed revoked'
+    });
+  } catch (err) {
+    console.error('Error revoking calendar feed:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to revoke calendar feed'
+    });
+  }
+});
+
+/**
+ * @route   GET api/calendar/feeds/:token.ics
+ * @desc    The iCalendar feed for calendar apps. The token in the URL stands in for
+ *          a login; feeds of deactivated users, and item feeds of users who are no
+ *          longer staff, stop working.
+ * @access  Public (feed token)
+ */
+router.get('/feeds/:token.ics', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT f.*, u.first_name, u.last_name, u.role, u.is_active, i.asset_tag
+       FROM calendar_feeds f
+       JOIN users u ON u.user_id = f.user_id
+       LEFT JOIN equipment_items i ON i.item_id = f.item_id
+       WHERE f.token_hash = $1 AND f.revoked_at IS NULL`,
+      [hashToken(req.params.token)]
+    );
+    const feed = result.rows[0];
+
+    if (!feed || !feed.is_active || (feed.item_id && !isStaff(feed))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Calendar feed not found or revoked'
+      });
+    }
+
+    await db.query('UPDATE calendar_feeds SET last_used_at = now() WHERE feed_id = $1', [feed.feed_id]);
+
+    const name = feed.item_id ? `CELMS – ${feed.asset_tag}` : `CELMS – ${feed.first_name} ${feed.last_name}`;
+    const ics = toCalendar(name, await getFeedEvents(db, feed));
+
+    sendCalendar(res, feed.item_id ? `celms-${feed.asset_tag}.ics` : 'celms.ics', ics);
+  } catch (err) {
+    console.error('Error rendering calendar feed:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to render calendar feed'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,302 @@
+const express = require('express');
+const router = express.Router();
+const { check, param, validationResult } = require('express-validator');
+const { auth, checkRole } = require('../middleware/auth');
+const db = require('../db');
+const { validatePattern } = require('../services/assetTags');
+
+// Shared SELECT with per-category model and item counts
+const CATEGORY_SELECT = `
+  SELECT ec.category_id, ec.name, ec.description, ec.asset_tag_pattern,
+         (SELECT COUNT(*) FROM equipment_models em WHERE em.category_id = ec.category_id)::INT AS model_count,
+         (SELECT COUNT(*) FROM equipment_items i
+            JOIN equipment_models em ON i.model_id = em.model_id
+           WHERE em.category_id = ec.category_id)::INT AS item_count
+  FROM equipment_categories ec
+`;
+
+const idValidation = [
+  param('id', 'Invalid category ID').isInt({ min: 1, max: Number.MAX_SAFE_INTEGER })
+];
+
+const categoryValidation = [
+  check('name', 'Category name is required').trim().notEmpty(),
+  check('name', 'Category name must be 100 characters or less').isLength({ max: 100 }),
+  check('description', 'Description must be 500 characters or less').optional({ nullable: true }).isLength({ max: 500 }),
+  check('asset_tag_pattern').optional({ nullable: true, checkFalsy: true }).custom((value) => {
+    const problem = validatePattern(value);
+    if (problem) throw new Error(problem);
+    return true;
+  })
+];
+
+/**
+ * @route   GET api/categories
+ * @desc    Get all equipment categories with model and item counts
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const result = await db.query(`${CATEGORY_SELECT} ORDER BY ec.name`);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      categories: result.rows
+    });
+  } catch (err) {
+    console.error('Error fetching categories:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve categories'
+    });
+  }
+});
+
+/**
+ * @route   GET api/categories/:id
+ * @desc    Get category by ID
+ * @access  Private
+ */
+router.get('/:id', auth, idValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const result = await db.query(`${CATEGORY_SELECT} WHERE ec.category_id = $1`, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Category not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      category: result.rows[0]
+    });
+  } catch (err) {
+    console.error('Error fetching category:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve category'
+    });
+  }
+});
+
+/**
+ * @route   POST api/categories
+ * @desc    Create a new equipment category
+ * @access  Private/Admin
+ */
+router.post('/', auth, checkRole(['admin']), categoryValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { name, description, asset_tag_pattern } = req.body;
+
+    const result = await db.query(
+      `INSERT INTO equipment_categories (name, description, asset_tag_pattern)
+       VALUES ($1, $2, $3)
+       RETURNING category_id`,
+      [name, description || null, asset_tag_pattern || null]
+    );
+
+    await db.query(
+      'SELECT fn_audit($1, $2, $3, $4, $5)',
+      [req.user.id, 'category', String(result.rows[0].category_id), 'create', { name, asset_tag_pattern: asset_tag_pattern || null }]
+    );
+
+    const category = await db.query(`${CATEGORY_SELECT} WHERE ec.category_id = $1`, [result.rows[0].category_id]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      category: category.rows[0]
+    });
+  } catch (err) {
+    console.error('Error creating category:', err);
+
+    if (err.code === '23505') { // unique_violation
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'A category with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to create category'
+    });
+  }
+});
+
+/**
+ * @route   PUT api/categories/:id
+ * @desc    Update an equipment category (asset_tag_pattern is kept when omitted)
+ * @access  Private/Admin
+ */
+router.put('/:id', auth, checkRole(['admin']), idValidation, categoryValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { name, description, asset_tag_pattern } = req.body;
+    const keepPattern = asset_tag_pattern === undefined;
+
+    const result = await db.query(
+      `UPDATE equipment_categories
+       SET name = $1, description = $2,
+           asset_tag_pattern = CASE WHEN $4 THEN asset_tag_pattern ELSE $5 END
+       WHERE category_id = $3
+       RETURNING category_id, asset_tag_pattern`,
+      [name, description || null, req.params.id, keepPattern, asset_tag_pattern || null]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Category not found'
+      });
+    }
+
+    await db.query(
+      'SELECT fn_audit($1, $2, $3, $4, $5)',
+      [req.user.id, 'category', req.params.id, 'update', {
+        name,
+        description: description || null,
+        asset_tag_pattern: result.rows[0].asset_tag_pattern
+      }]
+    );
+
+    const category = await db.query(`${CATEGORY_SELECT} WHERE ec.category_id = $1`, [req.params.id]);
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      category: category.rows[0]
+    });
+  } catch (err) {
+    console.error('Error updating category:', err);
+
+    if (err.code === '23505') { // unique_violation
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'A category with this name already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to update category'
+    });
+  }
+});
+
+/**
+ * @route   DELETE api/categories/:id
+ * @desc    Delete an equipment category (only when no models reference it)
+ * @access  Private/Admin
+ */
+router.delete('/:id', auth, checkRole(['admin']), idValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const existing = await db.query(`${CATEGORY_SELECT} WHERE ec.category_id = $1`, [req.params.id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Category not found'
+      });
+    }
+
+    const category = existing.rows[0];
+
+    // equipment_models.category_id is ON DELETE RESTRICT, so explain the block up front
+    if (category.model_count > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        code: 'CATEGORY_IN_USE',
+        message: `Cannot delete category "${category.name}" because ${category.model_count} model(s) still belong to it. Move or delete those models first.`,
+        details: {
+          model_count: category.model_count,
+          item_count: category.item_count
+        }
+      });
+    }
+
+    await db.query('DELETE FROM equipment_categories WHERE category_id = $1', [req.params.id]);
+
+    await db.query(
+      'SELECT fn_audit($1, $2, $3, $4, $5)',
+      [req.user.id, 'category', req.params.id, 'delete', { name: category.name }]
+    );
+
+    res.json({
+      success: true,
+      message: 'Category removed'
+    });
+  } catch (err) {
+    console.error('Error deleting category:', err);
+
+    // A model may have been added between the check and the delete
+    if (err.code === '23503') { // foreign_key_violation
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        code: 'CATEGORY_IN_USE',
+        message: 'Cannot delete category because equipment models still belong to it'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to delete category'
+    });
+  }
+});
+
+module.exports = router;
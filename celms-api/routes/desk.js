@@ -0,0 +1,299 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, isAdminOrTech } = require('../middleware/auth');
+const db = require('../db');
+const { eligibilityErrorResponse } = require('../services/eligibility');
+const {
+  findUser,
+  findItem,
+  findPickupReservation,
+  findOpenLoan,
+  getLoans,
+  getUserContext,
+  getItemContext
+} = require('../services/desk');
+
+// Items per checkout or return request (one trolley at the desk)
+const MAX_DESK_ITEMS = 25;
+
+const checkoutValidation = [
+  check('user', 'user (borrower ID or email) is required').isString().trim().notEmpty(),
+  check('asset_tags', `asset_tags must list 1 to ${MAX_DESK_ITEMS} asset tags`).isArray({ min: 1, max: MAX_DESK_ITEMS }),
+  check('asset_tags.*', 'Asset tags must be non-empty strings').isString().trim().notEmpty()
+];
+
+const returnValidation = [
+  check('returns', `returns must list 1 to ${MAX_DESK_ITEMS} items`).isArray({ min: 1, max: MAX_DESK_ITEMS }),
+  check('returns.*.asset_tag', 'Each return needs an asset_tag').isString().trim().notEmpty(),
+  check('returns.*.damaged', 'damaged must be true or false').optional().isBoolean(),
+  check('returns.*.condition', 'condition must be 500 characters or less').optional({ nullable: true }).isString().isLength({ max: 500 })
+];
+
+/**
+ * Map exceptions raised by the checkout and return functions to HTTP responses.
+ * Returns null for anything unexpected so the caller can send a 500.
+ */
+const deskErrorResponse = (err) => {
+  const ineligible = eligibilityErrorResponse(err);
+  if (ineligible) {
+    return { status: 409, body: ineligible };
+  }
+
+  const message = err.message || '';
+  if (message.includes('Item is currently checked out')) {
+    return { status: 409, code: 'ITEM_UNAVAILABLE', message: 'Item is currently checked out' };
+  }
+  if (message.includes('Item not available')) {
+    return { status: 409, code: 'ITEM_UNAVAILABLE', message: 'Item is not available for checkout' };
+  }
+  if (message.includes('not approved/confirmed')) {
+    return { status: 409, code: 'RESERVATION_NOT_APPROVED', message: 'The reservation is no longer approved' };
+  }
+  if (message.includes('No unit available')) {
+    return { status: 409, code: 'ITEM_UNAVAILABLE', message: 'No unit of the reserved model or category is free' };
+  }
+  if (message.includes('cannot be assigned to reservation')) {
+    return { status: 409, code: 'UNIT_NOT_ASSIGNABLE', message: 'This unit is booked by someone else during the reservation' };
+  }
+  if (message.includes('Loan already returned')) {
+    return { status: 409, code: 'LOAN_RETURNED', message: 'This loan has already been returned' };
+  }
+
+  return null;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    error: 'Validation Error',
+    message: 'Please check your input',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const notFound = (res, code, message, extra = {}) => res.status(404).json({
+  success: false,
+  error: 'Not Found',
+  code,
+  message,
+  ...extra
+});
+
+/**
+ * @route   GET api/desk/lookup/user
+ * @desc    Look up a borrower by user ID or email (?q=): eligibility, open loans,
+ *          reservations ready for pickup and penalty balance
+ * @access  Private/Admin,Technician
+ */
+router.get('/lookup/user', auth, isAdminOrTech, async (req, res) => {
+  try {
+    const user = await findUser(db, req.query.q);
+    if (!user) {
+      return notFound(res, 'USER_NOT_FOUND', 'No user with this ID or email');
+    }
+
+    res.json({
+      success: true,
+      ...(await getUserContext(db, user))
+    });
+  } catch (err) {
+    console.error('Error looking up borrower:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to look up the borrower'
+    });
+  }
+});
+
+/**
+ * @route   GET api/desk/lookup/item
+ * @desc    Look up an item by asset tag (?asset_tag=): availability, open loan and
+ *          upcoming reservations; with ?user= also how a checkout to that borrower would go
+ * @access  Private/Admin,Technician
+ */
+router.get('/lookup/item', auth, isAdminOrTech, async (req, res) => {
+  try {
+    const item = await findItem(db, req.query.asset_tag);
+    if (!item) {
+      return notFound(res, 'ITEM_NOT_FOUND', 'No item with this asset tag', { asset_tag: req.query.asset_tag || null });
+    }
+
+    let user = null;
+    if (req.query.user) {
+      user = await findUser(db, req.query.user);
+      if (!user) {
+        return notFound(res, 'USER_NOT_FOUND', 'No user with this ID or email');
+      }
+    }
+
+    res.json({
+      success: true,
+      ...(await getItemContext(db, item, user))
+    });
+  } catch (err) {
+    console.error('Error looking up item:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to look up the item'
+    });
+  }
+});
+
+/**
+ * @route   POST api/desk/checkout
+ * @desc    Check out scanned items to a borrower ({ user, asset_tags }). Each item is
+ *          picked up from the borrower's approved reservation when there is one
+ *          (fn_checkout_from_reservation, which moves a model or category reservation
+ *          onto the scanned unit), otherwise lent ad hoc (fn_checkout_adhoc).
+ *          All items go out or none do.
+ * @access  Private/Admin,Technician
+ */
+router.post('/checkout', auth, isAdminOrTech, checkoutValidation, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const assetTags = [...new Set(req.body.asset_tags.map(tag => tag.toUpperCase()))];
+  const client = await db.getClient();
+  let currentTag = null;
+
+  try {
+    await client.query('BEGIN');
+
+    const user = await findUser(client, req.body.user);
+    if (!user) {
+      await client.query('ROLLBACK');
+      return notFound(res, 'USER_NOT_FOUND', 'No user with this ID or email');
+    }
+
+    const loanIds = [];
+    for (const tag of assetTags) {
+      currentTag = tag;
+      const item = await findItem(client, tag);
+      if (!item) {
+        await client.query('ROLLBACK');
+        return notFound(res, 'ITEM_NOT_FOUND', `No item with asset tag ${tag}`, { asset_tag: tag });
+      }
+
+      const reservation = await findPickupReservation(client, user.user_id, item.item_id);
+      const result = reservation
+        ? await client.query(
+          'SELECT fn_checkout_from_reservation($1, $2, $3) AS loan_id',
+          [req.user.id, reservation.reservation_id, item.item_id]
+        )
+        : await client.query('SELECT fn_checkout_adhoc($1, $2, $3) AS loan_id', [req.user.id, user.user_id, item.item_id]);
+      loanIds.push(result.rows[0].loan_id);
+    }
+
+    await client.query('COMMIT');
+
+    const loans = await getLoans(db, loanIds);
+    res.status(201).json({
+      success: true,
+      message: `${loans.length} item(s) checked out to ${user.first_name} ${user.last_name}`,
+      count: loans.length,
+      loans
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+
+    const mapped = deskErrorResponse(err);
+    if (mapped) {
+      return res.status(mapped.status).json({
+        ...(mapped.body || { success: false, error: 'Conflict', code: mapped.code }),
+        message: `${currentTag}: ${mapped.body ? mapped.body.message : mapped.message}`,
+        asset_tag: currentTag
+      });
+    }
+
+    console.error('Error checking out at the desk:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to check out the items'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @route   POST api/desk/return
+ * @desc    Return scanned items ({ returns: [{ asset_tag, damaged, condition }] }) by closing
+ *          each item's open loan with fn_return_loan. All items are returned or none are.
+ * @access  Private/Admin,Technician
+ */
+router.post('/return', auth, isAdminOrTech, returnValidation, async (req, res) => {
+  if (sendValidationErrors(req, res)) return;
+
+  const client = await db.getClient();
+  let currentTag = null;
+
+  try {
+    await client.query('BEGIN');
+
+    const loanIds = [];
+    for (const { asset_tag: tag, damaged = false, condition = null } of req.body.returns) {
+      currentTag = tag;
+      const item = await findItem(client, tag);
+      if (!item) {
+        await client.query('ROLLBACK');
+        return notFound(res, 'ITEM_NOT_FOUND', `No item with asset tag ${tag}`, { asset_tag: tag });
+      }
+
+      const loan = await findOpenLoan(client, item.item_id);
+      if (!loan) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          code: 'NOT_ON_LOAN',
+          message: `${item.asset_tag}: this item is not checked out`,
+          asset_tag: item.asset_tag
+        });
+      }
+
+      await client.query('SELECT fn_return_loan($1, $2, $3, $4)', [req.user.id, loan.loan_id, damaged, condition || null]);
+      loanIds.push(loan.loan_id);
+    }
+
+    await client.query('COMMIT');
+
+    const loans = await getLoans(db, loanIds);
+    res.json({
+      success: true,
+      message: `${loans.length} item(s) returned`,
+      count: loans.length,
+      loans
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+
+    const mapped = deskErrorResponse(err);
+    if (mapped) {
+      return res.status(mapped.status).json({
+        success: false,
+        error: 'Conflict',
+        code: mapped.code,
+        message: `${currentTag}: ${mapped.message}`,
+        asset_tag: currentTag
+      });
+    }
+
+    console.error('Error returning items at the desk:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to return the items'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
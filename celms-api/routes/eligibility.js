@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkRole } = require('../middleware/auth');
+const db = require('../db');
+const { checkEligibility } = require('../services/eligibility');
+
+const ROLES = ['student', 'staff', 'technician', 'admin'];
+const ROLE_LIMIT_PREFIX = 'max_active_loans_';
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'technician';
+
+/**
+ * @route   GET api/eligibility
+ * @desc    Check whether a user may borrow (?item_id=, ?start=&end=, ?reservation_id=; staff may pass ?user_id=)
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  const { item_id: itemId, start, end, reservation_id: reservationId } = req.query;
+  const userId = isStaff(req.user) && req.query.user_id ? req.query.user_id : req.user.id;
+
+  if ((start && !end) || (!start && end)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'start and end must be provided together'
+    });
+  }
+  if ((start && isNaN(Date.parse(start))) || (end && isNaN(Date.parse(end)))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'start and end must be valid dates'
+    });
+  }
+  if (start && new Date(start) >= new Date(end)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'start must be before end'
+    });
+  }
+
+  try {
+    const reasons = await checkEligibility(db, {
+      userId,
+      itemId: itemId || null,
+      start: start || null,
+      end: end || null,
+      reservationId: reservationId || null
+    });
+
+    res.json({
+      success: true,
+      user_id: userId,
+      eligible: reasons.length === 0,
+      reasons
+    });
+  } catch (err) {
+    if (err.message && err.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: err.message
+      });
+    }
+
+    console.error('Error checking eligibility:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to check eligibility'
+    });
+  }
+});
+
+/**
+ * @route   GET api/eligibility/rules
+ * @desc    Get the borrowing rules: blocks, per-role loan limits and category restrictions
+ * @access  Private
+ */
+router.get('/rules', auth, async (req, res) => {
+  try {
+    const settings = await db.query(
+      `SELECT key, value FROM celms_settings
+       WHERE key IN ('block_on_overdue_loans', 'max_unpaid_penalty_mad') OR key LIKE $1`,
+      [`${ROLE_LIMIT_PREFIX}%`]
+    );
+    const restrictions = await db.query(
+      `SELECT ec.category_id, ec.name,
+              COALESCE(array_agg(r.role ORDER BY r.role) FILTER (WHERE r.role IS NOT NULL), '{}') AS restricted_roles
+       FROM equipment_categories ec
+       LEFT JOIN category_role_restrictions r ON r.category_id = ec.category_id
+       GROUP BY ec.category_id, ec.name
+       ORDER BY ec.name`
+    );
+
+    const values = Object.fromEntries(settings.rows.map(row => [row.key, Number(row.value)]));
+    const maxActiveLoans = Object.fromEntries(
+      ROLES.map(role => [role, values[`${ROLE_LIMIT_PREFIX}${role}`] ?? null]) // null = unlimited
+    );
+
+    res.json({
+      success: true,
+      rules: {
+        block_on_overdue_loans: (values.block_on_overdue_loans ?? 1) !== 0,
+        max_unpaid_penalty_mad: values.max_unpaid_penalty_mad ?? 0,
+        max_active_loans: maxActiveLoans
+      },
+      categories: restrictions.rows
+    });
+  } catch (err) {
+    console.error('Error fetching eligibility rules:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve eligibility rules'
+    });
+  }
+});
+
+/**
+ * @route   PUT api/eligibility/restrictions/:categoryId
+ * @desc    Replace the roles that may not borrow from a category ({ roles: ['student'] })
+ * @access  Private/Admin
+ */
+router.put('/restrictions/:categoryId', auth, checkRole(['admin']), async (req, res) => {
+  const { roles } = req.body;
+
+  if (!Array.isArray(roles) || roles.some(role => !ROLES.includes(role))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: `roles must be an array of: ${ROLES.join(', ')}`
+    });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const category = await client.query(
+      'SELECT category_id, name FROM equipment_categories WHERE category_id = $1',
+      [req.params.categoryId]
+    );
+
+    if (category.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Category not found'
+      });
+    }
+
+    const previous = await client.query(
+      'DELETE FROM category_role_restrictions WHERE category_id = $1 RETURNING role',
+      [req.params.categoryId]
+    );
+
+    const uniqueRoles = [...new Set(roles)].sort();
+    if (uniqueRoles.length > 0) {
+      await client.query(
+        `INSERT INTO category_role_restrictions(category_id, role)
+         SELECT $1, unnest($2::TEXT[])`,
+        [req.params.categoryId, uniqueRoles]
+      );
+    }
+
+    await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+      req.user.id,
+      'category',
+      String(req.params.categoryId),
+      'update_restrictions',
+      { previous: previous.rows.map(row => row.role).sort(), roles: uniqueRoles }
+    ]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Category restrictions updated',
+      category: {
+        ...category.rows[0],
+        restricted_roles: uniqueRoles
+      }
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating category restrictions:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to update category restrictions'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkRole } = require('../middleware/auth');
+const db = require('../db');
+const { runListQuery } = require('../services/listQuery');
+const { isConfigured, sendMail } = require('../services/mailer');
+const { renderEmail } = require('../services/emailTemplates');
+
+const EMAIL_PATTERN = /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i;
+
+// List spec for GET api/admin/email (see services/listQuery.js)
+const EMAIL_LIST = {
+  from: 'email_outbox e JOIN users u ON u.user_id = e.user_id',
+  select: `e.email_id, e.notif_id, e.user_id, e.to_address, e.type, e.subject, e.status, e.attempts,
+    e.next_attempt_at, e.last_attempt_at, e.last_error, e.message_id, e.created_at, e.sent_at,
+    e.payload->>'message' AS message, u.first_name, u.last_name`,
+  idColumn: 'e.email_id',
+  status: 'e.status',
+  filters: {
+    type: 'e.type',
+    user_id: { column: 'e.user_id', type: 'uuid' }
+  },
+  searchColumns: ['e.to_address::TEXT', 'e.subject', 'e.last_error', "e.payload->>'message'"],
+  dateFields: {
+    created_at: 'e.created_at',
+    sent_at: 'e.sent_at'
+  },
+  sortable: {
+    created_at: 'e.created_at',
+    sent_at: 'e.sent_at',
+    next_attempt_at: 'e.next_attempt_at',
+    attempts: 'e.attempts'
+  },
+  defaultSort: '-created_at'
+};
+
+/**
+ * @route   GET api/admin/email
+ * @desc    Email outbox with delivery status; filtering (status, type, user_id), search, sorting and pagination.
+ *          Also returns the number of emails per status and whether SMTP is configured.
+ * @access  Private/Admin
+ */
+router.get('/', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const list = await runListQuery(db, req.query, EMAIL_LIST, 'emails');
+    const counts = await db.query('SELECT status, COUNT(*)::INT AS count FROM email_outbox GROUP BY status');
+
+    res.json({
+      ...list,
+      smtp_configured: isConfigured(),
+      status_counts: Object.fromEntries(counts.rows.map(row => [row.status, row.count]))
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: err.message
+      });
+    }
+
+    console.error('Error fetching email outbox:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve emails'
+    });
+  }
+});
+
+/**
+ * @route   POST api/admin/email/test
+ * @desc    Send a test email straight away (not through the outbox) to check the SMTP settings.
+ *          Goes to { to } or the admin's own address.
+ * @access  Private/Admin
+ */
+router.post('/test', auth, checkRole(['admin']), async (req, res) => {
+  if (!isConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Service Unavailable',
+      code: 'SMTP_NOT_CONFIGURED',
+      message: 'Email is not configured on this server (SMTP_HOST is not set)'
+    });
+  }
+
+  try {
+    const user = await db.query('SELECT email, first_name FROM users WHERE user_id = $1', [req.user.id]);
+    const to = req.body.to !== undefined ? String(req.body.to).trim() : user.rows[0].email;
+    if (!EMAIL_PATTERN.test(to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'to must be an email address'
+      });
+    }
+
+    const message = renderEmail(
+      { type: 'system', payload: { message: 'This is a test email from CELMS. Email delivery is working.' } },
+      user.rows[0]
+    );
+
+    try {
+      const info = await sendMail({ to, ...message });
+      res.json({
+        success: true,
+        message: `Test email sent to ${to}`,
+        message_id: info.messageId || null
+      });
+    } catch (err) {
+      res.status(502).json({
+        success: false,
+        error: 'Bad Gateway',
+        code: 'SMTP_ERROR',
+        message: `The SMTP server did not accept the email: ${err.message}`
+      });
+    }
+  } catch (err) {
+    console.error('Error sending test email:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to send test email'
+    });
+  }
+});
+
+/**
+ * @route   POST api/admin/email/:id/retry
+ * @desc    Queue a failed (or waiting) email to be sent on the next delivery run, with a fresh set of attempts; audited
+ * @access  Private/Admin
+ */
+router.post('/:id/retry', auth, checkRole(['admin']), async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'Invalid email id'
+    });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query('SELECT status FROM email_outbox WHERE email_id = $1 FOR UPDATE', [req.params.id]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: `Email ${req.params.id} not found`
+      });
+    }
+    if (!['failed', 'pending'].includes(current.rows[0].status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        code: 'EMAIL_NOT_RETRYABLE',
+        message: current.rows[0].status === 'sent' ? 'This email has already been sent' : 'This email is being sent'
+      });
+    }
+
+    const updated = await client.query(
+      `UPDATE email_outbox SET status = 'pending', attempts = 0, next_attempt_at = now()
+       WHERE email_id = $1
+       RETURNING *`,
+      [req.params.id]
+    );
+
+    await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+      req.user.id,
+      'email',
+      req.params.id,
+      'retry',
+      { previous_status: current.rows[0].status }
+    ]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: isConfigured() ? 'Email queued; it will be sent on the next delivery run' : 'Email queued, but SMTP is not configured on this server',
+      email: updated.rows[0]
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error retrying email:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retry email'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
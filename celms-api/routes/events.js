@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const realtime = require('../services/realtime');
+
+/**
+ * EventSource cannot send custom headers, so the stream also accepts the
+ * JWT as ?token= and hands it to the regular auth middleware.
+ */
+const tokenFromQuery = (req, res, next) => {
+  if (req.query.token && !req.header('x-auth-token')) {
+    req.headers['x-auth-token'] = req.query.token;
+  }
+  // Keep the token out of the HTTP access log
+  req.originalUrl = req.originalUrl.replace(/token=[^&]*/, 'token=[redacted]');
+  next();
+};
+
+/**
+ * @route   GET api/events/stream
+ * @desc    Server-Sent Events stream of notifications and reservation/loan/ticket changes
+ * @access  Private
+ */
+router.get('/stream', tokenFromQuery, auth, (req, res) => {
+  realtime.subscribe(req, res);
+});
+
+module.exports = router;
@@ -0,0 +1,670 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkRole } = require('../middleware/auth');
+const db = require('../db');
+const {
+  STATUS_SQL,
+  verifyInvitationToken,
+  getAllowedDomains,
+  validateInvitee,
+  createPendingUser,
+  issueInvitation
+} = require('../services/invitations');
+const {
+  getPasswordPolicy,
+  validatePassword,
+  setPassword,
+  sendPasswordRejected
+} = require('../services/passwords');
+const { createSession } = require('../services/sessions');
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'expired', 'revoked'];
+const MAX_BULK_INVITATIONS = 500;
+const DOMAIN_PATTERN = /^[A-Z0-9.-]+\.[A-Z]{2,}$/i;
+
+const INVITATION_ERRORS = {
+  INVALID_INVITATION: 'This invitation link is not valid',
+  INVITATION_EXPIRED: 'This invitation has expired. Ask an administrator to resend it.',
+  INVITATION_REVOKED: 'This invitation has been withdrawn. Ask an administrator for a new one.',
+  INVITATION_USED: 'This invitation has already been used. Log in with your password.'
+};
+
+/**
+ * Reply for an unusable invitation token
+ */
+const sendInvitationError = (res, code) => res.status(code === 'INVALID_INVITATION' ? 400 : 410).json({
+  success: false,
+  error: code === 'INVALID_INVITATION' ? 'Bad Request' : 'Gone',
+  code,
+  message: INVITATION_ERRORS[code]
+});
+
+/**
+ * Look up the invitation a token names and check it can still be used.
+ * Returns { invitation } or { error: code }.
+ * @param {Object} db - db module or transaction client
+ * @param {string} token - token from the invitation link
+ * @param {boolean} forUpdate - lock the invitation row (accepting)
+ */
+const findUsableInvitation = async (db, token, forUpdate = false) => {
+  const verified = verifyInvitationToken(token);
+  if (verified.error) return { error: verified.error };
+
+  const result = await db.query(
+    `SELECT i.invitation_id, i.user_id, i.expires_at, i.accepted_at, i.revoked_at, ${STATUS_SQL} AS status,
+            u.email, u.first_name, u.last_name, u.role, u.is_active, u.password_hash IS NOT NULL AS has_password
+     FROM invitations i
+     JOIN users u ON u.user_id = i.user_id
+     WHERE i.invitation_id = $1
+     ${forUpdate ? 'FOR UPDATE OF i' : ''}`,
+    [verified.invitationId]
+  );
+  const invitation = result.rows[0];
+
+  if (!invitation) return { error: 'INVALID_INVITATION' };
+  if (invitation.status === 'accepted' || invitation.has_password) return { error: 'INVITATION_USED' };
+  // Deactivating a pending user withdraws the invitation too
+  if (invitation.status === 'revoked' || !invitation.is_active) return { error: 'INVITATION_REVOKED' };
+  if (invitation.status === 'expired') return { error: 'INVITATION_EXPIRED' };
+
+  return { invitation };
+};
+
+/**
+ * Validate invitees and report existing emails; returns per-row errors
+ * @param {Object} client - transaction client
+ * @param {Object[]} invitees - request rows
+ * @param {string[]} domains - from getAllowedDomains
+ */
+const checkInvitees = async (client, invitees, domains) => {
+  const rowErrors = [];
+  const seen = new Map();
+
+  invitees.forEach((invitee, index) => {
+    const problems = validateInvitee(invitee, domains);
+    const email = typeof invitee?.email === 'string' ? invitee.email.trim().toLowerCase() : null;
+
+    if (email && seen.has(email)) {
+      problems.push(`Duplicate of row ${seen.get(email) + 1}`);
+    } else if (email) {
+      seen.set(email, index);
+    }
+    if (problems.length > 0) {
+      rowErrors.push({ index, email: invitee?.email ?? null, problems });
+    }
+  });
+
+  const emails = [...seen.keys()];
+  if (emails.length > 0) {
+    const existing = await client.query(
+      `SELECT email, password_hash IS NULL AS pending FROM users WHERE lower(email) = ANY($1::TEXT[])`,
+      [emails]
+    );
+    existing.rows.forEach(row => {
+      const index = seen.get(row.email.toLowerCase());
+      const problem = row.pending
+        ? 'A user with this email is already invited; resend the invitation instead'
+        : 'A user with this email already exists';
+      const entry = rowErrors.find(e => e.index === index);
+      if (entry) {
+        entry.problems.push(problem);
+      } else {
+        rowErrors.push({ index, email: row.email, problems: [problem] });
+      }
+    });
+  }
+
+  return rowErrors.sort((a, b) => a.index - b.index);
+};
+
+/**
+ * @route   GET api/invitations
+ * @desc    Invitations, newest first (?status=pending|accepted|expired|revoked, ?search=, ?limit=, default 100)
+ * @access  Private/Admin
+ */
+router.get('/', auth, checkRole(['admin']), async (req, res) => {
+  const { status, search } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+  if (status && !INVITATION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: `status must be one of: ${INVITATION_STATUSES.join(', ')}`
+    });
+  }
+
+  try {
+    const params = [];
+    const filters = [];
+    if (status) {
+      params.push(status);
+      filters.push(`${STATUS_SQL} = $${params.length}`);
+    }
+    if (search) {
+      params.push(`%${search}%`);
+      filters.push(`(u.email ILIKE $${params.length} OR u.first_name ILIKE $${params.length} OR u.last_name ILIKE $${params.length})`);
+    }
+    params.push(limit);
+
+    const result = await db.query(
+      `SELECT i.invitation_id, i.user_id, i.created_at, i.expires_at, i.accepted_at, i.revoked_at,
+              ${STATUS_SQL} AS status,
+              u.email, u.first_name, u.last_name, u.role, u.is_active,
+              i.invited_by, b.first_name AS invited_by_first_name, b.last_name AS invited_by_last_name
+       FROM invitations i
+       JOIN users u ON u.user_id = i.user_id
+       LEFT JOIN users b ON b.user_id = i.invited_by
+       ${filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : ''}
+       ORDER BY i.created_at DESC, i.invitation_id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      invitations: result.rows
+    });
+  } catch (err) {
+    console.error('Error fetching invitations:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve invitations'
+    });
+  }
+});
+
+/**
+ * @route   GET api/invitations/domains
+ * @desc    Email domains invitations may be sent to (empty = any)
+ * @access  Private/Admin
+ */
+router.get('/domains', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const domains = await getAllowedDomains(db);
+
+    res.json({
+      success: true,
+      count: domains.length,
+      domains
+    });
+  } catch (err) {
+    console.error('Error fetching allowed domains:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve allowed domains'
+    });
+  }
+});
+
+/**
+ * @route   PUT api/invitations/domains
+ * @desc    Replace the allowed email domains ({ domains: ['uni.local'] }; [] allows any)
+ * @access  Private/Admin
+ */
+router.put('/domains', auth, checkRole(['admin']), async (req, res) => {
+  const { domains } = req.body;
+
+  if (!Array.isArray(domains) || domains.some(domain => typeof domain !== 'string')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'domains must be an array of domain names'
+    });
+  }
+
+  // Accept "@uni.local" as typed in the UI
+  const normalized = [...new Set(domains.map(domain => domain.trim().replace(/^@/, '').toLowerCase()))]
+    .filter(Boolean);
+  const invalid = normalized.filter(domain => !DOMAIN_PATTERN.test(domain));
+
+  if (invalid.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: `Invalid domain(s): ${invalid.join(', ')}`
+    });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const previous = await getAllowedDomains(client);
+    await client.query('DELETE FROM allowed_email_domains');
+    if (normalized.length > 0) {
+      await client.query(
+        `INSERT INTO allowed_email_domains (domain, created_by)
+         SELECT unnest($1::TEXT[]), $2`,
+        [normalized, req.user.id]
+      );
+    }
+
+    await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+      req.user.id,
+      'invitation',
+      'domains',
+      'update',
+      { before: previous, after: normalized }
+    ]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: normalized.length > 0
+        ? `Invitations restricted to ${normalized.map(domain => `@${domain}`).join(', ')}`
+        : 'Invitations allowed for any email domain',
+      domains: normalized.sort()
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating allowed domains:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to update allowed domains'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @route   POST api/invitations
+ * @desc    Create a pending user and invite them ({ email, first_name, last_name, role, phone })
+ * @access  Private/Admin
+ */
+router.post('/', auth, checkRole(['admin']), async (req, res) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const domains = await getAllowedDomains(client);
+    const [rowError] = await checkInvitees(client, [req.body], domains);
+
+    if (rowError) {
+      await client.query('ROLLBACK');
+      const exists = rowError.problems.some(problem => problem.startsWith('A user with this email'));
+      return res.status(exists ? 409 : 400).json({
+        success: false,
+        error: exists ? 'Conflict' : 'Validation Error',
+        message: rowError.problems.join('; '),
+        problems: rowError.problems
+      });
+    }
+
+    const user = await createPendingUser(client, req.body);
+    const invitation = await issueInvitation(client, user, req.user.id);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation created for ${user.email}`,
+      user,
+      invitation
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error creating invitation:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to create invitation'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @route   POST api/invitations/bulk
+ * @desc    Invite several users at once ({ invitations: [{ email, first_name, last_name, role, phone }] });
+ *          nothing is created unless every row is valid
+ * @access  Private/Admin
+ */
+router.post('/bulk', auth, checkRole(['admin']), async (req, res) => {
+  const { invitations } = req.body;
+
+  if (!Array.isArray(invitations) || invitations.length === 0 || invitations.length > MAX_BULK_INVITATIONS) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: `invitations must be an array of 1 to ${MAX_BULK_INVITATIONS} rows`
+    });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const domains = await getAllowedDomains(client);
+    const rowErrors = await checkInvitees(client, invitations, domains);
+
+    if (rowErrors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: `${rowErrors.length} of ${invitations.length} row(s) have errors; no invitations were created`,
+        errors: rowErrors
+      });
+    }
+
+    const created = [];
+    for (const invitee of invitations) {
+      const user = await createPendingUser(client, invitee);
+      const invitation = await issueInvitation(client, user, req.user.id, { bulk: true });
+      created.push({ ...invitation, first_name: user.first_name, last_name: user.last_name });
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} invitation(s) created`,
+      count: created.length,
+      invitations: created
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error creating invitations:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to create invitations'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @route   GET api/invitations/verify
+ * @desc    Check an invitation token (?token=) and show who it is for
+ * @access  Public
+ */
+router.get('/verify', async (req, res) => {
+  try {
+    const { invitation, error } = await findUsableInvitation(db, req.query.token);
+    if (error) return sendInvitationError(res, error);
+
+    res.json({
+      success: true,
+      invitation: {
+        email: invitation.email,
+        first_name: invitation.first_name,
+        last_name: invitation.last_name,
+        role: invitation.role,
+        expires_at: invitation.expires_at
+      }
+    });
+  } catch (err) {
+    console.error('Error verifying invitation:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to verify invitation'
+    });
+  }
+});
+
+/**
+ * @route   POST api/invitations/accept
+ * @desc    Set a password with an invitation token ({ token, password }) and log in
+ * @access  Public
+ */
+router.post('/accept', async (req, res) => {
+  const { token, password } = req.body;
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const { invitation, error } = await findUsableInvitation(client, token, true);
+    if (error) {
+      await client.query('ROLLBACK');
+      return sendInvitationError(res, error);
+    }
+
+    const policy = await getPasswordPolicy(client);
+    const problems = validatePassword(policy, password, { email: invitation.email });
+    if (problems.length > 0) {
+      await client.query('ROLLBACK');
+      return sendPasswordRejected(res, problems);
+    }
+
+    await setPassword(client, invitation.user_id, password);
+    await client.query(
+      'UPDATE invitations SET accepted_at = now() WHERE invitation_id = $1',
+      [invitation.invitation_id]
+    );
+    await client.query('UPDATE users SET last_login = now() WHERE user_id = $1', [invitation.user_id]);
+
+    await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+      invitation.user_id,
+      'invitation',
+      String(invitation.invitation_id),
+      'accept',
+      { user_id: invitation.user_id, email: invitation.email }
+    ]);
+    await client.query(
+      'INSERT INTO user_activity_log (user_id, activity, ip_address) VALUES ($1, $2, $3)',
+      [invitation.user_id, 'accept_invitation', req.ip]
+    );
+
+    const user = await client.query(
+      `SELECT user_id, first_name, last_name, email, role, phone, must_change_password
+       FROM users WHERE user_id = $1`,
+      [invitation.user_id]
+    );
+
+    // Signed in straight away, like a login
+    const { token: accessToken, refreshToken, session } = await createSession(client, user.rows[0], {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Password set. Welcome to CELMS!',
+      token: accessToken,
+      refreshToken,
+      session_expires_at: session.expires_at,
+      user: user.rows[0]
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error accepting invitation:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to accept invitation'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @route   POST api/invitations/:id/resend
+ * @desc    Withdraw an unused invitation and issue a fresh link with a new expiry
+ * @access  Private/Admin
+ */
+router.post('/:id/resend', auth, checkRole(['admin']), async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'Invalid invitation ID'
+    });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT i.invitation_id, i.user_id, ${STATUS_SQL} AS status,
+              u.email, u.role, u.is_active, u.password_hash IS NOT NULL AS has_password
+       FROM invitations i
+       JOIN users u ON u.user_id = i.user_id
+       WHERE i.invitation_id = $1
+       FOR UPDATE OF i`,
+      [req.params.id]
+    );
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Invitation not found'
+      });
+    }
+
+    const previous = current.rows[0];
+    if (previous.status === 'accepted' || previous.has_password) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'This user has already set a password'
+      });
+    }
+    if (!previous.is_active) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'This user is deactivated; activate the account before resending'
+      });
+    }
+
+    // Only the newest invitation for a user can still be open
+    await client.query(
+      `UPDATE invitations SET revoked_at = now()
+       WHERE user_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [previous.user_id]
+    );
+
+    const invitation = await issueInvitation(
+      client,
+      { user_id: previous.user_id, email: previous.email, role: previous.role },
+      req.user.id,
+      { previous_invitation_id: previous.invitation_id }
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `Invitation resent to ${previous.email}`,
+      invitation
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error resending invitation:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to resend invitation'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @route   POST api/invitations/:id/revoke
+ * @desc    Withdraw an unused invitation; the pending user stays and can be re-invited
+ * @access  Private/Admin
+ */
+router.post('/:id/revoke', auth, checkRole(['admin']), async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'Invalid invitation ID'
+    });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT i.invitation_id, i.user_id, ${STATUS_SQL} AS status, u.email
+       FROM invitations i
+       JOIN users u ON u.user_id = i.user_id
+       WHERE i.invitation_id = $1
+       FOR UPDATE OF i`,
+      [req.params.id]
+    );
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Invitation not found'
+      });
+    }
+
+    const invitation = current.rows[0];
+    if (invitation.status === 'accepted' || invitation.status === 'revoked') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `Invitation has already been ${invitation.status}`
+      });
+    }
+
+    const updated = await client.query(
+      `UPDATE invitations SET revoked_at = now()
+       WHERE invitation_id = $1
+       RETURNING invitation_id, user_id, created_at, expires_at, revoked_at`,
+      [invitation.invitation_id]
+    );
+
+    await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+      req.user.id,
+      'invitation',
+      String(invitation.invitation_id),
+      'revoke',
+      { user_id: invitation.user_id, email: invitation.email }
+    ]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `Invitation for ${invitation.email} revoked`,
+      invitation: { ...updated.rows[0], status: 'revoked' }
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error revoking invitation:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to revoke invitation'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
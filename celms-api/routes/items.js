@@ -1,23 +1,569 @@
 const express = require('express');
 const router = express.Router();
+const { check, validationResult } = require('express-validator');
 const { auth, checkRole } = require('../middleware/auth');
 const db = require('../db');
+const { buildListQuery, runListQuery } = require('../services/listQuery');
+const { readCsvRecords, toCsv, sendCsv } = require('../services/csv');
+const { MAX_UNITS, generateAssetTags } = require('../services/assetTags');
+const {
+  MAX_LABELS,
+  LABELS_PER_SHEET,
+  renderLabelSheets,
+  toSvgDocument,
+  toHtmlDocument
+} = require('../services/labels');
+const {
+  EXPORT_COLUMNS,
+  recordsFromJson,
+  planItemImport,
+  applyItemImport
+} = require('../services/itemImport');
+const { parseWindow, getBusyIntervals } = require('../services/availability');
+
+const HISTORY_DEFAULT_LIMIT = 20;
+const HISTORY_MAX_LIMIT = 100;
+const MAX_TIMELINE_ITEMS = 200;
+
+/**
+ * Parse ?limit=&offset= for the item history endpoints
+ */
+const parsePagination = (query) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || HISTORY_DEFAULT_LIMIT, 1), HISTORY_MAX_LIMIT);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  return { limit, offset };
+};
+
+/**
+ * Run a paginated history query for one item and send the envelope.
+ * Admins and technicians see every row; other users only see rows they own
+ * (ownerColumn is compared against req.user.id).
+ */
+const sendItemHistory = async (req, res, { key, from, select, ownerColumn, orderBy }) => {
+  const itemCheck = await db.query('SELECT 1 FROM equipment_items WHERE item_id = $1', [req.params.id]);
+
+  if (itemCheck.rows.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'Not Found',
+      message: 'Item not found'
+    });
+  }
+
+  const { limit, offset } = parsePagination(req.query);
+  const params = [req.params.id];
+  let where = 'WHERE v.item_id = $1';
+
+  if (req.user.role !== 'admin' && req.user.role !== 'technician') {
+    params.push(req.user.id);
+    where += ` AND ${ownerColumn} = $${params.length}`;
+  }
+
+  const countResult = await db.query(`SELECT COUNT(*) FROM ${from} ${where}`, params);
+
+  const result = await db.query(
+    `SELECT ${select} FROM ${from} ${where}
+     ORDER BY ${orderBy}
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  res.json({
+    success: true,
+    total: parseInt(countResult.rows[0].count, 10),
+    limit,
+    offset,
+    [key]: result.rows
+  });
+};
+
+// List spec for GET api/items (see services/listQuery.js)
+const ITEM_LIST = {
+  from: 'v_items_details v',
+  select: 'v.*',
+  idColumn: 'v.item_id',
+  status: 'v.status',
+  filters: {
+    category_id: { column: 'v.category_id', type: 'integer' },
+    model_id: { column: 'v.model_id', type: 'integer' },
+    location: 'v.location',
+    available: (value) => (value === 'true' ? 'v.is_available' : 'NOT v.is_available')
+  },
+  searchColumns: ['v.asset_tag', 'v.brand', 'v.model_name', 'v.category_name', 'v.location'],
+  dateFields: {
+    purchase_date: 'v.purchase_date',
+    last_serviced: 'v.last_serviced'
+  },
+  sortable: {
+    asset_tag: 'v.asset_tag',
+    model_name: 'v.model_name',
+    category_name: 'v.category_name',
+    status: 'v.status',
+    location: 'v.location',
+    purchase_date: 'v.purchase_date',
+    last_serviced: 'v.last_serviced'
+  },
+  defaultSort: 'asset_tag'
+};
+
+// Same filters as the list, in the column layout the import reads back
+const ITEM_EXPORT = {
+  ...ITEM_LIST,
+  select: `v.asset_tag, v.category_name AS category, v.brand, v.model_name, v.status, v.location,
+           to_char(v.purchase_date, 'YYYY-MM-DD') AS purchase_date,
+           to_char(v.last_serviced, 'YYYY-MM-DD') AS last_serviced,
+           v.notes, v.image_url, v.is_available`
+};
+
+const unitsValidation = [
+  check('model_id', 'A valid model_id is required').isInt({ min: 1 }),
+  check('count', `count must be between 1 and ${MAX_UNITS}`).isInt({ min: 1, max: MAX_UNITS }),
+  check('status', 'status must be available or out_of_service').optional().isIn(['available', 'out_of_service']),
+  check('purchase_date', 'purchase_date must be a date (YYYY-MM-DD)').optional({ nullable: true, checkFalsy: true }).isISO8601({ strict: true }),
+  check('location', 'Location must be 100 characters or less').optional({ nullable: true }).isLength({ max: 100 })
+];
 
 /**
  * @route   GET api/items
- * @desc    Get all equipment items
+ * @desc    Get equipment items with filtering, sorting and pagination
  * @access  Private
  */
 router.get('/', auth, async (req, res) => {
   try {
-    // Use the v_items view that includes availability status
-    const result = await db.query('SELECT * FROM v_items ORDER BY asset_tag');
-    res.json(result.rows);
+    res.json(await runListQuery(db, req.query, ITEM_LIST, 'items'));
   } catch (err) {
-    console.error(err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: err.message
+      });
+    }
+
+    console.error('Error fetching items:', err);
     res.status(500).json({
-      message: 'Server error',
-      error: err.message
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve items'
+    });
+  }
+});
+
+/**
+ * @route   GET api/items/export
+ * @desc    Export the inventory (?format=csv|json plus the list filters, sort and search).
+ *          The columns match what POST api/items/import reads.
+ * @access  Private/Admin,Technician
+ */
+router.get('/export', auth, checkRole(['admin', 'technician']), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'format must be csv or json'
+      });
+    }
+
+    const built = buildListQuery(req.query, ITEM_EXPORT, { paginate: false });
+    const result = await db.query(built.text, built.params);
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        count: result.rows.length,
+        items: result.rows
+      });
+    }
+
+    sendCsv(res, `celms-inventory-${new Date().toISOString().slice(0, 10)}.csv`, toCsv(EXPORT_COLUMNS, result.rows));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: err.message
+      });
+    }
+
+    console.error('Error exporting items:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to export items'
+    });
+  }
+});
+
+/**
+ * @route   POST api/items/import
+ * @desc    Import items from CSV ({ csv }) or JSON ({ items: [...] }) with { dry_run, create_models }.
+ *          Upserts by asset_tag; models are matched by brand + model_name and only created
+ *          when create_models is true; blank asset tags are generated from the category pattern.
+ *          dry_run defaults to true and only reports what would happen; nothing is written
+ *          unless every row is valid.
+ * @access  Private/Admin,Technician
+ */
+router.post('/import', auth, checkRole(['admin', 'technician']), async (req, res) => {
+  const { csv, items, dry_run: dryRun = true, create_models: createModels = false } = req.body;
+
+  let parsed;
+  if (Array.isArray(items)) {
+    if (items.some(item => typeof item !== 'object' || item === null || Array.isArray(item))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'items must be an array of objects'
+      });
+    }
+    parsed = recordsFromJson(items);
+  } else if (typeof csv === 'string' && csv.trim()) {
+    try {
+      parsed = readCsvRecords(csv);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Could not read the CSV: ${err.message}`
+      });
+    }
+  } else {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'Send csv (the text of a CSV file with a header row) or items (an array of objects)'
+    });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const plan = await planItemImport(client, parsed, { createModels: createModels === true });
+    const preview = {
+      summary: plan.summary,
+      errors: plan.errors,
+      ignored_columns: plan.ignoredColumns,
+      rows: plan.rows.map(({ values, modelRef, ...row }) => row),
+      new_models: plan.newModels.map(({ brand, model_name: modelName, category_name: category }) => ({
+        brand,
+        model_name: modelName,
+        category
+      }))
+    };
+
+    if (plan.errors.length > 0 && !plan.summary) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: plan.errors.join('; '),
+        ...preview
+      });
+    }
+
+    if (dryRun !== false) {
+      await client.query('ROLLBACK');
+      return res.json({
+        success: true,
+        dry_run: true,
+        message: `${plan.summary.create} to create, ${plan.summary.update} to update, ${plan.summary.new_models} new model(s), ${plan.summary.error} row(s) with errors`,
+        ...preview
+      });
+    }
+
+    if (plan.errors.length > 0 || plan.summary.error > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: [...plan.errors, plan.summary.error > 0 && `${plan.summary.error} row(s) have errors`]
+          .filter(Boolean).join('; ') + '; nothing was imported',
+        ...preview
+      });
+    }
+
+    const created = await applyItemImport(client, plan, req.user.id);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      dry_run: false,
+      message: `Imported: ${plan.summary.create} created, ${plan.summary.update} updated, ${plan.summary.new_models} new model(s)`,
+      ...preview,
+      created
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error importing items:', err);
+
+    if (err.code === '23505') { // unique_violation
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'An asset tag or model in the file was added by someone else meanwhile; preview again'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to import items'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @route   POST api/items/units
+ * @desc    Create N units of a model ({ model_id, count, status, location, purchase_date, notes, dry_run })
+ *          with sequential asset tags from the category's pattern. dry_run only returns the tags.
+ * @access  Private/Admin,Technician
+ */
+router.post('/units', auth, checkRole(['admin', 'technician']), unitsValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  const {
+    model_id: modelId,
+    count,
+    status = 'available',
+    location,
+    purchase_date: purchaseDate,
+    notes,
+    dry_run: dryRun = false
+  } = req.body;
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const modelResult = await client.query(
+      `SELECT em.model_id, em.brand, em.model_name, ec.category_id, ec.name, ec.asset_tag_pattern
+       FROM equipment_models em
+       JOIN equipment_categories ec ON ec.category_id = em.category_id
+       WHERE em.model_id = $1`,
+      [modelId]
+    );
+
+    if (modelResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Model not found'
+      });
+    }
+
+    const model = modelResult.rows[0];
+    const assetTags = await generateAssetTags(client, model, parseInt(count, 10));
+
+    if (dryRun === true) {
+      await client.query('ROLLBACK');
+      return res.json({
+        success: true,
+        dry_run: true,
+        pattern: model.asset_tag_pattern,
+        asset_tags: assetTags
+      });
+    }
+
+    const itemIds = [];
+    for (const assetTag of assetTags) {
+      const result = await client.query(
+        `INSERT INTO equipment_items (model_id, asset_tag, status, location, purchase_date, notes)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING item_id`,
+        [modelId, assetTag, status, location || null, purchaseDate || null, notes || null]
+      );
+      itemIds.push(result.rows[0].item_id);
+      await client.query(
+        'SELECT fn_audit($1, $2, $3, $4, $5)',
+        [req.user.id, 'item', String(result.rows[0].item_id), 'create', { asset_tag: assetTag, model_id: model.model_id, source: 'units' }]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    const created = await db.query(
+      'SELECT * FROM v_items_details WHERE item_id = ANY($1::BIGINT[]) ORDER BY item_id',
+      [itemIds]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Created ${itemIds.length} unit(s) of ${model.brand} ${model.model_name}: ${assetTags[0]} to ${assetTags[assetTags.length - 1]}`,
+      count: created.rows.length,
+      items: created.rows
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+
+    if (err.code === 'PATTERN_NOT_SET') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        code: 'PATTERN_NOT_SET',
+        message: `${err.message}. Set one on the category first.`
+      });
+    }
+
+    console.error('Error creating units:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to create units'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @route   GET api/items/labels
+ * @desc    Print-ready label sheets (?ids=1,2,3&format=svg|html&skip=0). Labels follow the
+ *          order of ids; skip leaves positions empty on a partly used first sheet.
+ * @access  Private/Admin,Technician
+ */
+router.get('/labels', auth, checkRole(['admin', 'technician']), async (req, res) => {
+  const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+  const format = req.query.format || 'svg';
+  const skip = req.query.skip === undefined ? 0 : Number(req.query.skip);
+
+  const problems = [];
+  if (ids.length === 0 || ids.some(id => !/^\d+$/.test(id))) {
+    problems.push('ids must be a comma-separated list of item IDs');
+  } else if (ids.length > MAX_LABELS) {
+    problems.push(`At most ${MAX_LABELS} labels can be printed at once`);
+  }
+  if (!['svg', 'html'].includes(format)) {
+    problems.push('format must be svg or html');
+  }
+  if (!Number.isInteger(skip) || skip < 0 || skip >= LABELS_PER_SHEET) {
+    problems.push(`skip must be between 0 and ${LABELS_PER_SHEET - 1}`);
+  }
+  if (problems.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: problems.join('; ')
+    });
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT item_id, asset_tag, brand, model_name, category_name
+       FROM v_items_details WHERE item_id = ANY($1::BIGINT[])`,
+      [ids]
+    );
+    const items = new Map(result.rows.map(item => [String(item.item_id), item]));
+    const missing = ids.filter(id => !items.has(id));
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: `Item(s) not found: ${missing.join(', ')}`
+      });
+    }
+
+    const sheets = renderLabelSheets(ids.map(id => items.get(id)), skip);
+
+    if (format === 'html') {
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      return res.send(toHtmlDocument(sheets));
+    }
+
+    res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="celms-labels-${new Date().toISOString().slice(0, 10)}.svg"`);
+    res.send(toSvgDocument(sheets));
+  } catch (err) {
+    console.error('Error rendering labels:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to render labels'
+    });
+  }
+});
+
+/**
+ * @route   GET api/items/availability
+ * @desc    Busy intervals of several items for a timeline (?from=&to=, filter with ?ids=1,2
+ *          or ?category_id=; retired items only when listed in ids)
+ * @access  Private/Admin,Technician
+ */
+router.get('/availability', auth, checkRole(['admin', 'technician']), async (req, res) => {
+  const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+
+  try {
+    const window = parseWindow(req.query);
+    if (ids.some(id => !/^\d+$/.test(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'ids must be a comma-separated list of item IDs'
+      });
+    }
+
+    const conditions = [];
+    const params = [];
+    if (ids.length > 0) {
+      params.push(ids);
+      conditions.push(`item_id = ANY($${params.length}::BIGINT[])`);
+    } else {
+      conditions.push(`status <> 'retired'`);
+    }
+    if (req.query.category_id) {
+      params.push(req.query.category_id);
+      conditions.push(`category_id = $${params.length}`);
+    }
+    params.push(MAX_TIMELINE_ITEMS + 1);
+
+    const result = await db.query(
+      `SELECT item_id, asset_tag, status, location, model_id, brand, model_name, category_id, category_name
+       FROM v_items_details
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY category_name, brand, model_name, asset_tag
+       LIMIT $${params.length}`,
+      params
+    );
+    const items = result.rows.slice(0, MAX_TIMELINE_ITEMS);
+    const busy = await getBusyIntervals(db, items.map(item => item.item_id), window, req.user);
+
+    res.json({
+      success: true,
+      from: window.from,
+      to: window.to,
+      count: items.length,
+      truncated: result.rows.length > MAX_TIMELINE_ITEMS,
+      items: items.map(item => ({ ...item, busy: busy.get(String(item.item_id)) }))
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: err.message
+      });
+    }
+
+    console.error('Error fetching availability timeline:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve availability'
     });
   }
 });
@@ -50,6 +596,126 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET api/items/:id/loans
+ * @desc    Get the loan history of an item (paginated, ?limit=&offset=)
+ * @access  Private - Admin/Tech see all loans, others only their own
+ */
+router.get('/:id/loans', auth, async (req, res) => {
+  try {
+    await sendItemHistory(req, res, {
+      key: 'loans',
+      from: 'v_loans_with_status v JOIN users u ON u.user_id = v.user_id',
+      select: 'v.*, u.first_name, u.last_name, u.email',
+      ownerColumn: 'v.user_id',
+      orderBy: 'v.checkout_at DESC'
+    });
+  } catch (err) {
+    console.error('Error fetching item loans:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve item loans'
+    });
+  }
+});
+
+/**
+ * @route   GET api/items/:id/reservations
+ * @desc    Get the reservation history of an item (paginated, ?limit=&offset=)
+ * @access  Private - Admin/Tech see all reservations, others only their own
+ */
+router.get('/:id/reservations', auth, async (req, res) => {
+  try {
+    await sendItemHistory(req, res, {
+      key: 'reservations',
+      from: 'v_reservations_admin v',
+      select: 'v.*, lower(v.period) AS start_at, upper(v.period) AS end_at',
+      ownerColumn: 'v.user_id',
+      orderBy: 'lower(v.period) DESC'
+    });
+  } catch (err) {
+    console.error('Error fetching item reservations:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve item reservations'
+    });
+  }
+});
+
+/**
+ * @route   GET api/items/:id/tickets
+ * @desc    Get the maintenance ticket history of an item (paginated, ?limit=&offset=)
+ * @access  Private - Admin/Tech see all tickets, others only tickets they opened
+ */
+router.get('/:id/tickets', auth, async (req, res) => {
+  try {
+    await sendItemHistory(req, res, {
+      key: 'tickets',
+      from: 'v_maintenance_tickets v',
+      select: 'v.*',
+      ownerColumn: 'v.opened_by',
+      orderBy: 'v.created_at DESC'
+    });
+  } catch (err) {
+    console.error('Error fetching item tickets:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve item tickets'
+    });
+  }
+});
+
+/**
+ * @route   GET api/items/:id/availability
+ * @desc    Busy intervals of an item (?from=&to=, default the next 30 days): active
+ *          reservations, the open loan and maintenance. available is true when the
+ *          whole window is free.
+ * @access  Private
+ */
+router.get('/:id/availability', auth, async (req, res) => {
+  try {
+    const window = parseWindow(req.query);
+    const item = await db.query('SELECT item_id, asset_tag, status FROM equipment_items WHERE item_id = $1', [req.params.id]);
+
+    if (item.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Item not found'
+      });
+    }
+
+    const busy = (await getBusyIntervals(db, [item.rows[0].item_id], window, req.user)).get(String(item.rows[0].item_id));
+
+    res.json({
+      success: true,
+      ...item.rows[0],
+      from: window.from,
+      to: window.to,
+      available: busy.length === 0,
+      busy
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: err.message
+      });
+    }
+
+    console.error('Error fetching item availability:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve item availability'
+    });
+  }
+});
+
 /**
  * @route   POST api/items
  * @desc    Create a new equipment item
@@ -147,6 +813,4 @@ router.delete('/:id', auth, checkRole(['admin']), async (req, res) => {
   }
 });
 
-// Routes for categories and models would also go here...
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,231 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkRole } = require('../middleware/auth');
+const db = require('../db');
+const { runListQuery } = require('../services/listQuery');
+const { JOBS_BY_NAME } = require('../services/jobs');
+const { runJob } = require('../services/scheduler');
+const { nextRun, scheduleError } = require('../services/cron');
+
+// Jobs with their most recent run
+const JOB_SELECT = `
+  SELECT j.*, u.first_name AS updated_by_first_name, u.last_name AS updated_by_last_name,
+         r.run_id AS last_run_id, r.status AS last_status, r.started_at AS last_started_at,
+         r.finished_at AS last_finished_at, r.error AS last_error
+  FROM scheduled_jobs j
+  LEFT JOIN users u ON u.user_id = j.updated_by
+  LEFT JOIN LATERAL (
+    SELECT * FROM job_runs WHERE job_name = j.job_name ORDER BY started_at DESC, run_id DESC LIMIT 1
+  ) r ON true`;
+
+// List spec for GET api/admin/jobs/runs (see services/listQuery.js)
+const RUN_LIST = {
+  from: 'job_runs r LEFT JOIN users u ON u.user_id = r.triggered_by',
+  select: `r.*, u.first_name AS triggered_by_first_name, u.last_name AS triggered_by_last_name,
+    (EXTRACT(EPOCH FROM (r.finished_at - r.started_at)) * 1000)::INT AS duration_ms`,
+  idColumn: 'r.run_id',
+  status: 'r.status',
+  filters: {
+    job_name: 'r.job_name',
+    trigger: 'r.trigger'
+  },
+  searchColumns: ['r.job_name', 'r.error'],
+  dateFields: {
+    started_at: 'r.started_at'
+  },
+  sortable: {
+    started_at: 'r.started_at',
+    finished_at: 'r.finished_at',
+    job_name: 'r.job_name'
+  },
+  defaultSort: '-started_at'
+};
+
+// Registry details (label, description) for a job row
+const describeJob = (row) => ({
+  ...row,
+  label: JOBS_BY_NAME[row.job_name]?.label || row.job_name,
+  description: JOBS_BY_NAME[row.job_name]?.description || null,
+  running: row.running_since !== null
+});
+
+const getJob = async (jobName) => {
+  const result = await db.query(`${JOB_SELECT} WHERE j.job_name = $1`, [jobName]);
+  return result.rows[0] ? describeJob(result.rows[0]) : null;
+};
+
+const notFound = (res, jobName) => res.status(404).json({
+  success: false,
+  error: 'Not Found',
+  message: `Job ${jobName} not found`
+});
+
+/**
+ * @route   GET api/admin/jobs
+ * @desc    Scheduled jobs with their schedule, next run and most recent run
+ * @access  Private/Admin
+ */
+router.get('/', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const result = await db.query(`${JOB_SELECT} ORDER BY j.job_name`);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      scheduler_enabled: process.env.SCHEDULER_ENABLED !== 'false',
+      jobs: result.rows.map(describeJob)
+    });
+  } catch (err) {
+    console.error('Error fetching jobs:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve jobs'
+    });
+  }
+});
+
+/**
+ * @route   GET api/admin/jobs/runs
+ * @desc    Run history with filtering (job_name, status, trigger), sorting and pagination
+ * @access  Private/Admin
+ */
+router.get('/runs', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    res.json(await runListQuery(db, req.query, RUN_LIST, 'runs'));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: err.message
+      });
+    }
+
+    console.error('Error fetching job runs:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve job runs'
+    });
+  }
+});
+
+/**
+ * @route   POST api/admin/jobs/:name/run
+ * @desc    Run a job now, paused or not; waits for it to finish and returns the run
+ * @access  Private/Admin
+ */
+router.post('/:name/run', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const run = await runJob(req.params.name, { trigger: 'manual', actor: req.user.id });
+
+    res.json({
+      success: true,
+      message: run.status === 'succeeded' ? 'Job completed' : `Job failed: ${run.error}`,
+      run,
+      job: await getJob(req.params.name)
+    });
+  } catch (err) {
+    if (err.code === 'JOB_NOT_FOUND') {
+      return notFound(res, req.params.name);
+    }
+    if (err.code === 'JOB_RUNNING') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        code: 'JOB_RUNNING',
+        message: 'This job is already running'
+      });
+    }
+
+    console.error('Error running job:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to run job'
+    });
+  }
+});
+
+/**
+ * @route   PUT api/admin/jobs/:name
+ * @desc    Change a job's schedule and/or pause it ({ schedule?, paused? }); audited.
+ *          The next run is recomputed from now.
+ * @access  Private/Admin
+ */
+router.put('/:name', auth, checkRole(['admin']), async (req, res) => {
+  const { schedule, paused } = req.body;
+  const errors = [];
+
+  if (schedule === undefined && paused === undefined) {
+    errors.push('Send schedule and/or paused');
+  }
+  if (schedule !== undefined) {
+    const message = scheduleError(schedule);
+    if (message) errors.push(message);
+  }
+  if (paused !== undefined && typeof paused !== 'boolean') {
+    errors.push('paused must be true or false');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: errors.join('; ')
+    });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query('SELECT * FROM scheduled_jobs WHERE job_name = $1 FOR UPDATE', [req.params.name]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return notFound(res, req.params.name);
+    }
+
+    const previous = current.rows[0];
+    const next = {
+      schedule: schedule !== undefined ? schedule.trim() : previous.schedule,
+      paused: paused !== undefined ? paused : previous.paused
+    };
+
+    await client.query(
+      `UPDATE scheduled_jobs
+       SET schedule = $2, paused = $3, next_run_at = $4, updated_at = now(), updated_by = $5
+       WHERE job_name = $1`,
+      [req.params.name, next.schedule, next.paused, nextRun(next.schedule), req.user.id]
+    );
+
+    await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+      req.user.id,
+      'scheduled_job',
+      req.params.name,
+      'update',
+      { previous: { schedule: previous.schedule, paused: previous.paused }, value: next }
+    ]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: next.paused ? 'Job updated; it is paused' : 'Job updated',
+      job: await getJob(req.params.name)
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating job:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to update job'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -2,38 +2,243 @@ const express = require('express');
 const router = express.Router();
 const { auth, isAdminOrTech } = require('../middleware/auth');
 const db = require('../db');
+const { runListQuery } = require('../services/listQuery');
+const { eligibilityErrorResponse } = require('../services/eligibility');
+const { toCalendar, sendCalendar, loanEvent, LOAN_SELECT } = require('../services/icalendar');
+
+// Extension requests with the loan, item and people involved
+const EXTENSION_SELECT = `
+  SELECT x.*, l.item_id, l.user_id, l.due_at, l.return_at, i.asset_tag,
+         em.brand, em.model_name,
+         u.first_name, u.last_name, u.email,
+         d.first_name AS decided_by_first_name, d.last_name AS decided_by_last_name
+  FROM loan_extensions x
+  JOIN loans l ON l.loan_id = x.loan_id
+  JOIN equipment_items i ON i.item_id = l.item_id
+  JOIN equipment_models em ON em.model_id = i.model_id
+  JOIN users u ON u.user_id = l.user_id
+  LEFT JOIN users d ON d.user_id = x.decided_by
+`;
+
+/**
+ * Map exceptions raised by the loan extension functions to HTTP responses.
+ * Returns null for anything unexpected so the caller can send a 500.
+ */
+const extensionErrorResponse = (err) => {
+  const message = err.message || '';
+
+  if (err.code === '23505' || message.includes('already has a pending extension')) { // unique_violation
+    return { status: 409, code: 'EXTENSION_PENDING', message: 'This loan already has a pending extension request' };
+  }
+  if (message.includes('not found')) {
+    return { status: 404, error: 'Not Found', message };
+  }
+  if (message.includes('Loan already returned')) {
+    return { status: 400, code: 'LOAN_RETURNED', message: 'This loan has already been returned' };
+  }
+  if (message.includes('must be after the current due date')) {
+    return { status: 400, code: 'INVALID_DUE_DATE', message };
+  }
+  if (message.includes('Extension exceeds maximum')) {
+    return { status: 400, code: 'EXTENSION_TOO_LONG', message };
+  }
+  if (message.includes('Renewal limit reached')) {
+    return { status: 409, code: 'RENEWAL_LIMIT', message };
+  }
+  if (message.includes('conflicts with an upcoming reservation')) {
+    return { status: 409, code: 'RESERVATION_CONFLICT', message: 'The item is reserved by someone else during the requested extension' };
+  }
+  if (message.includes('cannot be approved from status') || message.includes('cannot be denied from status')) {
+    return { status: 400, code: 'EXTENSION_ALREADY_DECIDED', message };
+  }
+
+  return null;
+};
+
+const sendExtensionError = (res, err, fallback) => {
+  const mapped = extensionErrorResponse(err);
+
+  if (mapped) {
+    return res.status(mapped.status).json({
+      success: false,
+      error: mapped.error || (mapped.status === 409 ? 'Conflict' : 'Bad Request'),
+      code: mapped.code,
+      message: mapped.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Server Error',
+    message: process.env.NODE_ENV === 'development' ? err.message : fallback
+  });
+};
+
+// List spec for GET api/loans (see services/listQuery.js)
+const LOAN_LIST = {
+  from: `v_loans_with_status v
+    JOIN users u ON u.user_id = v.user_id
+    JOIN equipment_items i ON i.item_id = v.item_id
+    JOIN equipment_models em ON em.model_id = i.model_id
+    JOIN equipment_categories ec ON ec.category_id = em.category_id`,
+  select: `v.*, u.first_name, u.last_name, u.email,
+    i.asset_tag, em.brand, em.model_name, ec.name AS category_name`,
+  idColumn: 'v.loan_id',
+  status: {
+    active: 'v.return_at IS NULL',
+    overdue: 'v.is_overdue',
+    returned: 'v.return_at IS NOT NULL',
+    damaged: 'v.damaged'
+  },
+  filters: {
+    item_id: { column: 'v.item_id', type: 'integer' },
+    user_id: { column: 'v.user_id', type: 'uuid' }
+  },
+  searchColumns: ['i.asset_tag', 'em.brand', 'em.model_name', 'u.first_name', 'u.last_name', 'u.email'],
+  dateFields: {
+    checkout_at: 'v.checkout_at',
+    due_at: 'v.due_at',
+    return_at: 'v.return_at'
+  },
+  sortable: {
+    checkout_at: 'v.checkout_at',
+    due_at: 'v.due_at',
+    return_at: 'v.return_at',
+    days_overdue: 'v.days_overdue',
+    asset_tag: 'i.asset_tag',
+    borrower: 'u.last_name'
+  },
+  defaultSort: '-checkout_at'
+};
 
 /**
  * @route   GET api/loans
- * @desc    Get all loans or user's loans
+ * @desc    Get all loans or user's loans with filtering, sorting and pagination
  * @access  Private
  */
 router.get('/', auth, async (req, res) => {
   try {
-    let result;
+    const spec = { ...LOAN_LIST };
 
-    // If admin or technician, get all loans from the view
-    if (req.user.role === 'admin' || req.user.role === 'technician') {
-      result = await db.query(`
-        SELECT * FROM v_loans_with_status 
-        ORDER BY checkout_at DESC
-      `);
-    } else {
-      // Regular users can only see their own loans
-      result = await db.query(`
-        SELECT * FROM v_loans_with_status
-        WHERE user_id = $1
-        ORDER BY checkout_at DESC
-      `, [req.user.id]);
+    // Regular users can only see their own loans
+    if (req.user.role !== 'admin' && req.user.role !== 'technician') {
+      spec.where = ['v.user_id = $1'];
+      spec.params = [req.user.id];
     }
 
-    res.json(result.rows);
+    res.json(await runListQuery(db, req.query, spec, 'loans'));
   } catch (err) {
-    console.error(err.message);
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: err.message
+      });
+    }
+
+    console.error('Error fetching loans:', err);
     res.status(500).json({
-      message: 'Server error',
-      error: err.message
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve loans'
+    });
+  }
+});
+
+/**
+ * @route   GET api/loans/extensions
+ * @desc    Get loan extension requests (?status=pending by default, ?status=all for every request)
+ * @access  Private/Admin,Technician
+ */
+router.get('/extensions', auth, isAdminOrTech, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const params = [];
+    let query = EXTENSION_SELECT;
+
+    if (status !== 'all') {
+      params.push(status);
+      query += ` WHERE x.status = $1`;
+    }
+
+    query += ' ORDER BY x.requested_at DESC';
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      extensions: result.rows
+    });
+  } catch (err) {
+    console.error('Error fetching loan extensions:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve loan extensions'
+    });
+  }
+});
+
+/**
+ * @route   POST api/loans/extensions/:extensionId/approve
+ * @desc    Approve a pending extension using fn_approve_loan_extension function
+ * @access  Private/Admin,Technician
+ */
+router.post('/extensions/:extensionId/approve', auth, isAdminOrTech, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    await db.query(
+      'SELECT fn_approve_loan_extension($1, $2, $3)',
+      [req.user.id, req.params.extensionId, reason || null]
+    );
+
+    const result = await db.query(`${EXTENSION_SELECT} WHERE x.extension_id = $1`, [req.params.extensionId]);
+
+    res.json({
+      success: true,
+      message: 'Extension approved',
+      extension: result.rows[0]
+    });
+  } catch (err) {
+    console.error('Loan extension approval error:', err.message);
+    sendExtensionError(res, err, 'Failed to approve extension');
+  }
+});
+
+/**
+ * @route   POST api/loans/extensions/:extensionId/deny
+ * @desc    Deny a pending extension using fn_deny_loan_extension function
+ * @access  Private/Admin,Technician
+ */
+router.post('/extensions/:extensionId/deny', auth, isAdminOrTech, async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'A reason is required when denying an extension'
+    });
+  }
+
+  try {
+    await db.query(
+      'SELECT fn_deny_loan_extension($1, $2, $3)',
+      [req.user.id, req.params.extensionId, reason]
+    );
+
+    const result = await db.query(`${EXTENSION_SELECT} WHERE x.extension_id = $1`, [req.params.extensionId]);
+
+    res.json({
+      success: true,
+      message: 'Extension denied',
+      extension: result.rows[0]
     });
+  } catch (err) {
+    console.error('Loan extension denial error:', err.message);
+    sendExtensionError(res, err, 'Failed to deny extension');
   }
 });
 
@@ -49,11 +254,11 @@ router.get('/:id', auth, async (req, res) => {
     
     // Admin/tech can see any loan details
     if (req.user.role === 'admin' || req.user.role === 'technician') {
-      query = `SELECT * FROM v_loans_with_status WHERE loan_id = $1`;
+      query = `SELECT ${LOAN_LIST.select} FROM ${LOAN_LIST.from} WHERE v.loan_id = $1`;
       params = [req.params.id];
     } else {
       // Users can only see their own loans
-      query = `SELECT * FROM v_loans_with_status WHERE loan_id = $1 AND user_id = $2`;
+      query = `SELECT ${LOAN_LIST.select} FROM ${LOAN_LIST.from} WHERE v.loan_id = $1 AND v.user_id = $2`;
       params = [req.params.id, req.user.id];
     }
     
@@ -75,12 +280,13 @@ router.get('/:id', auth, async (req, res) => {
 
 /**
  * @route   POST api/loans/from-reservation
- * @desc    Create a loan from a reservation using fn_checkout_from_reservation function
+ * @desc    Create a loan from a reservation using fn_checkout_from_reservation function.
+ *          item_id (optional) hands out another unit of a model or category reservation.
  * @access  Private/Admin,Technician
  */
 router.post('/from-reservation', auth, isAdminOrTech, async (req, res) => {
   try {
-    const { reservation_id } = req.body;
+    const { reservation_id, item_id } = req.body;
     
     if (!reservation_id) {
       return res.status(400).json({ message: 'reservation_id is required' });
@@ -88,8 +294,8 @@ router.post('/from-reservation', auth, isAdminOrTech, async (req, res) => {
     
     // Call the database function to create loan from reservation
     const result = await db.query(
-      `SELECT fn_checkout_from_reservation($1, $2) AS loan_id`,
-      [req.user.id, reservation_id]
+      `SELECT fn_checkout_from_reservation($1, $2, $3) AS loan_id`,
+      [req.user.id, reservation_id, item_id || null]
     );
     
     const loanId = result.rows[0].loan_id;
@@ -104,6 +310,11 @@ router.post('/from-reservation', auth, isAdminOrTech, async (req, res) => {
   } catch (err) {
     console.error('Loan creation error:', err.message);
     
+    const ineligible = eligibilityErrorResponse(err);
+    if (ineligible) {
+      return res.status(409).json(ineligible);
+    }
+
     // Handle specific errors
     if (err.message.includes('Item is currently checked out')) {
       return res.status(409).json({ 
@@ -119,6 +330,20 @@ router.post('/from-reservation', auth, isAdminOrTech, async (req, res) => {
       });
     }
     
+    if (err.message.includes('cannot be assigned to reservation') || err.message.includes('is for another item')) {
+      return res.status(409).json({
+        code: 'UNIT_NOT_ASSIGNABLE',
+        message: 'This unit cannot be handed out for this reservation'
+      });
+    }
+
+    if (err.message.includes('No unit available')) {
+      return res.status(409).json({
+        code: 'ITEM_UNAVAILABLE',
+        message: 'No unit of the reserved model or category is free'
+      });
+    }
+    
     if (err.message.includes('Reservation') && err.message.includes('not approved')) {
       return res.status(400).json({ message: 'Reservation is not in approved state' });
     }
@@ -164,6 +389,11 @@ router.post('/adhoc', auth, isAdminOrTech, async (req, res) => {
   } catch (err) {
     console.error('Ad-hoc loan creation error:', err.message);
     
+    const ineligible = eligibilityErrorResponse(err);
+    if (ineligible) {
+      return res.status(409).json(ineligible);
+    }
+
     // Handle specific errors
     if (err.message.includes('Item is currently checked out')) {
       return res.status(409).json({ 
@@ -186,6 +416,130 @@ router.post('/adhoc', auth, isAdminOrTech, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET api/loans/:id/ics
+ * @desc    Download a loan's due date as an iCalendar (.ics) event
+ * @access  Private - Admin/Tech or the borrower
+ */
+router.get('/:id/ics', auth, async (req, res) => {
+  try {
+    const result = await db.query(`${LOAN_SELECT} WHERE l.loan_id = $1`, [req.params.id]);
+    const loan = result.rows[0];
+
+    if (!loan || (req.user.role !== 'admin' && req.user.role !== 'technician' && loan.user_id !== req.user.id)) {
+      return res.status(404).json({ message: 'Loan not found or access denied' });
+    }
+
+    const ics = toCalendar('CELMS loan', [loanEvent(loan, loan.user_id !== req.user.id)]);
+    sendCalendar(res, `loan-${loan.loan_id}.ics`, ics, { download: true });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * @route   GET api/loans/:id/extensions
+ * @desc    Get the extension history of a loan
+ * @access  Private - Admin/Tech or the borrower
+ */
+router.get('/:id/extensions', auth, async (req, res) => {
+  try {
+    const loanCheck = await db.query('SELECT user_id FROM loans WHERE loan_id = $1', [req.params.id]);
+
+    if (loanCheck.rows.length === 0 ||
+        (req.user.role !== 'admin' && req.user.role !== 'technician' && loanCheck.rows[0].user_id !== req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Loan not found or access denied'
+      });
+    }
+
+    const result = await db.query(
+      `${EXTENSION_SELECT} WHERE x.loan_id = $1 ORDER BY x.requested_at DESC`,
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      extensions: result.rows
+    });
+  } catch (err) {
+    console.error('Error fetching loan extensions:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve loan extensions'
+    });
+  }
+});
+
+/**
+ * @route   PUT api/loans/:id/extend
+ * @desc    Request a new due date using fn_request_loan_extension function.
+ *          Body: { due_at } or { days }, optional reason. Requests within the
+ *          renewal policy are approved immediately, others wait for staff.
+ * @access  Private - Admin/Tech or the borrower
+ */
+router.put('/:id/extend', auth, async (req, res) => {
+  try {
+    const { due_at, days, reason } = req.body;
+    const loanId = req.params.id;
+
+    const loanCheck = await db.query('SELECT user_id, due_at FROM loans WHERE loan_id = $1', [loanId]);
+
+    if (loanCheck.rows.length === 0 ||
+        (req.user.role !== 'admin' && req.user.role !== 'technician' && loanCheck.rows[0].user_id !== req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Loan not found or access denied'
+      });
+    }
+
+    let requestedDue;
+    if (due_at) {
+      requestedDue = new Date(due_at);
+    } else if (days) {
+      requestedDue = new Date(loanCheck.rows[0].due_at.getTime() + parseInt(days, 10) * 86400000);
+    }
+
+    if (!requestedDue || Number.isNaN(requestedDue.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: 'A valid due_at (or number of days) is required'
+      });
+    }
+
+    const result = await db.query(
+      'SELECT fn_request_loan_extension($1, $2, $3, $4) AS extension_id',
+      [req.user.id, loanId, requestedDue.toISOString(), reason || null]
+    );
+
+    const extension = await db.query(
+      `${EXTENSION_SELECT} WHERE x.extension_id = $1`,
+      [result.rows[0].extension_id]
+    );
+
+    const approved = extension.rows[0].status === 'approved';
+
+    res.status(approved ? 200 : 202).json({
+      success: true,
+      message: approved ? 'Loan extended' : 'Extension requested and awaiting approval',
+      extension: extension.rows[0]
+    });
+  } catch (err) {
+    console.error('Loan extension request error:', err.message);
+    sendExtensionError(res, err, 'Failed to request extension');
+  }
+});
+
 /**
  * @route   POST api/loans/:id/return
  * @desc    Return a loan using fn_return_loan function
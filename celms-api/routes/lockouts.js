@@ -0,0 +1,208 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkRole } = require('../middleware/auth');
+const db = require('../db');
+
+const LOGIN_OUTCOMES = ['success', 'invalid_password', 'unknown_email', 'locked', 'throttled', 'inactive'];
+
+/**
+ * @route   GET api/admin/lockouts
+ * @desc    Login lockouts (?status=active|all, default active; ?limit=, default 50)
+ * @access  Private/Admin
+ */
+router.get('/', auth, checkRole(['admin']), async (req, res) => {
+  const status = req.query.status || 'active';
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  if (!['active', 'all'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'status must be active or all'
+    });
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT l.lockout_id, l.email, l.user_id, l.ip_address, l.failed_attempts,
+              l.locked_at, l.locked_until, l.cleared_at, l.cleared_by,
+              l.cleared_at IS NULL AND l.locked_until > now() AS active,
+              u.first_name, u.last_name, u.role,
+              c.first_name AS cleared_by_first_name, c.last_name AS cleared_by_last_name
+       FROM account_lockouts l
+       LEFT JOIN users u ON u.user_id = l.user_id
+       LEFT JOIN users c ON c.user_id = l.cleared_by
+       WHERE $1 = 'all' OR (l.cleared_at IS NULL AND l.locked_until > now())
+       ORDER BY l.locked_at DESC
+       LIMIT $2`,
+      [status, limit]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      lockouts: result.rows
+    });
+  } catch (err) {
+    console.error('Error fetching lockouts:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve lockouts'
+    });
+  }
+});
+
+/**
+ * @route   GET api/admin/lockouts/attempts
+ * @desc    Recent login attempts (?email=, ?ip=, ?outcome=, ?limit=, default 100)
+ * @access  Private/Admin
+ */
+router.get('/attempts', auth, checkRole(['admin']), async (req, res) => {
+  const { email, ip, outcome } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+  if (outcome && !LOGIN_OUTCOMES.includes(outcome)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: `outcome must be one of: ${LOGIN_OUTCOMES.join(', ')}`
+    });
+  }
+
+  try {
+    const params = [];
+    const filters = [];
+    if (email) {
+      params.push(email);
+      filters.push(`email = $${params.length}`);
+    }
+    if (ip) {
+      params.push(ip);
+      filters.push(`ip_address = $${params.length}`);
+    }
+    if (outcome) {
+      params.push(outcome);
+      filters.push(`outcome = $${params.length}`);
+    }
+    params.push(limit);
+
+    const result = await db.query(
+      `SELECT attempt_id, email, user_id, ip_address, outcome, attempted_at
+       FROM login_attempts
+       ${filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : ''}
+       ORDER BY attempted_at DESC, attempt_id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      attempts: result.rows
+    });
+  } catch (err) {
+    console.error('Error fetching login attempts:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve login attempts'
+    });
+  }
+});
+
+/**
+ * @route   POST api/admin/lockouts/:lockoutId/clear
+ * @desc    Lift an active lockout; failed attempts before it no longer count
+ * @access  Private/Admin
+ */
+router.post('/:lockoutId/clear', auth, checkRole(['admin']), async (req, res) => {
+  if (!/^\d+$/.test(req.params.lockoutId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'Invalid lockout ID'
+    });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT lockout_id, email, user_id, cleared_at IS NULL AND locked_until > now() AS active
+       FROM account_lockouts WHERE lockout_id = $1 FOR UPDATE`,
+      [req.params.lockoutId]
+    );
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Lockout not found'
+      });
+    }
+
+    const lockout = current.rows[0];
+    if (!lockout.active) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Lockout has already expired or been cleared'
+      });
+    }
+
+    const updated = await client.query(
+      `UPDATE account_lockouts SET cleared_at = now(), cleared_by = $2
+       WHERE lockout_id = $1
+       RETURNING lockout_id, email, user_id, failed_attempts, locked_at, locked_until, cleared_at, cleared_by`,
+      [req.params.lockoutId, req.user.id]
+    );
+
+    if (lockout.user_id) {
+      await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+        req.user.id,
+        'user',
+        lockout.user_id,
+        'unlock',
+        { lockout_id: lockout.lockout_id }
+      ]);
+      await client.query('SELECT fn_create_notification($1, $2, $3)', [
+        lockout.user_id,
+        'system',
+        { message: 'Your account was unlocked by an administrator. You can log in again.' }
+      ]);
+    } else {
+      await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+        req.user.id,
+        'lockout',
+        String(lockout.lockout_id),
+        'clear',
+        { email: lockout.email }
+      ]);
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `Lockout cleared for ${lockout.email}`,
+      lockout: updated.rows[0]
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error clearing lockout:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to clear lockout'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,401 @@
+const express = require('express');
+const router = express.Router();
+const { check, param, validationResult } = require('express-validator');
+const { auth, checkRole } = require('../middleware/auth');
+const db = require('../db');
+
+// Shared SELECT with category name and per-model item counts
+const MODEL_SELECT = `
+  SELECT em.model_id, em.category_id, ec.name AS category_name,
+         em.brand, em.model_name, em.spec_json,
+         (SELECT COUNT(*) FROM equipment_items i WHERE i.model_id = em.model_id)::INT AS item_count,
+         (SELECT COUNT(*) FROM equipment_items i
+           WHERE i.model_id = em.model_id AND i.status = 'available')::INT AS available_count
+  FROM equipment_models em
+  JOIN equipment_categories ec ON em.category_id = ec.category_id
+`;
+
+const SPEC_MAX_KEYS = 50;
+const SPEC_MAX_BYTES = 8192;
+
+/**
+ * Validate a spec_json payload. Specs are flat-ish key/value objects such as
+ * {"cpu": "M1 Pro", "ports": ["USB-C", "HDMI"]}; arrays, primitives and
+ * deeply nested structures are rejected. Accepts a JSON string or an object.
+ * Returns { value } on success or { error } with a human readable reason.
+ */
+const validateSpecJson = (raw) => {
+  if (raw === undefined || raw === null || raw === '') {
+    return { value: null };
+  }
+
+  let spec = raw;
+  if (typeof raw === 'string') {
+    try {
+      spec = JSON.parse(raw);
+    } catch (err) {
+      return { error: 'spec_json must be valid JSON' };
+    }
+  }
+
+  if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) {
+    return { error: 'spec_json must be a JSON object of specification fields' };
+  }
+
+  const keys = Object.keys(spec);
+  if (keys.length > SPEC_MAX_KEYS) {
+    return { error: `spec_json may contain at most ${SPEC_MAX_KEYS} fields` };
+  }
+
+  for (const key of keys) {
+    if (!key.trim()) {
+      return { error: 'spec_json field names cannot be empty' };
+    }
+
+    const value = spec[key];
+    const isScalar = value === null || ['string', 'number', 'boolean'].includes(typeof value);
+    const isScalarList = Array.isArray(value) && value.every(v => ['string', 'number', 'boolean'].includes(typeof v));
+    const isFlatObject = typeof value === 'object' && value !== null && !Array.isArray(value) &&
+      Object.values(value).every(v => v === null || ['string', 'number', 'boolean'].includes(typeof v));
+
+    if (!isScalar && !isScalarList && !isFlatObject) {
+      return { error: `spec_json field "${key}" must be a string, number, boolean, list of values or a flat object` };
+    }
+  }
+
+  if (Buffer.byteLength(JSON.stringify(spec)) > SPEC_MAX_BYTES) {
+    return { error: `spec_json must be smaller than ${SPEC_MAX_BYTES} bytes` };
+  }
+
+  return { value: spec };
+};
+
+const idValidation = [
+  param('id', 'Invalid model ID').isInt({ min: 1, max: Number.MAX_SAFE_INTEGER })
+];
+
+const modelValidation = [
+  check('category_id', 'A valid category_id is required').isInt({ min: 1 }),
+  check('brand', 'Brand is required').trim().notEmpty(),
+  check('brand', 'Brand must be 100 characters or less').isLength({ max: 100 }),
+  check('model_name', 'Model name is required').trim().notEmpty(),
+  check('model_name', 'Model name must be 100 characters or less').isLength({ max: 100 })
+];
+
+/**
+ * @route   GET api/models
+ * @desc    Get all equipment models with item counts (optionally ?category_id=)
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { category_id } = req.query;
+
+    let query = MODEL_SELECT;
+    const params = [];
+
+    if (category_id) {
+      params.push(category_id);
+      query += ` WHERE em.category_id = $${params.length}`;
+    }
+
+    query += ' ORDER BY em.brand, em.model_name';
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      models: result.rows
+    });
+  } catch (err) {
+    console.error('Error fetching models:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve models'
+    });
+  }
+});
+
+/**
+ * @route   GET api/models/:id
+ * @desc    Get model by ID
+ * @access  Private
+ */
+router.get('/:id', auth, idValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const result = await db.query(`${MODEL_SELECT} WHERE em.model_id = $1`, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Model not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      model: result.rows[0]
+    });
+  } catch (err) {
+    console.error('Error fetching model:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve model'
+    });
+  }
+});
+
+/**
+ * @route   POST api/models
+ * @desc    Create a new equipment model
+ * @access  Private/Admin,Technician
+ */
+router.post('/', auth, checkRole(['admin', 'technician']), modelValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  const spec = validateSpecJson(req.body.spec_json);
+  if (spec.error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: spec.error
+    });
+  }
+
+  try {
+    const { category_id, brand, model_name } = req.body;
+
+    const result = await db.query(
+      `INSERT INTO equipment_models (category_id, brand, model_name, spec_json)
+       VALUES ($1, $2, $3, $4)
+       RETURNING model_id`,
+      [category_id, brand, model_name, spec.value]
+    );
+
+    const modelId = result.rows[0].model_id;
+
+    await db.query(
+      'SELECT fn_audit($1, $2, $3, $4, $5)',
+      [req.user.id, 'model', String(modelId), 'create', { brand, model_name, category_id }]
+    );
+
+    const model = await db.query(`${MODEL_SELECT} WHERE em.model_id = $1`, [modelId]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Model created successfully',
+      model: model.rows[0]
+    });
+  } catch (err) {
+    console.error('Error creating model:', err);
+
+    if (err.code === '23505') { // unique_violation
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'A model with this brand and name already exists'
+      });
+    }
+
+    if (err.code === '23503') { // foreign_key_violation
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Category does not exist'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to create model'
+    });
+  }
+});
+
+/**
+ * @route   PUT api/models/:id
+ * @desc    Update an equipment model
+ * @access  Private/Admin,Technician
+ */
+router.put('/:id', auth, checkRole(['admin', 'technician']), idValidation, modelValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  const spec = validateSpecJson(req.body.spec_json);
+  if (spec.error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: spec.error
+    });
+  }
+
+  try {
+    const { category_id, brand, model_name } = req.body;
+
+    const result = await db.query(
+      `UPDATE equipment_models
+       SET category_id = $1, brand = $2, model_name = $3, spec_json = $4
+       WHERE model_id = $5
+       RETURNING model_id`,
+      [category_id, brand, model_name, spec.value, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Model not found'
+      });
+    }
+
+    await db.query(
+      'SELECT fn_audit($1, $2, $3, $4, $5)',
+      [req.user.id, 'model', req.params.id, 'update', { brand, model_name, category_id }]
+    );
+
+    const model = await db.query(`${MODEL_SELECT} WHERE em.model_id = $1`, [req.params.id]);
+
+    res.json({
+      success: true,
+      message: 'Model updated successfully',
+      model: model.rows[0]
+    });
+  } catch (err) {
+    console.error('Error updating model:', err);
+
+    if (err.code === '23505') { // unique_violation
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'A model with this brand and name already exists'
+      });
+    }
+
+    if (err.code === '23503') { // foreign_key_violation
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Category does not exist'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to update model'
+    });
+  }
+});
+
+/**
+ * @route   DELETE api/models/:id
+ * @desc    Delete an equipment model (only when no items reference it)
+ * @access  Private/Admin
+ */
+router.delete('/:id', auth, checkRole(['admin']), idValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const existing = await db.query(`${MODEL_SELECT} WHERE em.model_id = $1`, [req.params.id]);
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Model not found'
+      });
+    }
+
+    const model = existing.rows[0];
+
+    // equipment_items.model_id is ON DELETE RESTRICT, so explain the block up front
+    if (model.item_count > 0) {
+      const tags = await db.query(
+        'SELECT asset_tag FROM equipment_items WHERE model_id = $1 ORDER BY asset_tag LIMIT 10',
+        [req.params.id]
+      );
+
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        code: 'MODEL_IN_USE',
+        message: `Cannot delete model "${model.brand} ${model.model_name}" because ${model.item_count} equipment item(s) still use it. Reassign or retire and delete those items first.`,
+        details: {
+          item_count: model.item_count,
+          asset_tags: tags.rows.map(row => row.asset_tag)
+        }
+      });
+    }
+
+    await db.query('DELETE FROM equipment_models WHERE model_id = $1', [req.params.id]);
+
+    await db.query(
+      'SELECT fn_audit($1, $2, $3, $4, $5)',
+      [req.user.id, 'model', req.params.id, 'delete', { brand: model.brand, model_name: model.model_name }]
+    );
+
+    res.json({
+      success: true,
+      message: 'Model removed'
+    });
+  } catch (err) {
+    console.error('Error deleting model:', err);
+
+    // An item may have been added between the check and the delete
+    if (err.code === '23503') { // foreign_key_violation
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        code: 'MODEL_IN_USE',
+        message: 'Cannot delete model because equipment items still use it'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to delete model'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const db = require('../db');
+const { runListQuery } = require('../services/listQuery');
+
+// List spec for GET api/notifications (see services/listQuery.js)
+const NOTIFICATION_LIST = {
+  from: 'v_notifications v',
+  select: 'v.notif_id, v.user_id, v.type, v.payload, v.created_at, v.read_at, v.is_unread',
+  idColumn: 'v.notif_id',
+  status: {
+    unread: 'v.is_unread',
+    read: 'NOT v.is_unread'
+  },
+  filters: {
+    type: (value, param) => `v.type = ANY(${param(String(value).split(','))}::TEXT[])`
+  },
+  searchColumns: ["v.payload->>'message'"],
+  dateFields: {
+    created_at: 'v.created_at'
+  },
+  sortable: {
+    created_at: 'v.created_at'
+  },
+  defaultSort: '-created_at'
+};
+
+/**
+ * @route   GET api/notifications
+ * @desc    Get the current user's notifications (?status=unread, ?type=loan,penalty)
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    // Users only ever see their own notifications, admins included
+    const spec = {
+      ...NOTIFICATION_LIST,
+      where: ['v.user_id = $1'],
+      params: [req.user.id]
+    };
+
+    res.json(await runListQuery(db, req.query, spec, 'notifications'));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: err.message
+      });
+    }
+
+    console.error('Error fetching notifications:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve notifications'
+    });
+  }
+});
+
+/**
+ * @route   GET api/notifications/unread-count
+ * @desc    Get the number of unread notifications for the current user
+ * @access  Private
+ */
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      unread_count: parseInt(result.rows[0].count, 10)
+    });
+  } catch (err) {
+    console.error('Error counting notifications:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to count notifications'
+    });
+  }
+});
+
+/**
+ * @route   PUT api/notifications/read-all
+ * @desc    Mark all of the current user's notifications as read
+ * @access  Private
+ */
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await db.query(
+      'UPDATE notifications SET read_at = now() WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: result.rowCount
+    });
+  } catch (err) {
+    console.error('Error marking notifications read:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to update notifications'
+    });
+  }
+});
+
+/**
+ * @route   PUT api/notifications/:id/read
+ * @desc    Mark one notification as read using fn_mark_notification_read function
+ * @access  Private
+ */
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const existing = await db.query(
+      'SELECT 1 FROM notifications WHERE notif_id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Notification not found'
+      });
+    }
+
+    await db.query('SELECT fn_mark_notification_read($1, $2)', [req.user.id, req.params.id]);
+
+    const result = await db.query(
+      `SELECT ${NOTIFICATION_LIST.select} FROM v_notifications v WHERE v.notif_id = $1`,
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      notification: result.rows[0]
+    });
+  } catch (err) {
+    console.error('Error marking notification read:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to update notification'
+    });
+  }
+});
+
+module.exports = router;
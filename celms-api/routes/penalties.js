@@ -0,0 +1,473 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkRole, isAdminOrTech } = require('../middleware/auth');
+const db = require('../db');
+const { runListQuery } = require('../services/listQuery');
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'technician';
+
+// List spec for GET api/penalties (see services/listQuery.js)
+const PENALTY_LIST = {
+  from: 'v_penalties v',
+  select: 'v.*',
+  idColumn: 'v.penalty_id',
+  status: {
+    open: "v.status = 'open'",
+    disputed: "v.status = 'disputed'",
+    paid: "v.status = 'paid'",
+    waived: "v.status = 'waived'",
+    outstanding: 'v.balance_mad > 0'
+  },
+  filters: {
+    user_id: { column: 'v.user_id', type: 'uuid' },
+    loan_id: { column: 'v.loan_id', type: 'integer' },
+    item_id: { column: 'v.item_id', type: 'integer' }
+  },
+  searchColumns: ['v.asset_tag', 'v.brand', 'v.model_name', 'v.first_name', 'v.last_name', 'v.email', 'v.reason'],
+  dateFields: {
+    created_at: 'v.created_at',
+    settled_at: 'v.settled_at'
+  },
+  sortable: {
+    created_at: 'v.created_at',
+    amount: 'v.amount_mad',
+    balance: 'v.balance_mad'
+  },
+  defaultSort: '-created_at'
+};
+
+// Ledger rows with the name of whoever recorded them
+const TRANSACTION_SELECT = `
+  SELECT t.*, r.first_name AS recorded_by_first_name, r.last_name AS recorded_by_last_name
+  FROM penalty_transactions t
+  LEFT JOIN users r ON r.user_id = t.recorded_by
+`;
+
+const LEDGER_PERIODS = ['day', 'week', 'month', 'year'];
+
+/**
+ * Map exceptions raised by the penalty functions to HTTP responses.
+ * Returns null for anything unexpected so the caller can send a 500.
+ */
+const penaltyErrorResponse = (err) => {
+  const message = err.message || '';
+
+  if (message.includes('not found')) {
+    return { status: 404, error: 'Not Found', message };
+  }
+  if (message.includes('A reason is required')) {
+    return { status: 400, error: 'Validation Error', message };
+  }
+  if (message.includes('must be positive') || message.includes('must not be zero')) {
+    return { status: 400, code: 'INVALID_AMOUNT', message };
+  }
+  if (message.includes('exceeds outstanding balance')) {
+    return { status: 400, code: 'PAYMENT_EXCEEDS_BALANCE', message };
+  }
+  if (message.includes('below zero')) {
+    return { status: 400, code: 'INVALID_ADJUSTMENT', message };
+  }
+  if (message.includes('already settled')) {
+    return { status: 409, code: 'PENALTY_SETTLED', message: 'This penalty has no outstanding balance' };
+  }
+  if (message.includes('cannot be disputed from status')) {
+    return { status: 409, code: 'PENALTY_NOT_OPEN', message };
+  }
+  if (message.includes('is not under dispute')) {
+    return { status: 409, code: 'PENALTY_NOT_DISPUTED', message };
+  }
+
+  return null;
+};
+
+const sendPenaltyError = (res, err, fallback) => {
+  const mapped = penaltyErrorResponse(err);
+
+  if (mapped) {
+    return res.status(mapped.status).json({
+      success: false,
+      error: mapped.error || (mapped.status === 409 ? 'Conflict' : 'Bad Request'),
+      code: mapped.code,
+      message: mapped.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'Server Error',
+    message: process.env.NODE_ENV === 'development' ? err.message : fallback
+  });
+};
+
+const requireReason = (res, reason, action) => {
+  if (!reason || !String(reason).trim()) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: `A reason is required when ${action} a penalty`
+    });
+    return false;
+  }
+  return true;
+};
+
+const parseAmount = (res, value) => {
+  const amount = Number(value);
+
+  if (value === undefined || value === null || value === '' || !Number.isFinite(amount)) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'amount must be a number'
+    });
+    return null;
+  }
+  return Math.round(amount * 100) / 100;
+};
+
+const fetchPenalty = async (penaltyId) => {
+  const result = await db.query('SELECT * FROM v_penalties WHERE penalty_id = $1', [penaltyId]);
+  return result.rows[0];
+};
+
+/**
+ * @route   GET api/penalties
+ * @desc    Get penalties with balances (admin/tech see all, users see their own)
+ * @access  Private
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const spec = isStaff(req.user)
+      ? PENALTY_LIST
+      : { ...PENALTY_LIST, where: ['v.user_id = $1'], params: [req.user.id] };
+
+    res.json(await runListQuery(db, req.query, spec, 'penalties'));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: err.message
+      });
+    }
+
+    console.error('Error fetching penalties:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve penalties'
+    });
+  }
+});
+
+/**
+ * @route   GET api/penalties/summary
+ * @desc    Get the current user's balance and totals (staff may pass ?user_id=)
+ * @access  Private
+ */
+router.get('/summary', auth, async (req, res) => {
+  const userId = isStaff(req.user) && req.query.user_id ? req.query.user_id : req.user.id;
+
+  try {
+    const result = await db.query(
+      `SELECT COALESCE(SUM(balance_mad), 0) AS balance_mad,
+              COALESCE(SUM(amount_mad + adjusted_mad), 0) AS charged_mad,
+              COALESCE(SUM(paid_mad), 0) AS paid_mad,
+              COALESCE(SUM(waived_mad), 0) AS waived_mad,
+              COUNT(*)::INT AS penalty_count,
+              COUNT(*) FILTER (WHERE balance_mad > 0)::INT AS outstanding_count,
+              COUNT(*) FILTER (WHERE status = 'disputed')::INT AS disputed_count
+       FROM v_penalties
+       WHERE user_id = $1`,
+      [userId]
+    );
+
+    res.json({
+      success: true,
+      user_id: userId,
+      summary: result.rows[0]
+    });
+  } catch (err) {
+    console.error('Error fetching penalty summary:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve penalty summary'
+    });
+  }
+});
+
+/**
+ * @route   GET api/penalties/balances
+ * @desc    Get outstanding balances per user (?all=true includes settled users)
+ * @access  Private/Admin,Technician
+ */
+router.get('/balances', auth, isAdminOrTech, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT v.user_id, v.first_name, v.last_name, v.email,
+              SUM(v.balance_mad) AS balance_mad,
+              COUNT(*) FILTER (WHERE v.balance_mad > 0)::INT AS outstanding_count,
+              COUNT(*) FILTER (WHERE v.status = 'disputed')::INT AS disputed_count,
+              MAX(v.created_at) AS last_penalty_at
+       FROM v_penalties v
+       GROUP BY v.user_id, v.first_name, v.last_name, v.email
+       HAVING $1 OR SUM(v.balance_mad) > 0
+       ORDER BY SUM(v.balance_mad) DESC, v.last_name, v.first_name`,
+      [req.query.all === 'true']
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      balances: result.rows
+    });
+  } catch (err) {
+    console.error('Error fetching penalty balances:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve penalty balances'
+    });
+  }
+});
+
+/**
+ * @route   GET api/penalties/ledger
+ * @desc    Get ledger totals per period (?period=day|week|month|year, ?from=, ?to=, ?user_id=)
+ * @access  Private/Admin
+ */
+router.get('/ledger', auth, checkRole(['admin']), async (req, res) => {
+  const period = req.query.period || 'month';
+  const { from, to, user_id: userId } = req.query;
+
+  if (!LEDGER_PERIODS.includes(period)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: `period must be one of: ${LEDGER_PERIODS.join(', ')}`
+    });
+  }
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'from and to must be valid dates'
+    });
+  }
+
+  const conditions = [];
+  const params = [];
+  if (from) {
+    params.push(from);
+    conditions.push(`t.created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`t.created_at < $${params.length}`);
+  }
+  if (userId) {
+    params.push(userId);
+    conditions.push(`t.user_id = $${params.length}`);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const totals = `
+    COALESCE(SUM(t.amount_mad) FILTER (WHERE t.kind = 'charge'), 0) AS charged_mad,
+    COALESCE(SUM(t.amount_mad) FILTER (WHERE t.kind = 'adjustment'), 0) AS adjusted_mad,
+    COALESCE(-SUM(t.amount_mad) FILTER (WHERE t.kind = 'payment'), 0) AS paid_mad,
+    COALESCE(-SUM(t.amount_mad) FILTER (WHERE t.kind = 'waiver'), 0) AS waived_mad,
+    COALESCE(SUM(t.amount_mad), 0) AS net_mad,
+    COUNT(*)::INT AS transaction_count`;
+
+  try {
+    // period is whitelisted above, so it is safe to inline
+    const periods = await db.query(
+      `SELECT date_trunc('${period}', t.created_at) AS period_start, ${totals}
+       FROM penalty_transactions t
+       ${where}
+       GROUP BY 1
+       ORDER BY 1 DESC`,
+      params
+    );
+    const overall = await db.query(`SELECT ${totals} FROM penalty_transactions t ${where}`, params);
+
+    res.json({
+      success: true,
+      period,
+      from: from || null,
+      to: to || null,
+      totals: overall.rows[0],
+      count: periods.rows.length,
+      periods: periods.rows
+    });
+  } catch (err) {
+    console.error('Error fetching penalty ledger:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve penalty ledger'
+    });
+  }
+});
+
+/**
+ * @route   GET api/penalties/:id
+ * @desc    Get a penalty with its ledger entries
+ * @access  Private (owner or admin/tech)
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const penalty = await fetchPenalty(req.params.id);
+
+    if (!penalty || (!isStaff(req.user) && penalty.user_id !== req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Penalty not found'
+      });
+    }
+
+    const transactions = await db.query(
+      `${TRANSACTION_SELECT} WHERE t.penalty_id = $1 ORDER BY t.created_at, t.txn_id`,
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      penalty,
+      transactions: transactions.rows
+    });
+  } catch (err) {
+    console.error('Error fetching penalty:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve penalty'
+    });
+  }
+});
+
+/**
+ * @route   POST api/penalties/:id/payments
+ * @desc    Record a payment using fn_record_penalty_payment function
+ * @access  Private/Admin,Technician
+ */
+router.post('/:id/payments', auth, isAdminOrTech, async (req, res) => {
+  const { method, reference } = req.body;
+  const amount = parseAmount(res, req.body.amount);
+  if (amount === null) return;
+
+  try {
+    const result = await db.query(
+      'SELECT fn_record_penalty_payment($1, $2, $3, $4, $5) AS txn_id',
+      [req.user.id, req.params.id, amount, method || null, reference || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded',
+      txn_id: result.rows[0].txn_id,
+      penalty: await fetchPenalty(req.params.id)
+    });
+  } catch (err) {
+    console.error('Penalty payment error:', err.message);
+    sendPenaltyError(res, err, 'Failed to record payment');
+  }
+});
+
+/**
+ * @route   POST api/penalties/:id/waive
+ * @desc    Waive the remaining balance using fn_waive_penalty function
+ * @access  Private/Admin
+ */
+router.post('/:id/waive', auth, checkRole(['admin']), async (req, res) => {
+  const { reason } = req.body;
+  if (!requireReason(res, reason, 'waiving')) return;
+
+  try {
+    await db.query('SELECT fn_waive_penalty($1, $2, $3)', [req.user.id, req.params.id, reason]);
+
+    res.json({
+      success: true,
+      message: 'Penalty waived',
+      penalty: await fetchPenalty(req.params.id)
+    });
+  } catch (err) {
+    console.error('Penalty waive error:', err.message);
+    sendPenaltyError(res, err, 'Failed to waive penalty');
+  }
+});
+
+/**
+ * @route   POST api/penalties/:id/adjust
+ * @desc    Adjust the balance by a signed amount using fn_adjust_penalty function
+ * @access  Private/Admin
+ */
+router.post('/:id/adjust', auth, checkRole(['admin']), async (req, res) => {
+  const { reason } = req.body;
+  if (!requireReason(res, reason, 'adjusting')) return;
+  const amount = parseAmount(res, req.body.amount);
+  if (amount === null) return;
+
+  try {
+    await db.query('SELECT fn_adjust_penalty($1, $2, $3, $4)', [req.user.id, req.params.id, amount, reason]);
+
+    res.json({
+      success: true,
+      message: 'Penalty adjusted',
+      penalty: await fetchPenalty(req.params.id)
+    });
+  } catch (err) {
+    console.error('Penalty adjust error:', err.message);
+    sendPenaltyError(res, err, 'Failed to adjust penalty');
+  }
+});
+
+/**
+ * @route   POST api/penalties/:id/dispute
+ * @desc    Dispute one of your own penalties using fn_dispute_penalty function
+ * @access  Private (owner)
+ */
+router.post('/:id/dispute', auth, async (req, res) => {
+  const { reason } = req.body;
+  if (!requireReason(res, reason, 'disputing')) return;
+
+  try {
+    await db.query('SELECT fn_dispute_penalty($1, $2, $3)', [req.user.id, req.params.id, reason]);
+
+    res.json({
+      success: true,
+      message: 'Dispute submitted for review',
+      penalty: await fetchPenalty(req.params.id)
+    });
+  } catch (err) {
+    console.error('Penalty dispute error:', err.message);
+    sendPenaltyError(res, err, 'Failed to dispute penalty');
+  }
+});
+
+/**
+ * @route   POST api/penalties/:id/dispute/reject
+ * @desc    Reject a dispute and reopen the penalty using fn_reject_penalty_dispute function
+ * @access  Private/Admin
+ */
+router.post('/:id/dispute/reject', auth, checkRole(['admin']), async (req, res) => {
+  const { reason } = req.body;
+  if (!requireReason(res, reason, 'rejecting a dispute on')) return;
+
+  try {
+    await db.query('SELECT fn_reject_penalty_dispute($1, $2, $3)', [req.user.id, req.params.id, reason]);
+
+    res.json({
+      success: true,
+      message: 'Dispute rejected',
+      penalty: await fetchPenalty(req.params.id)
+    });
+  } catch (err) {
+    console.error('Penalty dispute rejection error:', err.message);
+    sendPenaltyError(res, err, 'Failed to reject dispute');
+  }
+});
+
+module.exports = router;
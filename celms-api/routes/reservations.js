@@ -2,37 +2,466 @@ const express = require('express');
 const router = express.Router();
 const { auth, checkRole, isAdminOrTech } = require('../middleware/auth');
 const db = require('../db');
+const { runListQuery } = require('../services/listQuery');
+const { eligibilityErrorResponse } = require('../services/eligibility');
+const { toCalendar, sendCalendar, reservationEvent } = require('../services/icalendar');
+
+// Units one model or category reservation request may ask for
+const MAX_RESERVATION_QUANTITY = 10;
+
+// Roles that may book recurring reservations (teaching staff and the people who run the loans)
+const SERIES_ROLES = ['staff', 'technician', 'admin'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_SERIES_OCCURRENCES = 100; // also enforced by fn_series_occurrences
+
+// List spec for GET api/reservations (see services/listQuery.js)
+const RESERVATION_LIST = {
+  from: 'v_reservations_admin v',
+  select: 'v.*, lower(v.period) AS start_at, upper(v.period) AS end_at',
+  idColumn: 'v.reservation_id',
+  status: 'v.status',
+  filters: {
+    item_id: { column: 'v.item_id', type: 'integer' },
+    model_id: { column: 'v.model_id', type: 'integer' },
+    category_id: { column: 'v.category_id', type: 'integer' },
+    group_id: { column: 'v.group_id', type: 'uuid' },
+    series_id: { column: 'v.series_id', type: 'uuid' },
+    user_id: { column: 'v.user_id', type: 'uuid' }
+  },
+  searchColumns: ['v.asset_tag', 'v.brand', 'v.model_name', 'v.category_name', 'v.first_name', 'v.last_name', 'v.email'],
+  dateFields: {
+    period: { range: 'v.period' },
+    requested_at: 'v.requested_at'
+  },
+  sortable: {
+    requested_at: 'v.requested_at',
+    start_at: 'lower(v.period)',
+    end_at: 'upper(v.period)',
+    status: 'v.status',
+    asset_tag: 'v.asset_tag'
+  },
+  defaultSort: '-requested_at'
+};
 
 /**
  * @route   GET api/reservations
- * @desc    Get all reservations or user's reservations
+ * @desc    Get all reservations or user's reservations with filtering, sorting and pagination
  * @access  Private
  */
 router.get('/', auth, async (req, res) => {
   try {
-    let result;
+    const spec = { ...RESERVATION_LIST };
 
-    // If admin or technician, use the admin view
-    if (req.user.role === 'admin' || req.user.role === 'technician') {
-      result = await db.query(`
-        SELECT * FROM v_reservations_admin
-        ORDER BY requested_at DESC
-      `);
-    } else {
-      // Regular users can only see their own reservations
-      result = await db.query(`
-        SELECT * FROM reservations
-        WHERE user_id = $1
-        ORDER BY requested_at DESC
-      `, [req.user.id]);
+    // Regular users can only see their own reservations
+    if (req.user.role !== 'admin' && req.user.role !== 'technician') {
+      spec.where = ['v.user_id = $1'];
+      spec.params = [req.user.id];
+    }
+
+    res.json(await runListQuery(db, req.query, spec, 'reservations'));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: err.message
+      });
+    }
+
+    console.error('Error fetching reservations:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve reservations'
+    });
+  }
+});
+
+/**
+ * @route   GET api/reservations/capacity
+ * @desc    How many units of a model (?model_id=) or category (?category_id=) can
+ *          still be reserved for a period (?start=&end=)
+ * @access  Private
+ */
+router.get('/capacity', auth, async (req, res) => {
+  const { model_id: modelId, category_id: categoryId, start, end } = req.query;
+
+  if (!modelId === !categoryId || !/^\d+$/.test(modelId || categoryId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'Provide either model_id or category_id'
+    });
+  }
+  if (!start || !end || isNaN(Date.parse(start)) || isNaN(Date.parse(end)) || new Date(start) >= new Date(end)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'start and end must be valid dates with start before end'
+    });
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT
+         (SELECT COUNT(*) FROM equipment_items i
+          JOIN equipment_models em ON em.model_id = i.model_id
+          WHERE (i.model_id = $1 OR em.category_id = $2)
+            AND i.status IN ('available', 'checked_out'))::INT AS units,
+         GREATEST(fn_pool_capacity($1, $2, tstzrange($3, $4, '[)')), 0) AS available`,
+      [modelId || null, categoryId || null, start, end]
+    );
+
+    res.json({
+      success: true,
+      model_id: modelId || null,
+      category_id: categoryId || null,
+      start,
+      end,
+      ...result.rows[0]
+    });
+  } catch (err) {
+    console.error('Error checking reservation capacity:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to check capacity'
+    });
+  }
+});
+
+/**
+ * Read a recurring reservation rule from a request body. Returns { rule } with
+ * the fn_series_* arguments, or { message } when the body is invalid.
+ */
+const parseSeriesRule = (body) => {
+  const { item_id: itemId, start, end, frequency, until, timezone } = body;
+  const skipDates = body.skip_dates === undefined ? [] : body.skip_dates;
+
+  if (!/^\d+$/.test(String(itemId)) || !start || !end || !frequency || !until) {
+    return { message: 'Missing required fields: item_id, start, end, frequency and until' };
+  }
+  if (isNaN(Date.parse(start)) || isNaN(Date.parse(end))) {
+    return { message: 'start and end must be valid dates' };
+  }
+  if (!['daily', 'weekly'].includes(frequency)) {
+    return { message: 'frequency must be daily or weekly' };
+  }
+  if (!DATE_ONLY.test(until) || !Array.isArray(skipDates) || !skipDates.every(date => DATE_ONLY.test(date))) {
+    return { message: 'until and skip_dates must be dates (YYYY-MM-DD)' };
+  }
+  if (timezone !== undefined && typeof timezone !== 'string') {
+    return { message: 'timezone must be a time zone name such as Africa/Casablanca' };
+  }
+
+  // Same bound as fn_series_occurrences, counted from the UTC day of start
+  // (with a day to spare for the series' time zone)
+  const spanDays = (Date.parse(until) - Date.parse(new Date(start).toISOString().slice(0, 10))) / 86400000;
+  if (Number.isNaN(spanDays)) {
+    return { message: 'until and skip_dates must be dates (YYYY-MM-DD)' };
+  }
+  if (Math.floor((spanDays - 1) / (frequency === 'daily' ? 1 : 7)) > MAX_SERIES_OCCURRENCES) {
+    return { message: `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences; end it sooner` };
+  }
+
+  return { rule: [itemId, start, end, frequency, until, skipDates, timezone || null] };
+};
+
+/**
+ * Message for a rule fn_series_occurrences refuses (or an unknown time zone), or null
+ */
+const seriesRuleError = (err) => {
+  const rules = [
+    'Start must be before end',
+    'Frequency must be',
+    'shorter than the repeat interval',
+    'must end on or after its first day',
+    'Every occurrence of the series is skipped',
+    'at most 100 occurrences'
+  ];
+  if (rules.some(rule => err.message.includes(rule))) {
+    return err.message;
+  }
+  if (/time zone .* not recognized/.test(err.message)) {
+    return 'Unknown time zone';
+  }
+  return null;
+};
+
+/**
+ * @route   POST api/reservations/series/preview
+ * @desc    List the occurrences of a recurring reservation (item_id, start, end of the
+ *          first occurrence, frequency, until, skip_dates, timezone) with the existing
+ *          reservation each one would overlap, before submitting it
+ * @access  Private/Staff,Technician,Admin
+ */
+router.post('/series/preview', auth, checkRole(SERIES_ROLES), async (req, res) => {
+  const { rule, message } = parseSeriesRule(req.body);
+  if (!rule) {
+    return res.status(400).json({ message });
+  }
+
+  try {
+    const result = await db.query(
+      `SELECT occurrence, lower(period) AS start_at, upper(period) AS end_at,
+              conflict_reservation_id, conflict_status,
+              lower(conflict_period) AS conflict_start_at, upper(conflict_period) AS conflict_end_at,
+              conflict_user_id
+       FROM fn_series_conflicts($1, $2, $3, $4, $5, $6, $7)`,
+      rule
+    );
+
+    const isStaff = req.user.role === 'admin' || req.user.role === 'technician';
+    const occurrences = result.rows.map(({ conflict_user_id: conflictUserId, ...row }) => ({
+      occurrence: row.occurrence,
+      start_at: row.start_at,
+      end_at: row.end_at,
+      conflict: row.conflict_reservation_id ? {
+        reservation_id: row.conflict_reservation_id,
+        status: row.conflict_status,
+        start_at: row.conflict_start_at,
+        end_at: row.conflict_end_at,
+        mine: conflictUserId === req.user.id,
+        ...(isStaff ? { user_id: conflictUserId } : {})
+      } : null
+    }));
+
+    res.json({
+      count: occurrences.length,
+      conflicts: occurrences.filter(occurrence => occurrence.conflict).length,
+      occurrences
+    });
+  } catch (err) {
+    const ruleError = seriesRuleError(err);
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
     }
 
-    res.json(result.rows);
+    console.error('Reservation series preview error:', err.message);
+    res.status(500).json({
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * @route   POST api/reservations/series
+ * @desc    Request a recurring reservation of an item using fn_request_reservation_series:
+ *          one pending reservation per occurrence, grouped under a series_id
+ * @access  Private/Staff,Technician,Admin
+ */
+router.post('/series', auth, checkRole(SERIES_ROLES), async (req, res) => {
+  const { rule, message } = parseSeriesRule(req.body);
+  if (!rule) {
+    return res.status(400).json({ message });
+  }
+
+  try {
+    const result = await db.query(
+      'SELECT fn_request_reservation_series($1, $2, $3, $4, $5, $6, $7, $8) AS series_id',
+      [req.user.id, ...rule]
+    );
+    const seriesId = result.rows[0].series_id;
+
+    const reservations = await db.query(
+      `SELECT *, lower(period) AS start_at, upper(period) AS end_at
+       FROM v_reservations_admin WHERE series_id = $1 ORDER BY lower(period)`,
+      [seriesId]
+    );
+
+    res.status(201).json({
+      series_id: seriesId,
+      count: reservations.rows.length,
+      reservations: reservations.rows
+    });
+  } catch (err) {
+    console.error('Reservation series creation error:', err.message);
+
+    const ineligible = eligibilityErrorResponse(err);
+    if (ineligible) {
+      return res.status(409).json(ineligible);
+    }
+
+    // DETAIL lists the overlapping occurrences; 23P01 is a reservation made in the meantime
+    if (err.message.includes('Series overlaps')) {
+      return res.status(409).json({
+        code: 'SERIES_CONFLICT',
+        message: 'Some occurrences overlap existing reservations; skip those dates or choose another item',
+        conflicts: JSON.parse(err.detail)
+      });
+    }
+    if (err.code === '23P01') {
+      return res.status(409).json({
+        code: 'RESERVATION_OVERLAP',
+        message: 'Item is already reserved during one of the occurrences'
+      });
+    }
+
+    if (/^Item \d+ not found/.test(err.message)) {
+      return res.status(404).json({ message: err.message });
+    }
+
+    const ruleError = seriesRuleError(err);
+    if (ruleError) {
+      return res.status(400).json({ message: ruleError });
+    }
+
+    res.status(500).json({
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * @route   GET api/reservations/series/:seriesId
+ * @desc    Get a recurring reservation: its rule and occurrences
+ * @access  Private - Owner, Admin/Tech
+ */
+router.get('/series/:seriesId', auth, async (req, res) => {
+  try {
+    const series = await db.query(
+      `SELECT s.series_id, s.user_id, s.item_id, s.frequency, s.first_period,
+              s.until_date::TEXT AS until_date, s.skip_dates::TEXT[] AS skip_dates, s.time_zone, s.created_at,
+              lower(s.first_period) AS start_at, upper(s.first_period) AS end_at,
+              i.asset_tag, u.first_name, u.last_name
+       FROM reservation_series s
+       JOIN equipment_items i ON i.item_id = s.item_id
+       JOIN users u ON u.user_id = s.user_id
+       WHERE s.series_id::TEXT = $1`,
+      [req.params.seriesId]
+    );
+
+    const isStaff = req.user.role === 'admin' || req.user.role === 'technician';
+    if (series.rows.length === 0 || (!isStaff && series.rows[0].user_id !== req.user.id)) {
+      return res.status(404).json({ message: 'Series not found or access denied' });
+    }
+
+    const reservations = await db.query(
+      `SELECT reservation_id, item_id, status, period, lower(period) AS start_at, upper(period) AS end_at,
+              decision_reason
+       FROM reservations WHERE series_id = $1 ORDER BY lower(period)`,
+      [series.rows[0].series_id]
+    );
+
+    res.json({ ...series.rows[0], reservations: reservations.rows });
   } catch (err) {
     console.error(err.message);
-    res.status(500).json({ 
+    res.status(500).json({
       message: 'Server error',
-      error: err.message 
+      error: err.message
+    });
+  }
+});
+
+/**
+ * Run a whole-series action and answer with the series' occurrences.
+ * The function returns how many occurrences it changed.
+ */
+const runSeriesAction = async (req, res, sql, params) => {
+  const result = await db.query(sql, params);
+
+  const reservations = await db.query(
+    `SELECT reservation_id, status, lower(period) AS start_at, upper(period) AS end_at
+     FROM reservations WHERE series_id = $1 ORDER BY lower(period)`,
+    [req.params.seriesId]
+  );
+
+  res.json({
+    series_id: req.params.seriesId,
+    updated: result.rows[0].updated,
+    reservations: reservations.rows
+  });
+};
+
+// Errors shared by the whole-series actions; returns true when handled
+const handleSeriesError = (res, err) => {
+  if (/^Series .* not found/.test(err.message) || err.code === '22P02') {
+    res.status(404).json({ message: 'Series not found' });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * @route   POST api/reservations/series/:seriesId/approve
+ * @desc    Approve every pending occurrence of a series; all or none are approved
+ * @access  Private/Admin,Technician
+ */
+router.post('/series/:seriesId/approve', auth, isAdminOrTech, async (req, res) => {
+  try {
+    await runSeriesAction(req, res,
+      'SELECT fn_approve_reservation_series($1, $2, $3) AS updated',
+      [req.user.id, req.params.seriesId, req.body.reason || null]);
+  } catch (err) {
+    console.error('Reservation series approval error:', err.message);
+
+    if (handleSeriesError(res, err)) return;
+
+    if (err.code === '23P01' || err.message.includes('Overlap with existing reservation')) {
+      return res.status(409).json({
+        code: 'RESERVATION_OVERLAP',
+        message: 'Cannot approve: an occurrence overlaps an existing reservation; approve the others one by one'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * @route   POST api/reservations/series/:seriesId/deny
+ * @desc    Deny every pending occurrence of a series
+ * @access  Private/Admin,Technician
+ */
+router.post('/series/:seriesId/deny', auth, isAdminOrTech, async (req, res) => {
+  if (!req.body.reason) {
+    return res.status(400).json({ message: 'Reason is required when denying a reservation' });
+  }
+
+  try {
+    await runSeriesAction(req, res,
+      'SELECT fn_deny_reservation_series($1, $2, $3) AS updated',
+      [req.user.id, req.params.seriesId, req.body.reason]);
+  } catch (err) {
+    console.error('Reservation series denial error:', err.message);
+
+    if (handleSeriesError(res, err)) return;
+
+    res.status(500).json({
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
+/**
+ * @route   POST api/reservations/series/:seriesId/cancel
+ * @desc    Cancel the occurrences of a series that have not started yet
+ * @access  Private - Owner only as enforced by the function
+ */
+router.post('/series/:seriesId/cancel', auth, async (req, res) => {
+  try {
+    await runSeriesAction(req, res,
+      'SELECT fn_cancel_reservation_series($1, $2) AS updated',
+      [req.user.id, req.params.seriesId]);
+  } catch (err) {
+    console.error('Reservation series cancellation error:', err.message);
+
+    if (handleSeriesError(res, err)) return;
+
+    if (err.message.includes('Only owner can cancel')) {
+      return res.status(403).json({ message: 'Only the reservation owner can cancel it' });
+    }
+
+    res.status(500).json({
+      message: 'Server error',
+      error: err.message
     });
   }
 });
@@ -53,7 +482,7 @@ router.get('/:id', auth, async (req, res) => {
       params = [req.params.id];
     } else {
       // Users can only see their own reservations
-      query = `SELECT * FROM reservations WHERE reservation_id = $1 AND user_id = $2`;
+      query = `SELECT * FROM v_reservations_admin WHERE reservation_id = $1 AND user_id = $2`;
       params = [req.params.id, req.user.id];
     }
     
@@ -73,20 +502,76 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET api/reservations/:id/ics
+ * @desc    Download a reservation as an iCalendar (.ics) event
+ * @access  Private - Owner, Admin/Tech
+ */
+router.get('/:id/ics', auth, async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT *, lower(period) AS start_at, upper(period) AS end_at
+       FROM v_reservations_admin WHERE reservation_id = $1`,
+      [req.params.id]
+    );
+    const reservation = result.rows[0];
+    const isStaff = req.user.role === 'admin' || req.user.role === 'technician';
+
+    if (!reservation || (!isStaff && reservation.user_id !== req.user.id)) {
+      return res.status(404).json({ message: 'Reservation not found or access denied' });
+    }
+
+    const ics = toCalendar('CELMS reservation', [reservationEvent(reservation, reservation.user_id !== req.user.id)]);
+    sendCalendar(res, `reservation-${reservation.reservation_id}.ics`, ics, { download: true });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).json({
+      message: 'Server error',
+      error: err.message
+    });
+  }
+});
+
 /**
  * @route   POST api/reservations
- * @desc    Create a new reservation using fn_request_reservation function
+ * @desc    Create a new reservation of an item (item_id) using fn_request_reservation, or of
+ *          any units of a model (model_id) or category (category_id) with an optional
+ *          quantity using fn_request_pool_reservation. Units are assigned at approval.
  * @access  Private
  */
 router.post('/', auth, async (req, res) => {
   try {
-    const { item_id, start, end } = req.body;
+    const { item_id, model_id, category_id, start, end } = req.body;
     
     // Validate required fields
-    if (!item_id || !start || !end) {
+    if ([item_id, model_id, category_id].filter(Boolean).length !== 1 || !start || !end) {
       return res.status(400).json({
-        message: 'Missing required fields',
-        required: ['item_id', 'start', 'end']
+        message: 'Missing required fields: start, end and one of item_id, model_id or category_id',
+        required: ['start', 'end']
+      });
+    }
+
+    if (!item_id) {
+      const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_RESERVATION_QUANTITY) {
+        return res.status(400).json({ message: `Quantity must be a whole number from 1 to ${MAX_RESERVATION_QUANTITY}` });
+      }
+
+      const result = await db.query(
+        `SELECT fn_request_pool_reservation($1, $2, $3, $4, $5, $6) AS group_id`,
+        [req.user.id, model_id || null, category_id || null, start, end, quantity]
+      );
+      const groupId = result.rows[0].group_id;
+
+      const reservations = await db.query(
+        'SELECT * FROM v_reservations_admin WHERE group_id = $1 ORDER BY reservation_id',
+        [groupId]
+      );
+
+      return res.status(201).json({
+        group_id: groupId,
+        quantity: reservations.rows.length,
+        reservations: reservations.rows
       });
     }
 
@@ -113,14 +598,31 @@ router.post('/', auth, async (req, res) => {
   } catch (err) {
     console.error('Reservation creation error:', err.message);
     
-    // Handle specific error codes
-    if (err.message.includes('Overlap with existing reservation')) {
+    const ineligible = eligibilityErrorResponse(err);
+    if (ineligible) {
+      return res.status(409).json(ineligible);
+    }
+
+    // Handle specific error codes (23P01: reservations_no_overlap exclusion violation)
+    if (err.code === '23P01' || err.message.includes('Overlap with existing reservation')) {
       return res.status(409).json({ 
         code: 'RESERVATION_OVERLAP',
         message: 'Item is already reserved during this period' 
       });
     }
     
+    if (err.message.includes('Not enough units available')) {
+      return res.status(409).json({
+        code: 'INSUFFICIENT_UNITS',
+        message: 'Not enough units are free during this period',
+        available: Number(err.detail) || 0
+      });
+    }
+
+    if (/^(Model|Category) \d+ not found/.test(err.message)) {
+      return res.status(404).json({ message: err.message });
+    }
+
     if (err.message.includes('Start must be before end')) {
       return res.status(400).json({ message: 'Start date must be before end date' });
     }
@@ -162,13 +664,20 @@ router.post('/:id/approve', auth, isAdminOrTech, async (req, res) => {
   } catch (err) {
     console.error('Reservation approval error:', err.message);
     
-    // Handle specific errors
-    if (err.message.includes('Overlap with existing reservation')) {
+    // Handle specific errors (23P01: another approval took the unit first)
+    if (err.code === '23P01' || err.message.includes('Overlap with existing reservation')) {
       return res.status(409).json({ 
         code: 'RESERVATION_OVERLAP',
         message: 'Cannot approve: overlaps with an existing reservation' 
       });
     }
+
+    if (err.message.includes('No unit available')) {
+      return res.status(409).json({
+        code: 'NO_UNIT_AVAILABLE',
+        message: 'Cannot approve: no unit is free for the whole period'
+      });
+    }
     
     if (err.message.includes('cannot be approved from status')) {
       return res.status(400).json({ message: 'Reservation cannot be approved in its current state' });
@@ -0,0 +1,336 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkRole } = require('../middleware/auth');
+const db = require('../db');
+const { SETTINGS, SETTINGS_BY_KEY, fromStored, toStored } = require('../services/settings');
+
+/**
+ * Current global values (with who changed them last) and category overrides
+ * @param {Object} queryable - db module or transaction client
+ */
+const loadSettings = async (queryable) => {
+  const stored = await queryable.query(
+    `SELECT s.key, s.value, s.updated_at, s.updated_by,
+            u.first_name AS updated_by_first_name, u.last_name AS updated_by_last_name
+     FROM celms_settings s
+     LEFT JOIN users u ON u.user_id = s.updated_by`
+  );
+  const overrides = await queryable.query(
+    `SELECT ec.category_id, ec.name, cs.key, cs.value, cs.updated_at
+     FROM equipment_categories ec
+     LEFT JOIN category_settings cs ON cs.category_id = ec.category_id
+     ORDER BY ec.name`
+  );
+
+  const rowsByKey = Object.fromEntries(stored.rows.map(row => [row.key, row]));
+  const settings = SETTINGS.map(setting => {
+    const row = rowsByKey[setting.key];
+    return {
+      ...setting,
+      value: row ? fromStored(setting, row.value) : setting.default,
+      is_default: !row,
+      updated_at: row ? row.updated_at : null,
+      updated_by: row ? row.updated_by : null,
+      updated_by_name: row && row.updated_by_first_name
+        ? `${row.updated_by_first_name} ${row.updated_by_last_name}`
+        : null
+    };
+  });
+
+  const categories = [];
+  for (const row of overrides.rows) {
+    let category = categories[categories.length - 1];
+    if (!category || category.category_id !== row.category_id) {
+      category = { category_id: row.category_id, name: row.name, overrides: {} };
+      categories.push(category);
+    }
+    if (row.key && SETTINGS_BY_KEY[row.key]) {
+      category.overrides[row.key] = fromStored(SETTINGS_BY_KEY[row.key], row.value);
+    }
+  }
+
+  return { settings, categories };
+};
+
+/**
+ * Validate a { key: value } object against the registry.
+ * Returns { changes: [{ setting, value }], errors: [{ key, message }] }.
+ */
+const parseChanges = (values, { overridesOnly = false } = {}) => {
+  const changes = [];
+  const errors = [];
+
+  for (const [key, raw] of Object.entries(values)) {
+    const setting = SETTINGS_BY_KEY[key];
+    if (!setting) {
+      errors.push({ key, message: `${key}: unknown setting` });
+      continue;
+    }
+    if (overridesOnly && !setting.categoryOverride) {
+      errors.push({ key, message: `${key}: cannot be overridden per category` });
+      continue;
+    }
+
+    try {
+      // A null override removes it so the category falls back to the global value
+      const value = overridesOnly && (raw === null || raw === '')
+        ? null
+        : toStored(setting, raw);
+      changes.push({ setting, value });
+    } catch (err) {
+      if (err.name !== 'ValidationError') throw err;
+      errors.push({ key, message: err.message });
+    }
+  }
+
+  return { changes, errors };
+};
+
+const sendValidationErrors = (res, errors) => res.status(400).json({
+  success: false,
+  error: 'Validation Error',
+  message: errors.map(e => e.message).join('; '),
+  errors
+});
+
+const sameValue = (a, b) => (a === null ? b === null : b !== null && Number(a) === Number(b));
+
+/**
+ * @route   GET api/admin/settings
+ * @desc    Get all settings with their type, bounds and current value, plus per-category overrides
+ * @access  Private/Admin
+ */
+router.get('/', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const { settings, categories } = await loadSettings(db);
+
+    res.json({
+      success: true,
+      count: settings.length,
+      settings,
+      categories
+    });
+  } catch (err) {
+    console.error('Error fetching settings:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve settings'
+    });
+  }
+});
+
+/**
+ * @route   GET api/admin/settings/history
+ * @desc    Recent setting, override and category restriction changes from the audit log (?limit=, default 50)
+ * @access  Private/Admin
+ */
+router.get('/history', auth, checkRole(['admin']), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  try {
+    const result = await db.query(
+      `SELECT a.event_id, a.occurred_at, a.entity, a.entity_id, a.action, a.details,
+              a.actor_user_id, u.first_name, u.last_name, ec.name AS category_name
+       FROM audit_events a
+       LEFT JOIN users u ON u.user_id = a.actor_user_id
+       LEFT JOIN equipment_categories ec
+         ON a.entity = 'category' AND ec.category_id::TEXT = a.entity_id
+       WHERE a.entity = 'setting'
+          OR (a.entity = 'category' AND a.action IN ('update_setting', 'update_restrictions'))
+       ORDER BY a.occurred_at DESC, a.event_id DESC
+       LIMIT $1`,
+      [limit]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      history: result.rows
+    });
+  } catch (err) {
+    console.error('Error fetching settings history:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve settings history'
+    });
+  }
+});
+
+/**
+ * @route   PUT api/admin/settings
+ * @desc    Update global settings ({ settings: { key: value } }); each change is audited
+ * @access  Private/Admin
+ */
+router.put('/', auth, checkRole(['admin']), async (req, res) => {
+  const values = req.body.settings;
+
+  if (!values || typeof values !== 'object' || Array.isArray(values) || Object.keys(values).length === 0) {
+    return sendValidationErrors(res, [{ key: null, message: 'settings must be an object of key/value pairs' }]);
+  }
+
+  const { changes, errors } = parseChanges(values);
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      'SELECT key, value FROM celms_settings WHERE key = ANY($1) FOR UPDATE',
+      [changes.map(change => change.setting.key)]
+    );
+    const currentByKey = Object.fromEntries(current.rows.map(row => [row.key, row.value]));
+
+    let updated = 0;
+    for (const { setting, value } of changes) {
+      const previous = currentByKey[setting.key] ?? null;
+      if (sameValue(previous, value)) continue;
+
+      if (value === null) {
+        await client.query('DELETE FROM celms_settings WHERE key = $1', [setting.key]);
+      } else {
+        await client.query(
+          `INSERT INTO celms_settings(key, value, updated_at, updated_by)
+           VALUES ($1, $2, now(), $3)
+           ON CONFLICT (key) DO UPDATE
+             SET value = EXCLUDED.value, updated_at = EXCLUDED.updated_at, updated_by = EXCLUDED.updated_by`,
+          [setting.key, value, req.user.id]
+        );
+      }
+
+      await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+        req.user.id,
+        'setting',
+        setting.key,
+        'update',
+        { previous: fromStored(setting, previous), value: fromStored(setting, value) }
+      ]);
+      updated++;
+    }
+
+    await client.query('COMMIT');
+
+    const { settings, categories } = await loadSettings(db);
+    res.json({
+      success: true,
+      message: updated > 0 ? `${updated} setting(s) updated` : 'No changes',
+      updated,
+      settings,
+      categories
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating settings:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to update settings'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @route   PUT api/admin/settings/categories/:categoryId
+ * @desc    Set or clear category overrides ({ overrides: { key: value | null } }); each change is audited
+ * @access  Private/Admin
+ */
+router.put('/categories/:categoryId', auth, checkRole(['admin']), async (req, res) => {
+  const values = req.body.overrides;
+
+  if (!/^\d+$/.test(req.params.categoryId)) {
+    return sendValidationErrors(res, [{ key: null, message: 'Invalid category ID' }]);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values) || Object.keys(values).length === 0) {
+    return sendValidationErrors(res, [{ key: null, message: 'overrides must be an object of key/value pairs' }]);
+  }
+
+  const { changes, errors } = parseChanges(values, { overridesOnly: true });
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const category = await client.query(
+      'SELECT category_id, name FROM equipment_categories WHERE category_id = $1',
+      [req.params.categoryId]
+    );
+
+    if (category.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Category not found'
+      });
+    }
+
+    const current = await client.query(
+      'SELECT key, value FROM category_settings WHERE category_id = $1 FOR UPDATE',
+      [req.params.categoryId]
+    );
+    const currentByKey = Object.fromEntries(current.rows.map(row => [row.key, row.value]));
+
+    let updated = 0;
+    for (const { setting, value } of changes) {
+      const previous = currentByKey[setting.key] ?? null;
+      if (sameValue(previous, value)) continue;
+
+      if (value === null) {
+        await client.query(
+          'DELETE FROM category_settings WHERE category_id = $1 AND key = $2',
+          [req.params.categoryId, setting.key]
+        );
+      } else {
+        await client.query(
+          `INSERT INTO category_settings(category_id, key, value, updated_at, updated_by)
+           VALUES ($1, $2, $3, now(), $4)
+           ON CONFLICT (category_id, key) DO UPDATE
+             SET value = EXCLUDED.value, updated_at = EXCLUDED.updated_at, updated_by = EXCLUDED.updated_by`,
+          [req.params.categoryId, setting.key, value, req.user.id]
+        );
+      }
+
+      await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+        req.user.id,
+        'category',
+        String(req.params.categoryId),
+        'update_setting',
+        { key: setting.key, previous: fromStored(setting, previous), value: fromStored(setting, value) }
+      ]);
+      updated++;
+    }
+
+    await client.query('COMMIT');
+
+    const { categories } = await loadSettings(db);
+    res.json({
+      success: true,
+      message: updated > 0 ? `${updated} override(s) updated` : 'No changes',
+      updated,
+      category: categories.find(c => String(c.category_id) === String(req.params.categoryId))
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating category settings:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to update category settings'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -2,62 +2,73 @@ const express = require('express');
 const router = express.Router();
 const { auth, checkRole } = require('../middleware/auth');
 const db = require('../db');
+const { runListQuery } = require('../services/listQuery');
+
+// List spec for GET api/tickets (see services/listQuery.js)
+const TICKET_LIST = {
+  from: 'v_maintenance_tickets v',
+  select: `v.ticket_id, v.item_id, v.loan_id, v.opened_by, v.assigned_to, v.severity, v.status,
+    v.description, v.created_at, v.closed_at, v.asset_tag, v.brand || ' ' || v.model_name as model_name,
+    v.opened_by_first_name as opener_first_name, v.opened_by_last_name as opener_last_name,
+    v.assigned_to_first_name as tech_first_name, v.assigned_to_last_name as tech_last_name`,
+  idColumn: 'v.ticket_id',
+  status: 'v.status',
+  filters: {
+    severity: (value, param) => `v.severity = ANY(${param(String(value).split(','))}::TEXT[])`,
+    item_id: { column: 'v.item_id', type: 'integer' },
+    assigned_to: { column: 'v.assigned_to', type: 'uuid', none: 'unassigned' }
+  },
+  searchColumns: ['v.description', 'v.asset_tag', 'v.brand', 'v.model_name'],
+  dateFields: {
+    created_at: 'v.created_at',
+    closed_at: 'v.closed_at'
+  },
+  sortable: {
+    // Open work first, most severe first (the previous fixed ordering)
+    priority: `(CASE v.status WHEN 'open' THEN 0 WHEN 'in_progress' THEN 1 WHEN 'on_hold' THEN 2 ELSE 3 END) * 10 +
+      CASE v.severity WHEN 'critical' THEN 0 WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END`,
+    severity: `CASE v.severity WHEN 'critical' THEN 0 WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END`,
+    created_at: 'v.created_at',
+    closed_at: 'v.closed_at',
+    status: 'v.status'
+  },
+  defaultSort: '-created_at'
+};
 
 /**
  * @route   GET api/tickets
- * @desc    Get all maintenance tickets or user's tickets
+ * @desc    Get all maintenance tickets or user's tickets with filtering, sorting and pagination
  * @access  Private
  */
 router.get('/', auth, async (req, res) => {
   try {
-    let result;
+    const spec = { ...TICKET_LIST };
 
-    // If admin or technician, get all tickets
+    // If admin or technician, get all tickets (default: open work first)
     // Otherwise, get only the user's tickets
     if (req.user.role === 'admin' || req.user.role === 'technician') {
-      result = await db.query(`
-        SELECT t.*, u.first_name as opener_first_name, u.last_name as opener_last_name,
-               i.asset_tag, em.brand || ' ' || em.model_name as model_name,
-               tech.first_name as tech_first_name, tech.last_name as tech_last_name
-        FROM maintenance_tickets t
-        JOIN users u ON t.opened_by = u.user_id
-        JOIN equipment_items i ON t.item_id = i.item_id
-        JOIN equipment_models em ON i.model_id = em.model_id
-        LEFT JOIN users tech ON t.assigned_to = tech.user_id
-        ORDER BY 
-          CASE 
-            WHEN t.status = 'open' THEN 0
-            WHEN t.status = 'in_progress' THEN 1
-            WHEN t.status = 'on_hold' THEN 2
-            WHEN t.status = 'closed' THEN 3
-          END,
-          CASE 
-            WHEN t.severity = 'critical' THEN 0
-            WHEN t.severity = 'high' THEN 1
-            WHEN t.severity = 'medium' THEN 2
-            WHEN t.severity = 'low' THEN 3
-          END,
-          t.created_at DESC
-      `);
+      spec.defaultSort = 'priority';
     } else {
-      result = await db.query(`
-        SELECT t.*, u.first_name as opener_first_name, u.last_name as opener_last_name,
-               i.asset_tag, em.brand || ' ' || em.model_name as model_name,
-               tech.first_name as tech_first_name, tech.last_name as tech_last_name
-        FROM maintenance_tickets t
-        JOIN users u ON t.opened_by = u.user_id
-        JOIN equipment_items i ON t.item_id = i.item_id
-        JOIN equipment_models em ON i.model_id = em.model_id
-        LEFT JOIN users tech ON t.assigned_to = tech.user_id
-        WHERE t.opened_by = $1
-        ORDER BY t.created_at DESC
-      `, [req.user.id]);
+      spec.where = ['v.opened_by = $1'];
+      spec.params = [req.user.id];
     }
 
-    res.json(result.rows);
+    res.json(await runListQuery(db, req.query, spec, 'tickets'));
   } catch (err) {
-    console.error(err.message);
-    res.status(500).send('Server error');
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: err.message
+      });
+    }
+
+    console.error('Error fetching tickets:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve tickets'
+    });
   }
 });
 
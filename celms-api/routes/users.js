@@ -2,35 +2,70 @@ const express = require('express');
 const router = express.Router();
 const { auth, checkRole } = require('../middleware/auth');
 const db = require('../db');
+const {
+  getPasswordPolicy,
+  validatePassword,
+  generateTemporaryPassword,
+  setPassword,
+  sendPasswordRejected
+} = require('../services/passwords');
+const { revokeSessions, listSessions } = require('../services/sessions');
+const { closeStreams } = require('../services/realtime');
+const { readCsvRecords, toCsv, sendCsv } = require('../services/csv');
+const { planUserImport, applyUserImport } = require('../services/userImport');
+
+const EXPORT_COLUMNS = [
+  'email', 'first_name', 'last_name', 'role', 'phone', 'is_active',
+  'pending_invitation', 'last_login', 'created_at'
+];
+
+/**
+ * WHERE clause for the user list filters (?role=, ?is_active=, ?search=)
+ * @param {Object} query - req.query
+ * @returns {Object} { where, params }
+ */
+const userListFilters = ({ role, search, is_active: isActive }) => {
+  const params = [];
+  const filters = [];
+  if (role) {
+    params.push(role);
+    filters.push(`role = $${params.length}`);
+  }
+  
+  if (isActive === 'true' || isActive === 'false') {
+    params.push(isActive === 'true');
+    filters.push(`is_active = $${params.length}`);
+  }
+  
+  if (search) {
+    params.push(`%${search}%`);
+    filters.push(`(first_name ILIKE $${params.length} OR last_name ILIKE $${params.length} OR email ILIKE $${params.length})`);
+  }
+
+  return { where: filters.length > 0 ? ` WHERE ${filters.join(' AND ')}` : '', params };
+};
 
 /**
  * @route   GET api/users
- * @desc    Get all users
+ * @desc    Get all users (?role=, ?search=, ?is_active=true|false)
  * @access  Private/Admin
  */
 router.get('/', auth, checkRole(['admin', 'technician']), async (req, res) => {
   try {
+    let query = `SELECT user_id, first_name, last_name, email, role, phone, is_active, must_change_password, last_login, created_at,
+                        password_hash IS NULL AS pending_invitation,
+                        (SELECT COUNT(*)::INT FROM sessions s
+                         WHERE s.user_id = users.user_id AND s.revoked_at IS NULL AND s.expires_at > now()) AS active_sessions,
+                        (SELECT l.lockout_id FROM account_lockouts l
+                         WHERE l.user_id = users.user_id AND l.cleared_at IS NULL AND l.locked_until > now()
+                         ORDER BY l.locked_until DESC LIMIT 1) AS lockout_id,
+                        (SELECT max(l.locked_until) FROM account_lockouts l
+                         WHERE l.user_id = users.user_id AND l.cleared_at IS NULL AND l.locked_until > now()) AS locked_until
+                 FROM users`;
+
     // Optional query parameters for filtering
-    const { role, search } = req.query;
-    
-    let query = 'SELECT user_id, first_name, last_name, email, role, phone, created_at FROM users';
-    const params = [];
-    
-    // Apply filters if provided
-    const filters = [];
-    if (role) {
-      params.push(role);
-      filters.push(`role = $${params.length}`);
-    }
-    
-    if (search) {
-      params.push(`%${search}%`);
-      filters.push(`(first_name ILIKE $${params.length} OR last_name ILIKE $${params.length} OR email ILIKE $${params.length})`);
-    }
-    
-    if (filters.length > 0) {
-      query += ' WHERE ' + filters.join(' AND ');
-    }
+    const { where, params } = userListFilters(req.query);
+    query += where;
     
     query += ' ORDER BY last_name, first_name';
     
@@ -51,6 +86,149 @@ router.get('/', auth, checkRole(['admin', 'technician']), async (req, res) => {
   }
 });
 
+/**
+ * @route   GET api/users/export
+ * @desc    Download the user list as CSV (same filters as GET api/users); the file can be re-imported
+ * @access  Private/Admin
+ */
+router.get('/export', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const { where, params } = userListFilters(req.query);
+    const result = await db.query(
+      `SELECT email, first_name, last_name, role, phone, is_active,
+              password_hash IS NULL AS pending_invitation, last_login, created_at
+       FROM users${where}
+       ORDER BY last_name, first_name`,
+      params
+    );
+
+    sendCsv(res, `celms-users-${new Date().toISOString().slice(0, 10)}.csv`, toCsv(EXPORT_COLUMNS, result.rows));
+  } catch (err) {
+    console.error('Error exporting users:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to export users'
+    });
+  }
+});
+
+/**
+ * @route   POST api/users/import
+ * @desc    Import users from CSV ({ csv, dry_run, deactivate_missing, deactivate_roles }).
+ *          Upserts by email: new emails are invited, existing users get the non-empty fields.
+ *          dry_run defaults to true and only reports what would happen; nothing is written
+ *          unless every row is valid.
+ * @access  Private/Admin
+ */
+router.post('/import', auth, checkRole(['admin']), async (req, res) => {
+  const {
+    csv,
+    dry_run: dryRun = true,
+    deactivate_missing: deactivateMissing = false,
+    deactivate_roles: deactivateRoles = ['student']
+  } = req.body;
+
+  if (typeof csv !== 'string' || !csv.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'csv must be the text of a CSV file with a header row'
+    });
+  }
+  if (!Array.isArray(deactivateRoles) || deactivateRoles.length === 0
+    || deactivateRoles.some(role => !['student', 'staff', 'technician', 'admin'].includes(role))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'deactivate_roles must be a non-empty array of roles'
+    });
+  }
+
+  let parsed;
+  try {
+    parsed = readCsvRecords(csv);
+  } catch (err) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: `Could not read the CSV: ${err.message}`
+    });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const plan = await planUserImport(client, parsed, {
+      actorId: req.user.id,
+      deactivateMissing: deactivateMissing === true,
+      deactivateRoles
+    });
+    const preview = {
+      summary: plan.summary,
+      errors: plan.errors,
+      ignored_columns: plan.ignoredColumns,
+      rows: plan.rows.map(({ values, ...row }) => row),
+      deactivations: plan.deactivations
+    };
+
+    if (plan.errors.length > 0 && !plan.summary) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: plan.errors.join('; '),
+        ...preview
+      });
+    }
+
+    if (dryRun !== false) {
+      await client.query('ROLLBACK');
+      return res.json({
+        success: true,
+        dry_run: true,
+        message: `${plan.summary.create} to create, ${plan.summary.update} to update, ${plan.summary.deactivate} to deactivate, ${plan.summary.error} row(s) with errors`,
+        ...preview
+      });
+    }
+
+    if (plan.errors.length > 0 || plan.summary.error > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: [...plan.errors, plan.summary.error > 0 && `${plan.summary.error} row(s) have errors`]
+          .filter(Boolean).join('; ') + '; nothing was imported',
+        ...preview
+      });
+    }
+
+    const invitations = await applyUserImport(client, plan, req.user.id);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      dry_run: false,
+      message: `Imported: ${plan.summary.create} created, ${plan.summary.update} updated, ${plan.summary.deactivate} deactivated`,
+      ...preview,
+      invitations: invitations.map(({ email, invite_url: inviteUrl }) => ({ email, invite_url: inviteUrl }))
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error importing users:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to import users'
+    });
+  } finally {
+    client.release();
+  }
+});
+
 /**
  * @route   GET api/users/:id
  * @desc    Get user by ID
@@ -525,6 +703,9 @@ router.patch('/:id/role', auth, checkRole(['admin']), async (req, res) => {
       }
       
       await client.query('COMMIT');
+
+      // Streams opened under the old role must not keep receiving its events
+      closeStreams({ userId: req.params.id }, 'role_changed');
       
       res.json({
         success: true,
@@ -549,68 +730,290 @@ router.patch('/:id/role', auth, checkRole(['admin']), async (req, res) => {
   }
 });
 
+/**
+ * Shared handler for the activate/deactivate routes (wraps fn_toggle_user_status)
+ * @param {boolean} active - target status
+ */
+const setUserStatus = (active) => async (req, res) => {
+  const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidPattern.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'Invalid user ID format'
+    });
+  }
+
+  const cancelReservations = !active && req.body.cancel_reservations === true;
+  const reason = typeof req.body.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim() : null;
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    // Keep at least one administrator able to log in
+    if (!active) {
+      const target = await client.query('SELECT role FROM users WHERE user_id = $1', [req.params.id]);
+      if (target.rows[0]?.role === 'admin') {
+        const admins = await client.query("SELECT COUNT(*) FROM users WHERE role = 'admin' AND is_active");
+        if (parseInt(admins.rows[0].count, 10) <= 1) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            error: 'Conflict',
+            message: 'Cannot deactivate the last active administrator account'
+          });
+        }
+      }
+    }
+
+    const toggled = await client.query(
+      'SELECT fn_toggle_user_status($1, $2, $3, $4, $5) AS cancelled',
+      [req.user.id, req.params.id, active, cancelReservations, reason]
+    );
+    if (!active) {
+      await revokeSessions(client, { userId: req.params.id }, 'deactivated');
+    }
+    const user = await client.query(
+      'SELECT user_id, first_name, last_name, email, role, is_active FROM users WHERE user_id = $1',
+      [req.params.id]
+    );
+
+    await client.query('COMMIT');
+
+    const cancelled = toggled.rows[0].cancelled;
+    res.json({
+      success: true,
+      message: active
+        ? 'User activated'
+        : `User deactivated${cancelled > 0 ? `; ${cancelled} reservation(s) cancelled` : ''}`,
+      cancelled_reservations: cancelled,
+      user: user.rows[0]
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+
+    const message = err.message || '';
+    if (message.includes('not found')) {
+      return res.status(404).json({ success: false, error: 'Not Found', message: 'User not found' });
+    }
+    if (message.includes('is already') || message.includes('your own account')) {
+      return res.status(409).json({ success: false, error: 'Conflict', message });
+    }
+
+    console.error(`Error ${active ? 'activating' : 'deactivating'} user:`, err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to update user status'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * @route   POST api/users/:id/activate
+ * @desc    Reactivate a user account ({ reason } optional)
+ * @access  Private/Admin
+ */
+router.post('/:id/activate', auth, checkRole(['admin']), setUserStatus(true));
+
+/**
+ * @route   POST api/users/:id/deactivate
+ * @desc    Deactivate a user account ({ reason, cancel_reservations } optional).
+ *          The user is locked out immediately; loans stay open until returned.
+ * @access  Private/Admin
+ */
+router.post('/:id/deactivate', auth, checkRole(['admin']), setUserStatus(false));
+
 /**
  * @route   POST api/users/:id/reset-password
- * @desc    Reset user password (admin only)
+ * @desc    Reset a user's password and force a change at next login.
+ *          Without newPassword a temporary password is generated and returned once.
  * @access  Private/Admin
  */
 router.post('/:id/reset-password', auth, checkRole(['admin']), async (req, res) => {
+  // Validate UUID format
+  const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidPattern.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'Invalid user ID format'
+    });
+  }
+
+  const { newPassword } = req.body;
+  const client = await db.getClient();
+
   try {
-    const { newPassword } = req.body;
-    
-    if (!newPassword || newPassword.length < 6) {
-      return res.status(400).json({
+    await client.query('BEGIN');
+
+    const target = await client.query(
+      'SELECT user_id, email FROM users WHERE user_id = $1 FOR UPDATE',
+      [req.params.id]
+    );
+
+    if (target.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
         success: false,
-        error: 'Bad Request',
-        message: 'New password must be at least 6 characters long'
+        error: 'Not Found',
+        message: 'User not found'
       });
     }
-    
-    // Validate UUID format
-    const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!uuidPattern.test(req.params.id)) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Bad Request',
-        message: 'Invalid user ID format' 
-      });
+
+    const policy = await getPasswordPolicy(client);
+    const generated = !newPassword;
+    const password = generated ? generateTemporaryPassword(policy) : newPassword;
+
+    if (!generated) {
+      const problems = validatePassword(policy, password, { email: target.rows[0].email });
+      if (problems.length > 0) {
+        await client.query('ROLLBACK');
+        return sendPasswordRejected(res, problems);
+      }
     }
-    
-    // Get bcrypt for password hashing
-    const bcrypt = require('bcryptjs');
-    const salt = await bcrypt.genSalt(10);
-    const password_hash = await bcrypt.hash(newPassword, salt);
-    
-    // Update user password
-    const result = await db.query(
-      'UPDATE users SET password_hash = $1 WHERE user_id = $2 RETURNING user_id, email',
-      [password_hash, req.params.id]
+
+    const updated = await setPassword(client, req.params.id, password, { mustChange: true });
+    await revokeSessions(client, { userId: req.params.id }, 'password_reset');
+    // A reset replaces any outstanding invitation link
+    await client.query(
+      `UPDATE invitations SET revoked_at = now()
+       WHERE user_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [req.params.id]
     );
-    
-    if (result.rows.length === 0) {
+
+    await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+      req.user.id,
+      'user',
+      req.params.id,
+      'reset_password',
+      { generated }
+    ]);
+
+    await client.query(
+      'SELECT fn_create_notification($1, $2, $3)',
+      [req.params.id, 'system', { message: 'Your password was reset by an administrator. Choose a new one at next login.' }]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset; the user must change it at next login',
+      user: {
+        id: updated.user_id,
+        email: updated.email,
+        must_change_password: updated.must_change_password
+      },
+      // Only shown once; never stored in plaintext
+      temporary_password: generated ? password : undefined
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error resetting password:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to reset password'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * @route   GET api/users/:id/sessions
+ * @desc    List a user's active sessions (devices)
+ * @access  Private/Admin
+ */
+router.get('/:id/sessions', auth, checkRole(['admin']), async (req, res) => {
+  const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidPattern.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'Invalid user ID format'
+    });
+  }
+
+  try {
+    const sessions = await listSessions(db, req.params.id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+  } catch (err) {
+    console.error('Error fetching user sessions:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to retrieve sessions'
+    });
+  }
+});
+
+/**
+ * @route   POST api/users/:id/revoke-sessions
+ * @desc    Sign a user out of every device; they must log in again
+ * @access  Private/Admin
+ */
+router.post('/:id/revoke-sessions', auth, checkRole(['admin']), async (req, res) => {
+  const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  if (!uuidPattern.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: 'Invalid user ID format'
+    });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const target = await client.query('SELECT user_id FROM users WHERE user_id = $1', [req.params.id]);
+    if (target.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         error: 'Not Found',
         message: 'User not found'
       });
     }
-    
+
+    const revoked = await revokeSessions(client, { userId: req.params.id }, 'admin');
+
+    await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+      req.user.id,
+      'user',
+      req.params.id,
+      'revoke_sessions',
+      { revoked }
+    ]);
+
+    await client.query('COMMIT');
+
     res.json({
       success: true,
-      message: 'Password has been reset successfully',
-      user: {
-        id: result.rows[0].user_id,
-        email: result.rows[0].email
-      }
+      message: `${revoked} session(s) revoked`,
+      revoked
     });
-    
   } catch (err) {
-    console.error('Error resetting password:', err);
+    await client.query('ROLLBACK');
+    console.error('Error revoking sessions:', err);
     res.status(500).json({
       success: false,
       error: 'Server Error',
-      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to reset password'
+      message: process.env.NODE_ENV === 'development' ? err.message : 'Failed to revoke sessions'
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -0,0 +1,226 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const db = require('../db');
+const { runListQuery } = require('../services/listQuery');
+const { eligibilityErrorResponse } = require('../services/eligibility');
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'technician';
+
+// List spec for GET api/waitlist (see services/listQuery.js). position is the
+// entry's place among those waiting for the same item or model over an overlapping window.
+const WAITLIST_LIST = {
+  from: `waitlist_entries w
+    JOIN users u ON u.user_id = w.user_id
+    LEFT JOIN equipment_items i ON i.item_id = w.item_id
+    JOIN equipment_models em ON em.model_id = COALESCE(i.model_id, w.model_id)`,
+  select: `w.*, lower(w.period) AS start_at, upper(w.period) AS end_at,
+    i.asset_tag, em.brand, em.model_name, u.first_name, u.last_name, u.email,
+    CASE WHEN w.status = 'waiting' THEN (
+      SELECT COUNT(*) + 1 FROM waitlist_entries e
+      WHERE e.status = 'waiting'
+        AND e.item_id IS NOT DISTINCT FROM w.item_id AND e.model_id IS NOT DISTINCT FROM w.model_id
+        AND e.period && w.period
+        AND (e.created_at, e.waitlist_id) < (w.created_at, w.waitlist_id))::INT
+    END AS position`,
+  idColumn: 'w.waitlist_id',
+  status: 'w.status',
+  filters: {
+    item_id: { column: 'w.item_id', type: 'integer' },
+    model_id: { column: 'w.model_id', type: 'integer' },
+    user_id: { column: 'w.user_id', type: 'uuid' }
+  },
+  searchColumns: ['i.asset_tag', 'em.brand', 'em.model_name', 'u.first_name', 'u.last_name', 'u.email'],
+  dateFields: {
+    period: { range: 'w.period' },
+    created_at: 'w.created_at'
+  },
+  sortable: {
+    created_at: 'w.created_at',
+    start_at: 'lower(w.period)',
+    offer_expires_at: 'w.offer_expires_at',
+    status: 'w.status'
+  },
+  defaultSort: '-created_at'
+};
+
+const joinValidation = [
+  check('item_id', 'item_id must be an item ID').optional({ nullable: true }).isInt({ min: 1 }),
+  check('model_id', 'model_id must be a model ID').optional({ nullable: true }).isInt({ min: 1 }),
+  check('start', 'start must be a valid date').isISO8601(),
+  check('end', 'end must be a valid date').isISO8601()
+];
+
+const getEntry = async (waitlistId) => {
+  const result = await db.query(
+    `SELECT ${WAITLIST_LIST.select} FROM ${WAITLIST_LIST.from} WHERE w.waitlist_id = $1`,
+    [waitlistId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Map exceptions raised by the waitlist functions to HTTP responses.
+ * Returns null for anything unexpected so the caller can send a 500.
+ */
+const waitlistErrorResponse = (err) => {
+  const ineligible = eligibilityErrorResponse(err);
+  if (ineligible) {
+    return { status: 409, body: ineligible };
+  }
+
+  const message = err.message || '';
+  if (/^(Waitlist entry|Item|Model) \d+ not found/.test(message)) {
+    return { status: 404, error: 'Not Found', message };
+  }
+  if (message.includes('Only the waiting user')) {
+    return { status: 403, error: 'Forbidden', message: 'This waitlist entry belongs to another user' };
+  }
+  if (message.includes('reserve it instead')) {
+    return { status: 409, error: 'Conflict', code: 'SLOT_AVAILABLE', message: 'This slot is free: reserve it instead of joining the waitlist' };
+  }
+  if (message.includes('Already on the waitlist')) {
+    return { status: 409, error: 'Conflict', code: 'ALREADY_WAITING', message: 'You are already on the waitlist for this period' };
+  }
+  if (message.includes('No open offer')) {
+    return { status: 409, error: 'Conflict', code: 'OFFER_NOT_OPEN', message: 'There is no open offer to claim; it may have lapsed' };
+  }
+  if (message.includes('already closed')) {
+    return { status: 409, error: 'Conflict', code: 'ENTRY_CLOSED', message: 'This waitlist entry is already closed' };
+  }
+  if (message.includes('Start must be before end') || message.includes('already ended') || message.includes('either an item or a model')) {
+    return { status: 400, error: 'Validation Error', message };
+  }
+
+  return null;
+};
+
+const sendError = (res, err, fallback) => {
+  const mapped = waitlistErrorResponse(err);
+  if (mapped) {
+    return res.status(mapped.status).json(mapped.body || {
+      success: false,
+      error: mapped.error,
+      ...(mapped.code ? { code: mapped.code } : {}),
+      message: mapped.message
+    });
+  }
+
+  console.error(`Error: ${fallback}:`, err);
+  res.status(500).json({
+    success: false,
+    error: 'Server Error',
+    message: process.env.NODE_ENV === 'development' ? err.message : fallback
+  });
+};
+
+/**
+ * @route   GET api/waitlist
+ * @desc    Waitlist entries with filtering, sorting and pagination. Lapsed offers
+ *          are expired (and passed on) first, so offers shown are still open.
+ * @access  Private - Admin/Tech see every entry, others only their own
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    await db.query('SELECT fn_expire_waitlist_offers()');
+
+    const spec = { ...WAITLIST_LIST };
+    if (!isStaff(req.user)) {
+      spec.where = ['w.user_id = $1'];
+      spec.params = [req.user.id];
+    }
+
+    res.json(await runListQuery(db, req.query, spec, 'entries'));
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: err.message
+      });
+    }
+
+    sendError(res, err, 'Failed to retrieve the waitlist');
+  }
+});
+
+/**
+ * @route   POST api/waitlist
+ * @desc    Join the waitlist for a booked item (item_id) or model (model_id) over a period (start, end)
+ * @access  Private
+ */
+router.post('/', auth, joinValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'Please check your input',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { item_id: itemId, model_id: modelId, start, end } = req.body;
+    const result = await db.query(
+      'SELECT fn_join_waitlist($1, $2, $3, $4, $5) AS waitlist_id',
+      [req.user.id, itemId || null, modelId || null, start, end]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'You are on the waitlist; we will notify you when a slot opens up',
+      entry: await getEntry(result.rows[0].waitlist_id)
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to join the waitlist');
+  }
+});
+
+/**
+ * @route   POST api/waitlist/:id/claim
+ * @desc    Claim an open offer: the held slot becomes a pending reservation request
+ * @access  Private - Owner only as enforced by the function
+ */
+router.post('/:id/claim', auth, async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT fn_claim_waitlist_offer($1, $2) AS reservation_id',
+      [req.user.id, req.params.id]
+    );
+    const reservation = await db.query(
+      'SELECT * FROM v_reservations_admin WHERE reservation_id = $1',
+      [result.rows[0].reservation_id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Offer claimed; your reservation request is waiting for approval',
+      reservation: reservation.rows[0]
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to claim the offer');
+  }
+});
+
+/**
+ * @route   POST api/waitlist/:id/cancel
+ * @desc    Leave the waitlist, declining any open offer so it passes to the next user
+ * @access  Private - Owner only as enforced by the function
+ */
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    await db.query('SELECT fn_leave_waitlist($1, $2)', [req.user.id, req.params.id]);
+
+    res.json({
+      success: true,
+      message: 'You left the waitlist',
+      entry: await getEntry(req.params.id)
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to leave the waitlist');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+/**
+ * Asset tag patterns and sequential tag generation.
+ *
+ * Each category may define a pattern such as 'LAP-{seq:3}' or
+ * 'CAM-{yyyy}-{seq:4}'. {seq:N} is the running number, zero-padded to N
+ * digits ({seq} = no padding); {yyyy} and {yy} are the current year. New
+ * tags continue after the highest number already in use for the expanded
+ * pattern, so LAP-001 and LAP-101 lead to LAP-102.
+ */
+
+const PATTERN_MAX_LENGTH = 50;
+const MAX_UNITS = 200;
+
+const TOKEN = /\{([^{}]*)\}/g;
+const SEQ_TOKEN = /^seq(?::([1-9]))?$/;
+
+/**
+ * Check a pattern; returns a human readable problem or null
+ * @param {string} pattern
+ */
+const validatePattern = (pattern) => {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    return 'Pattern is required';
+  }
+  if (pattern.length > PATTERN_MAX_LENGTH) {
+    return `Pattern must be ${PATTERN_MAX_LENGTH} characters or less`;
+  }
+
+  const tokens = [...pattern.matchAll(TOKEN)].map(match => match[1]);
+  const unknown = tokens.filter(token => !SEQ_TOKEN.test(token) && token !== 'yyyy' && token !== 'yy');
+  if (unknown.length > 0) {
+    return `Unknown placeholder {${unknown[0]}}; use {seq}, {seq:N}, {yyyy} or {yy}`;
+  }
+  if (tokens.filter(token => SEQ_TOKEN.test(token)).length !== 1) {
+    return 'Pattern must contain {seq} or {seq:N} exactly once';
+  }
+  if (/[{}]/.test(pattern.replace(TOKEN, ''))) {
+    return 'Pattern has an unmatched brace';
+  }
+  return null;
+};
+
+/**
+ * Fill in the year and split a pattern around its sequence number
+ * @returns {Object} { prefix, suffix, width }
+ */
+const expandPattern = (pattern, date = new Date()) => {
+  const year = String(date.getFullYear());
+  let width = 0;
+  const [prefix, suffix] = pattern
+    .replace(TOKEN, (match, token) => {
+      if (token === 'yyyy') return year;
+      if (token === 'yy') return year.slice(-2);
+      width = parseInt(SEQ_TOKEN.exec(token)[1] || '0', 10);
+      return '\u0000';
+    })
+    .split('\u0000');
+
+  return { prefix, suffix, width };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatTag = ({ prefix, suffix, width }, number) => `${prefix}${String(number).padStart(width, '0')}${suffix}`;
+
+/**
+ * Highest sequence number used for an expanded pattern, in the database and in extraTags
+ */
+const highestSequence = async (db, { prefix, suffix }, extraTags = []) => {
+  const regex = `^${escapeRegex(prefix)}(\\d+)${escapeRegex(suffix)}$`;
+  const result = await db.query(
+    `SELECT max(substring(asset_tag FROM $1)::BIGINT) AS highest
+     FROM equipment_items WHERE asset_tag ~ $1`,
+    [regex]
+  );
+
+  const matcher = new RegExp(regex);
+  return extraTags.reduce((highest, tag) => {
+    const match = matcher.exec(tag);
+    return match ? Math.max(highest, parseInt(match[1], 10)) : highest;
+  }, parseInt(result.rows[0].highest || '0', 10));
+};
+
+/**
+ * Next `count` free tags for a category. Call inside the transaction that
+ * inserts them; the category row is locked so concurrent batches queue up.
+ * @param {Object} client - transaction client (or db for a preview)
+ * @param {Object} category - { category_id, name, asset_tag_pattern }
+ * @param {number} count
+ * @param {string[]} [extraTags] - tags about to be used elsewhere in the same batch
+ * @returns {string[]}
+ */
+const generateAssetTags = async (client, category, count, extraTags = []) => {
+  if (!category.asset_tag_pattern) {
+    const err = new Error(`Category "${category.name}" has no asset tag pattern`);
+    err.code = 'PATTERN_NOT_SET';
+    throw err;
+  }
+
+  await client.query('SELECT 1 FROM equipment_categories WHERE category_id = $1 FOR UPDATE', [category.category_id]);
+
+  const parts = expandPattern(category.asset_tag_pattern);
+  const start = await highestSequence(client, parts, extraTags) + 1;
+  return Array.from({ length: count }, (_, i) => formatTag(parts, start + i));
+};
+
+module.exports = {
+  PATTERN_MAX_LENGTH,
+  MAX_UNITS,
+  validatePattern,
+  expandPattern,
+  generateAssetTags
+};
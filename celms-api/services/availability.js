@@ -0,0 +1,111 @@
+/**
+ * Item availability over a time window.
+ *
+ * An item is busy while it has an active reservation (pending, approved,
+ * confirmed or held for a waitlist offer: the statuses reservations_no_overlap
+ * guards), while it is on loan (until it comes back, so an overdue loan stays
+ * busy), and while it is out of service or retired. Maintenance has no planned end, so those
+ * intervals are open-ended (end_at null).
+ */
+
+const ACTIVE_RESERVATION_STATUSES = ['pending', 'approved', 'confirmed', 'held'];
+
+const DEFAULT_WINDOW_DAYS = 30;
+const MAX_WINDOW_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a validation error the routes map to 400
+ */
+const validationError = (message) => {
+  const err = new Error(message);
+  err.name = 'ValidationError';
+  return err;
+};
+
+/**
+ * Read ?from=&to= (ISO dates). Defaults to the next DEFAULT_WINDOW_DAYS days from the start of today.
+ * Throws a ValidationError for bad or too long windows.
+ * @returns {{ from: Date, to: Date }}
+ */
+const parseWindow = (query) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const from = query.from ? new Date(query.from) : today;
+  const to = query.to ? new Date(query.to) : new Date(from.getTime() + DEFAULT_WINDOW_DAYS * DAY_MS);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw validationError('from and to must be valid dates');
+  }
+  if (from >= to) {
+    throw validationError('from must be before to');
+  }
+  if (to - from > MAX_WINDOW_DAYS * DAY_MS) {
+    throw validationError(`The window cannot be longer than ${MAX_WINDOW_DAYS} days`);
+  }
+
+  return { from, to };
+};
+
+/**
+ * Busy intervals of items within a window, ordered by start.
+ * Staff see who holds each interval; other users only see whether it is theirs.
+ * @param {Object} db - db module or transaction client
+ * @param {Array} itemIds
+ * @param {{ from: Date, to: Date }} window
+ * @param {Object} viewer - req.user
+ * @returns {Map} item ID (string) -> busy intervals
+ */
+const getBusyIntervals = async (db, itemIds, { from, to }, viewer) => {
+  const result = await db.query(
+    `SELECT r.item_id, 'reservation' AS kind, r.status, lower(r.period) AS start_at, upper(r.period) AS end_at,
+            r.reservation_id, NULL::BIGINT AS loan_id, r.user_id, u.first_name, u.last_name
+     FROM reservations r
+     JOIN users u ON u.user_id = r.user_id
+     WHERE r.item_id = ANY($1::BIGINT[])
+       AND r.status = ANY($4::TEXT[])
+       AND r.period && tstzrange($2, $3, '[)')
+     UNION ALL
+     SELECT l.item_id, 'loan', CASE WHEN now() > l.due_at THEN 'overdue' ELSE 'active' END,
+            l.checkout_at, GREATEST(l.due_at, now()),
+            l.reservation_id, l.loan_id, l.user_id, u.first_name, u.last_name
+     FROM loans l
+     JOIN users u ON u.user_id = l.user_id
+     WHERE l.item_id = ANY($1::BIGINT[])
+       AND l.return_at IS NULL
+       AND tstzrange(l.checkout_at, GREATEST(l.due_at, now()), '[)') && tstzrange($2, $3, '[)')
+     UNION ALL
+     SELECT i.item_id, 'maintenance', i.status,
+            COALESCE((SELECT min(t.created_at) FROM maintenance_tickets t
+                      WHERE t.item_id = i.item_id AND t.status <> 'closed'), $2::TIMESTAMPTZ),
+            NULL, NULL, NULL, NULL, NULL, NULL
+     FROM equipment_items i
+     WHERE i.item_id = ANY($1::BIGINT[])
+       AND i.status IN ('out_of_service', 'retired')
+     ORDER BY start_at`,
+    [itemIds, from, to, ACTIVE_RESERVATION_STATUSES]
+  );
+
+  const isStaff = viewer.role === 'admin' || viewer.role === 'technician';
+  const busy = new Map(itemIds.map(id => [String(id), []]));
+
+  result.rows.forEach(({ item_id: itemId, user_id: userId, first_name: firstName, last_name: lastName, ...interval }) => {
+    if (interval.kind !== 'maintenance') {
+      interval.mine = userId === viewer.id;
+      if (isStaff) {
+        interval.user = { user_id: userId, first_name: firstName, last_name: lastName };
+      }
+    }
+    busy.get(String(itemId)).push(interval);
+  });
+
+  return busy;
+};
+
+module.exports = {
+  ACTIVE_RESERVATION_STATUSES,
+  MAX_WINDOW_DAYS,
+  parseWindow,
+  getBusyIntervals
+};
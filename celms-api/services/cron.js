@@ -0,0 +1,179 @@
+/**
+ * Cron schedules for the job scheduler.
+ *
+ * Five fields, in server time: minute hour day-of-month month day-of-week.
+ * Each field takes *, a number, a range (1-5), a list (1,15,30) and steps
+ * (8-18/2; after * or a single number a step runs to the end of the field,
+ * so 5/15 in the minute field is 5,20,35,50). Day-of-week is 0-7 with 0 and
+ * 7 both Sunday. As in classic cron, when both day fields are restricted (do
+ * not start with *) a day matching either one runs.
+ * @hourly, @daily, @weekly, @monthly and @yearly are accepted as shorthands.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+// How far ahead nextRun looks before deciding a schedule never fires (e.g. 30 2 31 2 *)
+const MAX_LOOKAHEAD_YEARS = 5;
+
+const validationError = (message) => {
+  const err = new Error(message);
+  err.name = 'ValidationError';
+  return err;
+};
+
+const parseNumber = (text, field) => {
+  if (!/^\d+$/.test(text)) {
+    throw validationError(`Invalid ${field.name} value "${text}"`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw validationError(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return value;
+};
+
+/**
+ * The values one field allows, e.g. '0-30/15' for minutes -> {0, 15, 30}
+ */
+const parseField = (text, field) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseNumber(stepText, { ...field, name: `${field.name} step`, min: 1 });
+    let from;
+    let to;
+
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      const [start, end] = range.split('-');
+      from = parseNumber(start, field);
+      to = parseNumber(end, field);
+      if (from > to) {
+        throw validationError(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      from = parseNumber(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a schedule. Throws a ValidationError naming the bad field.
+ * @param {string} expression - e.g. '0 8 * * 1-5' or '@daily'
+ */
+const parseCron = (expression) => {
+  const text = ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = text.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw validationError('A schedule has five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2].startsWith('*'),
+    anyDayOfWeek: parts[4].startsWith('*')
+  };
+};
+
+const matchesDay = (cron, date) => {
+  const dom = cron.daysOfMonth.has(date.getDate());
+  const dow = cron.daysOfWeek.has(date.getDay());
+
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+};
+
+/**
+ * The first time strictly after `after` that a schedule fires, or null if it
+ * never does. Skips a month, day or hour at a time where it can.
+ * @param {Object|string} schedule - parseCron result or expression
+ * @param {Date} after
+ * @returns {Date|null}
+ */
+const nextRun = (schedule, after = new Date()) => {
+  const cron = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+  while (date < limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a schedule for the admin API: it must parse and fire at least once
+ * @returns {string|null} error message
+ */
+const scheduleError = (expression) => {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    return 'schedule is required';
+  }
+  try {
+    if (!nextRun(expression)) {
+      return 'This schedule never runs';
+    }
+    return null;
+  } catch (err) {
+    if (err.name === 'ValidationError') return err.message;
+    throw err;
+  }
+};
+
+module.exports = {
+  parseCron,
+  nextRun,
+  scheduleError
+};
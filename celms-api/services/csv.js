@@ -0,0 +1,129 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing for imports and exports.
+ *
+ * Fields may be quoted ("a, b" and "say ""hi""") and span lines; a UTF-8
+ * BOM and CRLF line endings are accepted. Header names are normalised to
+ * snake_case so "First Name" and first_name match the same column.
+ */
+
+/**
+ * Split CSV text into rows of fields, each tagged with its starting line number
+ * @param {string} text - CSV document
+ * @returns {Object[]} [{ line, fields }], blank lines skipped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+const normalizeHeader = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/**
+ * Parse CSV with a header row into records keyed by column name
+ * @param {string} text - CSV document
+ * @returns {Object} { columns, records: [{ line, values }] }
+ */
+const readCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return { columns: [], records: [] };
+  }
+
+  const columns = header.fields.map(normalizeHeader);
+  const records = rows.map(({ line, fields }) => ({
+    line,
+    values: Object.fromEntries(columns.map((column, i) => [column, (fields[i] ?? '').trim()]))
+  }));
+
+  return { columns, records };
+};
+
+// Spreadsheet apps run cells starting with these as formulas; phone numbers like +212... are left alone
+const FORMULA_PATTERN = /^(?:[=@\t\r]|[+-](?![\d\s().-]*$))/;
+
+const formatField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {string[]} columns - header names, also the keys read from each row
+ * @param {Object[]} rows - records
+ */
+const toCsv = (columns, rows) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => formatField(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+/**
+ * Send a CSV document as a download
+ */
+const sendCsv = (res, filename, csv) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(csv);
+};
+
+module.exports = {
+  parseCsv,
+  readCsvRecords,
+  toCsv,
+  sendCsv
+};
@@ -0,0 +1,215 @@
+/**
+ * Front desk lookups for scan-driven checkout and return.
+ *
+ * The desk identifies a borrower by user ID or email and items by asset tag,
+ * so every lookup here resolves those identifiers and gathers everything the
+ * desk needs to decide in one round trip: eligibility, open loans and the
+ * approved reservation (if any) that a checkout would pick up. A reservation
+ * can be picked up from the start of its first day until it ends. Model and
+ * category reservations can be picked up with any unit of their pool.
+ */
+
+const { checkEligibility } = require('./eligibility');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Approved reservations not yet checked out whose pickup window includes now
+const PICKUP_WINDOW_SQL = `r.status IN ('approved', 'confirmed')
+  AND upper(r.period) > now()
+  AND lower(r.period) < date_trunc('day', now()) + interval '1 day'
+  AND NOT EXISTS (SELECT 1 FROM loans pl WHERE pl.reservation_id = r.reservation_id)`;
+
+const LOAN_SELECT = `
+  SELECT v.loan_id, v.item_id, v.user_id, v.reservation_id, v.checkout_at, v.due_at, v.return_at,
+         v.damaged, v.return_condition, v.is_overdue, v.days_overdue,
+         i.asset_tag, em.brand, em.model_name,
+         u.first_name, u.last_name, u.email
+  FROM v_loans_with_status v
+  JOIN equipment_items i ON i.item_id = v.item_id
+  JOIN equipment_models em ON em.model_id = i.model_id
+  JOIN users u ON u.user_id = v.user_id
+`;
+
+const RESERVATION_SELECT = `
+  SELECT r.reservation_id, r.item_id, r.model_id, r.category_id, r.user_id,
+         lower(r.period) AS start_at, upper(r.period) AS end_at,
+         r.status, r.asset_tag, r.brand, r.model_name, r.category_name,
+         r.first_name, r.last_name, r.email
+  FROM v_reservations_admin r
+`;
+
+/**
+ * Find a user by user ID or email. Returns null when there is no match.
+ * @param {Object} db - db module or transaction client
+ * @param {string} identifier - scanned or typed ID or email
+ */
+const findUser = async (db, identifier) => {
+  const value = String(identifier || '').trim();
+  if (!value) return null;
+
+  const result = await db.query(
+    `SELECT user_id, role, first_name, last_name, email, phone, profile_image, is_active
+     FROM users
+     WHERE ${UUID_PATTERN.test(value) ? 'user_id = $1::UUID' : 'email = $1'}`,
+    [value]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Find an item by asset tag (case-insensitive). Returns null when there is no match.
+ * @param {Object} db - db module or transaction client
+ */
+const findItem = async (db, assetTag) => {
+  const result = await db.query(
+    'SELECT * FROM v_items_details WHERE upper(asset_tag) = upper($1)',
+    [String(assetTag || '').trim()]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * The user's reservation for an item that a checkout now would pick up: one
+ * for this unit, else one for any unit of its model or category
+ * @param {Object} db - db module or transaction client
+ */
+const findPickupReservation = async (db, userId, itemId) => {
+  const result = await db.query(
+    `${RESERVATION_SELECT}
+     WHERE r.user_id = $1 AND ${PICKUP_WINDOW_SQL}
+       AND (r.item_id = $2 OR EXISTS (
+         SELECT 1 FROM equipment_items pi
+         JOIN equipment_models pm ON pm.model_id = pi.model_id
+         WHERE pi.item_id = $2 AND (pi.model_id = r.model_id OR pm.category_id = r.category_id)))
+     ORDER BY r.item_id = $2 DESC, lower(r.period)
+     LIMIT 1`,
+    [userId, itemId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * The open loan of an item, if any
+ * @param {Object} db - db module or transaction client
+ */
+const findOpenLoan = async (db, itemId) => {
+  const result = await db.query(`${LOAN_SELECT} WHERE v.item_id = $1 AND v.return_at IS NULL`, [itemId]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Loans by ID, in the given order, with the penalty raised on return (if any)
+ * @param {Object} db - db module or transaction client
+ * @param {Array} loanIds
+ */
+const getLoans = async (db, loanIds) => {
+  const result = await db.query(
+    `SELECT d.*, p.amount_mad AS penalty_mad
+     FROM (${LOAN_SELECT}) d
+     LEFT JOIN penalties p ON p.loan_id = d.loan_id AND p.reason = 'overdue'
+     WHERE d.loan_id = ANY($1::BIGINT[])`,
+    [loanIds]
+  );
+  return loanIds.map(id => result.rows.find(row => String(row.loan_id) === String(id)));
+};
+
+/**
+ * Everything the desk shows for a borrower: open loans, reservations ready
+ * for pickup, unpaid penalty balance and general eligibility
+ * @param {Object} db - db module or transaction client
+ * @param {Object} user - row from findUser
+ */
+const getUserContext = async (db, user) => {
+  const [loans, reservations, balance, reasons] = await Promise.all([
+    db.query(`${LOAN_SELECT} WHERE v.user_id = $1 AND v.return_at IS NULL ORDER BY v.due_at`, [user.user_id]),
+    db.query(
+      `${RESERVATION_SELECT} WHERE r.user_id = $1 AND ${PICKUP_WINDOW_SQL} ORDER BY lower(r.period)`,
+      [user.user_id]
+    ),
+    db.query(
+      `SELECT COALESCE(SUM(balance_mad), 0) AS balance_mad
+       FROM v_penalties WHERE user_id = $1 AND status <> 'disputed'`,
+      [user.user_id]
+    ),
+    checkEligibility(db, { userId: user.user_id })
+  ]);
+
+  return {
+    user,
+    eligible: reasons.length === 0,
+    reasons,
+    loans: loans.rows,
+    reservations: reservations.rows,
+    penalty_balance_mad: Number(balance.rows[0].balance_mad)
+  };
+};
+
+/**
+ * Everything the desk shows for a scanned item: its open loan, upcoming
+ * reservations and, for a given borrower, how a checkout would go
+ * (from their reservation or ad hoc), its due date, eligibility and
+ * other people's reservations it would run into
+ * @param {Object} db - db module or transaction client
+ * @param {Object} item - row from findItem
+ * @param {Object} [user] - borrower row from findUser
+ */
+const getItemContext = async (db, item, user = null) => {
+  const [loan, reservations, due] = await Promise.all([
+    findOpenLoan(db, item.item_id),
+    db.query(
+      `${RESERVATION_SELECT}
+       WHERE r.item_id = $1 AND r.status IN ('pending', 'approved', 'confirmed') AND upper(r.period) > now()
+         AND NOT EXISTS (SELECT 1 FROM loans pl WHERE pl.reservation_id = r.reservation_id)
+       ORDER BY lower(r.period)
+       LIMIT 10`,
+      [item.item_id]
+    ),
+    db.query(
+      `SELECT now() + make_interval(days => fn_setting('default_loan_days', 7, $1)::INT) AS due_at`,
+      [item.item_id]
+    )
+  ]);
+
+  const context = {
+    item,
+    loan,
+    reservations: reservations.rows
+  };
+
+  if (!user) return context;
+
+  const reservation = await findPickupReservation(db, user.user_id, item.item_id);
+  const dueAt = due.rows[0].due_at;
+  const reasons = await checkEligibility(db, {
+    userId: user.user_id,
+    itemId: item.item_id,
+    reservationId: reservation ? reservation.reservation_id : null
+  });
+  // An ad hoc loan runs to the default due date; approved bookings by others in that time clash with it
+  const conflicts = reservation ? [] : reservations.rows.filter(r => (
+    r.user_id !== user.user_id && r.status !== 'pending' && new Date(r.start_at) < new Date(dueAt)
+  ));
+
+  return {
+    ...context,
+    checkout: {
+      mode: reservation ? 'reservation' : 'adhoc',
+      reservation,
+      due_at: dueAt,
+      eligible: reasons.length === 0,
+      reasons,
+      conflicts,
+      can_checkout: item.is_available && reasons.length === 0
+    }
+  };
+};
+
+module.exports = {
+  findUser,
+  findItem,
+  findPickupReservation,
+  findOpenLoan,
+  getLoans,
+  getUserContext,
+  getItemContext
+};
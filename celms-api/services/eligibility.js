@@ -0,0 +1,58 @@
+/**
+ * Borrowing eligibility helpers.
+ *
+ * The rules live in fn_check_eligibility (role quotas, category restrictions,
+ * overdue loans, unpaid penalties). Reservation and checkout functions call
+ * fn_assert_eligible, which raises with the list of reasons as JSON in the
+ * error DETAIL; this module turns that into a structured API response.
+ */
+
+const NOT_ELIGIBLE_MESSAGE = 'not eligible to borrow';
+
+/**
+ * Run fn_check_eligibility and return the list of reasons (empty = eligible)
+ * @param {Object} db - db module or transaction client
+ * @param {Object} options - { userId, itemId, start, end, reservationId }
+ */
+const checkEligibility = async (db, { userId, itemId = null, start = null, end = null, reservationId = null }) => {
+  const result = await db.query(
+    `SELECT fn_check_eligibility(
+       $1, $2,
+       CASE WHEN $3::TIMESTAMPTZ IS NULL THEN NULL ELSE tstzrange($3::TIMESTAMPTZ, $4::TIMESTAMPTZ, '[)') END,
+       $5
+     ) AS reasons`,
+    [userId, itemId, start, end, reservationId]
+  );
+
+  return result.rows[0].reasons || [];
+};
+
+/**
+ * Map a fn_assert_eligible exception to a 409 response body.
+ * Returns null when the error is something else.
+ */
+const eligibilityErrorResponse = (err) => {
+  if (!err.message || !err.message.includes(NOT_ELIGIBLE_MESSAGE)) {
+    return null;
+  }
+
+  let reasons = [];
+  try {
+    reasons = JSON.parse(err.detail || '[]');
+  } catch (parseErr) {
+    console.error('Invalid eligibility detail:', parseErr.message);
+  }
+
+  return {
+    success: false,
+    error: 'Conflict',
+    code: 'NOT_ELIGIBLE',
+    message: reasons.length > 0 ? reasons.map(r => r.message).join('; ') : 'User is not eligible to borrow this item',
+    reasons
+  };
+};
+
+module.exports = {
+  checkEligibility,
+  eligibilityErrorResponse
+};
@@ -0,0 +1,109 @@
+/**
+ * Email templates for notifications.
+ *
+ * One template per notification type gives the subject line, heading and the
+ * page of the web app the email links to. The notification's own message is
+ * the body, followed by the details its payload carries (asset tag, due date,
+ * amount...). Every email has a plain-text and an HTML part.
+ */
+
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:3000';
+
+const TEMPLATES = {
+  reservation: { subject: 'Reservation update', heading: 'Your reservation', path: '/reservations', action: 'View your reservations' },
+  loan: { subject: 'Loan update', heading: 'Your loan', path: '/loans', action: 'View your loans' },
+  return: { subject: 'Item returned', heading: 'Return received', path: '/loans', action: 'View your loans' },
+  penalty: { subject: 'Penalty notice', heading: 'Penalty notice', path: '/penalties', action: 'View your penalties' },
+  maintenance: { subject: 'Maintenance update', heading: 'Maintenance', path: '/tickets', action: 'View tickets' },
+  system: { subject: 'Account notice', heading: 'Message from CELMS', path: '/notifications', action: 'View notifications' }
+};
+
+// Payload keys shown under the message, in this order
+const DETAILS = [
+  ['asset_tag', 'Asset tag'],
+  ['item', 'Item'],
+  ['start', 'Starts'],
+  ['end', 'Ends'],
+  ['due_date', 'Due'],
+  ['offer_expires_at', 'Offer expires'],
+  ['return_date', 'Returned'],
+  ['amount', 'Amount (MAD)'],
+  ['reason', 'Reason'],
+  ['severity', 'Severity']
+];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// ISO timestamps read better as "2025-09-20 16:00 UTC"
+const formatValue = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) {
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime())) {
+      return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+    }
+  }
+  return String(value);
+};
+
+/**
+ * Render the email for a notification
+ * @param {Object} email - { type, payload } from email_outbox
+ * @param {Object} user - { first_name }
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+const renderEmail = ({ type, payload }, user = {}) => {
+  const template = TEMPLATES[type] || TEMPLATES.system;
+  // Reservation payloads carry their period as { start, end }
+  const data = { ...(payload?.period || {}), ...payload };
+  const message = data.message || template.heading;
+  const url = `${CLIENT_ORIGIN}${template.path}`;
+  const greeting = user.first_name ? `Hello ${user.first_name},` : 'Hello,';
+  const details = DETAILS
+    .filter(([key]) => data[key] !== undefined && data[key] !== null && data[key] !== '')
+    .map(([key, label]) => [label, formatValue(data[key])]);
+
+  const subject = `[CELMS] ${template.subject}${data.asset_tag ? ` – ${data.asset_tag}` : ''}`;
+
+  const text = [
+    greeting,
+    '',
+    message,
+    ...(details.length > 0 ? ['', ...details.map(([label, value]) => `${label}: ${value}`)] : []),
+    '',
+    `${template.action}: ${url}`,
+    '',
+    '--',
+    'Campus Equipment Loan Management System',
+    'You receive this email because of activity on your CELMS account.'
+  ].join('\n');
+
+  const detailRows = details
+    .map(([label, value]) => `<tr><td style="padding:2px 12px 2px 0;color:#6c757d">${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#212529;line-height:1.5">
+  <h2 style="margin:0 0 16px">${escapeHtml(template.heading)}</h2>
+  <p>${escapeHtml(greeting)}</p>
+  <p>${escapeHtml(message)}</p>
+  ${detailRows ? `<table style="border-collapse:collapse;margin:0 0 16px">${detailRows}</table>` : ''}
+  <p><a href="${escapeHtml(url)}" style="color:#0d6efd">${escapeHtml(template.action)}</a></p>
+  <hr style="border:none;border-top:1px solid #dee2e6">
+  <p style="font-size:12px;color:#6c757d">Campus Equipment Loan Management System.
+  You receive this email because of activity on your CELMS account.</p>
+</body>
+</html>`;
+
+  return { subject, text, html };
+};
+
+module.exports = {
+  TEMPLATES,
+  renderEmail
+};
@@ -0,0 +1,262 @@
+/**
+ * iCalendar (RFC 5545) feeds and downloads.
+ *
+ * Approved reservations become events over their period, open loans an event
+ * at their due time (with a reminder the day before) and open maintenance
+ * tickets an all-day event from the day they were opened until today.
+ * Reservations that ended more than FEED_PAST_DAYS ago drop out. Feeds
+ * are fetched by calendar apps with a token in the URL instead of a login:
+ * the token names a calendar_feeds row and only its SHA-256 is stored.
+ */
+
+const crypto = require('crypto');
+
+const PRODID = '-//CELMS//Campus Equipment Loan Management//EN';
+const UID_DOMAIN = 'celms';
+// Feeds leave out reservations that ended longer ago than this
+const FEED_PAST_DAYS = 30;
+const FEED_MAX_EVENTS = 500;
+const LOAN_EVENT_MINUTES = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newFeedToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Public URL of a feed. API_ORIGIN is where calendar apps reach the API;
+ * without it the URL is built from the request.
+ * @param {Object} req - Express request
+ * @param {string} token - feed token
+ */
+const feedUrl = (req, token) => {
+  const origin = process.env.API_ORIGIN || `${req.protocol}://${req.get('host')}`;
+  return `${origin}/api/calendar/feeds/${token}.ics`;
+};
+
+// 20250916T100000Z
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20250916 (all-day values are dates without a time zone)
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets, continuing on lines that start with a space.
+ * Never splits a multi-byte character.
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Content lines of one VEVENT
+ * @param {Object} event - { uid, start, end, allDay, summary, description, alarm }
+ *   alarm is an RFC 5545 duration before the start, e.g. '-P1D'
+ */
+const eventLines = (event, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    event.allDay ? `DTSTART;VALUE=DATE:${formatDate(event.start)}` : `DTSTART:${formatDateTime(event.start)}`,
+    event.allDay ? `DTEND;VALUE=DATE:${formatDate(event.end)}` : `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.alarm) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:${event.alarm}`,
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR document
+ * @param {string} name - calendar name shown by calendar apps
+ * @param {Object[]} events - see eventLines
+ * @returns {string} CRLF-separated, folded iCalendar text
+ */
+const toCalendar = (name, events) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flatMap(event => eventLines(event, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Send a calendar; download = true offers it as a file rather than a feed
+ */
+const sendCalendar = (res, filename, ics, { download = false } = {}) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${filename}"`);
+  res.set('Cache-Control', 'private, max-age=300');
+  res.send(ics);
+};
+
+// What a reservation or loan is for: the unit, or the model or category it may be any unit of
+const equipmentLabel = (row) => {
+  const model = row.brand ? `${row.brand} ${row.model_name}` : null;
+  if (row.asset_tag) {
+    return model ? `${row.asset_tag} – ${model}` : row.asset_tag;
+  }
+  return `any ${model || row.category_name}`;
+};
+
+const borrower = (row, withBorrower) => (withBorrower ? `\nBorrower: ${row.first_name} ${row.last_name} (${row.email})` : '');
+
+/**
+ * @param {Object} row - v_reservations_admin row
+ * @param {boolean} withBorrower - name the borrower (staff calendars)
+ */
+const reservationEvent = (row, withBorrower = false) => ({
+  uid: `reservation-${row.reservation_id}`,
+  start: row.start_at,
+  end: row.end_at,
+  summary: `${withBorrower ? `Pickup: ${row.first_name} ${row.last_name}` : 'Reservation'}: ${equipmentLabel(row)}`,
+  description: `Reservation #${row.reservation_id} (${row.status}). Pick up at the start, return by the end.`
+    + borrower(row, withBorrower),
+  alarm: '-PT1H'
+});
+
+/**
+ * @param {Object} row - loan with asset_tag, brand, model_name (and borrower names)
+ * @param {boolean} withBorrower - name the borrower (staff calendars)
+ */
+const loanEvent = (row, withBorrower = false) => ({
+  uid: `loan-${row.loan_id}`,
+  start: row.due_at,
+  end: new Date(new Date(row.due_at).getTime() + LOAN_EVENT_MINUTES * 60 * 1000),
+  summary: `${withBorrower ? `Due back from ${row.first_name} ${row.last_name}` : 'Return'}: ${equipmentLabel(row)}`,
+  description: `Loan #${row.loan_id}, checked out ${new Date(row.checkout_at).toISOString().slice(0, 10)}.`
+    + (row.return_at ? ` Returned ${new Date(row.return_at).toISOString().slice(0, 10)}.` : '')
+    + borrower(row, withBorrower),
+  alarm: row.return_at ? null : '-P1D'
+});
+
+/**
+ * @param {Object} row - maintenance ticket with asset_tag, brand, model_name
+ */
+const ticketEvent = (row) => {
+  const tomorrow = new Date();
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+
+  return {
+    uid: `ticket-${row.ticket_id}`,
+    allDay: true,
+    start: row.created_at,
+    end: tomorrow,
+    summary: `Ticket #${row.ticket_id} (${row.severity}, ${row.status.replace('_', ' ')}): ${equipmentLabel(row)}`,
+    description: row.description || ''
+  };
+};
+
+const LOAN_SELECT = `SELECT l.*, i.asset_tag, em.brand, em.model_name, u.first_name, u.last_name, u.email
+  FROM loans l
+  JOIN equipment_items i ON i.item_id = l.item_id
+  JOIN equipment_models em ON em.model_id = i.model_id
+  JOIN users u ON u.user_id = l.user_id`;
+
+const TICKET_SELECT = `SELECT t.*, i.asset_tag, em.brand, em.model_name
+  FROM maintenance_tickets t
+  JOIN equipment_items i ON i.item_id = t.item_id
+  JOIN equipment_models em ON em.model_id = i.model_id`;
+
+/**
+ * Events of a feed: the owner's approved reservations, open loans and
+ * assigned open tickets, or with feed.item_id the item's (borrowers named)
+ * @param {Object} db - db module or transaction client
+ * @param {Object} feed - calendar_feeds row
+ */
+const getFeedEvents = async (db, feed) => {
+  const byItem = Boolean(feed.item_id);
+  const owner = byItem ? feed.item_id : feed.user_id;
+
+  const [reservations, loans, tickets] = await Promise.all([
+    db.query(
+      `SELECT v.*, lower(v.period) AS start_at, upper(v.period) AS end_at
+       FROM v_reservations_admin v
+       WHERE ${byItem ? 'v.item_id' : 'v.user_id'} = $1
+         AND v.status = 'approved'
+         AND upper(v.period) > now() - make_interval(days => $2)
+       ORDER BY lower(v.period)
+       LIMIT $3`,
+      [owner, FEED_PAST_DAYS, FEED_MAX_EVENTS]
+    ),
+    db.query(
+      `${LOAN_SELECT}
+       WHERE ${byItem ? 'l.item_id' : 'l.user_id'} = $1
+         AND l.return_at IS NULL
+       ORDER BY l.due_at
+       LIMIT $2`,
+      [owner, FEED_MAX_EVENTS]
+    ),
+    db.query(
+      `${TICKET_SELECT}
+       WHERE ${byItem ? 't.item_id' : 't.assigned_to'} = $1
+         AND t.status <> 'closed'
+       ORDER BY t.created_at
+       LIMIT $2`,
+      [owner, FEED_MAX_EVENTS]
+    )
+  ]);
+
+  return [
+    ...reservations.rows.map(row => reservationEvent(row, byItem)),
+    ...loans.rows.map(row => loanEvent(row, byItem)),
+    ...tickets.rows.map(ticketEvent)
+  ];
+};
+
+module.exports = {
+  hashToken,
+  newFeedToken,
+  feedUrl,
+  toCalendar,
+  sendCalendar,
+  reservationEvent,
+  loanEvent,
+  getFeedEvents,
+  LOAN_SELECT
+};
@@ -0,0 +1,165 @@
+/**
+ * Invitation tokens and helpers for onboarding.
+ *
+ * An invitation token is a JWT signed with the API secret that names an
+ * invitations row; the row decides whether it is still usable (single use,
+ * revoked on resend, expires_at). Only the link is handed to the admin to
+ * share; tokens are never stored.
+ */
+
+const jwt = require('jsonwebtoken');
+const { loadValues } = require('./settings');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-key-for-testing-only-not-for-production';
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:3000';
+const TOKEN_PURPOSE = 'invitation';
+
+const ROLES = ['student', 'staff', 'technician', 'admin'];
+const EMAIL_PATTERN = /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i;
+
+// Derived status, shared by every query that lists invitations
+const STATUS_SQL = `CASE
+    WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.expires_at <= now() THEN 'expired'
+    ELSE 'pending'
+  END`;
+
+/**
+ * Sign a token for an invitation; it expires with the row
+ * @param {Object} invitation - { invitation_id, expires_at }
+ */
+const signInvitationToken = (invitation) => jwt.sign(
+  { purpose: TOKEN_PURPOSE, inv: String(invitation.invitation_id) },
+  JWT_SECRET,
+  { expiresIn: Math.max(Math.ceil((new Date(invitation.expires_at) - Date.now()) / 1000), 1) }
+);
+
+/**
+ * Check a token's signature and return its invitation ID.
+ * Returns { invitationId } or { error: 'INVALID_INVITATION' | 'INVITATION_EXPIRED' }.
+ */
+const verifyInvitationToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), JWT_SECRET);
+    if (decoded.purpose !== TOKEN_PURPOSE || !/^\d+$/.test(decoded.inv || '')) {
+      return { error: 'INVALID_INVITATION' };
+    }
+    return { invitationId: decoded.inv };
+  } catch (err) {
+    return { error: err.name === 'TokenExpiredError' ? 'INVITATION_EXPIRED' : 'INVALID_INVITATION' };
+  }
+};
+
+const inviteUrl = (token) => `${CLIENT_ORIGIN}/accept-invite?token=${encodeURIComponent(token)}`;
+
+/**
+ * Allowed email domains (empty = any domain)
+ * @param {Object} db - db module or transaction client
+ */
+const getAllowedDomains = async (db) => {
+  const result = await db.query('SELECT domain FROM allowed_email_domains ORDER BY domain');
+  return result.rows.map(row => row.domain);
+};
+
+const emailDomainAllowed = (domains, email) => (
+  domains.length === 0
+  || domains.some(domain => String(email).toLowerCase().endsWith(`@${domain.toLowerCase()}`))
+);
+
+/**
+ * Validate one invitee. Returns a list of problems (empty = acceptable).
+ * @param {Object} invitee - { email, first_name, last_name, role, phone }
+ * @param {string[]} domains - from getAllowedDomains
+ */
+const validateInvitee = (invitee, domains) => {
+  const problems = [];
+  const { email, first_name: firstName, last_name: lastName, role, phone } = invitee || {};
+
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    problems.push('A valid email is required');
+  } else if (!emailDomainAllowed(domains, email.trim())) {
+    problems.push(`Email domain is not allowed (allowed: ${domains.map(d => `@${d}`).join(', ')})`);
+  }
+  if (typeof firstName !== 'string' || !firstName.trim()) {
+    problems.push('First name is required');
+  }
+  if (typeof lastName !== 'string' || !lastName.trim()) {
+    problems.push('Last name is required');
+  }
+  if (!ROLES.includes(role)) {
+    problems.push(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (phone !== undefined && phone !== null && typeof phone !== 'string') {
+    problems.push('Phone must be text');
+  }
+
+  return problems;
+};
+
+/**
+ * Create a pending user (no password yet)
+ * @param {Object} client - transaction client
+ * @param {Object} invitee - validated { email, first_name, last_name, role, phone }
+ */
+const createPendingUser = async (client, invitee) => {
+  const result = await client.query(
+    `INSERT INTO users (role, first_name, last_name, email, phone)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING user_id, role, first_name, last_name, email, phone`,
+    [invitee.role, invitee.first_name.trim(), invitee.last_name.trim(), invitee.email.trim(), invitee.phone || null]
+  );
+  const user = result.rows[0];
+
+  if (user.role === 'technician') {
+    await client.query('INSERT INTO technicians (technician_id) VALUES ($1)', [user.user_id]);
+  }
+
+  return user;
+};
+
+/**
+ * Issue an invitation for a pending user and audit it
+ * @param {Object} client - transaction client
+ * @param {Object} user - { user_id, email, role }
+ * @param {string} invitedBy - admin user ID
+ * @param {Object} details - extra audit details (e.g. { previous_invitation_id })
+ * @returns {Object} invitation row plus invite_url
+ */
+const issueInvitation = async (client, user, invitedBy, details = {}) => {
+  const { expiryDays } = await loadValues(client, { expiryDays: 'invitation_expiry_days' });
+
+  const result = await client.query(
+    `INSERT INTO invitations (user_id, invited_by, expires_at)
+     VALUES ($1, $2, now() + make_interval(days => $3::INT))
+     RETURNING invitation_id, user_id, invited_by, created_at, expires_at`,
+    [user.user_id, invitedBy, expiryDays]
+  );
+  const invitation = result.rows[0];
+
+  await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+    invitedBy,
+    'invitation',
+    String(invitation.invitation_id),
+    details.previous_invitation_id ? 'resend' : 'create',
+    { user_id: user.user_id, email: user.email, role: user.role, ...details }
+  ]);
+
+  return {
+    ...invitation,
+    email: user.email,
+    role: user.role,
+    status: 'pending',
+    invite_url: inviteUrl(signInvitationToken(invitation))
+  };
+};
+
+module.exports = {
+  ROLES,
+  STATUS_SQL,
+  verifyInvitationToken,
+  getAllowedDomains,
+  validateInvitee,
+  createPendingUser,
+  issueInvitation
+};
@@ -0,0 +1,343 @@
+/**
+ * Equipment item import (CSV or JSON): plan, then apply.
+ *
+ * Rows are matched to existing items by asset_tag (upsert). The model is
+ * resolved by brand + model_name and checked against the category name when
+ * one is given; missing models are created only when asked. A blank
+ * asset_tag is generated from the category's pattern (see
+ * services/assetTags.js). planItemImport only reads, so it also serves as the
+ * dry run; applyItemImport writes a plan that has no errors.
+ */
+
+const { generateAssetTags } = require('./assetTags');
+
+const MAX_IMPORT_ROWS = 5000;
+const UPDATABLE_FIELDS = ['status', 'location', 'purchase_date', 'last_serviced', 'notes', 'image_url'];
+// Export-only columns that round-trip without complaint
+const READ_ONLY_COLUMNS = ['item_id', 'is_available'];
+const KNOWN_COLUMNS = ['asset_tag', 'category', 'brand', 'model_name', ...UPDATABLE_FIELDS, ...READ_ONLY_COLUMNS];
+const EXPORT_COLUMNS = ['asset_tag', 'category', 'brand', 'model_name', ...UPDATABLE_FIELDS, 'is_available'];
+
+// checked_out is set by checkout and cleared by return, never by import
+const IMPORT_STATUSES = ['available', 'out_of_service', 'retired'];
+const DATE_FIELDS = ['purchase_date', 'last_serviced'];
+
+const modelKey = (brand, modelName) => `${brand.toLowerCase()}\u0000${modelName.toLowerCase()}`;
+
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * Turn a JSON array of item objects into the shape readCsvRecords returns
+ * @param {Object[]} items
+ * @returns {Object} { columns, records: [{ line, values }] } - line is the 1-based position
+ */
+const recordsFromJson = (items) => {
+  const columns = [...new Set(items.flatMap(item => Object.keys(item || {})))];
+  const records = items.map((item, i) => ({
+    line: i + 1,
+    values: Object.fromEntries(columns.map(column => {
+      const value = item?.[column];
+      return [column, value === null || value === undefined ? '' : String(value).trim()];
+    }))
+  }));
+  return { columns, records };
+};
+
+/**
+ * Work out what an import would do, without writing anything
+ * (generating tags locks the categories involved until the transaction ends)
+ * @param {Object} db - transaction client
+ * @param {Object} parsed - from readCsvRecords or recordsFromJson
+ * @param {Object} options - { createModels }
+ * @returns {Object} { rows, newModels, errors, ignoredColumns, summary }
+ */
+const planItemImport = async (db, { columns, records }, { createModels = false } = {}) => {
+  const errors = [];
+
+  ['brand', 'model_name'].forEach(column => {
+    if (!columns.includes(column)) {
+      errors.push(`The file must have a ${column} column`);
+    }
+  });
+  if (records.length > MAX_IMPORT_ROWS) {
+    errors.push(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+  }
+  if (errors.length > 0) {
+    return { rows: [], newModels: [], errors, ignoredColumns: [], summary: null };
+  }
+
+  const categoryResult = await db.query('SELECT category_id, name, asset_tag_pattern FROM equipment_categories');
+  const categories = new Map(categoryResult.rows.map(category => [category.name.toLowerCase(), category]));
+
+  const modelResult = await db.query(
+    `SELECT em.model_id, em.brand, em.model_name, ec.category_id, ec.name AS category_name, ec.asset_tag_pattern
+     FROM equipment_models em
+     JOIN equipment_categories ec ON ec.category_id = em.category_id`
+  );
+  const models = new Map(modelResult.rows.map(model => [modelKey(model.brand, model.model_name), model]));
+
+  const tags = records.map(record => record.values.asset_tag).filter(Boolean);
+  const itemResult = await db.query(
+    `SELECT i.item_id, i.asset_tag, i.model_id, i.status, i.location, i.notes, i.image_url,
+            to_char(i.purchase_date, 'YYYY-MM-DD') AS purchase_date,
+            to_char(i.last_serviced, 'YYYY-MM-DD') AS last_serviced,
+            em.brand, em.model_name
+     FROM equipment_items i
+     JOIN equipment_models em ON em.model_id = i.model_id
+     WHERE i.asset_tag = ANY($1::TEXT[])`,
+    [tags]
+  );
+  const existing = new Map(itemResult.rows.map(item => [item.asset_tag, item]));
+
+  const newModels = new Map();
+  const seen = new Map();
+
+  const rows = records.map(({ line, values }) => {
+    const assetTag = values.asset_tag || '';
+    const brand = values.brand || '';
+    const modelName = values.model_name || '';
+    const item = existing.get(assetTag);
+    const problems = [];
+
+    if (assetTag) {
+      if (seen.has(assetTag)) {
+        problems.push(`Duplicate of line ${seen.get(assetTag)}`);
+      } else {
+        seen.set(assetTag, line);
+      }
+    }
+
+    let category = null;
+    if (values.category) {
+      category = categories.get(values.category.toLowerCase());
+      if (!category) {
+        problems.push(`Unknown category "${values.category}"`);
+      }
+    }
+
+    let model = null;
+    if (!brand || !modelName) {
+      problems.push('brand and model_name are required');
+    } else {
+      const key = modelKey(brand, modelName);
+      model = models.get(key) || newModels.get(key);
+
+      if (model && category && model.category_id !== category.category_id) {
+        problems.push(`${model.brand} ${model.model_name} belongs to ${model.category_name}, not ${category.name}`);
+      } else if (!model && !createModels) {
+        problems.push(`Unknown model "${brand} ${modelName}"; allow creating missing models to add it`);
+      } else if (!model && !values.category) {
+        problems.push('category is required to create a new model');
+      } else if (!model && category) {
+        model = {
+          key,
+          brand,
+          model_name: modelName,
+          category_id: category.category_id,
+          category_name: category.name,
+          asset_tag_pattern: category.asset_tag_pattern,
+          line
+        };
+        newModels.set(key, model);
+      }
+    }
+
+    const fields = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (values[field]) fields[field] = values[field];
+    });
+    if (fields.status) {
+      fields.status = fields.status.toLowerCase();
+    }
+    DATE_FIELDS.forEach(field => {
+      if (fields[field] && !isValidDate(fields[field])) {
+        problems.push(`${field} must be a date (YYYY-MM-DD)`);
+      }
+    });
+
+    const label = model ? `${model.brand} ${model.model_name}` : `${brand} ${modelName}`.trim();
+
+    if (!item) {
+      fields.status = fields.status || 'available';
+      if (!IMPORT_STATUSES.includes(fields.status)) {
+        problems.push(`status must be one of: ${IMPORT_STATUSES.join(', ')}`);
+      }
+      return problems.length > 0
+        ? { line, asset_tag: assetTag, model: label, action: 'error', problems }
+        : {
+          line,
+          asset_tag: assetTag,
+          model: label,
+          action: 'create',
+          new_model: !model.model_id,
+          modelRef: model,
+          values: fields
+        };
+    }
+
+    if (model && model.model_id !== item.model_id) {
+      problems.push(`Asset tag ${assetTag} already belongs to ${item.brand} ${item.model_name}`);
+    }
+
+    // Empty cells keep the current value
+    const changes = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (fields[field] && fields[field] !== (item[field] || '')) {
+        changes[field] = { from: item[field], to: fields[field] };
+      }
+    });
+    if (changes.status) {
+      if (item.status === 'checked_out') {
+        problems.push('Checked-out items change status when they are returned');
+      } else if (!IMPORT_STATUSES.includes(changes.status.to)) {
+        problems.push(`status must be one of: ${IMPORT_STATUSES.join(', ')}`);
+      }
+    }
+
+    if (problems.length > 0) {
+      return { line, asset_tag: assetTag, item_id: item.item_id, model: label, action: 'error', problems };
+    }
+    return {
+      line,
+      asset_tag: assetTag,
+      item_id: item.item_id,
+      model: label,
+      action: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+      changes
+    };
+  });
+
+  // Blank asset tags continue each category's sequence, after any tags in the file
+  const untagged = rows.filter(row => row.action === 'create' && !row.asset_tag);
+  const byCategory = new Map();
+  untagged.forEach(row => {
+    const group = byCategory.get(row.modelRef.category_id) || [];
+    byCategory.set(row.modelRef.category_id, [...group, row]);
+  });
+
+  for (const group of byCategory.values()) {
+    const { category_id: categoryId, category_name: name, asset_tag_pattern: pattern } = group[0].modelRef;
+
+    if (!pattern) {
+      group.forEach(row => {
+        row.action = 'error';
+        row.problems = [`Category "${name}" has no asset tag pattern; give an asset_tag`];
+      });
+    } else {
+      const generated = await generateAssetTags(
+        db,
+        { category_id: categoryId, name, asset_tag_pattern: pattern },
+        group.length,
+        [...seen.keys()]
+      );
+      group.forEach((row, i) => {
+        row.asset_tag = generated[i];
+        row.generated_tag = true;
+      });
+    }
+  }
+
+  const count = (action) => rows.filter(row => row.action === action).length;
+  const usedModels = new Set(rows.filter(row => row.action === 'create' && row.new_model).map(row => row.modelRef.key));
+
+  return {
+    rows,
+    newModels: [...newModels.values()].filter(model => usedModels.has(model.key)),
+    errors,
+    ignoredColumns: columns.filter(column => !KNOWN_COLUMNS.includes(column)),
+    summary: {
+      total: rows.length,
+      create: count('create'),
+      update: count('update'),
+      unchanged: count('unchanged'),
+      error: count('error'),
+      new_models: usedModels.size
+    }
+  };
+};
+
+/**
+ * Write a plan with no errors. Every created model and item and every change is audited.
+ * @param {Object} client - transaction client
+ * @param {Object} plan - from planItemImport
+ * @param {string} actorId - user running the import
+ * @returns {Object[]} created items ({ item_id, asset_tag })
+ */
+const applyItemImport = async (client, plan, actorId) => {
+  const modelIds = new Map();
+
+  for (const model of plan.newModels) {
+    const result = await client.query(
+      `INSERT INTO equipment_models (category_id, brand, model_name)
+       VALUES ($1, $2, $3)
+       RETURNING model_id`,
+      [model.category_id, model.brand, model.model_name]
+    );
+    modelIds.set(model.key, result.rows[0].model_id);
+    await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+      actorId,
+      'model',
+      String(result.rows[0].model_id),
+      'create',
+      { brand: model.brand, model_name: model.model_name, category_id: model.category_id, source: 'import' }
+    ]);
+  }
+
+  const created = [];
+
+  for (const row of plan.rows) {
+    if (row.action === 'create') {
+      const modelId = row.modelRef.model_id || modelIds.get(row.modelRef.key);
+      const { status, location, purchase_date, last_serviced, notes, image_url } = row.values;
+
+      const result = await client.query(
+        `INSERT INTO equipment_items
+         (model_id, asset_tag, status, location, purchase_date, last_serviced, notes, image_url)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING item_id, asset_tag`,
+        [modelId, row.asset_tag, status, location || null, purchase_date || null,
+          last_serviced || null, notes || null, image_url || null]
+      );
+      created.push(result.rows[0]);
+      await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+        actorId,
+        'item',
+        String(result.rows[0].item_id),
+        'create',
+        { asset_tag: row.asset_tag, model_id: modelId, source: 'import' }
+      ]);
+    } else if (row.action === 'update') {
+      const fields = Object.keys(row.changes);
+
+      await client.query(
+        `UPDATE equipment_items SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')} WHERE item_id = $1`,
+        [row.item_id, ...fields.map(field => row.changes[field].to)]
+      );
+      await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+        actorId,
+        'item',
+        String(row.item_id),
+        'update',
+        { source: 'import', changes: row.changes }
+      ]);
+    }
+  }
+
+  await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+    actorId,
+    'item',
+    'import',
+    'import',
+    plan.summary
+  ]);
+
+  return created;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  EXPORT_COLUMNS,
+  recordsFromJson,
+  planItemImport,
+  applyItemImport
+};
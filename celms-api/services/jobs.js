@@ -0,0 +1,123 @@
+/**
+ * Background jobs run by the scheduler (see services/scheduler.js).
+ *
+ * Each job is keyed by its scheduled_jobs.job_name and returns a small JSON
+ * summary that is stored with the run. defaultSchedule mirrors the seed rows
+ * in CELMS.sql and is used when a job's row is missing.
+ */
+const { deliverPending } = require('./mailer');
+
+// How long housekeeping data is kept
+const RETENTION = {
+  activityLogDays: 90,
+  loginAttemptDays: 90,
+  sessionDays: 30, // after the session expired or was revoked
+  jobRunDays: 90,
+  emailDays: 90 // outbox rows, whatever their status
+};
+
+/**
+ * Delete rows older than the retention period
+ * @returns {Promise<number>} rows deleted
+ */
+const deleteOlderThan = async (client, sql, days) => {
+  const result = await client.query(
+    `WITH deleted AS (${sql} RETURNING 1) SELECT COUNT(*)::INT AS deleted_count FROM deleted`,
+    [days]
+  );
+  return result.rows[0].deleted_count;
+};
+
+const retentionCleanup = async (db) => {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const deletedLogs = await deleteOlderThan(client,
+      'DELETE FROM user_activity_log WHERE created_at < now() - make_interval(days => $1)',
+      RETENTION.activityLogDays);
+
+    // Login attempts are only needed for throttling and recent investigations
+    const deletedLoginAttempts = await deleteOlderThan(client,
+      'DELETE FROM login_attempts WHERE attempted_at < now() - make_interval(days => $1)',
+      RETENTION.loginAttemptDays);
+
+    const deletedSessions = await deleteOlderThan(client,
+      `DELETE FROM sessions
+       WHERE expires_at < now() - make_interval(days => $1) OR revoked_at < now() - make_interval(days => $1)`,
+      RETENTION.sessionDays);
+
+    const deletedJobRuns = await deleteOlderThan(client,
+      `DELETE FROM job_runs WHERE status <> 'running' AND started_at < now() - make_interval(days => $1)`,
+      RETENTION.jobRunDays);
+
+    const deletedEmails = await deleteOlderThan(client,
+      `DELETE FROM email_outbox WHERE status <> 'sending' AND created_at < now() - make_interval(days => $1)`,
+      RETENTION.emailDays);
+
+    await client.query('COMMIT');
+
+    return { deletedLogs, deletedSessions, deletedLoginAttempts, deletedJobRuns, deletedEmails };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const JOBS = [
+  {
+    name: 'expire_reservations',
+    label: 'Expire reservations',
+    description: 'Expire pending and approved reservations whose period has ended, and pass lapsed waitlist offers on',
+    defaultSchedule: '*/15 * * * *',
+    run: async (db) => {
+      const result = await db.query('SELECT fn_expire_old_reservations() AS expired_count');
+      return { expired: result.rows[0].expired_count };
+    }
+  },
+  {
+    name: 'detect_overdue_loans',
+    label: 'Detect overdue loans',
+    description: 'Notify borrowers whose loans have passed their due date',
+    defaultSchedule: '5 * * * *',
+    run: async (db) => {
+      const result = await db.query('SELECT fn_detect_overdue_loans() AS overdue_count');
+      return { overdue: result.rows[0].overdue_count };
+    }
+  },
+  {
+    name: 'send_reminders',
+    label: 'Send reminders',
+    description: 'Remind borrowers before loans are due and users before approved reservations start',
+    defaultSchedule: '*/30 * * * *',
+    run: async (db) => {
+      const result = await db.query('SELECT fn_send_reminders() AS sent');
+      return result.rows[0].sent;
+    }
+  },
+  {
+    name: 'deliver_email',
+    label: 'Deliver email',
+    description: 'Send queued notification emails over SMTP and retry failed sends with backoff',
+    defaultSchedule: '* * * * *',
+    run: deliverPending
+  },
+  {
+    name: 'retention_cleanup',
+    label: 'Retention cleanup',
+    description: `Delete activity logs and login attempts after ${RETENTION.activityLogDays} days, ended sessions after ${RETENTION.sessionDays} days, job runs after ${RETENTION.jobRunDays} days and emails after ${RETENTION.emailDays} days`,
+    defaultSchedule: '30 3 * * *',
+    run: retentionCleanup
+  }
+];
+
+const JOBS_BY_NAME = Object.fromEntries(JOBS.map(job => [job.name, job]));
+
+module.exports = {
+  JOBS,
+  JOBS_BY_NAME,
+  RETENTION
+};
@@ -0,0 +1,154 @@
+/**
+ * Printable asset label sheets.
+ *
+ * Labels are laid out on A4 sheets of 3 x 7 stickers (63.5 x 38.1 mm, the
+ * common L7160 format). Each label carries a QR code linking to the item's
+ * page in the client, the model name, the category and the asset tag as text
+ * and as a Code128 barcode. Everything is drawn as SVG in millimetres; the
+ * HTML variant wraps one SVG per sheet with print CSS so browsers print it
+ * at actual size.
+ */
+
+const bwipjs = require('bwip-js');
+
+const CLIENT_ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:3000';
+
+const MAX_LABELS = 500;
+
+const SHEET = {
+  width: 210,
+  height: 297,
+  columns: 3,
+  rows: 7,
+  labelWidth: 63.5,
+  labelHeight: 38.1,
+  marginLeft: 7.2,
+  marginTop: 15.15,
+  columnGap: 2.5
+};
+const LABELS_PER_SHEET = SHEET.columns * SHEET.rows;
+
+const MODEL_LINE_CHARS = 20;
+
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Place a bwip-js SVG inside a box of the sheet
+ */
+const placeSvg = (svg, x, y, width, height) => svg.replace(
+  '<svg ',
+  `<svg x="${x}" y="${y}" width="${width}" height="${height}" preserveAspectRatio="xMinYMid meet" `
+);
+
+/**
+ * Split the model name over at most two lines, cutting the second with an ellipsis
+ */
+const wrapModelName = (name) => {
+  const lines = [''];
+  name.split(/\s+/).forEach(word => {
+    const current = lines[lines.length - 1];
+    if (!current || (current + ' ' + word).length <= MODEL_LINE_CHARS) {
+      lines[lines.length - 1] = current ? `${current} ${word}` : word;
+    } else {
+      lines.push(word);
+    }
+  });
+  if (lines.length > 2) {
+    lines.length = 2;
+    lines[1] = `${lines[1].slice(0, MODEL_LINE_CHARS - 1)}…`;
+  }
+  return lines.map(line => (line.length > MODEL_LINE_CHARS ? `${line.slice(0, MODEL_LINE_CHARS - 1)}…` : line));
+};
+
+/**
+ * One label as an SVG group at its sheet position
+ * @param {Object} item - { item_id, asset_tag, brand, model_name, category_name }
+ */
+const renderLabel = (item, x, y) => {
+  const qr = bwipjs.toSVG({ bcid: 'qrcode', text: `${CLIENT_ORIGIN}/items/${item.item_id}`, eclevel: 'M' });
+  const barcode = bwipjs.toSVG({ bcid: 'code128', text: item.asset_tag, height: 8 });
+  const modelLines = wrapModelName(`${item.brand} ${item.model_name}`);
+
+  return `<g transform="translate(${x} ${y})">
+  ${placeSvg(qr, 2, 2, 22, 22)}
+  <text x="26" y="6" font-family="Helvetica, Arial, sans-serif" font-size="3" font-weight="bold">${modelLines.map((line, i) => `<tspan x="26" dy="${i === 0 ? 0 : 3.6}">${escapeXml(line)}</tspan>`).join('')}</text>
+  <text x="26" y="15" font-family="Helvetica, Arial, sans-serif" font-size="2.5" fill="#555">${escapeXml(item.category_name)}</text>
+  <text x="26" y="22" font-family="Courier New, monospace" font-size="3.6" font-weight="bold">${escapeXml(item.asset_tag)}</text>
+  ${placeSvg(barcode, 2, 26, SHEET.labelWidth - 4, 9)}
+</g>`;
+};
+
+/**
+ * Render the sheets for a list of items
+ * @param {Object[]} items - in print order
+ * @param {number} [skip=0] - label positions to leave empty on the first sheet (partly used sheets)
+ * @returns {string[]} one SVG document per sheet
+ */
+const renderLabelSheets = (items, skip = 0) => {
+  const slots = [...Array(skip).fill(null), ...items];
+  const sheets = [];
+
+  for (let start = 0; start < slots.length; start += LABELS_PER_SHEET) {
+    const labels = slots.slice(start, start + LABELS_PER_SHEET).map((item, i) => {
+      if (!item) return '';
+      const column = i % SHEET.columns;
+      const row = Math.floor(i / SHEET.columns);
+      return renderLabel(
+        item,
+        SHEET.marginLeft + column * (SHEET.labelWidth + SHEET.columnGap),
+        SHEET.marginTop + row * SHEET.labelHeight
+      );
+    });
+
+    sheets.push(`<svg xmlns="http://www.w3.org/2000/svg" class="sheet" width="${SHEET.width}mm" height="${SHEET.height}mm" viewBox="0 0 ${SHEET.width} ${SHEET.height}">
+${labels.filter(Boolean).join('\n')}
+</svg>`);
+  }
+
+  return sheets;
+};
+
+/**
+ * All sheets stacked in one SVG document
+ */
+const toSvgDocument = (sheets) => `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${SHEET.width}mm" height="${SHEET.height * sheets.length}mm" viewBox="0 0 ${SHEET.width} ${SHEET.height * sheets.length}">
+${sheets.map((sheet, i) => sheet.replace(
+    /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" class="sheet" width="[^"]+" height="[^"]+"/,
+    `<svg y="${i * SHEET.height}" width="${SHEET.width}" height="${SHEET.height}"`
+  )).join('\n')}
+</svg>
+`;
+
+/**
+ * Print-ready HTML page, one sheet per printed page
+ */
+const toHtmlDocument = (sheets) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>CELMS asset labels</title>
+<style>
+  @page { size: A4; margin: 0; }
+  body { margin: 0; }
+  .sheet { display: block; break-after: page; }
+  .sheet:last-child { break-after: auto; }
+</style>
+</head>
+<body>
+${sheets.join('\n')}
+</body>
+</html>
+`;
+
+module.exports = {
+  MAX_LABELS,
+  LABELS_PER_SHEET,
+  renderLabelSheets,
+  toSvgDocument,
+  toHtmlDocument
+};
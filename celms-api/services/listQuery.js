@@ -0,0 +1,295 @@
+/**
+ * Shared list query layer for the collection routes (items, loans,
+ * reservations, tickets).
+ *
+ * Each route describes its resource once (source view, selectable columns,
+ * filters, search columns, date fields and sort keys) and this module turns
+ * the request query string into a parameterised SQL statement plus a count
+ * query. Supported query parameters:
+ *
+ *   status=a,b            status filter (column or named conditions)
+ *   <filter>=value        resource specific equality filters (ids are type-checked)
+ *   q= / search=          free-text ILIKE search over searchColumns
+ *   from= & to=           date range on date_field (default: first date field)
+ *   sort=key / sort=-key  whitelisted sort keys, "-" for descending
+ *   limit= & offset=      offset pagination (or page=)
+ *   cursor=               keyset pagination, value taken from next_cursor
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Build a validation error the routes and errorHandler map to 400
+ */
+const validationError = (message) => {
+  const err = new Error(message);
+  err.name = 'ValidationError';
+  return err;
+};
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload !== 'object' || !('k' in payload) || !('id' in payload)
+        || !(payload.k === null || ['string', 'number'].includes(typeof payload.k))
+        || !['string', 'number'].includes(typeof payload.id)) {
+      throw new Error('malformed');
+    }
+    return payload;
+  } catch (err) {
+    throw validationError('Invalid cursor');
+  }
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw validationError(`Invalid ${name} date`);
+  }
+  return date.toISOString();
+};
+
+// Query parameters the list layer reads, besides spec.filters
+const LIST_PARAMS = ['status', 'q', 'search', 'date_field', 'from', 'to', 'sort', 'limit', 'offset', 'page', 'cursor'];
+
+/**
+ * Each list parameter must be a single string: Express turns ?sort=a&sort=b
+ * into an array and ?sort[x]=1 into an object
+ */
+const checkSingleValues = (query, spec) => {
+  [...LIST_PARAMS, ...Object.keys(spec.filters || {})].forEach((name) => {
+    const value = query[name];
+    if (value !== undefined && typeof value !== 'string') {
+      throw validationError(`${name} must be given once, as a single value`);
+    }
+  });
+};
+
+// Value formats for typed filters, so a malformed id is a 400 and not a Postgres cast error
+const FILTER_TYPES = {
+  integer: { pattern: /^\d{1,18}$/, description: 'a positive integer' },
+  uuid: { pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, description: 'a UUID' }
+};
+
+/**
+ * Condition for a { column, type, none } filter
+ */
+const typedFilter = (key, filter, value, param) => {
+  if (filter.none !== undefined && value === filter.none) {
+    return `${filter.column} IS NULL`;
+  }
+  const type = FILTER_TYPES[filter.type];
+  if (type && !type.pattern.test(value)) {
+    throw validationError(`${key} must be ${type.description}${filter.none !== undefined ? ` or ${filter.none}` : ''}`);
+  }
+  return `${filter.column} = ${param(value)}`;
+};
+
+const toList = (value) => String(value)
+  .split(',')
+  .map(v => v.trim())
+  .filter(Boolean);
+
+/**
+ * Build the list and count statements for a resource.
+ *
+ * @param {object} query - req.query
+ * @param {object} spec
+ * @param {string} spec.from - FROM clause, views aliased as v
+ * @param {string} spec.select - SELECT list
+ * @param {string} spec.idColumn - unique column used as the sort tie-breaker
+ * @param {string[]} [spec.where] - fixed conditions (e.g. ownership)
+ * @param {any[]} [spec.params] - parameters referenced by spec.where ($1..$n)
+ * @param {string|object} [spec.status] - status column, or map of status name -> condition
+ * @param {object} [spec.filters] - query key -> column, (value, param) => condition, or
+ *   { column, type: 'integer'|'uuid', none } where the value must have that type and
+ *   the value `none` (if given) matches NULL
+ * @param {string[]} [spec.searchColumns] - columns matched by ?q=
+ * @param {object} [spec.dateFields] - date_field name -> column, or { range: column } for tstzrange
+ * @param {object} spec.sortable - sort key -> SQL expression
+ * @param {string} spec.defaultSort - e.g. '-checkout_at'
+ * @param {object} [options]
+ * @param {boolean} [options.paginate=true] - false returns every matching row (exports)
+ * @returns {{ text, params, countText, countParams, limit, offset, cursorMode, sortParam }}
+ */
+const buildListQuery = (query, spec, { paginate = true } = {}) => {
+  checkSingleValues(query, spec);
+
+  const params = [...(spec.params || [])];
+  const conditions = [...(spec.where || [])];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  // Status filter
+  if (query.status && spec.status) {
+    const statuses = toList(query.status);
+
+    if (typeof spec.status === 'string') {
+      conditions.push(`${spec.status} = ANY(${param(statuses)}::TEXT[])`);
+    } else {
+      const unknown = statuses.filter(s => !spec.status[s]);
+      if (unknown.length > 0) {
+        throw validationError(`Invalid status filter: ${unknown.join(', ')}. Allowed: ${Object.keys(spec.status).join(', ')}`);
+      }
+      conditions.push(`(${statuses.map(s => spec.status[s]).join(' OR ')})`);
+    }
+  }
+
+  // Resource specific filters
+  Object.entries(spec.filters || {}).forEach(([key, filter]) => {
+    const value = query[key];
+    if (value === undefined || value === '') return;
+
+    if (typeof filter === 'function') {
+      conditions.push(filter(value, param));
+    } else if (typeof filter === 'object') {
+      conditions.push(typedFilter(key, filter, value, param));
+    } else {
+      conditions.push(`${filter} = ${param(value)}`);
+    }
+  });
+
+  // Free-text search
+  const search = query.q || query.search;
+  if (search && spec.searchColumns && spec.searchColumns.length > 0) {
+    const placeholder = param(`%${String(search).trim()}%`);
+    conditions.push(`(${spec.searchColumns.map(col => `${col}::TEXT ILIKE ${placeholder}`).join(' OR ')})`);
+  }
+
+  // Date range
+  if ((query.from || query.to) && spec.dateFields) {
+    const fieldNames = Object.keys(spec.dateFields);
+    const fieldName = query.date_field || fieldNames[0];
+    const field = spec.dateFields[fieldName];
+
+    if (!field) {
+      throw validationError(`Invalid date_field: ${fieldName}. Allowed: ${fieldNames.join(', ')}`);
+    }
+
+    const from = query.from ? parseDate(query.from, 'from') : null;
+    const to = query.to ? parseDate(query.to, 'to') : null;
+
+    if (typeof field === 'object' && field.range) {
+      // Ranges match when they overlap the requested window
+      conditions.push(`${field.range} && tstzrange(${param(from)}::TIMESTAMPTZ, ${param(to)}::TIMESTAMPTZ, '[)')`);
+    } else {
+      if (from) conditions.push(`${field} >= ${param(from)}`);
+      if (to) conditions.push(`${field} < ${param(to)}`);
+    }
+  }
+
+  // Sorting
+  const sortParam = query.sort || spec.defaultSort;
+  const descending = sortParam.startsWith('-');
+  const sortKey = descending ? sortParam.slice(1) : sortParam;
+  const sortExpr = spec.sortable[sortKey];
+
+  if (!sortExpr) {
+    throw validationError(`Invalid sort key: ${sortKey}. Allowed: ${Object.keys(spec.sortable).join(', ')}`);
+  }
+
+  const direction = descending ? 'DESC' : 'ASC';
+
+  // Count uses the filters only, not the cursor position
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countText = `SELECT COUNT(*) FROM ${spec.from} ${whereClause}`;
+  const countParams = [...params];
+
+  if (!paginate) {
+    const text = `
+      SELECT ${spec.select}
+      FROM ${spec.from}
+      ${whereClause}
+      ORDER BY ${sortExpr} ${direction} NULLS LAST, ${spec.idColumn} ${direction}
+    `;
+    return { text, params, countText, countParams, limit: null, offset: 0, cursorMode: false, sortParam };
+  }
+
+  // Pagination
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  let offset = 0;
+  const cursorMode = Boolean(query.cursor);
+
+  if (cursorMode) {
+    const cursor = decodeCursor(query.cursor);
+    if (cursor.s !== sortParam) {
+      throw validationError('Cursor does not match the requested sort order');
+    }
+    // Rows after the cursor in ORDER BY sort NULLS LAST, id. The sort value
+    // travels as text and is compared through an untyped parameter, so
+    // Postgres reads it back as the column's own type at full precision.
+    const comparator = descending ? '<' : '>';
+    const id = param(cursor.id);
+    if (cursor.k === null) {
+      conditions.push(`(${sortExpr} IS NULL AND ${spec.idColumn} ${comparator} ${id})`);
+    } else {
+      const key = param(cursor.k);
+      conditions.push(`(${sortExpr} ${comparator} ${key}
+        OR (${sortExpr} = ${key} AND ${spec.idColumn} ${comparator} ${id})
+        OR ${sortExpr} IS NULL)`);
+    }
+  } else if (query.page) {
+    offset = (Math.max(parseInt(query.page, 10) || 1, 1) - 1) * limit;
+  } else {
+    offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  }
+
+  const listWhere = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // One extra row tells us whether another page exists
+  const text = `
+    SELECT ${spec.select}, (${sortExpr})::TEXT AS _sort_value, ${spec.idColumn} AS _sort_id
+    FROM ${spec.from}
+    ${listWhere}
+    ORDER BY ${sortExpr} ${direction} NULLS LAST, ${spec.idColumn} ${direction}
+    LIMIT ${param(limit + 1)}${cursorMode ? '' : ` OFFSET ${param(offset)}`}
+  `;
+
+  return { text, params, countText, countParams, limit, offset, cursorMode, sortParam };
+};
+
+/**
+ * Run a list query and shape the standard list envelope:
+ * { success, total, count, limit, offset, next_cursor, [key]: rows }
+ */
+const runListQuery = async (db, query, spec, key) => {
+  const built = buildListQuery(query, spec);
+
+  const [countResult, result] = await Promise.all([
+    db.query(built.countText, built.countParams),
+    db.query(built.text, built.params)
+  ]);
+
+  const hasMore = result.rows.length > built.limit;
+  const rows = result.rows.slice(0, built.limit);
+  const last = rows[rows.length - 1];
+
+  const nextCursor = hasMore && last
+    ? encodeCursor({ s: built.sortParam, k: last._sort_value, id: last._sort_id })
+    : null;
+
+  rows.forEach(row => {
+    delete row._sort_value;
+    delete row._sort_id;
+  });
+
+  return {
+    success: true,
+    total: parseInt(countResult.rows[0].count, 10),
+    count: rows.length,
+    limit: built.limit,
+    offset: built.cursorMode ? null : built.offset,
+    next_cursor: nextCursor,
+    [key]: rows
+  };
+};
+
+module.exports = {
+  buildListQuery,
+  runListQuery
+};
@@ -0,0 +1,261 @@
+/**
+ * Login throttling and temporary account lockout.
+ *
+ * Every attempt is recorded in login_attempts. Failed attempts for an email
+ * are counted since the start of the window, the last successful login or
+ * the end of the last lockout, whichever is latest. Each repeated failure
+ * doubles a delay applied before the next attempt is checked, and reaching
+ * login_max_failures locks the email for login_lockout_minutes. A separate,
+ * higher limit per IP address slows down guessing across many accounts.
+ * Limits come from the login_* keys in celms_settings (see services/settings.js).
+ *
+ * beginAttempt decides and records each attempt under a per-email advisory
+ * lock, counting it as a failure until finishAttempt says otherwise, so
+ * parallel guesses each see the ones before them and cannot share one delay
+ * or slip past the lockout. The login and change-password routes both use it.
+ */
+
+const { loadValues } = require('./settings');
+
+const POLICY_KEYS = {
+  maxFailures: 'login_max_failures',
+  windowMinutes: 'login_failure_window_minutes',
+  lockoutMinutes: 'login_lockout_minutes',
+  maxDelaySeconds: 'login_max_delay_seconds',
+  ipMaxFailures: 'login_ip_max_failures'
+};
+
+// Outcomes that count as failed guesses
+const FAILURE_OUTCOMES = ['invalid_password', 'unknown_email'];
+
+/**
+ * Load the throttling limits, falling back to the registry defaults
+ * @param {Object} db - db module or transaction client
+ */
+const getLoginPolicy = (db) => loadValues(db, POLICY_KEYS);
+
+/**
+ * Current lockout and failure counts for an email and IP address
+ * @param {Object} db - db module or transaction client
+ * @param {string} email - email as typed at login
+ * @param {string} ip - client address
+ * @param {Object} policy - from getLoginPolicy
+ * @returns {Object} { lockedUntil, emailFailures, ipFailures }
+ */
+const getLoginState = async (db, email, ip, policy) => {
+  const result = await db.query(
+    `SELECT
+       (SELECT max(locked_until) FROM account_lockouts
+        WHERE email = $1 AND cleared_at IS NULL AND locked_until > now()) AS locked_until,
+       (SELECT COUNT(*)::INT FROM login_attempts
+        WHERE email = $1 AND outcome = ANY($4)
+          AND attempted_at > GREATEST(
+            now() - make_interval(mins => $3::INT),
+            (SELECT max(attempted_at) FROM login_attempts WHERE email = $1 AND outcome = 'success'),
+            (SELECT max(COALESCE(cleared_at, locked_until)) FROM account_lockouts WHERE email = $1)
+          )) AS email_failures,
+       (SELECT COUNT(*)::INT FROM login_attempts
+        WHERE ip_address = $2 AND outcome = ANY($4)
+          AND attempted_at > now() - make_interval(mins => $3::INT)) AS ip_failures`,
+    [email, ip, policy.windowMinutes, FAILURE_OUTCOMES]
+  );
+  const row = result.rows[0];
+
+  return {
+    lockedUntil: row.locked_until,
+    emailFailures: row.email_failures,
+    ipFailures: row.ip_failures
+  };
+};
+
+/**
+ * Seconds to wait before checking the next attempt: nothing after one
+ * failure, then 1s, 2s, 4s... up to the configured cap
+ * @param {number} failures - recent failures for the email
+ * @param {Object} policy - from getLoginPolicy
+ */
+const loginDelaySeconds = (failures, policy) => (
+  failures < 2 ? 0 : Math.min(2 ** (failures - 2), policy.maxDelaySeconds)
+);
+
+const sleep = (seconds) => new Promise(resolve => setTimeout(resolve, seconds * 1000));
+
+/**
+ * Record an attempt
+ * @param {Object} db - db module or transaction client
+ * @param {Object} attempt - { email, userId, ip, outcome }
+ */
+const recordLoginAttempt = (db, { email, userId = null, ip, outcome }) => db.query(
+  `INSERT INTO login_attempts (email, user_id, ip_address, outcome)
+   VALUES ($1, $2, $3, $4)`,
+  [email, userId, ip || null, outcome]
+);
+
+/**
+ * Take a turn at checking a password for an email. Refuses locked emails and
+ * throttled addresses (recording the refusal); otherwise records the attempt
+ * as a failure straight away. The caller waits delaySeconds, checks the
+ * password and reports the result with finishAttempt.
+ * @param {Object} db - db module
+ * @param {Object} details - { email, userId (null for an unknown email), ip }
+ * @returns {Promise<Object>} { refused: { code, message, retryAfter } }, or
+ *          { attemptId, failures, delaySeconds, policy }
+ */
+const beginAttempt = async (db, { email, userId = null, ip }) => {
+  const policy = await getLoginPolicy(db);
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+    // Attempts for one email are decided one at a time
+    await client.query('SELECT pg_advisory_xact_lock(hashtext(lower($1)))', [email]);
+
+    const state = await getLoginState(client, email, ip, policy);
+    let refused = null;
+
+    if (state.ipFailures >= policy.ipMaxFailures) {
+      // Guessing across many accounts from one address
+      refused = {
+        outcome: 'throttled',
+        code: 'TOO_MANY_ATTEMPTS',
+        message: 'Too many failed login attempts from this network. Please try again later.',
+        retryAfter: policy.windowMinutes * 60
+      };
+    } else if (state.lockedUntil || state.emailFailures >= policy.maxFailures) {
+      // Failures can reach the limit before the lock exists, while the
+      // attempt that reached it is still being checked
+      const seconds = state.lockedUntil
+        ? (new Date(state.lockedUntil) - Date.now()) / 1000
+        : policy.lockoutMinutes * 60;
+      refused = {
+        outcome: 'locked',
+        code: 'ACCOUNT_LOCKED',
+        message: `Too many failed login attempts. Try again in ${Math.max(Math.ceil(seconds / 60), 1)} minute(s).`,
+        retryAfter: seconds
+      };
+    }
+
+    const recorded = await client.query(
+      `INSERT INTO login_attempts (email, user_id, ip_address, outcome)
+       VALUES ($1, $2, $3, $4)
+       RETURNING attempt_id`,
+      [email, userId, ip || null, refused ? refused.outcome : (userId ? 'invalid_password' : 'unknown_email')]
+    );
+
+    await client.query('COMMIT');
+
+    if (refused) {
+      return { refused };
+    }
+
+    return {
+      attemptId: recorded.rows[0].attempt_id,
+      failures: state.emailFailures + 1,
+      delaySeconds: loginDelaySeconds(state.emailFailures, policy),
+      policy
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Report how an attempt from beginAttempt ended. A correct password turns
+ * the recorded failure into `outcome` ('success' resets the count); a wrong
+ * one that reaches login_max_failures locks the email.
+ * @param {Object} db - db module
+ * @param {Object} attempt - from beginAttempt
+ * @param {Object} details - { ok, outcome, email, userId, ip }
+ * @returns {Promise<Object|null>} the lockout row, if this attempt locked the email
+ */
+const finishAttempt = async (db, attempt, { ok, outcome = 'success', email, userId = null, ip }) => {
+  if (ok) {
+    await db.query('UPDATE login_attempts SET outcome = $2 WHERE attempt_id = $1', [attempt.attemptId, outcome]);
+    return null;
+  }
+
+  if (attempt.failures < attempt.policy.maxFailures) {
+    return null;
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+    const lockout = await lockAccount(client, { email, userId, ip, failures: attempt.failures }, attempt.policy);
+    await client.query('COMMIT');
+    return lockout;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Lock an email after too many failures. For an existing account the lock
+ * is audited and the owner is notified. Returns the lockout row.
+ * @param {Object} client - transaction client
+ * @param {Object} details - { email, userId, ip, failures }
+ * @param {Object} policy - from getLoginPolicy
+ */
+const lockAccount = async (client, { email, userId = null, ip, failures }, policy) => {
+  const result = await client.query(
+    `INSERT INTO account_lockouts (email, user_id, ip_address, failed_attempts, locked_until)
+     VALUES ($1, $2, $3, $4, now() + make_interval(mins => $5::INT))
+     RETURNING lockout_id, email, user_id, failed_attempts, locked_at, locked_until`,
+    [email, userId, ip || null, failures, policy.lockoutMinutes]
+  );
+  const lockout = result.rows[0];
+
+  if (userId) {
+    await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+      null,
+      'user',
+      userId,
+      'lock',
+      { lockout_id: lockout.lockout_id, failed_attempts: failures, ip: ip || null, minutes: policy.lockoutMinutes }
+    ]);
+    await client.query('SELECT fn_create_notification($1, $2, $3)', [
+      userId,
+      'system',
+      {
+        message: `Your account was locked for ${policy.lockoutMinutes} minutes after ${failures} failed login attempts. If this was not you, change your password once you can log in.`,
+        locked_until: lockout.locked_until
+      }
+    ]);
+  }
+
+  return lockout;
+};
+
+/**
+ * Send a 429 for a locked email or a throttled address
+ */
+const sendTooManyAttempts = (res, code, message, retryAfterSeconds) => {
+  const retryAfter = Math.max(Math.ceil(retryAfterSeconds), 1);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: 'Too Many Requests',
+    code,
+    message,
+    retry_after: retryAfter
+  });
+};
+
+module.exports = {
+  getLoginPolicy,
+  getLoginState,
+  loginDelaySeconds,
+  sleep,
+  recordLoginAttempt,
+  beginAttempt,
+  finishAttempt,
+  lockAccount,
+  sendTooManyAttempts
+};
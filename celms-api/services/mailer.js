@@ -0,0 +1,130 @@
+/**
+ * Outbound email over SMTP.
+ *
+ * New notifications are queued in email_outbox by a database trigger; the
+ * deliver_email job (services/jobs.js) calls deliverPending to send what is
+ * due. A send that fails is retried with exponential backoff until
+ * MAX_ATTEMPTS; a permanent SMTP rejection (5xx, e.g. unknown mailbox) fails
+ * the email at once. Emails claimed by a run that never finished are put back
+ * in the queue after STALE_SEND_MINUTES.
+ *
+ * Configured from the environment: SMTP_HOST (no host = email is not sent and
+ * stays queued), SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD and
+ * EMAIL_FROM. In development point SMTP_HOST at a local catcher such as
+ * Mailpit (see docker-compose.yml).
+ */
+const nodemailer = require('nodemailer');
+const { renderEmail } = require('./emailTemplates');
+
+const MAX_ATTEMPTS = 8;
+const BACKOFF_BASE_MINUTES = 1; // doubled after each failed attempt
+const BACKOFF_MAX_MINUTES = 60;
+const BATCH_SIZE = 50;
+const STALE_SEND_MINUTES = 10;
+
+let transport = null;
+
+const isConfigured = () => Boolean(process.env.SMTP_HOST);
+
+const getTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+      connectionTimeout: 10000,
+      greetingTimeout: 10000,
+      socketTimeout: 20000
+    });
+  }
+  return transport;
+};
+
+/**
+ * Send one message
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} nodemailer info (messageId, accepted...)
+ */
+const sendMail = (message) => getTransport().sendMail({
+  from: process.env.EMAIL_FROM || 'CELMS <no-reply@celms.local>',
+  ...message
+});
+
+/**
+ * Minutes to wait before retrying after the given number of attempts
+ */
+const backoffMinutes = (attempts) => Math.min(BACKOFF_BASE_MINUTES * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MINUTES);
+
+// 5xx replies are permanent; connection errors and 4xx replies are worth retrying
+const isPermanent = (err) => err.responseCode >= 500 && err.responseCode < 600;
+
+/**
+ * Send the queued emails that are due
+ * @param {Object} db - pool wrapper (db/index.js)
+ * @returns {Promise<Object>} { sent, retrying, failed }, or { configured: false }
+ */
+const deliverPending = async (db) => {
+  if (!isConfigured()) {
+    return { configured: false };
+  }
+
+  await db.query(
+    `UPDATE email_outbox SET status = 'pending'
+     WHERE status = 'sending' AND last_attempt_at < now() - make_interval(mins => $1)`,
+    [STALE_SEND_MINUTES]
+  );
+
+  const claimed = await db.query(
+    `WITH due AS (
+       SELECT email_id FROM email_outbox
+       WHERE status = 'pending' AND next_attempt_at <= now()
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE email_outbox e
+     SET status = 'sending', attempts = e.attempts + 1, last_attempt_at = now()
+     FROM due, users u
+     WHERE e.email_id = due.email_id AND u.user_id = e.user_id
+     RETURNING e.*, u.first_name`,
+    [BATCH_SIZE]
+  );
+
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+
+  for (const email of claimed.rows) {
+    const { subject, text, html } = renderEmail(email, email);
+
+    try {
+      const info = await sendMail({ to: email.to_address, subject, text, html });
+      await db.query(
+        `UPDATE email_outbox
+         SET status = 'sent', sent_at = now(), subject = $2, message_id = $3, last_error = NULL
+         WHERE email_id = $1`,
+        [email.email_id, subject, info.messageId || null]
+      );
+      summary.sent += 1;
+    } catch (err) {
+      const giveUp = isPermanent(err) || email.attempts >= MAX_ATTEMPTS;
+      await db.query(
+        `UPDATE email_outbox
+         SET status = $2, subject = $3, last_error = $4,
+             next_attempt_at = CASE WHEN $2 = 'pending' THEN now() + make_interval(mins => $5) ELSE next_attempt_at END
+         WHERE email_id = $1`,
+        [email.email_id, giveUp ? 'failed' : 'pending', subject, err.message, backoffMinutes(email.attempts)]
+      );
+      summary[giveUp ? 'failed' : 'retrying'] += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  isConfigured,
+  sendMail,
+  backoffMinutes,
+  deliverPending
+};
@@ -0,0 +1,127 @@
+/**
+ * Password policy and credential helpers.
+ *
+ * Hashing and verification happen in the database (fn_hash_password /
+ * fn_check_password, bcrypt through pgcrypto) so plaintext never has to be
+ * compared in Node and no hashing library is needed. The policy comes from
+ * the password_* keys in celms_settings (see services/settings.js).
+ */
+
+const crypto = require('crypto');
+const { loadValues } = require('./settings');
+
+const POLICY_KEYS = {
+  minLength: 'password_min_length',
+  requireMixedCase: 'password_require_mixed_case',
+  requireDigit: 'password_require_digit',
+  requireSymbol: 'password_require_symbol'
+};
+
+/**
+ * Load the password policy, falling back to the registry defaults
+ * @param {Object} db - db module or transaction client
+ */
+const getPasswordPolicy = (db) => loadValues(db, POLICY_KEYS);
+
+/**
+ * Check a candidate password against the policy.
+ * Returns a list of problems (empty = acceptable).
+ * @param {Object} policy - from getPasswordPolicy
+ * @param {string} password - candidate password
+ * @param {Object} options - { email } to reject passwords containing the mailbox name
+ */
+const validatePassword = (policy, password, { email } = {}) => {
+  const problems = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    problems.push(`Must be at least ${policy.minLength} characters long`);
+  }
+  if (typeof password !== 'string') return problems;
+
+  if (password.length > 128) {
+    problems.push('Must be at most 128 characters long');
+  }
+  if (policy.requireMixedCase && !(/[a-z]/.test(password) && /[A-Z]/.test(password))) {
+    problems.push('Must contain upper and lower case letters');
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    problems.push('Must contain a digit');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Must contain a symbol');
+  }
+
+  const mailbox = email ? String(email).split('@')[0].toLowerCase() : '';
+  if (mailbox.length >= 3 && password.toLowerCase().includes(mailbox)) {
+    problems.push('Must not contain your email address');
+  }
+
+  return problems;
+};
+
+/**
+ * Generate a random temporary password that satisfies the policy
+ * @param {Object} policy - from getPasswordPolicy
+ */
+const generateTemporaryPassword = (policy) => {
+  const length = Math.max(policy.minLength, 12);
+  const pick = (chars) => chars[crypto.randomInt(chars.length)];
+  const lower = 'abcdefghijkmnopqrstuvwxyz';
+  const upper = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+  const digits = '23456789';
+  const symbols = '!@#$%&*?';
+
+  // One of each class the policy may require, the rest from letters and digits
+  const chars = [pick(lower), pick(upper), pick(digits), pick(symbols)];
+  while (chars.length < length) {
+    chars.push(pick(lower + upper + digits));
+  }
+
+  // Fisher-Yates so the required classes are not always at the start
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+
+  return chars.join('');
+};
+
+/**
+ * Store a new password hash
+ * @param {Object} db - db module or transaction client
+ * @param {string} userId - user to update
+ * @param {string} password - new plaintext password (already validated)
+ * @param {Object} options - { mustChange } forces a change at next login
+ */
+const setPassword = async (db, userId, password, { mustChange = false } = {}) => {
+  const result = await db.query(
+    `UPDATE users
+     SET password_hash = fn_hash_password($2),
+         password_changed_at = now(),
+         must_change_password = $3
+     WHERE user_id = $1
+     RETURNING user_id, email, must_change_password, password_changed_at`,
+    [userId, password, mustChange]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Send a 400 describing why a password was rejected
+ */
+const sendPasswordRejected = (res, problems) => res.status(400).json({
+  success: false,
+  error: 'Validation Error',
+  code: 'WEAK_PASSWORD',
+  message: `Password does not meet the policy: ${problems.join('; ')}`,
+  problems
+});
+
+module.exports = {
+  getPasswordPolicy,
+  validatePassword,
+  generateTemporaryPassword,
+  setPassword,
+  sendPasswordRejected
+};
@@ -0,0 +1,191 @@
+/**
+ * Real-time push over Server-Sent Events.
+ *
+ * A single PostgreSQL connection LISTENs on the celms_events channel, which
+ * the trg_publish_change triggers fire when notifications are created and
+ * when reservations, loans, tickets or penalties change. Each event is forwarded to the
+ * connected browsers that are allowed to see it:
+ *
+ *   - notification events only go to the notification's owner
+ *   - reservation/loan/ticket/penalty events go to the owner, the assigned
+ *     technician (tickets) and every admin/technician
+ *
+ * A stream is authenticated once, when it opens. Revoking a session (logout,
+ * deactivation, admin revocation) or changing a role closes the user's
+ * streams at once through closeStreams, and every heartbeat re-checks the
+ * session, account status and role as a backstop. A closed stream gets an
+ * `end` event; the browser then reconnects through the auth middleware.
+ */
+const db = require('../db');
+
+const CHANNEL = 'celms_events';
+const HEARTBEAT_INTERVAL = 25000;
+const RECONNECT_DELAY = 5000;
+
+// connection id -> { res, user, sessionId, heartbeat }
+const subscribers = new Map();
+let nextSubscriberId = 1;
+let listener = null;
+let reconnectTimer = null;
+
+const isStaff = (user) => user.role === 'admin' || user.role === 'technician';
+
+/**
+ * Decide whether a subscriber may receive an event
+ */
+const canReceive = (user, event) => {
+  if (event.entity === 'notification') {
+    return event.user_id === user.id;
+  }
+
+  return isStaff(user) || event.user_id === user.id || event.assigned_to === user.id;
+};
+
+const send = (res, eventName, data) => {
+  res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * End a stream with an `end` event naming the reason
+ */
+const close = (id, reason) => {
+  const subscriber = subscribers.get(id);
+  if (!subscriber) return;
+
+  subscribers.delete(id);
+  clearInterval(subscriber.heartbeat);
+  send(subscriber.res, 'end', { reason });
+  subscriber.res.end();
+};
+
+/**
+ * Close the streams of one session, or of a user (optionally keeping one session)
+ * @param {Object} target - { sessionId } or { userId, exceptSessionId }
+ * @param {string} reason - e.g. 'logout', 'deactivated', 'role_changed'
+ */
+const closeStreams = ({ sessionId, userId, exceptSessionId = null }, reason) => {
+  subscribers.forEach((subscriber, id) => {
+    const matches = sessionId
+      ? subscriber.sessionId === sessionId
+      : subscriber.user.id === userId && subscriber.sessionId !== exceptSessionId;
+    if (matches) close(id, reason);
+  });
+};
+
+/**
+ * The auth middleware's checks, repeated for a long-lived stream: the session
+ * is live, the account active and the role the one the stream opened with
+ */
+const isStillAuthorized = async ({ user, sessionId }) => {
+  const result = await db.query(
+    `SELECT u.is_active AND u.role = $3 AND s.revoked_at IS NULL AND s.expires_at > now() AS ok
+     FROM users u
+     JOIN sessions s ON s.session_id = $2 AND s.user_id = u.user_id
+     WHERE u.user_id = $1`,
+    [user.id, sessionId || null, user.role]
+  );
+  return result.rows[0]?.ok === true;
+};
+
+/**
+ * Fan an event out to every subscriber allowed to see it
+ */
+const dispatch = (event) => {
+  subscribers.forEach(({ res, user }) => {
+    if (canReceive(user, event)) {
+      send(res, event.entity, event);
+    }
+  });
+};
+
+const scheduleReconnect = () => {
+  if (reconnectTimer) return;
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    start();
+  }, RECONNECT_DELAY);
+};
+
+/**
+ * Open the LISTEN connection. Safe to call more than once; reconnects
+ * automatically when the connection drops.
+ */
+const start = async () => {
+  if (listener) return;
+
+  try {
+    const client = await db.getListenerClient();
+    listener = client;
+
+    client.on('notification', (msg) => {
+      if (msg.channel !== CHANNEL) return;
+
+      try {
+        dispatch(JSON.parse(msg.payload));
+      } catch (err) {
+        console.error('Invalid realtime payload:', err.message);
+      }
+    });
+
+    client.on('error', (err) => {
+      console.error('Realtime listener error:', err.message);
+      listener = null;
+      client.release(err);
+      scheduleReconnect();
+    });
+
+    await client.query(`LISTEN ${CHANNEL}`);
+    console.log(`Realtime listener subscribed to ${CHANNEL}`);
+  } catch (err) {
+    console.error('Failed to start realtime listener:', err.message);
+    listener = null;
+    scheduleReconnect();
+  }
+};
+
+/**
+ * Attach an SSE response for an authenticated user (req.user)
+ */
+const subscribe = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const id = nextSubscriberId++;
+
+  // Comments keep idle connections open through proxies
+  const heartbeat = setInterval(async () => {
+    const subscriber = subscribers.get(id);
+    if (!subscriber) return;
+    try {
+      if (!(await isStillAuthorized(subscriber))) {
+        close(id, 'session_ended');
+        return;
+      }
+    } catch (err) {
+      console.error('Realtime session check failed:', err.message);
+    }
+    if (subscribers.has(id)) res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  subscribers.set(id, { res, user: req.user, sessionId: req.sessionId, heartbeat });
+
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+  send(res, 'ready', { connected: true });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    subscribers.delete(id);
+  });
+};
+
+module.exports = {
+  start,
+  subscribe,
+  closeStreams
+};
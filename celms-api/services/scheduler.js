@@ -0,0 +1,194 @@
+/**
+ * In-process job scheduler.
+ *
+ * Every TICK_INTERVAL the scheduler runs the jobs in scheduled_jobs that are
+ * due (next_run_at has passed) and not paused, then moves next_run_at to the
+ * job's next cron time. A run is claimed by setting running_since, so with
+ * several API instances each due job still runs once. Every run, scheduled or
+ * manual, is recorded in job_runs with its result or error. A run left
+ * 'running' by a server that stopped is marked failed when the job is next
+ * claimed, once running_since is older than STALE_RUN_MINUTES.
+ *
+ * Set SCHEDULER_ENABLED=false to keep an instance from running jobs on
+ * schedule; manual runs from the admin API still work.
+ */
+const db = require('../db');
+const { JOBS, JOBS_BY_NAME } = require('./jobs');
+const { nextRun } = require('./cron');
+
+const TICK_INTERVAL = 30000;
+const STALE_RUN_MINUTES = 60;
+
+let timer = null;
+let ticking = false;
+
+const jobError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+/**
+ * Claim a job for a run. Scheduled runs only claim due, unpaused jobs.
+ * @returns {Promise<Object|null>} the job row, or null if it is running or not due
+ */
+const claim = async (jobName, trigger) => {
+  const result = await db.query(
+    `UPDATE scheduled_jobs SET running_since = now()
+     WHERE job_name = $1
+       AND (running_since IS NULL OR running_since < now() - make_interval(mins => $2))
+       AND ($3 = 'manual' OR (NOT paused AND next_run_at <= now()))
+     RETURNING *`,
+    [jobName, STALE_RUN_MINUTES, trigger]
+  );
+  if (result.rows.length === 0) return null;
+
+  // Holding the claim means any run still marked running was interrupted
+  await db.query(
+    `UPDATE job_runs SET status = 'failed', finished_at = now(), error = 'Interrupted: the server stopped during the run'
+     WHERE job_name = $1 AND status = 'running'`,
+    [jobName]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Run a job now and record the run
+ * @param {string} jobName
+ * @param {Object} options - { trigger: 'schedule'|'manual', actor: user id of a manual run }
+ * @returns {Promise<Object|null>} the job_runs row; null when a scheduled run was not due
+ * @throws {Error} code JOB_NOT_FOUND, or JOB_RUNNING for a manual run of a running job
+ */
+const runJob = async (jobName, { trigger = 'manual', actor = null } = {}) => {
+  const job = JOBS_BY_NAME[jobName];
+  if (!job) {
+    throw jobError(`Job ${jobName} not found`, 'JOB_NOT_FOUND');
+  }
+
+  const row = await claim(jobName, trigger);
+  if (!row) {
+    if (trigger === 'manual') {
+      const exists = await db.query('SELECT 1 FROM scheduled_jobs WHERE job_name = $1', [jobName]);
+      throw exists.rows.length === 0
+        ? jobError(`Job ${jobName} not found`, 'JOB_NOT_FOUND')
+        : jobError(`Job ${jobName} is already running`, 'JOB_RUNNING');
+    }
+    return null;
+  }
+
+  try {
+    const started = await db.query(
+      'INSERT INTO job_runs (job_name, trigger, triggered_by) VALUES ($1, $2, $3) RETURNING run_id',
+      [jobName, trigger, actor]
+    );
+    const runId = started.rows[0].run_id;
+
+    let status = 'succeeded';
+    let result = null;
+    let error = null;
+    try {
+      result = await job.run(db);
+    } catch (err) {
+      console.error(`Job ${jobName} failed:`, err);
+      status = 'failed';
+      error = err.message;
+    }
+
+    const finished = await db.query(
+      `UPDATE job_runs SET status = $2, finished_at = now(), result = $3, error = $4
+       WHERE run_id = $1
+       RETURNING *`,
+      [runId, status, result, error]
+    );
+
+    return finished.rows[0];
+  } finally {
+    // Release the claim whatever happened above. Manual runs leave the schedule as it is
+    await db.query(
+      `UPDATE scheduled_jobs
+       SET running_since = NULL, next_run_at = COALESCE($2, next_run_at)
+       WHERE job_name = $1`,
+      [jobName, trigger === 'schedule' ? nextRun(row.schedule) : null]
+    );
+  }
+};
+
+/**
+ * Add rows for jobs missing from scheduled_jobs and give every job a next run
+ */
+const syncJobs = async () => {
+  for (const job of JOBS) {
+    await db.query(
+      'INSERT INTO scheduled_jobs (job_name, schedule) VALUES ($1, $2) ON CONFLICT (job_name) DO NOTHING',
+      [job.name, job.defaultSchedule]
+    );
+  }
+
+  const unscheduled = await db.query('SELECT job_name, schedule FROM scheduled_jobs WHERE next_run_at IS NULL');
+  for (const row of unscheduled.rows) {
+    try {
+      await db.query('UPDATE scheduled_jobs SET next_run_at = $2 WHERE job_name = $1', [row.job_name, nextRun(row.schedule)]);
+    } catch (err) {
+      console.error(`Invalid schedule for job ${row.job_name}:`, err.message);
+    }
+  }
+};
+
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const due = await db.query(
+      `SELECT job_name FROM scheduled_jobs
+       WHERE NOT paused AND next_run_at <= now() AND job_name = ANY($1)
+       ORDER BY next_run_at`,
+      [JOBS.map(job => job.name)]
+    );
+
+    // One failing job must not hold up the others
+    for (const { job_name: jobName } of due.rows) {
+      try {
+        await runJob(jobName, { trigger: 'schedule' });
+      } catch (err) {
+        console.error(`Scheduled run of job ${jobName} failed:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('Scheduler tick failed:', err.message);
+  } finally {
+    ticking = false;
+  }
+};
+
+/**
+ * Start running jobs on schedule. Safe to call more than once.
+ */
+const start = async () => {
+  if (timer || process.env.SCHEDULER_ENABLED === 'false') return;
+
+  timer = setInterval(tick, TICK_INTERVAL);
+
+  try {
+    await syncJobs();
+    console.log(`Job scheduler started (${JOBS.length} jobs)`);
+    tick();
+  } catch (err) {
+    console.error('Failed to start the job scheduler:', err.message);
+  }
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  runJob,
+  tick
+};
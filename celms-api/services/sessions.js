@@ -0,0 +1,189 @@
+/**
+ * Login sessions and tokens.
+ *
+ * Every login creates a row in `sessions`. The client gets a short-lived
+ * access token (JWT carrying the session id as `sid`) and an opaque refresh
+ * token. The refresh token is rotated on every use and only its SHA-256 is
+ * stored, so revoking the row ends the session for both: the auth middleware
+ * checks it on each request and /auth/refresh refuses it.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { closeStreams } = require('./realtime');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-key-for-testing-only-not-for-production';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+// Idle lifetime: each refresh pushes expiry this many days out
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+// A just-rotated token presented again within this window is most likely a
+// second tab racing the first, not a stolen token
+const ROTATION_GRACE_SECONDS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Sign an access token for a session
+ * @param {Object} user - { user_id, role, email }
+ * @param {string} sessionId - sessions.session_id
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    user: {
+      id: user.user_id,
+      role: user.role,
+      email: user.email
+    },
+    sid: sessionId
+  },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+/**
+ * Start a session after a successful login
+ * @param {Object} db - db module or transaction client
+ * @param {Object} user - { user_id, role, email }
+ * @param {Object} options - { userAgent, ip } recorded for the device list
+ * @returns {Object} { token, refreshToken, session }
+ */
+const createSession = async (db, user, { userAgent, ip } = {}) => {
+  const refreshToken = newRefreshToken();
+  const result = await db.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, now() + make_interval(days => $5))
+     RETURNING session_id, created_at, expires_at`,
+    [user.user_id, hashToken(refreshToken), userAgent || null, ip || null, REFRESH_TOKEN_DAYS]
+  );
+  const session = result.rows[0];
+
+  return {
+    token: signAccessToken(user, session.session_id),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Call inside a transaction. Returns { token, refreshToken, session } or
+ * { error: { code, message } }; a replayed token revokes its session, so
+ * commit in both cases.
+ * @param {Object} client - transaction client
+ * @param {string} refreshToken - token presented by the client
+ */
+const rotateSession = async (client, refreshToken) => {
+  const hash = hashToken(refreshToken);
+
+  const current = await client.query(
+    `SELECT s.session_id, s.revoked_at, s.expires_at <= now() AS expired,
+            u.user_id, u.role, u.email, u.is_active
+     FROM sessions s
+     JOIN users u ON u.user_id = s.user_id
+     WHERE s.refresh_token_hash = $1
+     FOR UPDATE OF s`,
+    [hash]
+  );
+
+  if (current.rows.length === 0) {
+    const replayed = await client.query(
+      `SELECT session_id, revoked_at,
+              rotated_at > now() - make_interval(secs => $2) AS within_grace
+       FROM sessions
+       WHERE previous_token_hash = $1
+       FOR UPDATE`,
+      [hash, ROTATION_GRACE_SECONDS]
+    );
+    const session = replayed.rows[0];
+
+    if (session && !session.revoked_at) {
+      if (session.within_grace) {
+        return { error: { code: 'REFRESH_TOKEN_ROTATED', message: 'Refresh token was already used' } };
+      }
+      await revokeSessions(client, { sessionId: session.session_id }, 'token_reuse');
+      return { error: { code: 'REFRESH_TOKEN_REUSED', message: 'Session ended because its refresh token was reused. Please log in again.' } };
+    }
+
+    return { error: { code: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token. Please log in again.' } };
+  }
+
+  const session = current.rows[0];
+
+  if (!session.is_active) {
+    return { error: { code: 'ACCOUNT_INACTIVE', message: 'This account has been deactivated' } };
+  }
+  if (session.revoked_at || session.expired) {
+    return { error: { code: 'SESSION_EXPIRED', message: 'Your session has ended. Please log in again.' } };
+  }
+
+  const nextToken = newRefreshToken();
+  const updated = await client.query(
+    `UPDATE sessions
+     SET previous_token_hash = refresh_token_hash,
+         refresh_token_hash = $2,
+         rotated_at = now(),
+         last_used_at = now(),
+         expires_at = now() + make_interval(days => $3)
+     WHERE session_id = $1
+     RETURNING session_id, created_at, expires_at`,
+    [session.session_id, hashToken(nextToken), REFRESH_TOKEN_DAYS]
+  );
+
+  return {
+    token: signAccessToken(session, session.session_id),
+    refreshToken: nextToken,
+    session: updated.rows[0]
+  };
+};
+
+/**
+ * Revoke sessions; returns how many were still active
+ * @param {Object} db - db module or transaction client
+ * @param {Object} target - { sessionId } for one session, or { userId, exceptSessionId } for a user's sessions
+ * @param {string} reason - sessions.revoked_reason
+ */
+const revokeSessions = async (db, { sessionId, userId, exceptSessionId = null }, reason) => {
+  const result = sessionId
+    ? await db.query(
+      `UPDATE sessions SET revoked_at = now(), revoked_reason = $2
+       WHERE session_id = $1 AND revoked_at IS NULL`,
+      [sessionId, reason]
+    )
+    : await db.query(
+      `UPDATE sessions SET revoked_at = now(), revoked_reason = $2
+       WHERE user_id = $1 AND revoked_at IS NULL
+         AND ($3::UUID IS NULL OR session_id <> $3::UUID)`,
+      [userId, reason, exceptSessionId]
+    );
+
+  // Live event streams of the revoked sessions end now, not at their next heartbeat
+  closeStreams({ sessionId, userId, exceptSessionId }, reason);
+
+  return result.rowCount;
+};
+
+/**
+ * A user's active sessions, most recently used first
+ * @param {Object} db - db module or transaction client
+ * @param {string} userId - session owner
+ */
+const listSessions = async (db, userId) => {
+  const result = await db.query(
+    `SELECT session_id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > now()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+
+  return result.rows;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSessions,
+  listSessions
+};
@@ -0,0 +1,323 @@
+/**
+ * Typed registry of the celms_settings keys.
+ *
+ * celms_settings stores every value as NUMERIC; this module describes what
+ * each key means (type, bounds, default, whether a category may override it)
+ * so the admin API can validate writes and the client can render a form.
+ * Defaults mirror the COALESCE fallbacks in the SQL functions.
+ */
+
+const ROLES = ['student', 'staff', 'technician', 'admin'];
+
+const SETTINGS = [
+  {
+    key: 'default_loan_days',
+    label: 'Loan length',
+    group: 'loans',
+    type: 'integer',
+    unit: 'days',
+    min: 1,
+    max: 365,
+    default: 7,
+    categoryOverride: true,
+    description: 'Days between checkout and the due date'
+  },
+  {
+    key: 'penalty_per_day_mad',
+    label: 'Late penalty',
+    group: 'loans',
+    type: 'decimal',
+    unit: 'MAD/day',
+    min: 0,
+    max: 10000,
+    default: 10,
+    categoryOverride: true,
+    description: 'Charged per started day when an item is returned late'
+  },
+  {
+    key: 'max_loan_renewals',
+    label: 'Renewal limit',
+    group: 'extensions',
+    type: 'integer',
+    unit: 'renewals',
+    min: 0,
+    max: 50,
+    default: 3,
+    categoryOverride: true,
+    description: 'Approved extensions allowed per loan'
+  },
+  {
+    key: 'max_extension_days',
+    label: 'Longest extension',
+    group: 'extensions',
+    type: 'integer',
+    unit: 'days',
+    min: 1,
+    max: 365,
+    default: 14,
+    categoryOverride: true,
+    description: 'Longest single extension a borrower may request'
+  },
+  {
+    key: 'extension_auto_approve_renewals',
+    label: 'Auto-approved renewals',
+    group: 'extensions',
+    type: 'integer',
+    unit: 'renewals',
+    min: 0,
+    max: 50,
+    default: 1,
+    description: 'Renewals granted without staff review'
+  },
+  {
+    key: 'extension_auto_approve_days',
+    label: 'Auto-approved extension length',
+    group: 'extensions',
+    type: 'integer',
+    unit: 'days',
+    min: 0,
+    max: 365,
+    default: 7,
+    description: 'Longest extension granted without staff review'
+  },
+  {
+    key: 'block_on_overdue_loans',
+    label: 'Block borrowers with overdue loans',
+    group: 'eligibility',
+    type: 'boolean',
+    default: true,
+    description: 'Users with an overdue loan cannot reserve or check out'
+  },
+  {
+    key: 'max_unpaid_penalty_mad',
+    label: 'Unpaid penalty allowance',
+    group: 'eligibility',
+    type: 'decimal',
+    unit: 'MAD',
+    min: 0,
+    max: 100000,
+    default: 0,
+    description: 'Outstanding penalty balance allowed before borrowing is blocked'
+  },
+  ...ROLES.map(role => ({
+    key: `max_active_loans_${role}`,
+    label: `Active loan limit (${role})`,
+    group: 'eligibility',
+    type: 'integer',
+    unit: 'loans',
+    min: 0,
+    max: 1000,
+    default: null,
+    nullable: true,
+    description: 'Concurrent loans and reservations; leave empty for no limit'
+  })),
+  {
+    key: 'password_min_length',
+    label: 'Minimum password length',
+    group: 'security',
+    type: 'integer',
+    unit: 'characters',
+    min: 6,
+    max: 128,
+    default: 8,
+    description: 'Applies to password changes and admin resets'
+  },
+  {
+    key: 'password_require_mixed_case',
+    label: 'Require upper and lower case',
+    group: 'security',
+    type: 'boolean',
+    default: true,
+    description: 'Passwords must contain both upper and lower case letters'
+  },
+  {
+    key: 'password_require_digit',
+    label: 'Require a digit',
+    group: 'security',
+    type: 'boolean',
+    default: true,
+    description: 'Passwords must contain at least one digit'
+  },
+  {
+    key: 'password_require_symbol',
+    label: 'Require a symbol',
+    group: 'security',
+    type: 'boolean',
+    default: false,
+    description: 'Passwords must contain at least one non-alphanumeric character'
+  },
+  {
+    key: 'login_max_failures',
+    label: 'Failed logins before lockout',
+    group: 'login',
+    type: 'integer',
+    unit: 'attempts',
+    min: 1,
+    max: 100,
+    default: 5,
+    description: 'Failed attempts for one email within the window that lock it temporarily'
+  },
+  {
+    key: 'login_failure_window_minutes',
+    label: 'Failure window',
+    group: 'login',
+    type: 'integer',
+    unit: 'minutes',
+    min: 1,
+    max: 1440,
+    default: 15,
+    description: 'How far back failed attempts are counted'
+  },
+  {
+    key: 'login_lockout_minutes',
+    label: 'Lockout length',
+    group: 'login',
+    type: 'integer',
+    unit: 'minutes',
+    min: 1,
+    max: 1440,
+    default: 15,
+    description: 'How long a locked account stays locked unless an administrator clears it'
+  },
+  {
+    key: 'login_max_delay_seconds',
+    label: 'Longest login delay',
+    group: 'login',
+    type: 'integer',
+    unit: 'seconds',
+    min: 0,
+    max: 30,
+    default: 8,
+    description: 'Each repeated failure doubles the wait before the next attempt, up to this; 0 disables delays'
+  },
+  {
+    key: 'login_ip_max_failures',
+    label: 'Failed logins per address',
+    group: 'login',
+    type: 'integer',
+    unit: 'attempts',
+    min: 1,
+    max: 10000,
+    default: 50,
+    description: 'Failed attempts from one IP address within the window before it is refused; keep it high enough for shared campus networks'
+  },
+  {
+    key: 'invitation_expiry_days',
+    label: 'Invitation validity',
+    group: 'invitations',
+    type: 'integer',
+    unit: 'days',
+    min: 1,
+    max: 90,
+    default: 7,
+    description: 'How long an invitation link can be used to set a password; resending issues a fresh link'
+  },
+  {
+    key: 'waitlist_hold_hours',
+    label: 'Waitlist offer hold',
+    group: 'reservations',
+    type: 'integer',
+    unit: 'hours',
+    min: 1,
+    max: 168,
+    default: 24,
+    description: 'How long a freed slot is held for the next waitlisted user before the offer passes on'
+  },
+  {
+    key: 'loan_reminder_hours',
+    label: 'Due date reminder',
+    group: 'reminders',
+    type: 'integer',
+    unit: 'hours',
+    min: 0,
+    max: 336,
+    default: 24,
+    description: 'How long before a loan is due the borrower is reminded; 0 turns the reminder off'
+  },
+  {
+    key: 'reservation_reminder_hours',
+    label: 'Pickup reminder',
+    group: 'reminders',
+    type: 'integer',
+    unit: 'hours',
+    min: 0,
+    max: 336,
+    default: 24,
+    description: 'How long before an approved reservation starts the user is reminded; 0 turns the reminder off'
+  },
+  {
+    key: 'email_notifications',
+    label: 'Email notifications',
+    group: 'email',
+    type: 'boolean',
+    default: true,
+    description: 'Also send each new notification to the user by email (needs SMTP settings on the server)'
+  }
+];
+
+const SETTINGS_BY_KEY = Object.fromEntries(SETTINGS.map(setting => [setting.key, setting]));
+
+/**
+ * Convert a stored NUMERIC (a string from pg) to the setting's type
+ */
+const fromStored = (setting, value) => {
+  if (value === null || value === undefined) return null;
+  return setting.type === 'boolean' ? Number(value) !== 0 : Number(value);
+};
+
+/**
+ * Validate an incoming value and return what to store
+ * (a number, or null to delete the key). Throws a ValidationError.
+ */
+const toStored = (setting, value) => {
+  const fail = (message) => {
+    const err = new Error(`${setting.key}: ${message}`);
+    err.name = 'ValidationError';
+    err.key = setting.key;
+    throw err;
+  };
+
+  if (value === null || value === '') {
+    if (!setting.nullable) fail('a value is required');
+    return null;
+  }
+
+  if (setting.type === 'boolean') {
+    if (typeof value !== 'boolean' && value !== 0 && value !== 1) fail('must be true or false');
+    return value ? 1 : 0;
+  }
+
+  const number = typeof value === 'number' ? value : Number(value);
+  if (typeof value === 'boolean' || !Number.isFinite(number)) fail('must be a number');
+  if (setting.type === 'integer' && !Number.isInteger(number)) fail('must be a whole number');
+  if (setting.type === 'decimal' && Math.abs(Math.round(number * 100) - number * 100) > 1e-9) fail('at most 2 decimal places');
+  if (number < setting.min || number > setting.max) fail(`must be between ${setting.min} and ${setting.max}`);
+
+  return number;
+};
+
+/**
+ * Load the current value of several settings, falling back to the registry defaults
+ * @param {Object} db - db module or transaction client
+ * @param {Object} names - { name: key }; the result is keyed by the same names
+ */
+const loadValues = async (db, names) => {
+  const result = await db.query(
+    'SELECT key, value FROM celms_settings WHERE key = ANY($1)',
+    [Object.values(names)]
+  );
+  const stored = Object.fromEntries(result.rows.map(row => [row.key, row.value]));
+
+  return Object.fromEntries(Object.entries(names).map(([name, key]) => {
+    const setting = SETTINGS_BY_KEY[key];
+    return [name, key in stored ? fromStored(setting, stored[key]) : setting.default];
+  }));
+};
+
+module.exports = {
+  SETTINGS,
+  SETTINGS_BY_KEY,
+  fromStored,
+  toStored,
+  loadValues
+};
@@ -0,0 +1,252 @@
+/**
+ * CSV user import: plan, then apply.
+ *
+ * Rows are matched to existing users by email (upsert). New emails become
+ * pending users with an invitation (see services/invitations.js); existing
+ * users get the non-empty fields from the file. Optionally, active users of
+ * the given roles that are missing from the file are deactivated, as at the
+ * start of a semester. planUserImport only reads, so it also serves as the
+ * dry run; applyUserImport writes a plan that has no errors.
+ */
+
+const {
+  ROLES,
+  getAllowedDomains,
+  validateInvitee,
+  createPendingUser,
+  issueInvitation
+} = require('./invitations');
+const { revokeSessions } = require('./sessions');
+
+const MAX_IMPORT_ROWS = 5000;
+const UPDATABLE_FIELDS = ['first_name', 'last_name', 'role', 'phone'];
+// Export-only columns that round-trip without complaint
+const READ_ONLY_COLUMNS = ['pending_invitation', 'last_login', 'created_at'];
+const KNOWN_COLUMNS = ['email', ...UPDATABLE_FIELDS, 'is_active', ...READ_ONLY_COLUMNS];
+
+const EMAIL_PATTERN = /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i; // matches chk_email_format
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true, 1: true, active: true,
+  false: false, no: false, 0: false, inactive: false
+};
+
+/**
+ * Work out what an import would do, without writing anything
+ * @param {Object} db - db module or transaction client
+ * @param {Object} parsed - from readCsvRecords
+ * @param {Object} options - { actorId, deactivateMissing, deactivateRoles }
+ * @returns {Object} { rows, deactivations, errors, ignoredColumns, summary }
+ */
+const planUserImport = async (db, { columns, records }, { actorId, deactivateMissing = false, deactivateRoles = ['student'] }) => {
+  const errors = [];
+
+  if (!columns.includes('email')) {
+    errors.push('The file must have an email column');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    errors.push(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+  }
+  if (errors.length > 0) {
+    return { rows: [], deactivations: [], errors, ignoredColumns: [], summary: null };
+  }
+
+  const existingResult = await db.query(
+    `SELECT user_id, email, first_name, last_name, role, phone, is_active
+     FROM users WHERE lower(email) = ANY($1::TEXT[])`,
+    [records.map(record => record.values.email.toLowerCase()).filter(Boolean)]
+  );
+  const existing = new Map(existingResult.rows.map(user => [user.email.toLowerCase(), user]));
+  const domains = await getAllowedDomains(db);
+  const seen = new Map();
+
+  const rows = records.map(({ line, values }) => {
+    const email = values.email;
+    const key = email.toLowerCase();
+    const user = existing.get(key);
+    const problems = [];
+
+    if (!EMAIL_PATTERN.test(email)) {
+      problems.push(email ? 'Invalid email format' : 'Email is required');
+    } else if (seen.has(key)) {
+      problems.push(`Duplicate of line ${seen.get(key)}`);
+    } else {
+      seen.set(key, line);
+    }
+    if (values.role && !ROLES.includes(values.role.toLowerCase())) {
+      problems.push(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    let isActive;
+    if (values.is_active) {
+      isActive = BOOLEAN_VALUES[values.is_active.toLowerCase()];
+      if (isActive === undefined) {
+        problems.push('is_active must be true or false');
+      }
+    }
+
+    const fields = {
+      first_name: values.first_name,
+      last_name: values.last_name,
+      role: values.role ? values.role.toLowerCase() : '',
+      phone: values.phone
+    };
+
+    if (!user) {
+      // New users need every field an invitation needs
+      if (problems.length === 0) {
+        problems.push(...validateInvitee({ ...fields, email, phone: fields.phone || null }, domains));
+      }
+      if (isActive === false) {
+        problems.push('New users cannot be imported as inactive');
+      }
+      return problems.length > 0
+        ? { line, email, action: 'error', problems }
+        : { line, email, action: 'create', values: { ...fields, email, phone: fields.phone || null } };
+    }
+
+    // Empty cells keep the current value
+    const changes = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (fields[field] && fields[field] !== (user[field] || '')) {
+        changes[field] = { from: user[field], to: fields[field] };
+      }
+    });
+    if (isActive !== undefined && isActive !== user.is_active) {
+      changes.is_active = { from: user.is_active, to: isActive };
+    }
+
+    if (user.user_id === actorId && (changes.role || changes.is_active)) {
+      problems.push('You cannot change your own role or status by import');
+    }
+
+    if (problems.length > 0) {
+      return { line, email, user_id: user.user_id, action: 'error', problems };
+    }
+    return {
+      line,
+      email: user.email,
+      user_id: user.user_id,
+      action: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+      changes
+    };
+  });
+
+  let deactivations = [];
+  if (deactivateMissing) {
+    const missing = await db.query(
+      `SELECT user_id, email, first_name, last_name, role
+       FROM users
+       WHERE is_active AND role = ANY($1::TEXT[]) AND user_id <> $2
+         AND NOT (lower(email) = ANY($3::TEXT[]))
+       ORDER BY last_name, first_name`,
+      [deactivateRoles, actorId, [...seen.keys()]]
+    );
+    deactivations = missing.rows;
+  }
+
+  // Keep at least one administrator able to log in
+  const admins = await db.query("SELECT user_id FROM users WHERE role = 'admin' AND is_active");
+  const losingAdmin = new Set([
+    ...rows.filter(row => row.changes?.role?.from === 'admin' || row.changes?.is_active?.to === false).map(row => row.user_id),
+    ...deactivations.map(user => user.user_id)
+  ]);
+  const gainingAdmin = rows.some(row => row.action === 'create' && row.values.role === 'admin');
+  if (!gainingAdmin && admins.rows.every(admin => losingAdmin.has(admin.user_id))) {
+    errors.push('The import would leave no active administrator');
+  }
+
+  const count = (action) => rows.filter(row => row.action === action).length;
+  return {
+    rows,
+    deactivations,
+    errors,
+    ignoredColumns: columns.filter(column => !KNOWN_COLUMNS.includes(column)),
+    summary: {
+      total: rows.length,
+      create: count('create'),
+      update: count('update'),
+      unchanged: count('unchanged'),
+      error: count('error'),
+      deactivate: deactivations.length
+    }
+  };
+};
+
+/**
+ * Write a plan with no errors. Every change is audited; new users get invitations.
+ * @param {Object} client - transaction client
+ * @param {Object} plan - from planUserImport
+ * @param {string} actorId - admin running the import
+ * @returns {Object[]} invitations for the created users (with invite_url)
+ */
+const applyUserImport = async (client, plan, actorId) => {
+  const invitations = [];
+
+  for (const row of plan.rows) {
+    if (row.action === 'create') {
+      const user = await createPendingUser(client, row.values);
+      invitations.push(await issueInvitation(client, user, actorId, { import: true }));
+    } else if (row.action === 'update') {
+      const { is_active: status, ...fieldChanges } = row.changes;
+      const fields = Object.keys(fieldChanges);
+
+      if (fields.length > 0) {
+        await client.query(
+          `UPDATE users SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')} WHERE user_id = $1`,
+          [row.user_id, ...fields.map(field => fieldChanges[field].to)]
+        );
+        await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+          actorId,
+          'user',
+          row.user_id,
+          'update',
+          { source: 'import', changes: fieldChanges }
+        ]);
+      }
+
+      if (fieldChanges.role?.to === 'technician') {
+        await client.query(
+          'INSERT INTO technicians (technician_id) VALUES ($1) ON CONFLICT DO NOTHING',
+          [row.user_id]
+        );
+      } else if (fieldChanges.role?.from === 'technician') {
+        await client.query('DELETE FROM technicians WHERE technician_id = $1', [row.user_id]);
+      }
+
+      if (status) {
+        await client.query(
+          'SELECT fn_toggle_user_status($1, $2, $3, FALSE, $4)',
+          [actorId, row.user_id, status.to, 'CSV import']
+        );
+        if (!status.to) {
+          await revokeSessions(client, { userId: row.user_id }, 'deactivated');
+        }
+      }
+    }
+  }
+
+  for (const user of plan.deactivations) {
+    await client.query(
+      'SELECT fn_toggle_user_status($1, $2, FALSE, FALSE, $3)',
+      [actorId, user.user_id, 'Not in the imported user list']
+    );
+    await revokeSessions(client, { userId: user.user_id }, 'deactivated');
+  }
+
+  await client.query('SELECT fn_audit($1, $2, $3, $4, $5)', [
+    actorId,
+    'user',
+    'import',
+    'import',
+    plan.summary
+  ]);
+
+  return invitations;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  planUserImport,
+  applyUserImport
+};
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePattern, expandPattern, generateAssetTags } = require('../services/assetTags');
+
+// Runs the tag query's regex against an in-memory list of asset tags
+const fakeDb = (tags) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push(text);
+      if (!text.includes('asset_tag ~')) return { rows: [] };
+      const matcher = new RegExp(params[0]);
+      const numbers = tags.map(tag => matcher.exec(tag)).filter(Boolean).map(match => parseInt(match[1], 10));
+      return { rows: [{ highest: numbers.length > 0 ? String(Math.max(...numbers)) : null }] };
+    }
+  };
+};
+
+describe('validatePattern', () => {
+  it('accepts patterns with one sequence placeholder', () => {
+    ['LAP-{seq:3}', 'CAM-{yyyy}-{seq:4}', '{yy}{seq}', 'X{seq:9}Y'].forEach(pattern => {
+      assert.equal(validatePattern(pattern), null, pattern);
+    });
+  });
+
+  it('explains what is wrong with a pattern', () => {
+    assert.equal(validatePattern(''), 'Pattern is required');
+    assert.equal(validatePattern(`${'A'.repeat(46)}{seq}`), 'Pattern must be 50 characters or less');
+    assert.equal(validatePattern('LAP-{n}'), 'Unknown placeholder {n}; use {seq}, {seq:N}, {yyyy} or {yy}');
+    assert.equal(validatePattern('LAP-{seq:0}'), 'Unknown placeholder {seq:0}; use {seq}, {seq:N}, {yyyy} or {yy}');
+    assert.equal(validatePattern('LAP-{yyyy}'), 'Pattern must contain {seq} or {seq:N} exactly once');
+    assert.equal(validatePattern('{seq}-{seq:2}'), 'Pattern must contain {seq} or {seq:N} exactly once');
+    assert.equal(validatePattern('LAP-{seq:3}}'), 'Pattern has an unmatched brace');
+  });
+});
+
+describe('expandPattern', () => {
+  it('fills in the year and splits around the sequence', () => {
+    const date = new Date(2026, 4, 1);
+    assert.deepEqual(expandPattern('CAM-{yyyy}-{seq:4}', date), { prefix: 'CAM-2026-', suffix: '', width: 4 });
+    assert.deepEqual(expandPattern('{yy}/{seq}/B', date), { prefix: '26/', suffix: '/B', width: 0 });
+  });
+});
+
+describe('generateAssetTags', () => {
+  const category = { category_id: 3, name: 'Laptops', asset_tag_pattern: 'LAP-{seq:3}' };
+
+  it('continues after the highest number in use', async () => {
+    const db = fakeDb(['LAP-001', 'LAP-101', 'LAP-XYZ', 'PRJ-500', 'LAP-0999-OLD']);
+    assert.deepEqual(await generateAssetTags(db, category, 3), ['LAP-102', 'LAP-103', 'LAP-104']);
+    // The category row is locked first so concurrent batches queue up
+    assert.match(db.queries[0], /FOR UPDATE/);
+  });
+
+  it('counts the tags already taken in the same batch', async () => {
+    assert.deepEqual(await generateAssetTags(fakeDb(['LAP-001']), category, 1, ['LAP-007', 'MON-900']), ['LAP-008']);
+  });
+
+  it('pads to the width and grows past it', async () => {
+    assert.deepEqual(await generateAssetTags(fakeDb([]), category, 1), ['LAP-001']);
+    assert.deepEqual(await generateAssetTags(fakeDb(['LAP-999']), category, 1), ['LAP-1000']);
+  });
+
+  it('treats pattern text literally, not as a regex', async () => {
+    const dotted = { ...category, asset_tag_pattern: 'A.B-{seq}' };
+    assert.deepEqual(await generateAssetTags(fakeDb(['AXB-50', 'A.B-4']), dotted, 1), ['A.B-5']);
+  });
+
+  it('needs a pattern', async () => {
+    await assert.rejects(generateAssetTags(fakeDb([]), { ...category, asset_tag_pattern: null }, 1), {
+      code: 'PATTERN_NOT_SET',
+      message: 'Category "Laptops" has no asset tag pattern'
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextRun, scheduleError } = require('../services/cron');
+
+// Schedules are in server time, so build dates in local time too
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+describe('parseCron', () => {
+  it('expands ranges, lists and steps', () => {
+    const cron = parseCron('0-30/15 8-18/2 1,15 * 1-5');
+    assert.deepEqual([...cron.minutes], [0, 15, 30]);
+    assert.deepEqual([...cron.hours], [8, 10, 12, 14, 16, 18]);
+    assert.deepEqual([...cron.daysOfMonth], [1, 15]);
+    assert.equal(cron.months.size, 12);
+    assert.deepEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+  });
+
+  it('runs a step after a single number to the end of the field', () => {
+    assert.deepEqual([...parseCron('5/15 * * * *').minutes], [5, 20, 35, 50]);
+  });
+
+  it('treats 7 as Sunday', () => {
+    assert.ok(parseCron('0 0 * * 7').daysOfWeek.has(0));
+  });
+
+  it('accepts the @ shorthands', () => {
+    assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+    assert.deepEqual(parseCron(' @weekly '), parseCron('0 0 * * 0'));
+  });
+
+  it('counts a day field starting with * as unrestricted', () => {
+    assert.equal(parseCron('0 0 * * 1').anyDayOfMonth, true);
+    assert.equal(parseCron('0 0 */2 * 1').anyDayOfMonth, true);
+    assert.equal(parseCron('0 0 1 * */2').anyDayOfWeek, true);
+    assert.equal(parseCron('0 0 1-31 * 1').anyDayOfMonth, false);
+  });
+
+  it('names the field that is wrong', () => {
+    const invalid = {
+      '0 8 * *': 'A schedule has five fields: minute hour day-of-month month day-of-week',
+      '60 * * * *': 'minute must be between 0 and 59',
+      '0 24 * * *': 'hour must be between 0 and 23',
+      '0 0 0 * *': 'day of month must be between 1 and 31',
+      '0 0 * 13 *': 'month must be between 1 and 12',
+      '0 0 * * 8': 'day of week must be between 0 and 7',
+      '*/0 * * * *': 'minute step must be between 1 and 59',
+      '0 18-8 * * *': 'Invalid hour range "18-8"',
+      'x * * * *': 'Invalid minute value "x"'
+    };
+    Object.entries(invalid).forEach(([expression, message]) => {
+      assert.throws(() => parseCron(expression), { name: 'ValidationError', message }, expression);
+    });
+  });
+});
+
+describe('nextRun', () => {
+  it('returns the next matching minute strictly after the given time', () => {
+    assert.deepEqual(nextRun('*/15 * * * *', at(2026, 10, 19, 9, 0)), at(2026, 10, 19, 9, 15));
+    assert.deepEqual(nextRun('*/15 * * * *', at(2026, 10, 19, 9, 7)), at(2026, 10, 19, 9, 15));
+    assert.deepEqual(nextRun('0 3 * * *', at(2026, 10, 19, 3, 0)), at(2026, 10, 20, 3, 0));
+  });
+
+  it('ignores seconds in the start time', () => {
+    const after = at(2026, 10, 19, 9, 14);
+    after.setSeconds(59, 999);
+    assert.deepEqual(nextRun('*/15 * * * *', after), at(2026, 10, 19, 9, 15));
+  });
+
+  it('rolls over days, months and years', () => {
+    // 2026-10-17 is a Saturday
+    assert.deepEqual(nextRun('0 8 * * 1-5', at(2026, 10, 17, 12, 0)), at(2026, 10, 19, 8, 0));
+    assert.deepEqual(nextRun('@monthly', at(2026, 10, 19)), at(2026, 11, 1));
+    assert.deepEqual(nextRun('@yearly', at(2026, 10, 19)), at(2027, 1, 1));
+    assert.deepEqual(nextRun('0 0 29 2 *', at(2026, 3, 1)), at(2028, 2, 29));
+  });
+
+  it('runs on either day when both day fields are restricted', () => {
+    // The 1st of the month or any Monday; 2026-10-19 is a Monday, 2026-11-01 a Sunday
+    const schedule = parseCron('0 9 1 * 1');
+    assert.deepEqual(nextRun(schedule, at(2026, 10, 19, 10, 0)), at(2026, 10, 26, 9, 0));
+    assert.deepEqual(nextRun(schedule, at(2026, 10, 26, 10, 0)), at(2026, 11, 1, 9, 0));
+  });
+
+  it('treats */N in a day field as unrestricted, as in classic cron', () => {
+    // Mondays only: the day-of-month step does not add the odd days
+    assert.deepEqual(nextRun('0 9 */2 * 1', at(2026, 10, 19, 10, 0)), at(2026, 10, 26, 9, 0));
+  });
+
+  it('returns null for a schedule that never fires', () => {
+    assert.equal(nextRun('0 0 31 2 *', at(2026, 1, 1)), null);
+  });
+});
+
+describe('scheduleError', () => {
+  it('explains schedules the admin API rejects', () => {
+    assert.equal(scheduleError('*/5 * * * *'), null);
+    assert.equal(scheduleError(''), 'schedule is required');
+    assert.equal(scheduleError(null), 'schedule is required');
+    assert.equal(scheduleError('0 0 30 2 *'), 'This schedule never runs');
+    assert.equal(scheduleError('61 * * * *'), 'minute must be between 0 and 59');
+  });
+});
@@ -0,0 +1,196 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Pool } = require('pg');
+const { checkEligibility, eligibilityErrorResponse } = require('../services/eligibility');
+
+describe('eligibilityErrorResponse', () => {
+  it('maps a fn_assert_eligible error to a 409 body with its reasons', () => {
+    const reasons = [
+      { code: 'OVERDUE_LOANS', message: 'Return 1 overdue item(s) before borrowing again', count: 1 },
+      { code: 'LOAN_LIMIT', message: 'Student accounts may hold at most 3 item(s) at a time', limit: 3, current: 3 }
+    ];
+    const err = Object.assign(new Error('User is not eligible to borrow this item'), { detail: JSON.stringify(reasons) });
+
+    assert.deepEqual(eligibilityErrorResponse(err), {
+      success: false,
+      error: 'Conflict',
+      code: 'NOT_ELIGIBLE',
+      message: 'Return 1 overdue item(s) before borrowing again; Student accounts may hold at most 3 item(s) at a time',
+      reasons
+    });
+  });
+
+  it('leaves other errors to the caller', () => {
+    assert.equal(eligibilityErrorResponse(new Error('Item 4 is not available')), null);
+  });
+});
+
+// The rules themselves live in fn_check_eligibility, so these run against
+// the schema when a database is configured (as in CI) and skip otherwise.
+// Each test works in a transaction that is rolled back.
+const DB_CONFIGURED = Boolean(process.env.DB_HOST || process.env.PGHOST);
+
+describe('fn_check_eligibility', { skip: !DB_CONFIGURED && 'no database configured' }, () => {
+  let pool;
+  let client;
+  let fixture;
+
+  const reasonCodes = async (userId, itemId = fixture.itemId, options = {}) => (
+    (await checkEligibility(client, { userId, itemId, ...options })).map(reason => reason.code)
+  );
+
+  const addLoan = async (userId, itemId, { checkoutDaysAgo = 1, dueInDays = 6 } = {}) => {
+    const result = await client.query(
+      `INSERT INTO loans (item_id, user_id, checkout_at, due_at)
+       VALUES ($1, $2, now() - make_interval(days => $3), now() + make_interval(days => $4))
+       RETURNING loan_id`,
+      [itemId, userId, checkoutDaysAgo, dueInDays]
+    );
+    return result.rows[0].loan_id;
+  };
+
+  before(() => {
+    pool = new Pool({
+      host: process.env.DB_HOST || process.env.PGHOST,
+      port: Number(process.env.DB_PORT || process.env.PGPORT || 5432),
+      database: process.env.DB_NAME || process.env.PGDATABASE,
+      user: process.env.DB_USER || process.env.PGUSER,
+      password: process.env.DB_PASSWORD || process.env.PGPASSWORD
+    });
+  });
+
+  after(() => pool.end());
+
+  beforeEach(async () => {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    // Pin the policy these tests rely on
+    await client.query(
+      `INSERT INTO celms_settings (key, value) VALUES
+         ('block_on_overdue_loans', 1), ('max_unpaid_penalty_mad', 0),
+         ('max_active_loans_student', 2), ('max_active_loans_staff', 5)
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`
+    );
+
+    const users = await client.query(
+      `INSERT INTO users (role, first_name, last_name, email) VALUES
+         ('student', 'Eli', 'Student', 'eligibility.student@test.local'),
+         ('staff', 'Eli', 'Staff', 'eligibility.staff@test.local')
+       RETURNING user_id`
+    );
+    const category = await client.query(
+      "INSERT INTO equipment_categories (name) VALUES ('Eligibility Test Drones') RETURNING category_id"
+    );
+    const model = await client.query(
+      "INSERT INTO equipment_models (category_id, brand, model_name) VALUES ($1, 'Test', 'Eligibility Drone') RETURNING model_id",
+      [category.rows[0].category_id]
+    );
+    const items = await client.query(
+      `INSERT INTO equipment_items (model_id, asset_tag, status) VALUES
+         ($1, 'ELIG-001', 'available'), ($1, 'ELIG-002', 'available'), ($1, 'ELIG-003', 'available')
+       RETURNING item_id`,
+      [model.rows[0].model_id]
+    );
+
+    fixture = {
+      studentId: users.rows[0].user_id,
+      staffId: users.rows[1].user_id,
+      categoryId: category.rows[0].category_id,
+      itemId: items.rows[0].item_id,
+      otherItemIds: items.rows.slice(1).map(row => row.item_id)
+    };
+  });
+
+  afterEach(async () => {
+    await client.query('ROLLBACK');
+    client.release();
+  });
+
+  it('lets a user in good standing borrow', async () => {
+    assert.deepEqual(await reasonCodes(fixture.studentId), []);
+  });
+
+  it('refuses deactivated accounts', async () => {
+    await client.query('UPDATE users SET is_active = false WHERE user_id = $1', [fixture.studentId]);
+    assert.deepEqual(await reasonCodes(fixture.studentId), ['ACCOUNT_INACTIVE']);
+  });
+
+  it('blocks borrowing while a loan is overdue, unless the setting is off', async () => {
+    await addLoan(fixture.studentId, fixture.otherItemIds[0], { checkoutDaysAgo: 10, dueInDays: -3 });
+
+    const [reason] = await checkEligibility(client, { userId: fixture.studentId, itemId: fixture.itemId });
+    assert.equal(reason.code, 'OVERDUE_LOANS');
+    assert.equal(reason.count, 1);
+
+    await client.query("UPDATE celms_settings SET value = 0 WHERE key = 'block_on_overdue_loans'");
+    assert.deepEqual(await reasonCodes(fixture.studentId), []);
+  });
+
+  it('blocks unpaid penalties above the allowed balance, but not disputed ones', async () => {
+    const loanId = await addLoan(fixture.studentId, fixture.otherItemIds[0]);
+    const penalty = await client.query(
+      "INSERT INTO penalties (loan_id, user_id, amount_mad, reason) VALUES ($1, $2, 30, 'Late return') RETURNING penalty_id",
+      [loanId, fixture.studentId]
+    );
+
+    const [reason] = await checkEligibility(client, { userId: fixture.studentId, itemId: fixture.itemId });
+    assert.equal(reason.code, 'UNPAID_PENALTIES');
+    assert.equal(Number(reason.balance), 30);
+
+    await client.query("UPDATE celms_settings SET value = 30 WHERE key = 'max_unpaid_penalty_mad'");
+    assert.deepEqual(await reasonCodes(fixture.studentId), []);
+
+    await client.query("UPDATE celms_settings SET value = 0 WHERE key = 'max_unpaid_penalty_mad'");
+    await client.query("UPDATE penalties SET status = 'disputed' WHERE penalty_id = $1", [penalty.rows[0].penalty_id]);
+    assert.deepEqual(await reasonCodes(fixture.studentId), []);
+  });
+
+  it('counts active loans and overlapping reservations against the role quota', async () => {
+    await addLoan(fixture.studentId, fixture.otherItemIds[0]);
+    const reservation = await client.query(
+      `INSERT INTO reservations (item_id, user_id, period, status)
+       VALUES ($1, $2, tstzrange(now() + interval '1 day', now() + interval '3 days', '[)'), 'approved')
+       RETURNING reservation_id`,
+      [fixture.otherItemIds[1], fixture.studentId]
+    );
+    const reservationId = reservation.rows[0].reservation_id;
+
+    const [reason] = await checkEligibility(client, { userId: fixture.studentId, itemId: fixture.itemId });
+    assert.equal(reason.code, 'LOAN_LIMIT');
+    assert.deepEqual([reason.limit, reason.current], [2, 2]);
+
+    // Checking out that reservation does not count it twice
+    assert.deepEqual(await reasonCodes(fixture.studentId, fixture.otherItemIds[1], { reservationId }), []);
+    // Neither does a period the reservation does not overlap
+    assert.deepEqual(await reasonCodes(fixture.studentId, fixture.itemId, {
+      start: new Date(Date.now() + 10 * 86400000).toISOString(),
+      end: new Date(Date.now() + 12 * 86400000).toISOString()
+    }), []);
+    // Other roles have their own quota
+    await addLoan(fixture.staffId, fixture.otherItemIds[1]);
+    assert.deepEqual(await reasonCodes(fixture.staffId), []);
+  });
+
+  it('applies category restrictions to the restricted roles only', async () => {
+    await client.query("INSERT INTO category_role_restrictions (category_id, role) VALUES ($1, 'student')", [fixture.categoryId]);
+
+    const [reason] = await checkEligibility(client, { userId: fixture.studentId, itemId: fixture.itemId });
+    assert.equal(reason.code, 'CATEGORY_RESTRICTED');
+    assert.equal(reason.category, 'Eligibility Test Drones');
+    assert.deepEqual(await reasonCodes(fixture.staffId), []);
+    // Without an item only the account-wide rules apply
+    assert.deepEqual(await reasonCodes(fixture.studentId, null), []);
+  });
+
+  it('reports every failed rule through fn_assert_eligible', async () => {
+    await client.query('UPDATE users SET is_active = false WHERE user_id = $1', [fixture.studentId]);
+    await client.query("INSERT INTO category_role_restrictions (category_id, role) VALUES ($1, 'student')", [fixture.categoryId]);
+
+    const err = await client.query('SELECT fn_assert_eligible($1, $2)', [fixture.studentId, fixture.itemId])
+      .then(() => null, caught => caught);
+    const body = eligibilityErrorResponse(err);
+
+    assert.equal(body.code, 'NOT_ELIGIBLE');
+    assert.deepEqual(body.reasons.map(reason => reason.code), ['ACCOUNT_INACTIVE', 'CATEGORY_RESTRICTED']);
+  });
+});
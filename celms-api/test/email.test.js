@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TEMPLATES, renderEmail } = require('../services/emailTemplates');
+const { MAX_ATTEMPTS, backoffMinutes, isConfigured, deliverPending } = require('../services/mailer');
+
+const ORIGIN = process.env.CLIENT_ORIGIN || 'http://localhost:3000';
+
+describe('renderEmail', () => {
+  it('uses the template of the notification type', () => {
+    const email = renderEmail(
+      { type: 'loan', payload: { message: 'Your loan is due tomorrow', asset_tag: 'LAP-001', due_date: '2026-10-20T16:00:00.000Z' } },
+      { first_name: 'Youssef' }
+    );
+
+    assert.equal(email.subject, '[CELMS] Loan update – LAP-001');
+    assert.equal(email.text.split('\n').slice(0, 6).join('\n'), [
+      'Hello Youssef,',
+      '',
+      'Your loan is due tomorrow',
+      '',
+      'Asset tag: LAP-001',
+      'Due: 2026-10-20 16:00 UTC'
+    ].join('\n'));
+    assert.ok(email.text.includes(`View your loans: ${ORIGIN}/loans`));
+    assert.match(email.html, /<h2[^>]*>Your loan<\/h2>/);
+    assert.ok(email.html.includes(`<a href="${ORIGIN}/loans"`));
+  });
+
+  it('shows a reservation period and leaves out empty details', () => {
+    const { text } = renderEmail({
+      type: 'reservation',
+      payload: { message: 'Approved', period: { start: '2026-10-21T08:00:00Z', end: '2026-10-22T08:00:00Z' }, reason: '' }
+    });
+
+    assert.match(text, /^Hello,\n/);
+    assert.match(text, /Starts: 2026-10-21 08:00 UTC\nEnds: 2026-10-22 08:00 UTC/);
+    assert.doesNotMatch(text, /Reason/);
+  });
+
+  it('falls back to the system template and its heading', () => {
+    const email = renderEmail({ type: 'unknown', payload: null });
+    assert.equal(email.subject, `[CELMS] ${TEMPLATES.system.subject}`);
+    assert.match(email.text, /\nMessage from CELMS\n/);
+  });
+
+  it('escapes payload values in the HTML part', () => {
+    const { html, text } = renderEmail(
+      { type: 'maintenance', payload: { message: '<script>alert("x")</script>', reason: "Tom's & Jerry's" } },
+      { first_name: '<b>Eve</b>' }
+    );
+
+    assert.doesNotMatch(html, /<script>|<b>Eve/);
+    assert.match(html, /&lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt;/);
+    assert.match(html, /Tom&#39;s &amp; Jerry&#39;s/);
+    assert.match(text, /<script>alert\("x"\)<\/script>/);
+  });
+});
+
+describe('mailer', () => {
+  it('doubles the retry delay up to an hour', () => {
+    assert.deepEqual([0, 1, 2, 3, 4, 5, 6, 7, MAX_ATTEMPTS].map(backoffMinutes), [1, 1, 2, 4, 8, 16, 32, 60, 60]);
+  });
+
+  it('leaves email queued when SMTP is not configured', async () => {
+    const host = process.env.SMTP_HOST;
+    delete process.env.SMTP_HOST;
+    try {
+      assert.equal(isConfigured(), false);
+      const db = { query: async () => assert.fail('no query expected') };
+      assert.deepEqual(await deliverPending(db), { configured: false });
+    } finally {
+      if (host !== undefined) process.env.SMTP_HOST = host;
+    }
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { verifyInvitationToken, validateInvitee, issueInvitation } = require('../services/invitations');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-key-for-testing-only-not-for-production';
+
+const sign = (payload, options = { expiresIn: 3600 }, secret = JWT_SECRET) => jwt.sign(payload, secret, options);
+
+// Answers the queries issueInvitation makes for one invitation
+const fakeClient = (expiresAt) => ({
+  query: async (text, params) => {
+    if (text.includes('FROM celms_settings')) return { rows: [] };
+    if (text.includes('INSERT INTO invitations')) {
+      return { rows: [{ invitation_id: '42', user_id: params[0], invited_by: params[1], created_at: new Date(), expires_at: expiresAt }] };
+    }
+    return { rows: [] };
+  }
+});
+
+const INVITEE = { email: 'new.student@uni.local', first_name: 'New', last_name: 'Student', role: 'student' };
+
+describe('verifyInvitationToken', () => {
+  it('accepts the token in an issued invitation link', async () => {
+    const expiresAt = new Date(Date.now() + 7 * 24 * 3600 * 1000);
+    const invitation = await issueInvitation(fakeClient(expiresAt), { user_id: 'user-9', email: INVITEE.email, role: 'student' }, 'admin-1');
+    const token = new URL(invitation.invite_url).searchParams.get('token');
+
+    assert.deepEqual(verifyInvitationToken(token), { invitationId: '42' });
+    // The token lapses with the row, not before or long after it
+    const { exp } = jwt.decode(token);
+    assert.ok(Math.abs(exp * 1000 - expiresAt.getTime()) < 5000);
+  });
+
+  it('rejects tokens made for another purpose', () => {
+    const loginToken = sign({ user: { id: 'user-1', role: 'admin' }, sid: 'session-1' });
+    assert.deepEqual(verifyInvitationToken(loginToken), { error: 'INVALID_INVITATION' });
+    assert.deepEqual(verifyInvitationToken(sign({ purpose: 'invitation', inv: '1 OR 1=1' })), { error: 'INVALID_INVITATION' });
+  });
+
+  it('rejects tampered tokens and tokens signed with another secret', () => {
+    const [header, , signature] = sign({ purpose: 'invitation', inv: '42' }).split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ purpose: 'invitation', inv: '1' })).toString('base64url');
+
+    assert.deepEqual(verifyInvitationToken(`${header}.${forgedPayload}.${signature}`), { error: 'INVALID_INVITATION' });
+    assert.deepEqual(verifyInvitationToken(sign({ purpose: 'invitation', inv: '42' }, undefined, 'another-secret')), { error: 'INVALID_INVITATION' });
+    assert.deepEqual(verifyInvitationToken(sign({ purpose: 'invitation', inv: '42' }, { algorithm: 'none' }, null)), { error: 'INVALID_INVITATION' });
+  });
+
+  it('reports expired tokens separately', () => {
+    const expired = sign({ purpose: 'invitation', inv: '42', exp: Math.floor(Date.now() / 1000) - 60 }, {});
+    assert.deepEqual(verifyInvitationToken(expired), { error: 'INVITATION_EXPIRED' });
+  });
+
+  it('rejects missing and malformed tokens', () => {
+    [undefined, null, '', 'not-a-jwt', ['a', 'b']].forEach(token => {
+      assert.deepEqual(verifyInvitationToken(token), { error: 'INVALID_INVITATION' });
+    });
+  });
+});
+
+describe('validateInvitee', () => {
+  it('accepts a complete invitee on an allowed domain', () => {
+    assert.deepEqual(validateInvitee(INVITEE, ['uni.local']), []);
+    assert.deepEqual(validateInvitee({ ...INVITEE, email: 'New.Student@UNI.LOCAL' }, ['uni.local']), []);
+  });
+
+  it('allows any domain when none are configured', () => {
+    assert.deepEqual(validateInvitee({ ...INVITEE, email: 'someone@example.com' }, []), []);
+  });
+
+  it('rejects other domains, including look-alike ones', () => {
+    ['someone@example.com', 'someone@evil-uni.local', 'someone@uni.local.evil.com'].forEach(email => {
+      assert.deepEqual(validateInvitee({ ...INVITEE, email }, ['uni.local']), ['Email domain is not allowed (allowed: @uni.local)']);
+    });
+  });
+
+  it('lists every problem with a row', () => {
+    assert.deepEqual(validateInvitee({ email: 'nope', first_name: ' ', role: 'superuser', phone: 5 }, []), [
+      'A valid email is required',
+      'First name is required',
+      'Last name is required',
+      'Role must be one of: student, staff, technician, admin',
+      'Phone must be text'
+    ]);
+  });
+});
@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildListQuery, runListQuery } = require('../services/listQuery');
+
+const SPEC = {
+  from: 'v_loans v',
+  select: 'v.*',
+  idColumn: 'v.loan_id',
+  status: 'v.status',
+  filters: {
+    user_id: 'v.user_id',
+    item_id: { column: 'v.item_id', type: 'integer' },
+    assigned_to: { column: 'v.assigned_to', type: 'uuid', none: 'unassigned' }
+  },
+  searchColumns: ['v.asset_tag'],
+  dateFields: { checkout_at: 'v.checkout_at' },
+  sortable: { checkout_at: 'v.checkout_at', return_at: 'v.return_at' },
+  defaultSort: '-checkout_at'
+};
+
+// Stands in for db: answers the count query, then the list query
+const fakeDb = (total, rows) => ({
+  query: async (text) => ({ rows: text.startsWith('SELECT COUNT(*)') ? [{ count: String(total) }] : rows })
+});
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('buildListQuery', () => {
+  it('uses the default sort with the id as tie-breaker', () => {
+    const built = buildListQuery({}, SPEC);
+    assert.match(built.text, /ORDER BY v\.checkout_at DESC NULLS LAST, v\.loan_id DESC/);
+    assert.equal(built.sortParam, '-checkout_at');
+    assert.equal(built.limit, 50);
+    assert.equal(built.offset, 0);
+  });
+
+  it('sorts ascending on a whitelisted key', () => {
+    const built = buildListQuery({ sort: 'return_at' }, SPEC);
+    assert.match(built.text, /ORDER BY v\.return_at ASC NULLS LAST, v\.loan_id ASC/);
+  });
+
+  it('rejects sort keys that are not whitelisted', () => {
+    assert.throws(
+      () => buildListQuery({ sort: '-amount; DROP TABLE loans' }, SPEC),
+      { name: 'ValidationError', message: /Invalid sort key: amount; DROP TABLE loans/ }
+    );
+  });
+
+  it('rejects repeated list parameters and filters', () => {
+    assert.throws(() => buildListQuery({ sort: ['checkout_at', '-checkout_at'] }, SPEC),
+      { name: 'ValidationError', message: 'sort must be given once, as a single value' });
+    assert.throws(() => buildListQuery({ user_id: ['a', 'b'] }, SPEC),
+      { name: 'ValidationError', message: 'user_id must be given once, as a single value' });
+  });
+
+  it('clamps the limit and computes the offset from page', () => {
+    assert.equal(buildListQuery({ limit: '1000' }, SPEC).limit, 200);
+    assert.equal(buildListQuery({ limit: '0' }, SPEC).limit, 50);
+    assert.equal(buildListQuery({ limit: '20', page: '3' }, SPEC).offset, 40);
+  });
+
+  it('parameterises filters, search and the status list', () => {
+    const built = buildListQuery({ status: 'active,overdue', user_id: 'u1', q: ' LAP ' }, SPEC);
+    assert.deepEqual(built.countParams, [['active', 'overdue'], 'u1', '%LAP%']);
+    assert.match(built.countText, /v\.status = ANY\(\$1::TEXT\[\]\) AND v\.user_id = \$2/);
+  });
+
+  it('type-checks id filters', () => {
+    const uuid = '0b6f6a52-6c1f-4f7e-9d5e-2a7c1e0c9b11';
+    const built = buildListQuery({ item_id: '12', assigned_to: uuid }, SPEC);
+    assert.match(built.countText, /v\.item_id = \$1 AND v\.assigned_to = \$2/);
+    assert.deepEqual(built.countParams, ['12', uuid]);
+    assert.match(buildListQuery({ assigned_to: 'unassigned' }, SPEC).countText, /v\.assigned_to IS NULL/);
+
+    assert.throws(() => buildListQuery({ item_id: 'abc' }, SPEC),
+      { name: 'ValidationError', message: 'item_id must be a positive integer' });
+    assert.throws(() => buildListQuery({ item_id: '-1' }, SPEC), { name: 'ValidationError' });
+    assert.throws(() => buildListQuery({ item_id: '99999999999999999999' }, SPEC), { name: 'ValidationError' });
+    assert.throws(() => buildListQuery({ assigned_to: 'foo' }, SPEC),
+      { name: 'ValidationError', message: 'assigned_to must be a UUID or unassigned' });
+  });
+
+  it('rejects invalid dates', () => {
+    assert.throws(() => buildListQuery({ from: 'yesterday' }, SPEC), { name: 'ValidationError', message: 'Invalid from date' });
+  });
+
+  describe('cursor', () => {
+    it('continues after the cursor row in the sort direction', () => {
+      const built = buildListQuery({ cursor: encode({ s: '-checkout_at', k: '2025-09-01 10:00:00+00', id: '42' }) }, SPEC);
+      assert.equal(built.cursorMode, true);
+      assert.equal(built.offset, 0);
+      assert.doesNotMatch(built.text, /OFFSET/);
+      assert.match(built.text, /v\.checkout_at < \$2\s+OR \(v\.checkout_at = \$2 AND v\.loan_id < \$1\)\s+OR v\.checkout_at IS NULL/);
+      assert.deepEqual(built.params, ['42', '2025-09-01 10:00:00+00', 51]);
+    });
+
+    it('pages through the NULLS LAST tail by id alone', () => {
+      const built = buildListQuery({ sort: 'return_at', cursor: encode({ s: 'return_at', k: null, id: 7 }) }, SPEC);
+      assert.match(built.text, /\(v\.return_at IS NULL AND v\.loan_id > \$1\)/);
+      assert.deepEqual(built.params.slice(0, 1), [7]);
+    });
+
+    it('rejects a cursor made for another sort order', () => {
+      assert.throws(
+        () => buildListQuery({ sort: 'return_at', cursor: encode({ s: '-checkout_at', k: 'x', id: 1 }) }, SPEC),
+        { name: 'ValidationError', message: 'Cursor does not match the requested sort order' }
+      );
+    });
+
+    it('rejects malformed cursors', () => {
+      ['not base64 json', encode([1, 2]), encode({ s: '-checkout_at', k: {}, id: 1 }), encode({ s: '-checkout_at', k: 'x' })]
+        .forEach(cursor => assert.throws(() => buildListQuery({ cursor }, SPEC), { name: 'ValidationError', message: 'Invalid cursor' }));
+    });
+  });
+});
+
+describe('runListQuery', () => {
+  it('returns a next_cursor that resumes after the last row', async () => {
+    const rows = [
+      { loan_id: 3, _sort_value: '2025-09-03 09:00:00.123456+00', _sort_id: '3' },
+      { loan_id: 2, _sort_value: '2025-09-02 09:00:00+00', _sort_id: '2' },
+      { loan_id: 1, _sort_value: null, _sort_id: '1' }
+    ];
+    const list = await runListQuery(fakeDb(3, rows), { limit: '2' }, SPEC, 'loans');
+
+    assert.equal(list.total, 3);
+    assert.equal(list.count, 2);
+    assert.deepEqual(list.loans, [{ loan_id: 3 }, { loan_id: 2 }]);
+
+    const next = buildListQuery({ limit: '2', cursor: list.next_cursor }, SPEC);
+    assert.deepEqual(next.params.slice(0, 2), ['2', '2025-09-02 09:00:00+00']);
+  });
+
+  it('has no next_cursor on the last page', async () => {
+    const list = await runListQuery(fakeDb(1, [{ loan_id: 1, _sort_value: null, _sort_id: '1' }]), {}, SPEC, 'loans');
+    assert.equal(list.next_cursor, null);
+    assert.equal(list.offset, 0);
+  });
+});
@@ -0,0 +1,198 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Pool } = require('pg');
+
+// The renewal policy lives in fn_request_loan_extension and
+// fn_approve_loan_extension, so these run against the schema when a database
+// is configured (as in CI) and skip otherwise. Each test works in a
+// transaction that is rolled back.
+const DB_CONFIGURED = Boolean(process.env.DB_HOST || process.env.PGHOST);
+
+describe('loan extension policy', { skip: !DB_CONFIGURED && 'no database configured' }, () => {
+  let pool;
+  let client;
+  let fixture;
+
+  // Run a statement that may raise without aborting the test's transaction
+  const attempt = async (text, params) => {
+    await client.query('SAVEPOINT attempt');
+    try {
+      const result = await client.query(text, params);
+      await client.query('RELEASE SAVEPOINT attempt');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK TO SAVEPOINT attempt');
+      throw err;
+    }
+  };
+
+  // Ask for the loan's due date to move `days` days past its current one
+  const requestExtension = async (days) => {
+    const result = await attempt(
+      `SELECT fn_request_loan_extension($1, $2, due_at + make_interval(days => $3), 'Project deadline') AS extension_id
+       FROM loans WHERE loan_id = $2`,
+      [fixture.studentId, fixture.loanId, days]
+    );
+    return result.rows[0].extension_id;
+  };
+
+  const extension = async (extensionId) => (await client.query(
+    'SELECT status, auto_approved, decided_by, previous_due_at, requested_due_at FROM loan_extensions WHERE extension_id = $1',
+    [extensionId]
+  )).rows[0];
+
+  const dueAt = async () => (await client.query('SELECT due_at FROM loans WHERE loan_id = $1', [fixture.loanId])).rows[0].due_at;
+
+  const reserveItem = (startInDays, endInDays) => client.query(
+    `INSERT INTO reservations (item_id, user_id, period, status)
+     VALUES ($1, $2, tstzrange(now() + make_interval(days => $3), now() + make_interval(days => $4), '[)'), 'approved')`,
+    [fixture.itemId, fixture.otherStudentId, startInDays, endInDays]
+  );
+
+  before(() => {
+    pool = new Pool({
+      host: process.env.DB_HOST || process.env.PGHOST,
+      port: Number(process.env.DB_PORT || process.env.PGPORT || 5432),
+      database: process.env.DB_NAME || process.env.PGDATABASE,
+      user: process.env.DB_USER || process.env.PGUSER,
+      password: process.env.DB_PASSWORD || process.env.PGPASSWORD
+    });
+  });
+
+  after(() => pool.end());
+
+  beforeEach(async () => {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    // Pin the policy these tests rely on
+    await client.query(
+      `INSERT INTO celms_settings (key, value) VALUES
+         ('max_loan_renewals', 2), ('max_extension_days', 14),
+         ('extension_auto_approve_renewals', 1), ('extension_auto_approve_days', 7)
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value`
+    );
+
+    const users = await client.query(
+      `INSERT INTO users (role, first_name, last_name, email) VALUES
+         ('student', 'Ext', 'Borrower', 'extension.borrower@test.local'),
+         ('student', 'Ext', 'Next', 'extension.next@test.local'),
+         ('technician', 'Ext', 'Tech', 'extension.tech@test.local')
+       RETURNING user_id`
+    );
+    await client.query('INSERT INTO technicians (technician_id) VALUES ($1)', [users.rows[2].user_id]);
+    const category = await client.query(
+      "INSERT INTO equipment_categories (name) VALUES ('Extension Test Projectors') RETURNING category_id"
+    );
+    const model = await client.query(
+      "INSERT INTO equipment_models (category_id, brand, model_name) VALUES ($1, 'Test', 'Extension Projector') RETURNING model_id",
+      [category.rows[0].category_id]
+    );
+    const item = await client.query(
+      "INSERT INTO equipment_items (model_id, asset_tag, status) VALUES ($1, 'EXT-001', 'checked_out') RETURNING item_id",
+      [model.rows[0].model_id]
+    );
+    const loan = await client.query(
+      `INSERT INTO loans (item_id, user_id, checkout_at, due_at)
+       VALUES ($1, $2, now() - interval '2 days', now() + interval '5 days')
+       RETURNING loan_id`,
+      [item.rows[0].item_id, users.rows[0].user_id]
+    );
+
+    fixture = {
+      studentId: users.rows[0].user_id,
+      otherStudentId: users.rows[1].user_id,
+      technicianId: users.rows[2].user_id,
+      categoryId: category.rows[0].category_id,
+      itemId: item.rows[0].item_id,
+      loanId: loan.rows[0].loan_id
+    };
+  });
+
+  afterEach(async () => {
+    await client.query('ROLLBACK');
+    client.release();
+  });
+
+  it('approves a first, short extension automatically', async () => {
+    const previousDue = await dueAt();
+    const extensionId = await requestExtension(5);
+    const row = await extension(extensionId);
+
+    assert.equal(row.status, 'approved');
+    assert.equal(row.auto_approved, true);
+    assert.equal(row.decided_by, null);
+    assert.equal((await dueAt()).getTime(), previousDue.getTime() + 5 * 86400000);
+  });
+
+  it('sends longer extensions to staff and leaves the due date alone', async () => {
+    const previousDue = await dueAt();
+    const extensionId = await requestExtension(10);
+
+    assert.equal((await extension(extensionId)).status, 'pending');
+    assert.equal((await dueAt()).getTime(), previousDue.getTime());
+
+    await assert.rejects(requestExtension(3), /already has a pending extension request/);
+
+    await client.query('SELECT fn_approve_loan_extension($1, $2)', [fixture.technicianId, extensionId]);
+    const row = await extension(extensionId);
+    assert.equal(row.status, 'approved');
+    assert.equal(row.auto_approved, false);
+    assert.equal(row.decided_by, fixture.technicianId);
+    assert.equal((await dueAt()).getTime(), previousDue.getTime() + 10 * 86400000);
+  });
+
+  it('sends renewals past the auto-approve count to staff and stops at the limit', async () => {
+    await requestExtension(2);
+    const second = await requestExtension(2);
+    assert.equal((await extension(second)).status, 'pending');
+
+    await client.query('SELECT fn_approve_loan_extension($1, $2)', [fixture.technicianId, second]);
+    await assert.rejects(requestExtension(2), /Renewal limit reached \(2 of 2\)/);
+  });
+
+  it('does not count denied requests as renewals', async () => {
+    const first = await requestExtension(10);
+    await client.query("SELECT fn_deny_loan_extension($1, $2, 'Needed for an exam')", [fixture.technicianId, first]);
+
+    assert.equal((await extension(first)).status, 'denied');
+    assert.equal((await extension(await requestExtension(3))).status, 'approved');
+  });
+
+  it('refuses extensions beyond the maximum, including per-category overrides', async () => {
+    await assert.rejects(requestExtension(15), /Extension exceeds maximum of 14 days/);
+
+    await client.query(
+      "INSERT INTO category_settings (category_id, key, value) VALUES ($1, 'max_extension_days', 3)",
+      [fixture.categoryId]
+    );
+    await assert.rejects(requestExtension(4), /Extension exceeds maximum of 3 days/);
+  });
+
+  it('refuses due dates that are not later than the current one', async () => {
+    await assert.rejects(requestExtension(0), /must be after the current due date/);
+    await assert.rejects(requestExtension(-1), /must be after the current due date/);
+  });
+
+  it('refuses returned loans', async () => {
+    await client.query('UPDATE loans SET return_at = now() WHERE loan_id = $1', [fixture.loanId]);
+    await assert.rejects(requestExtension(2), /Loan already returned/);
+  });
+
+  it('refuses to run into another reservation of the item', async () => {
+    await reserveItem(8, 10);
+    await assert.rejects(requestExtension(5), /conflicts with an upcoming reservation/);
+    // Ending before the reservation starts is fine
+    assert.equal((await extension(await requestExtension(2))).status, 'approved');
+  });
+
+  it('re-checks reservations approved while the request waited', async () => {
+    const extensionId = await requestExtension(10);
+    await reserveItem(12, 14);
+
+    await assert.rejects(
+      attempt('SELECT fn_approve_loan_extension($1, $2)', [fixture.technicianId, extensionId]),
+      /conflicts with an upcoming reservation/
+    );
+    assert.equal((await extension(extensionId)).status, 'pending');
+  });
+});
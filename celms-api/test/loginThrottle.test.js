@@ -0,0 +1,147 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loginDelaySeconds, beginAttempt, finishAttempt, sendTooManyAttempts } = require('../services/loginThrottle');
+
+const POLICY = { maxFailures: 5, windowMinutes: 15, lockoutMinutes: 15, maxDelaySeconds: 8, ipMaxFailures: 50 };
+
+// Stands in for db: settings come back empty (registry defaults apply) and
+// the login state is whatever the test gives; every query is kept, with the
+// transaction clients' in `queries` too
+const fakeDb = ({ lockedUntil = null, emailFailures = 0, ipFailures = 0 } = {}) => {
+  const queries = [];
+  const query = async (text, params) => {
+    queries.push({ text, params });
+    if (text.includes('FROM celms_settings')) {
+      return { rows: [] };
+    }
+    if (text.includes('AS email_failures')) {
+      return { rows: [{ locked_until: lockedUntil, email_failures: emailFailures, ip_failures: ipFailures }] };
+    }
+    if (text.includes('INSERT INTO login_attempts')) {
+      return { rows: [{ attempt_id: '101' }] };
+    }
+    if (text.includes('INSERT INTO account_lockouts')) {
+      return { rows: [{ lockout_id: '7', email: params[0], user_id: params[1], failed_attempts: params[3], locked_until: '2025-09-01T08:15:00Z' }] };
+    }
+    return { rows: [] };
+  };
+  return {
+    queries,
+    query,
+    getClient: async () => ({ query, release: () => {} })
+  };
+};
+
+const recordedOutcome = (db) => db.queries.find(q => q.text.includes('INSERT INTO login_attempts')).params[3];
+
+const DETAILS = { email: 'youssef.student@uni.local', userId: 'user-1', ip: '10.0.0.5' };
+
+describe('loginDelaySeconds', () => {
+  it('doubles after the first failure up to the cap', () => {
+    assert.deepEqual([0, 1, 2, 3, 4, 5, 6, 10].map(failures => loginDelaySeconds(failures, POLICY)), [0, 0, 1, 2, 4, 8, 8, 8]);
+  });
+});
+
+describe('beginAttempt', () => {
+  it('records the attempt as a failure until it is finished', async () => {
+    const db = fakeDb({ emailFailures: 3 });
+    const attempt = await beginAttempt(db, DETAILS);
+
+    assert.equal(attempt.refused, undefined);
+    assert.equal(attempt.attemptId, '101');
+    assert.equal(attempt.failures, 4);
+    assert.equal(attempt.delaySeconds, 2);
+    assert.deepEqual(attempt.policy, POLICY);
+    assert.equal(recordedOutcome(db), 'invalid_password');
+    assert.ok(db.queries.some(q => q.text.includes('pg_advisory_xact_lock')));
+    assert.equal(db.queries.at(-1).text, 'COMMIT');
+  });
+
+  it('records unknown emails as such', async () => {
+    const db = fakeDb();
+    await beginAttempt(db, { ...DETAILS, userId: null });
+    assert.equal(recordedOutcome(db), 'unknown_email');
+  });
+
+  it('throttles an address with too many failures across accounts', async () => {
+    const db = fakeDb({ ipFailures: 50 });
+    const { refused } = await beginAttempt(db, DETAILS);
+
+    assert.equal(refused.code, 'TOO_MANY_ATTEMPTS');
+    assert.equal(refused.retryAfter, 15 * 60);
+    assert.equal(recordedOutcome(db), 'throttled');
+  });
+
+  it('refuses an email that has reached the failure limit', async () => {
+    const db = fakeDb({ emailFailures: 5 });
+    const { refused } = await beginAttempt(db, DETAILS);
+
+    assert.equal(refused.code, 'ACCOUNT_LOCKED');
+    assert.equal(refused.retryAfter, 15 * 60);
+    assert.equal(recordedOutcome(db), 'locked');
+  });
+
+  it('refuses a locked email until the lock ends', async () => {
+    const lockedUntil = new Date(Date.now() + 90 * 1000);
+    const { refused } = await beginAttempt(fakeDb({ lockedUntil }), DETAILS);
+
+    assert.equal(refused.code, 'ACCOUNT_LOCKED');
+    assert.ok(refused.retryAfter > 85 && refused.retryAfter <= 90);
+    assert.match(refused.message, /Try again in 2 minute\(s\)/);
+  });
+});
+
+describe('finishAttempt', () => {
+  const attempt = (failures) => ({ attemptId: '101', failures, delaySeconds: 0, policy: POLICY });
+
+  it('marks a correct password with its outcome', async () => {
+    const db = fakeDb();
+    const lockout = await finishAttempt(db, attempt(4), { ok: true, ...DETAILS });
+
+    assert.equal(lockout, null);
+    assert.deepEqual(db.queries.map(q => q.params), [['101', 'success']]);
+  });
+
+  it('leaves a wrong password below the limit as a failure', async () => {
+    const db = fakeDb();
+    assert.equal(await finishAttempt(db, attempt(4), { ok: false, ...DETAILS }), null);
+    assert.equal(db.queries.length, 0);
+  });
+
+  it('locks the email, audits and notifies when the limit is reached', async () => {
+    const db = fakeDb();
+    const lockout = await finishAttempt(db, attempt(5), { ok: false, ...DETAILS });
+
+    assert.equal(lockout.lockout_id, '7');
+    const insert = db.queries.find(q => q.text.includes('INSERT INTO account_lockouts'));
+    assert.deepEqual(insert.params, ['youssef.student@uni.local', 'user-1', '10.0.0.5', 5, 15]);
+    assert.ok(db.queries.some(q => q.text.includes('fn_audit')));
+    assert.ok(db.queries.some(q => q.text.includes('fn_create_notification')));
+    assert.equal(db.queries.at(-1).text, 'COMMIT');
+  });
+
+  it('locks an unknown email without auditing or notifying', async () => {
+    const db = fakeDb();
+    await finishAttempt(db, attempt(5), { ok: false, ...DETAILS, userId: null });
+
+    assert.ok(db.queries.some(q => q.text.includes('INSERT INTO account_lockouts')));
+    assert.ok(!db.queries.some(q => q.text.includes('fn_audit') || q.text.includes('fn_create_notification')));
+  });
+});
+
+describe('sendTooManyAttempts', () => {
+  it('answers 429 with a whole-second Retry-After', () => {
+    const res = {
+      headers: {},
+      set(name, value) { this.headers[name] = value; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    sendTooManyAttempts(res, 'ACCOUNT_LOCKED', 'Locked', 0.2);
+
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], '1');
+    assert.equal(res.body.code, 'ACCOUNT_LOCKED');
+    assert.equal(res.body.retry_after, 1);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getPasswordPolicy, validatePassword, generateTemporaryPassword } = require('../services/passwords');
+
+const DEFAULT_POLICY = { minLength: 8, requireMixedCase: true, requireDigit: true, requireSymbol: false };
+const STRICT_POLICY = { minLength: 14, requireMixedCase: true, requireDigit: true, requireSymbol: true };
+
+describe('validatePassword', () => {
+  it('accepts a password that meets the policy', () => {
+    assert.deepEqual(validatePassword(DEFAULT_POLICY, 'Campus2025'), []);
+  });
+
+  it('lists every rule the password breaks', () => {
+    assert.deepEqual(validatePassword(STRICT_POLICY, 'short'), [
+      'Must be at least 14 characters long',
+      'Must contain upper and lower case letters',
+      'Must contain a digit',
+      'Must contain a symbol'
+    ]);
+  });
+
+  it('only applies the rules the policy turns on', () => {
+    const lenient = { minLength: 6, requireMixedCase: false, requireDigit: false, requireSymbol: false };
+    assert.deepEqual(validatePassword(lenient, 'abcdef'), []);
+    assert.deepEqual(validatePassword(DEFAULT_POLICY, 'campus2025'), ['Must contain upper and lower case letters']);
+    assert.deepEqual(validatePassword({ ...DEFAULT_POLICY, requireSymbol: true }, 'Campus2025'), ['Must contain a symbol']);
+  });
+
+  it('caps the length at 128 characters', () => {
+    assert.deepEqual(validatePassword(DEFAULT_POLICY, `Aa1${'x'.repeat(126)}`), ['Must be at most 128 characters long']);
+  });
+
+  it('rejects passwords containing the mailbox name', () => {
+    assert.deepEqual(
+      validatePassword(DEFAULT_POLICY, 'Youssef.Student9', { email: 'youssef.student@uni.local' }),
+      ['Must not contain your email address']
+    );
+    // Mailbox names under three characters are too short to matter
+    assert.deepEqual(validatePassword(DEFAULT_POLICY, 'Campus2025jo', { email: 'jo@uni.local' }), []);
+  });
+
+  it('rejects values that are not strings', () => {
+    assert.deepEqual(validatePassword(DEFAULT_POLICY, undefined), ['Must be at least 8 characters long']);
+    assert.deepEqual(validatePassword(DEFAULT_POLICY, 12345678), ['Must be at least 8 characters long']);
+  });
+});
+
+describe('generateTemporaryPassword', () => {
+  it('always satisfies the policy it was generated for', () => {
+    for (let i = 0; i < 50; i++) {
+      assert.deepEqual(validatePassword(STRICT_POLICY, generateTemporaryPassword(STRICT_POLICY)), []);
+    }
+  });
+
+  it('is at least 12 characters long', () => {
+    assert.equal(generateTemporaryPassword(DEFAULT_POLICY).length, 12);
+    assert.equal(generateTemporaryPassword(STRICT_POLICY).length, 14);
+  });
+});
+
+describe('getPasswordPolicy', () => {
+  it('reads stored settings and falls back to the defaults', async () => {
+    const db = {
+      query: async () => ({ rows: [{ key: 'password_min_length', value: '12' }, { key: 'password_require_symbol', value: '1' }] })
+    };
+    assert.deepEqual(await getPasswordPolicy(db), {
+      minLength: 12,
+      requireMixedCase: true,
+      requireDigit: true,
+      requireSymbol: true
+    });
+  });
+});
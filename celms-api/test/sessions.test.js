@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// sessions reaches db/index.js through services/realtime; that module
+// connects (and exits on failure) when loaded, so stand in an empty one
+require.cache[require.resolve('../db')] = { loaded: true, exports: {} };
+const { rotateSession } = require('../services/sessions');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-key-for-testing-only-not-for-production';
+
+const sha256 = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const ACTIVE = {
+  session_id: 'session-1',
+  revoked_at: null,
+  expired: false,
+  user_id: 'user-1',
+  role: 'student',
+  email: 'youssef.student@uni.local',
+  is_active: true
+};
+
+// Stands in for a transaction client: `current` is the session holding the
+// presented token, `replayed` the one that held it before its last rotation
+const fakeClient = ({ current = null, replayed = null } = {}) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push({ text, params });
+      if (text.includes('WHERE s.refresh_token_hash = $1')) {
+        return { rows: current ? [current] : [] };
+      }
+      if (text.includes('WHERE previous_token_hash = $1')) {
+        return { rows: replayed ? [replayed] : [] };
+      }
+      if (text.includes('SET previous_token_hash = refresh_token_hash')) {
+        return { rows: [{ session_id: params[0], created_at: '2025-09-01T08:00:00Z', expires_at: '2025-10-01T08:00:00Z' }] };
+      }
+      if (text.includes('SET revoked_at = now()')) {
+        return { rows: [], rowCount: 1 };
+      }
+      throw new Error(`Unexpected query: ${text}`);
+    }
+  };
+};
+
+const revokes = (client) => client.queries.filter(q => q.text.includes('SET revoked_at = now()'));
+
+describe('rotateSession', () => {
+  it('looks the token up by its hash and issues a new pair', async () => {
+    const client = fakeClient({ current: ACTIVE });
+    const rotated = await rotateSession(client, 'old-refresh-token');
+
+    assert.deepEqual(client.queries[0].params, [sha256('old-refresh-token')]);
+    assert.equal(rotated.error, undefined);
+    assert.notEqual(rotated.refreshToken, 'old-refresh-token');
+    assert.equal(rotated.session.session_id, 'session-1');
+
+    // Only the hash of the new refresh token is stored
+    const update = client.queries.find(q => q.text.includes('SET previous_token_hash'));
+    assert.deepEqual(update.params.slice(0, 2), ['session-1', sha256(rotated.refreshToken)]);
+
+    const decoded = jwt.verify(rotated.token, JWT_SECRET);
+    assert.equal(decoded.sid, 'session-1');
+    assert.deepEqual(decoded.user, { id: 'user-1', role: 'student', email: 'youssef.student@uni.local' });
+  });
+
+  it('refuses a just-rotated token without ending the session', async () => {
+    const client = fakeClient({ replayed: { session_id: 'session-1', revoked_at: null, within_grace: true } });
+    const rotated = await rotateSession(client, 'old-refresh-token');
+
+    assert.equal(rotated.error.code, 'REFRESH_TOKEN_ROTATED');
+    assert.equal(revokes(client).length, 0);
+  });
+
+  it('revokes the session when an old token is reused after the grace period', async () => {
+    const client = fakeClient({ replayed: { session_id: 'session-1', revoked_at: null, within_grace: false } });
+    const rotated = await rotateSession(client, 'stolen-refresh-token');
+
+    assert.equal(rotated.error.code, 'REFRESH_TOKEN_REUSED');
+    assert.equal(rotated.token, undefined);
+    assert.deepEqual(revokes(client).map(q => q.params), [['session-1', 'token_reuse']]);
+  });
+
+  it('does not revoke again when the reused token belongs to an ended session', async () => {
+    const client = fakeClient({ replayed: { session_id: 'session-1', revoked_at: '2025-09-01T08:00:00Z', within_grace: false } });
+    const rotated = await rotateSession(client, 'stolen-refresh-token');
+
+    assert.equal(rotated.error.code, 'INVALID_REFRESH_TOKEN');
+    assert.equal(revokes(client).length, 0);
+  });
+
+  it('refuses an unknown token', async () => {
+    const rotated = await rotateSession(fakeClient(), 'made-up-token');
+    assert.equal(rotated.error.code, 'INVALID_REFRESH_TOKEN');
+  });
+
+  it('refuses deactivated accounts and ended sessions without rotating', async () => {
+    const cases = [
+      [{ ...ACTIVE, is_active: false }, 'ACCOUNT_INACTIVE'],
+      [{ ...ACTIVE, revoked_at: '2025-09-01T08:00:00Z' }, 'SESSION_EXPIRED'],
+      [{ ...ACTIVE, expired: true }, 'SESSION_EXPIRED']
+    ];
+
+    for (const [current, code] of cases) {
+      const client = fakeClient({ current });
+      const rotated = await rotateSession(client, 'old-refresh-token');
+      assert.equal(rotated.error.code, code);
+      assert.equal(client.queries.length, 1);
+    }
+  });
+});
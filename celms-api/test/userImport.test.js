@@ -0,0 +1,149 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, readCsvRecords, toCsv } = require('../services/csv');
+
+// userImport reaches db/index.js through services/sessions; that module
+// connects (and exits on failure) when loaded, so stand in an empty one
+require.cache[require.resolve('../db')] = { loaded: true, exports: {} };
+const { planUserImport } = require('../services/userImport');
+
+const ADMIN = { user_id: 'admin-1', email: 'alice.admin@uni.local', first_name: 'Alice', last_name: 'Admin', role: 'admin', phone: null, is_active: true };
+const STUDENT = { user_id: 'student-1', email: 'youssef.student@uni.local', first_name: 'Youssef', last_name: 'Student', role: 'student', phone: null, is_active: true };
+const LEAVER = { user_id: 'student-2', email: 'meriem.student@uni.local', first_name: 'Meriem', last_name: 'Student', role: 'student', is_active: true };
+
+// Answers the queries planUserImport makes, from a fixed set of users
+const fakeDb = (users = [ADMIN, STUDENT, LEAVER], domains = ['uni.local']) => ({
+  query: async (text, params) => {
+    if (text.includes('allowed_email_domains')) {
+      return { rows: domains.map(domain => ({ domain })) };
+    }
+    if (text.includes("role = 'admin' AND is_active")) {
+      return { rows: users.filter(user => user.role === 'admin' && user.is_active) };
+    }
+    if (text.includes('NOT (lower(email) = ANY')) {
+      const [roles, actorId, listed] = params;
+      return {
+        rows: users.filter(user => user.is_active && roles.includes(user.role) && user.user_id !== actorId
+          && !listed.includes(user.email.toLowerCase()))
+      };
+    }
+    return { rows: users.filter(user => params[0].includes(user.email.toLowerCase())) };
+  }
+});
+
+const plan = (csv, options = {}, db = fakeDb()) => planUserImport(db, readCsvRecords(csv), { actorId: ADMIN.user_id, ...options });
+
+describe('csv', () => {
+  it('parses quoted fields, escaped quotes, CRLF and a BOM', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\r\n'), [
+      { line: 1, fields: ['a', 'b'] },
+      { line: 2, fields: ['x, y', 'say "hi"'] }
+    ]);
+  });
+
+  it('keeps the starting line of rows with multi-line fields and skips blank lines', () => {
+    assert.deepEqual(parseCsv('a\n"one\ntwo"\n\nb\n'), [
+      { line: 1, fields: ['a'] },
+      { line: 2, fields: ['one\ntwo'] },
+      { line: 5, fields: ['b'] }
+    ]);
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    assert.throws(() => parseCsv('a\n"open'), /Unterminated quoted field starting on line 2/);
+  });
+
+  it('normalises headers to snake_case', () => {
+    const { columns, records } = readCsvRecords('Email, First Name ,LAST-NAME\nx@uni.local,X\n');
+    assert.deepEqual(columns, ['email', 'first_name', 'last_name']);
+    assert.deepEqual(records, [{ line: 2, values: { email: 'x@uni.local', first_name: 'X', last_name: '' } }]);
+  });
+
+  it('writes CSV that reads back, neutralising spreadsheet formulas', () => {
+    const csv = toCsv(['name', 'note', 'phone'], [{ name: 'A, B', note: '=HYPERLINK("x")', phone: '+212 600-000000' }]);
+    assert.equal(csv, 'name,note,phone\r\n"A, B","\'=HYPERLINK(""x"")",+212 600-000000\r\n');
+    assert.deepEqual(readCsvRecords(csv).records[0].values, { name: 'A, B', note: '\'=HYPERLINK("x")', phone: '+212 600-000000' });
+  });
+});
+
+describe('planUserImport', () => {
+  it('plans creates, updates and unchanged rows', async () => {
+    const result = await plan([
+      'email,first_name,last_name,role,phone,notes',
+      'new.student@uni.local,New,Student,Student,,hello',
+      'Youssef.Student@uni.local,,,staff,0600000000,',
+      'alice.admin@uni.local,Alice,,,,'
+    ].join('\n'));
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.ignoredColumns, ['notes']);
+    assert.deepEqual(result.rows.map(row => row.action), ['create', 'update', 'unchanged']);
+    assert.deepEqual(result.rows[0].values, {
+      first_name: 'New', last_name: 'Student', role: 'student', phone: null, email: 'new.student@uni.local'
+    });
+    // Empty cells keep the current value
+    assert.deepEqual(result.rows[1].changes, {
+      role: { from: 'student', to: 'staff' },
+      phone: { from: null, to: '0600000000' }
+    });
+    assert.deepEqual(result.summary, { total: 3, create: 1, update: 1, unchanged: 1, error: 0, deactivate: 0 });
+  });
+
+  it('reports problems per line', async () => {
+    const result = await plan([
+      'email,first_name,last_name,role,is_active',
+      'not-an-email,A,B,student,',
+      'new@uni.local,A,B,student,',
+      'NEW@uni.local,A,B,student,',
+      'x@gmail.com,A,B,student,',
+      'y@uni.local,A,B,janitor,',
+      'z@uni.local,A,B,student,no',
+      'youssef.student@uni.local,,,,maybe',
+      'alice.admin@uni.local,,,student,'
+    ].join('\n'));
+
+    const problems = Object.fromEntries(result.rows.filter(row => row.action === 'error').map(row => [row.line, row.problems]));
+    assert.deepEqual(problems, {
+      2: ['Invalid email format'],
+      4: ['Duplicate of line 3'],
+      5: ['Email domain is not allowed (allowed: @uni.local)'],
+      6: ['Role must be one of: student, staff, technician, admin'],
+      7: ['New users cannot be imported as inactive'],
+      8: ['is_active must be true or false'],
+      9: ['You cannot change your own role or status by import']
+    });
+    assert.equal(result.summary.error, 7);
+  });
+
+  it('deactivates active users of the chosen roles missing from the file', async () => {
+    const result = await plan('email\nyoussef.student@uni.local\n', { deactivateMissing: true });
+    assert.deepEqual(result.deactivations.map(user => user.user_id), [LEAVER.user_id]);
+    assert.equal(result.summary.deactivate, 1);
+
+    const none = await plan('email\nyoussef.student@uni.local\n', { deactivateMissing: true, deactivateRoles: ['staff'] });
+    assert.deepEqual(none.deactivations, []);
+  });
+
+  it('refuses a plan that would leave no active administrator', async () => {
+    const otherAdmin = { ...ADMIN, user_id: 'admin-2', email: 'bob.admin@uni.local' };
+    const result = await planUserImport(
+      fakeDb([ADMIN, otherAdmin]),
+      readCsvRecords('email,is_active\nbob.admin@uni.local,false\n'),
+      { actorId: 'someone-else' }
+    );
+    assert.deepEqual(result.errors, []);
+
+    const lastAdmin = await planUserImport(
+      fakeDb([otherAdmin]),
+      readCsvRecords('email,role\nbob.admin@uni.local,staff\n'),
+      { actorId: ADMIN.user_id }
+    );
+    assert.deepEqual(lastAdmin.errors, ['The import would leave no active administrator']);
+  });
+
+  it('needs an email column', async () => {
+    const result = await plan('first_name\nA\n');
+    assert.deepEqual(result.errors, ['The file must have an email column']);
+    assert.equal(result.summary, null);
+  });
+});
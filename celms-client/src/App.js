@@ -14,6 +14,7 @@ import { NotificationProvider } from './contexts/NotificationContext';
 import Navbar from './components/Navbar';
 import ProtectedRoute from './components/routing/ProtectedRoute';
 import AdminLayout from './components/admin/AdminLayout';
+import ItemDetail from './components/details/ItemDetail';
 
 // Pages
 import HomePage from './pages/HomePage';
@@ -21,13 +22,27 @@ import ItemsPage from './pages/ItemsPage';
 import LoansPage from './pages/LoansPage';
 import ReservationsPage from './pages/ReservationsPage';
 import TicketsPage from './pages/TicketsPage';
+import NotificationsPage from './pages/NotificationsPage';
+import PenaltiesPage from './pages/PenaltiesPage';
+import DeskPage from './pages/DeskPage';
 
 // Admin Pages
 import AdminDashboardPage from './pages/admin/DashboardPage';
 import AdminUsersPage from './pages/admin/UsersPage';
+import AdminPenaltiesPage from './pages/admin/PenaltiesPage';
+import AdminSettingsPage from './pages/admin/SettingsPage';
+import AdminInvitationsPage from './pages/admin/InvitationsPage';
+import AdminItemsPage from './pages/admin/ItemsPage';
+import AdminAvailabilityPage from './pages/admin/AvailabilityPage';
+import AdminJobsPage from './pages/admin/JobsPage';
+import AdminEmailPage from './pages/admin/EmailPage';
 
 // Auth Pages
 import LoginPage from './pages/auth/LoginPage';
+import ChangePasswordPage from './pages/auth/ChangePasswordPage';
+import SessionsPage from './pages/auth/SessionsPage';
+import CalendarFeedsPage from './pages/auth/CalendarFeedsPage';
+import AcceptInvitePage from './pages/auth/AcceptInvitePage';
 // Registration removed - using predefined users only
 
 // Error Pages
@@ -66,15 +81,27 @@ const AppContent = () => {
           <Route path="/login" element={
             user.isAuthenticated ? <Navigate to="/" replace /> : <LoginPage />
           } />
-          {/* Registration route removed */}
+          {/* Accounts are created by invitation; the invitee sets a password here */}
+          <Route path="/accept-invite" element={<AcceptInvitePage />} />
 
           {/* Protected Routes */}
           <Route element={<ProtectedRoute />}>
             <Route path="/" element={<HomePage />} />
             <Route path="/items" element={<ItemsPage />} />
+            <Route path="/items/:id" element={<ItemDetail />} />
             <Route path="/loans" element={<LoansPage />} />
             <Route path="/reservations" element={<ReservationsPage />} />
             <Route path="/tickets" element={<TicketsPage />} />
+            <Route path="/notifications" element={<NotificationsPage />} />
+            <Route path="/penalties" element={<PenaltiesPage />} />
+            <Route path="/change-password" element={<ChangePasswordPage />} />
+            <Route path="/sessions" element={<SessionsPage />} />
+            <Route path="/calendar-feeds" element={<CalendarFeedsPage />} />
+          </Route>
+
+          {/* Front desk: admins and technicians */}
+          <Route element={<ProtectedRoute allowedRoles={['admin', 'technician']} />}>
+            <Route path="/desk" element={<DeskPage />} />
           </Route>
 
           {/* Admin Routes */}
@@ -82,12 +109,17 @@ const AppContent = () => {
             <Route path="/admin" element={<AdminLayout />}>
               <Route index element={<AdminDashboardPage />} />
               <Route path="users" element={<AdminUsersPage />} />
-              <Route path="items" element={<Navigate to="/admin" replace />} /> {/* Placeholder */}
+              <Route path="invitations" element={<AdminInvitationsPage />} />
+              <Route path="items" element={<AdminItemsPage />} />
+              <Route path="availability" element={<AdminAvailabilityPage />} />
               <Route path="loans" element={<Navigate to="/admin" replace />} /> {/* Placeholder */}
               <Route path="reservations" element={<Navigate to="/admin" replace />} /> {/* Placeholder */}
               <Route path="tickets" element={<Navigate to="/admin" replace />} /> {/* Placeholder */}
+              <Route path="penalties" element={<AdminPenaltiesPage />} />
               <Route path="reports" element={<Navigate to="/admin" replace />} /> {/* Placeholder */}
-              <Route path="settings" element={<Navigate to="/admin" replace />} /> {/* Placeholder */}
+              <Route path="settings" element={<AdminSettingsPage />} />
+              <Route path="jobs" element={<AdminJobsPage />} />
+              <Route path="email" element={<AdminEmailPage />} />
             </Route>
           </Route>
 
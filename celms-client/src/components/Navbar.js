@@ -3,6 +3,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import 'bootstrap/dist/css/bootstrap.min.css';
 import { useUser } from '../contexts/UserContext';
 import { toast } from 'react-toastify';
+import NotificationBell from './NotificationBell';
 
 // Bootstrap JS for dropdown functionality
 import 'bootstrap/dist/js/bootstrap.bundle.min.js';
@@ -20,8 +21,8 @@ const Navbar = () => {
   };
 
   // Handle logout
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     toast.info('You have been logged out');
     navigate('/login');
   };
@@ -65,11 +66,19 @@ const Navbar = () => {
             <li className="nav-item">
               <Link className="nav-link" to="/reservations" onClick={closeNavbar}>Reservations</Link>
             </li>
-            {/* Show Tickets tab only for admins and technicians */}
+            <li className="nav-item">
+              <Link className="nav-link" to="/penalties" onClick={closeNavbar}>Penalties</Link>
+            </li>
+            {/* Show Desk and Tickets tabs only for admins and technicians */}
             {isAdminOrTech() && (
-              <li className="nav-item">
-                <Link className="nav-link" to="/tickets" onClick={closeNavbar}>Tickets</Link>
-              </li>
+              <>
+                <li className="nav-item">
+                  <Link className="nav-link" to="/desk" onClick={closeNavbar}>Desk</Link>
+                </li>
+                <li className="nav-item">
+                  <Link className="nav-link" to="/tickets" onClick={closeNavbar}>Tickets</Link>
+                </li>
+              </>
             )}
             {/* Admin-only links */}
             {isAdmin() && (
@@ -88,10 +97,13 @@ const Navbar = () => {
                   <li><Link className="dropdown-item" to="/admin" onClick={closeNavbar}>Admin Dashboard</Link></li>
                   <li><hr className="dropdown-divider" /></li>
                   <li><Link className="dropdown-item" to="/admin/users" onClick={closeNavbar}>Manage Users</Link></li>
+                  <li><Link className="dropdown-item" to="/admin/invitations" onClick={closeNavbar}>Invite Users</Link></li>
                   <li><Link className="dropdown-item" to="/admin/items" onClick={closeNavbar}>Manage Inventory</Link></li>
+                  <li><Link className="dropdown-item" to="/admin/availability" onClick={closeNavbar}>Availability Timeline</Link></li>
                   <li><Link className="dropdown-item" to="/admin/loans" onClick={closeNavbar}>Manage Loans</Link></li>
                   <li><Link className="dropdown-item" to="/admin/reservations" onClick={closeNavbar}>Manage Reservations</Link></li>
                   <li><Link className="dropdown-item" to="/admin/tickets" onClick={closeNavbar}>Manage Tickets</Link></li>
+                  <li><Link className="dropdown-item" to="/admin/penalties" onClick={closeNavbar}>Penalties Ledger</Link></li>
                   <li><hr className="dropdown-divider" /></li>
                   <li><Link className="dropdown-item" to="/admin/reports" onClick={closeNavbar}>Reports</Link></li>
                   <li><Link className="dropdown-item" to="/admin/settings" onClick={closeNavbar}>System Settings</Link></li>
@@ -102,26 +114,32 @@ const Navbar = () => {
 
           <div className="ms-auto d-flex align-items-center">
             {user && user.isAuthenticated ? (
-              <div className="dropdown">
-                <button
-                  className="btn btn-outline-light dropdown-toggle"
-                  type="button"
-                  id="userDropdown"
-                  data-bs-toggle="dropdown"
-                  aria-expanded="false"
-                >
-                  <i className="bi bi-person-circle me-2"></i>
-                  {`${user.firstName} ${user.lastName}`} ({user.role})
-                </button>
-                <ul className="dropdown-menu dropdown-menu-end" aria-labelledby="userDropdown">
-                  <li><span className="dropdown-item-text">Role: {user.role}</span></li>
-                  <li><hr className="dropdown-divider" /></li>
-                  <li><Link className="dropdown-item" to="/profile" onClick={closeNavbar}>Profile</Link></li>
-                  <li><Link className="dropdown-item" to="/settings" onClick={closeNavbar}>Settings</Link></li>
-                  <li><hr className="dropdown-divider" /></li>
-                  <li><button className="dropdown-item" onClick={handleLogout}>Logout</button></li>
-                </ul>
-              </div>
+              <>
+                <NotificationBell onNavigate={closeNavbar} />
+                <div className="dropdown">
+                  <button
+                    className="btn btn-outline-light dropdown-toggle"
+                    type="button"
+                    id="userDropdown"
+                    data-bs-toggle="dropdown"
+                    aria-expanded="false"
+                  >
+                    <i className="bi bi-person-circle me-2"></i>
+                    {`${user.firstName} ${user.lastName}`} ({user.role})
+                  </button>
+                  <ul className="dropdown-menu dropdown-menu-end" aria-labelledby="userDropdown">
+                    <li><span className="dropdown-item-text">Role: {user.role}</span></li>
+                    <li><hr className="dropdown-divider" /></li>
+                    <li><Link className="dropdown-item" to="/profile" onClick={closeNavbar}>Profile</Link></li>
+                    <li><Link className="dropdown-item" to="/settings" onClick={closeNavbar}>Settings</Link></li>
+                    <li><Link className="dropdown-item" to="/change-password" onClick={closeNavbar}>Change Password</Link></li>
+                    <li><Link className="dropdown-item" to="/sessions" onClick={closeNavbar}>Active Sessions</Link></li>
+                    <li><Link className="dropdown-item" to="/calendar-feeds" onClick={closeNavbar}>Calendar Feeds</Link></li>
+                    <li><hr className="dropdown-divider" /></li>
+                    <li><button className="dropdown-item" onClick={handleLogout}>Logout</button></li>
+                  </ul>
+                </div>
+              </>
             ) : (
               <Link to="/login" className="btn btn-outline-light">Login</Link>
             )}
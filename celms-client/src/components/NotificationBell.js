@@ -0,0 +1,74 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useNotification } from '../contexts/NotificationContext';
+import NotificationItem from './common/NotificationItem';
+
+/**
+ * Navbar bell with unread badge and a dropdown of the latest notifications
+ */
+const NotificationBell = ({ onNavigate }) => {
+  const { inbox, unreadCount, markRead, markAllRead } = useNotification();
+
+  const handleMarkRead = async (notifId) => {
+    try {
+      await markRead(notifId);
+    } catch (err) {
+      console.error('Error marking notification read:', err);
+    }
+    if (onNavigate) onNavigate();
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllRead();
+    } catch (err) {
+      console.error('Error marking notifications read:', err);
+    }
+  };
+
+  return (
+    <div className="dropdown me-3">
+      <button
+        className="btn btn-outline-light position-relative"
+        type="button"
+        id="notificationDropdown"
+        data-bs-toggle="dropdown"
+        aria-expanded="false"
+        aria-label={`Notifications (${unreadCount} unread)`}
+      >
+        <i className="bi bi-bell"></i>
+        {unreadCount > 0 && (
+          <span className="position-absolute top-0 start-100 translate-middle badge rounded-pill bg-danger">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+      <ul className="dropdown-menu dropdown-menu-end p-0" aria-labelledby="notificationDropdown" style={{ width: '22rem' }}>
+        <li className="d-flex justify-content-between align-items-center px-3 py-2 border-bottom">
+          <strong>Notifications</strong>
+          {unreadCount > 0 && (
+            <button type="button" className="btn btn-sm btn-link p-0 text-decoration-none" onClick={handleMarkAllRead}>
+              Mark all read
+            </button>
+          )}
+        </li>
+        {inbox.length > 0 ? (
+          inbox.map(notification => (
+            <li key={notification.notif_id} className="dropdown-item border-bottom py-2">
+              <NotificationItem notification={notification} onMarkRead={handleMarkRead} compact />
+            </li>
+          ))
+        ) : (
+          <li className="px-3 py-3 text-muted small text-center">You're all caught up</li>
+        )}
+        <li>
+          <Link className="dropdown-item text-center py-2" to="/notifications" onClick={onNavigate}>
+            View all notifications
+          </Link>
+        </li>
+      </ul>
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -72,6 +72,16 @@ const AdminLayout = () => {
                 {!sidebarCollapsed && 'Users'}
               </NavLink>
 
+              <NavLink
+                to="/admin/invitations"
+                className={({ isActive }) =>
+                  `nav-link text-white py-3 px-3 ${isNavActive('/admin/invitations') ? 'active bg-primary' : ''}`
+                }
+              >
+                <i className="bi bi-envelope-plus me-2"></i>
+                {!sidebarCollapsed && 'Invitations'}
+              </NavLink>
+
               <NavLink
                 to="/admin/items"
                 className={({ isActive }) =>
@@ -82,6 +92,16 @@ const AdminLayout = () => {
                 {!sidebarCollapsed && 'Inventory'}
               </NavLink>
 
+              <NavLink
+                to="/admin/availability"
+                className={({ isActive }) =>
+                  `nav-link text-white py-3 px-3 ${isNavActive('/admin/availability') ? 'active bg-primary' : ''}`
+                }
+              >
+                <i className="bi bi-calendar-range me-2"></i>
+                {!sidebarCollapsed && 'Availability'}
+              </NavLink>
+
               <NavLink
                 to="/admin/loans"
                 className={({ isActive }) =>
@@ -112,6 +132,16 @@ const AdminLayout = () => {
                 {!sidebarCollapsed && 'Tickets'}
               </NavLink>
 
+              <NavLink
+                to="/admin/penalties"
+                className={({ isActive }) =>
+                  `nav-link text-white py-3 px-3 ${isNavActive('/admin/penalties') ? 'active bg-primary' : ''}`
+                }
+              >
+                <i className="bi bi-cash-coin me-2"></i>
+                {!sidebarCollapsed && 'Penalties'}
+              </NavLink>
+
               {/* Divider */}
               <hr className="text-white-50 my-2" />
 
@@ -134,6 +164,26 @@ const AdminLayout = () => {
                 <i className="bi bi-gear me-2"></i>
                 {!sidebarCollapsed && 'Settings'}
               </NavLink>
+
+              <NavLink
+                to="/admin/jobs"
+                className={({ isActive }) =>
+                  `nav-link text-white py-3 px-3 ${isNavActive('/admin/jobs') ? 'active bg-primary' : ''}`
+                }
+              >
+                <i className="bi bi-clock-history me-2"></i>
+                {!sidebarCollapsed && 'Jobs'}
+              </NavLink>
+
+              <NavLink
+                to="/admin/email"
+                className={({ isActive }) =>
+                  `nav-link text-white py-3 px-3 ${isNavActive('/admin/email') ? 'active bg-primary' : ''}`
+                }
+              >
+                <i className="bi bi-envelope me-2"></i>
+                {!sidebarCollapsed && 'Email'}
+              </NavLink>
             </nav>
 
             {/* Bottom Section */}
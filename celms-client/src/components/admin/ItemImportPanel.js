@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+
+const ACTION_BADGES = {
+  create: 'bg-success',
+  update: 'bg-primary',
+  unchanged: 'bg-light text-dark',
+  error: 'bg-danger'
+};
+
+const describeChanges = (changes = {}) => Object.entries(changes)
+  .map(([field, { from, to }]) => `${field}: ${from ?? '—'} → ${to}`)
+  .join(', ');
+
+const describeRow = (row) => {
+  if (row.problems) return row.problems.join('; ');
+  if (row.action === 'create') {
+    return [row.generated_tag && 'generated tag', row.new_model && 'new model'].filter(Boolean).join(', ');
+  }
+  return describeChanges(row.changes);
+};
+
+/**
+ * Read the chosen text as CSV, or as JSON when it looks like JSON
+ * (an array of items, or an export with an items array)
+ */
+const toPayload = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
+    return { csv: text };
+  }
+  const parsed = JSON.parse(trimmed);
+  return { items: Array.isArray(parsed) ? parsed : parsed.items };
+};
+
+/**
+ * Inventory import (CSV or JSON): preview (dry run) first, then import once every row is valid
+ * @param {Function} onImported - called after a successful import
+ * @param {Function} onClose - hide the panel
+ */
+const ItemImportPanel = ({ onImported, onClose }) => {
+  const [text, setText] = useState('');
+  const [createModels, setCreateModels] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      setText(await file.text());
+      setPreview(null);
+    }
+  };
+
+  const send = async (dryRun) => {
+    let payload;
+    try {
+      payload = toPayload(text);
+    } catch (err) {
+      toast.error('The JSON could not be read');
+      return null;
+    }
+    return api.items.importItems(payload, { dry_run: dryRun, create_models: createModels });
+  };
+
+  const handlePreview = async () => {
+    setBusy(true);
+    try {
+      setPreview(await send(true));
+    } catch (err) {
+      setPreview(err.details?.rows ? err.details : null);
+      toast.error(err.message || 'Failed to read the file');
+      console.error('Error previewing item import:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const response = await send(false);
+      if (response) {
+        toast.success(response.message);
+        setPreview(null);
+        setText('');
+        onImported();
+      }
+    } catch (err) {
+      if (err.details?.rows) setPreview(err.details);
+      toast.error(err.message || 'Import failed');
+      console.error('Error importing items:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const canImport = preview?.summary && preview.summary.error === 0 && preview.errors.length === 0
+    && preview.summary.create + preview.summary.update > 0;
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <span>Import items from CSV or JSON</span>
+        <button type="button" className="btn-close" onClick={onClose} aria-label="Close"></button>
+      </div>
+      <div className="card-body">
+        <p className="small text-muted mb-2">
+          Columns: <code>brand</code> and <code>model_name</code> (required), <code>asset_tag</code>,{' '}
+          <code>category</code>, <code>status</code>, <code>location</code>, <code>purchase_date</code>,{' '}
+          <code>last_serviced</code>, <code>notes</code>, <code>image_url</code>. Rows are matched by asset tag;
+          a blank asset tag is generated from the category's pattern. An exported file can be edited and imported again.
+        </p>
+        <input type="file" accept=".csv,text/csv,.json,application/json" className="form-control mb-2" onChange={handleFile} />
+        <textarea
+          className="form-control font-monospace small mb-2"
+          rows="5"
+          placeholder="...or paste CSV or JSON here"
+          value={text}
+          onChange={(e) => { setText(e.target.value); setPreview(null); }}
+        ></textarea>
+
+        <div className="form-check">
+          <input
+            id="createModels"
+            type="checkbox"
+            className="form-check-input"
+            checked={createModels}
+            onChange={(e) => { setCreateModels(e.target.checked); setPreview(null); }}
+          />
+          <label htmlFor="createModels" className="form-check-label">
+            Create models that do not exist yet (needs the category column)
+          </label>
+        </div>
+
+        <div className="d-flex gap-2 mt-3">
+          <button type="button" className="btn btn-outline-primary" onClick={handlePreview} disabled={busy || !text.trim()}>
+            Preview
+          </button>
+          <button type="button" className="btn btn-primary" onClick={handleImport} disabled={busy || !canImport}>
+            Import
+          </button>
+        </div>
+
+        {preview && (
+          <div className="mt-3">
+            {preview.summary && (
+              <div className="mb-2">
+                <span className="badge bg-success me-1">{preview.summary.create} new</span>
+                <span className="badge bg-primary me-1">{preview.summary.update} updated</span>
+                <span className="badge bg-light text-dark me-1">{preview.summary.unchanged} unchanged</span>
+                <span className="badge bg-info text-dark me-1">{preview.summary.new_models} new model(s)</span>
+                <span className="badge bg-danger">{preview.summary.error} with errors</span>
+              </div>
+            )}
+            {preview.errors?.map(message => (
+              <div key={message} className="alert alert-danger py-2">{message}</div>
+            ))}
+            {preview.ignored_columns?.length > 0 && (
+              <div className="small text-muted mb-2">Ignored columns: {preview.ignored_columns.join(', ')}</div>
+            )}
+            {preview.new_models?.length > 0 && (
+              <div className="small mb-2">
+                New models: {preview.new_models.map(model => `${model.brand} ${model.model_name} (${model.category})`).join(', ')}
+              </div>
+            )}
+
+            <div className="table-responsive" style={{ maxHeight: '20rem' }}>
+              <table className="table table-sm small">
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Asset Tag</th>
+                    <th>Model</th>
+                    <th>Action</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.filter(row => row.action !== 'unchanged').map(row => (
+                    <tr key={row.line}>
+                      <td>{row.line}</td>
+                      <td>{row.asset_tag || '—'}</td>
+                      <td>{row.model || '—'}</td>
+                      <td><span className={`badge ${ACTION_BADGES[row.action]}`}>{row.action}</span></td>
+                      <td className={row.problems ? 'text-danger' : ''}>{describeRow(row)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ItemImportPanel;
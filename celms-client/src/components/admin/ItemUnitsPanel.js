@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+
+const EMPTY_FORM = {
+  model_id: '',
+  count: 1,
+  status: 'available',
+  location: '',
+  purchase_date: '',
+  notes: ''
+};
+
+/**
+ * Create N units of one model with asset tags generated from the category's pattern.
+ * The pattern can be edited here, e.g. LAP-{seq:3} or CAM-{yyyy}-{seq:4}.
+ * @param {Function} onCreated - called after units are created
+ * @param {Function} onClose - hide the panel
+ */
+const ItemUnitsPanel = ({ onCreated, onClose }) => {
+  const [categories, setCategories] = useState([]);
+  const [models, setModels] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [pattern, setPattern] = useState('');
+  const [tags, setTags] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [categoryRows, modelRows] = await Promise.all([api.categories.getAll(), api.models.getAll()]);
+        setCategories(categoryRows);
+        setModels(modelRows);
+      } catch (err) {
+        toast.error('Failed to load models');
+        console.error('Error loading models:', err);
+      }
+    };
+    load();
+  }, []);
+
+  const model = models.find(m => String(m.model_id) === String(form.model_id));
+  const category = model && categories.find(c => c.category_id === model.category_id);
+
+  useEffect(() => {
+    setPattern(category?.asset_tag_pattern || '');
+  }, [category]);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+    setTags(null);
+  };
+
+  const handleSavePattern = async () => {
+    setBusy(true);
+    try {
+      const response = await api.categories.update(category.category_id, {
+        name: category.name,
+        description: category.description,
+        asset_tag_pattern: pattern
+      });
+      setCategories(categories.map(c => (c.category_id === category.category_id ? response.category : c)));
+      setTags(null);
+      toast.success(`Asset tag pattern for ${category.name} saved`);
+    } catch (err) {
+      toast.error(err.details?.errors?.[0]?.msg || err.message || 'Failed to save the pattern');
+      console.error('Error saving asset tag pattern:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submit = async (dryRun) => {
+    setBusy(true);
+    try {
+      const response = await api.items.createUnits({
+        ...form,
+        count: parseInt(form.count, 10),
+        purchase_date: form.purchase_date || null,
+        dry_run: dryRun
+      });
+      if (dryRun) {
+        setTags(response.asset_tags);
+      } else {
+        toast.success(response.message);
+        setForm({ ...EMPTY_FORM, model_id: form.model_id });
+        setTags(null);
+        onCreated();
+      }
+    } catch (err) {
+      toast.error(err.details?.errors?.[0]?.msg || err.message || 'Failed to create units');
+      console.error('Error creating units:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const patternChanged = category && pattern !== (category.asset_tag_pattern || '');
+  const canSubmit = model && category?.asset_tag_pattern && !patternChanged && form.count >= 1;
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <span>Add units of a model</span>
+        <button type="button" className="btn-close" onClick={onClose} aria-label="Close"></button>
+      </div>
+      <div className="card-body">
+        <div className="row g-2">
+          <div className="col-md-6">
+            <label htmlFor="unitsModel" className="form-label">Model</label>
+            <select id="unitsModel" name="model_id" className="form-select" value={form.model_id} onChange={handleChange}>
+              <option value="">Choose a model...</option>
+              {categories.map(c => (
+                <optgroup key={c.category_id} label={c.name}>
+                  {models.filter(m => m.category_id === c.category_id).map(m => (
+                    <option key={m.model_id} value={m.model_id}>{m.brand} {m.model_name} ({m.item_count} units)</option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+          </div>
+          <div className="col-md-6">
+            <label htmlFor="unitsPattern" className="form-label">
+              Asset tag pattern{category ? ` for ${category.name}` : ''}
+            </label>
+            <div className="input-group">
+              <input
+                id="unitsPattern"
+                type="text"
+                className="form-control font-monospace"
+                placeholder="e.g. LAP-{seq:3}"
+                value={pattern}
+                disabled={!category}
+                onChange={(e) => setPattern(e.target.value)}
+              />
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={handleSavePattern}
+                disabled={busy || !patternChanged || !pattern.trim()}
+              >
+                Save
+              </button>
+            </div>
+            <div className="form-text">
+              <code>{'{seq:N}'}</code> is the running number padded to N digits; <code>{'{yyyy}'}</code> is the year.
+            </div>
+          </div>
+          <div className="col-md-2">
+            <label htmlFor="unitsCount" className="form-label">Units</label>
+            <input id="unitsCount" name="count" type="number" min="1" max="200" className="form-control" value={form.count} onChange={handleChange} />
+          </div>
+          <div className="col-md-3">
+            <label htmlFor="unitsStatus" className="form-label">Status</label>
+            <select id="unitsStatus" name="status" className="form-select" value={form.status} onChange={handleChange}>
+              <option value="available">Available</option>
+              <option value="out_of_service">Out of service</option>
+            </select>
+          </div>
+          <div className="col-md-4">
+            <label htmlFor="unitsLocation" className="form-label">Location</label>
+            <input id="unitsLocation" name="location" type="text" className="form-control" value={form.location} onChange={handleChange} />
+          </div>
+          <div className="col-md-3">
+            <label htmlFor="unitsPurchased" className="form-label">Purchase date</label>
+            <input id="unitsPurchased" name="purchase_date" type="date" className="form-control" value={form.purchase_date} onChange={handleChange} />
+          </div>
+          <div className="col-12">
+            <label htmlFor="unitsNotes" className="form-label">Notes</label>
+            <input id="unitsNotes" name="notes" type="text" className="form-control" value={form.notes} onChange={handleChange} />
+          </div>
+        </div>
+
+        {category && !category.asset_tag_pattern && !patternChanged && (
+          <div className="alert alert-warning py-2 mt-3 mb-0">
+            {category.name} has no asset tag pattern yet. Set one above to generate tags.
+          </div>
+        )}
+
+        <div className="d-flex gap-2 mt-3">
+          <button type="button" className="btn btn-outline-primary" onClick={() => submit(true)} disabled={busy || !canSubmit}>
+            Preview tags
+          </button>
+          <button type="button" className="btn btn-primary" onClick={() => submit(false)} disabled={busy || !canSubmit}>
+            Create {form.count} unit(s)
+          </button>
+        </div>
+
+        {tags && (
+          <div className="small mt-3">
+            Asset tags: <code>{tags.join(', ')}</code>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ItemUnitsPanel;
@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+
+const ROLES = ['student', 'staff', 'technician', 'admin'];
+
+const ACTION_BADGES = {
+  create: 'bg-success',
+  update: 'bg-primary',
+  unchanged: 'bg-light text-dark',
+  error: 'bg-danger'
+};
+
+const describeChanges = (changes = {}) => Object.entries(changes)
+  .map(([field, { from, to }]) => `${field}: ${from ?? '—'} → ${to}`)
+  .join(', ');
+
+/**
+ * CSV user import: preview (dry run) first, then import once every row is valid
+ * @param {Function} onImported - called after a successful import
+ * @param {Function} onClose - hide the panel
+ */
+const UserImportPanel = ({ onImported, onClose }) => {
+  const [csv, setCsv] = useState('');
+  const [deactivateMissing, setDeactivateMissing] = useState(false);
+  const [deactivateRoles, setDeactivateRoles] = useState(['student']);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const options = () => ({
+    deactivate_missing: deactivateMissing,
+    deactivate_roles: deactivateRoles
+  });
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      setCsv(await file.text());
+      setPreview(null);
+      setResult(null);
+    }
+  };
+
+  const toggleRole = (role) => {
+    setDeactivateRoles(prev => (prev.includes(role) ? prev.filter(r => r !== role) : [...prev, role]));
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    setBusy(true);
+    setResult(null);
+    try {
+      setPreview(await api.users.importCsv(csv, { ...options(), dry_run: true }));
+    } catch (err) {
+      setPreview(err.details?.rows ? err.details : null);
+      toast.error(err.message || 'Failed to read the file');
+      console.error('Error previewing import:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    const { deactivate } = preview.summary;
+    if (deactivate > 0 && !window.confirm(`Deactivate ${deactivate} user(s) missing from the file?`)) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const response = await api.users.importCsv(csv, { ...options(), dry_run: false });
+      toast.success(response.message);
+      setResult(response);
+      setPreview(null);
+      onImported();
+    } catch (err) {
+      if (err.details?.rows) setPreview(err.details);
+      toast.error(err.message || 'Import failed');
+      console.error('Error importing users:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const canImport = preview?.summary && preview.summary.error === 0 && preview.errors.length === 0
+    && preview.summary.create + preview.summary.update + preview.summary.deactivate > 0;
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <span>Import users from CSV</span>
+        <button type="button" className="btn-close" onClick={onClose} aria-label="Close"></button>
+      </div>
+      <div className="card-body">
+        <p className="small text-muted mb-2">
+          Columns: <code>email</code> (required), <code>first_name</code>, <code>last_name</code>, <code>role</code>,{' '}
+          <code>phone</code>, <code>is_active</code>. Rows are matched by email: new emails are invited, existing
+          users get the non-empty cells. An exported file can be edited and imported again.
+        </p>
+        <input type="file" accept=".csv,text/csv" className="form-control mb-2" onChange={handleFile} />
+        <textarea
+          className="form-control font-monospace small mb-2"
+          rows="5"
+          placeholder="...or paste CSV here"
+          value={csv}
+          onChange={(e) => { setCsv(e.target.value); setPreview(null); }}
+        ></textarea>
+
+        <div className="form-check mb-1">
+          <input
+            id="deactivateMissing"
+            type="checkbox"
+            className="form-check-input"
+            checked={deactivateMissing}
+            onChange={(e) => { setDeactivateMissing(e.target.checked); setPreview(null); }}
+          />
+          <label htmlFor="deactivateMissing" className="form-check-label">
+            Deactivate active users missing from the file, with role:
+          </label>
+          {ROLES.map(role => (
+            <label key={role} className="ms-3 small">
+              <input
+                type="checkbox"
+                className="form-check-input me-1"
+                checked={deactivateRoles.includes(role)}
+                disabled={!deactivateMissing}
+                onChange={() => toggleRole(role)}
+              />
+              {role}
+            </label>
+          ))}
+        </div>
+
+        <div className="d-flex gap-2 mt-3">
+          <button
+            type="button"
+            className="btn btn-outline-primary"
+            onClick={handlePreview}
+            disabled={busy || !csv.trim() || (deactivateMissing && deactivateRoles.length === 0)}
+          >
+            Preview
+          </button>
+          <button type="button" className="btn btn-primary" onClick={handleImport} disabled={busy || !canImport}>
+            Import
+          </button>
+        </div>
+
+        {preview && (
+          <div className="mt-3">
+            {preview.summary && (
+              <div className="mb-2">
+                <span className="badge bg-success me-1">{preview.summary.create} new</span>
+                <span className="badge bg-primary me-1">{preview.summary.update} updated</span>
+                <span className="badge bg-light text-dark me-1">{preview.summary.unchanged} unchanged</span>
+                <span className="badge bg-warning text-dark me-1">{preview.summary.deactivate} to deactivate</span>
+                <span className="badge bg-danger">{preview.summary.error} with errors</span>
+              </div>
+            )}
+            {preview.errors?.map(message => (
+              <div key={message} className="alert alert-danger py-2">{message}</div>
+            ))}
+            {preview.ignored_columns?.length > 0 && (
+              <div className="small text-muted mb-2">Ignored columns: {preview.ignored_columns.join(', ')}</div>
+            )}
+
+            <div className="table-responsive" style={{ maxHeight: '20rem' }}>
+              <table className="table table-sm small">
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Email</th>
+                    <th>Action</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.filter(row => row.action !== 'unchanged').map(row => (
+                    <tr key={row.line}>
+                      <td>{row.line}</td>
+                      <td>{row.email || '—'}</td>
+                      <td><span className={`badge ${ACTION_BADGES[row.action]}`}>{row.action}</span></td>
+                      <td className={row.problems ? 'text-danger' : ''}>
+                        {row.problems ? row.problems.join('; ') : describeChanges(row.changes)}
+                      </td>
+                    </tr>
+                  ))}
+                  {preview.deactivations?.map(user => (
+                    <tr key={user.user_id}>
+                      <td>—</td>
+                      <td>{user.email}</td>
+                      <td><span className="badge bg-warning text-dark">deactivate</span></td>
+                      <td>Not in the file ({user.role})</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {result?.invitations?.length > 0 && (
+          <div className="alert alert-info mt-3 mb-0">
+            <div className="mb-2">Invitation links for the new users (shown only once):</div>
+            {result.invitations.map(invitation => (
+              <div key={invitation.invite_url} className="small text-truncate">
+                <strong className="me-2">{invitation.email}</strong>
+                <code className="user-select-all">{invitation.invite_url}</code>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserImportPanel;
@@ -34,7 +34,7 @@ const LoginForm = () => {
         
         if (result.success) {
           toast.success('Login successful');
-          navigate('/');
+          navigate(result.mustChangePassword ? '/change-password' : '/');
         } else {
           toast.error(result.message || 'Failed to login');
         }
@@ -101,7 +101,7 @@ const LoginForm = () => {
 
               <div className="text-center mt-3">
                 <p className="small text-muted">
-                  Please use your pre-assigned login credentials.
+                  New users receive an invitation link from an administrator to set their password.
                 </p>
                 <div className="mt-3 p-3 bg-light rounded small">
                   <p className="mb-1"><strong>Demo Accounts:</strong></p>
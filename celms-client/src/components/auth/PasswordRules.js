@@ -0,0 +1,35 @@
+import React from 'react';
+
+/**
+ * Rules from the password policy, each with a test for the live checklist
+ * @param {Object} policy - { minLength, requireMixedCase, requireDigit, requireSymbol }
+ */
+export const policyRules = (policy) => (policy ? [
+  { label: `At least ${policy.minLength} characters`, test: (value) => value.length >= policy.minLength },
+  policy.requireMixedCase && { label: 'Upper and lower case letters', test: (value) => /[a-z]/.test(value) && /[A-Z]/.test(value) },
+  policy.requireDigit && { label: 'A digit', test: (value) => /\d/.test(value) },
+  policy.requireSymbol && { label: 'A symbol', test: (value) => /[^A-Za-z0-9]/.test(value) },
+].filter(Boolean) : []);
+
+/**
+ * Live checklist of the policy rules for a password being typed
+ */
+const PasswordRules = ({ rules, value }) => {
+  if (rules.length === 0) return null;
+
+  return (
+    <ul className="list-unstyled small mb-3">
+      {rules.map(rule => {
+        const ok = rule.test(value || '');
+        return (
+          <li key={rule.label} className={ok ? 'text-success' : 'text-muted'}>
+            <i className={`bi bi-${ok ? 'check-circle-fill' : 'circle'} me-2`}></i>
+            {rule.label}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default PasswordRules;
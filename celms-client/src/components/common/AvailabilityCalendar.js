@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import moment from 'moment';
+import api from '../../services/api';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+export const INTERVAL_LABELS = {
+  reservation: 'Reserved',
+  loan: 'On loan',
+  maintenance: 'Out of service'
+};
+
+/**
+ * One line describing a busy interval, for tooltips and lists
+ * @param {Object} interval - from /api/items/:id/availability
+ */
+export const describeInterval = (interval) => {
+  const label = interval.kind !== 'reservation' ? INTERVAL_LABELS[interval.kind]
+    : interval.status === 'pending' ? 'Requested'
+      : interval.status === 'held' ? 'Held for the waitlist'
+        : INTERVAL_LABELS.reservation;
+  const who = interval.user ? ` by ${interval.user.first_name} ${interval.user.last_name}` : interval.mine ? ' (you)' : '';
+  const until = interval.end_at ? moment(interval.end_at).format('MMM D HH:mm') : 'further notice';
+  return `${label}${who}: ${moment(interval.start_at).format('MMM D HH:mm')} – ${until}`;
+};
+
+// The busy intervals touching a day, and whether they cover all of it
+const dayState = (day, busy) => {
+  const dayStart = day.clone().startOf('day');
+  const dayEnd = dayStart.clone().add(1, 'day');
+  const hits = busy.filter(interval => (
+    moment(interval.start_at).isBefore(dayEnd) && (!interval.end_at || moment(interval.end_at).isAfter(dayStart))
+  ));
+  const full = hits.some(interval => (
+    !moment(interval.start_at).isAfter(dayStart) && (!interval.end_at || !moment(interval.end_at).isBefore(dayEnd))
+  ));
+  return { hits, full };
+};
+
+const dayClass = ({ hits, full }) => {
+  if (hits.length === 0) return 'calendar-day-free';
+  if (hits.some(interval => interval.kind === 'maintenance')) return 'calendar-day-maintenance';
+  if (hits.every(interval => interval.mine)) return 'calendar-day-mine';
+  return full ? 'calendar-day-busy' : 'calendar-day-partial';
+};
+
+/**
+ * Month calendar of an item's availability. With onSelect, users pick a
+ * period by clicking the start day and then the end day (the day the item is
+ * due back), the same dates as the reservation form.
+ * @param {Object} props - Component props
+ * @param {number|string} props.itemId - Item to show
+ * @param {string} props.start - Selected start date (YYYY-MM-DD)
+ * @param {string} props.end - Selected end date (YYYY-MM-DD)
+ * @param {Function} props.onSelect - Called with { start, end }; omit for a read-only calendar
+ */
+const AvailabilityCalendar = ({ itemId, start, end, onSelect }) => {
+  const [month, setMonth] = useState(() => moment(start || undefined).startOf('month'));
+  const [busy, setBusy] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pendingStart, setPendingStart] = useState(null); // first click of a new selection
+
+  const gridStart = month.clone().startOf('isoWeek');
+  const gridEnd = month.clone().endOf('month').endOf('isoWeek').add(1, 'ms');
+
+  const monthKey = month.format('YYYY-MM');
+  useEffect(() => {
+    const fetchAvailability = async () => {
+      try {
+        setLoading(true);
+        const from = moment(monthKey, 'YYYY-MM').startOf('isoWeek');
+        const to = moment(monthKey, 'YYYY-MM').endOf('month').endOf('isoWeek').add(1, 'ms');
+        const response = await api.items.getAvailability(itemId, { from: from.toISOString(), to: to.toISOString() });
+        setBusy(response?.busy || []);
+        setError(null);
+      } catch (err) {
+        setError('Failed to load availability');
+        console.error('Error fetching availability:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAvailability();
+  }, [itemId, monthKey]);
+
+  const today = moment().startOf('day');
+  const days = [];
+  for (let day = gridStart.clone(); day.isBefore(gridEnd); day.add(1, 'day')) {
+    days.push(day.clone());
+  }
+
+  const handleDayClick = (day) => {
+    const date = day.format('YYYY-MM-DD');
+    if (!pendingStart || !day.isAfter(pendingStart)) {
+      setPendingStart(day);
+      onSelect({ start: date, end: day.clone().add(1, 'day').format('YYYY-MM-DD') });
+    } else {
+      setPendingStart(null);
+      onSelect({ start: pendingStart.format('YYYY-MM-DD'), end: date });
+    }
+  };
+
+  const isSelected = (day) => start && end && !day.isBefore(start) && day.isBefore(end);
+
+  return (
+    <div className="availability-calendar">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <button
+          type="button"
+          className="btn btn-sm btn-outline-secondary"
+          onClick={() => setMonth(month.clone().subtract(1, 'month'))}
+          aria-label="Previous month"
+        >
+          <i className="bi bi-chevron-left"></i>
+        </button>
+        <strong>
+          {month.format('MMMM YYYY')}
+          {loading && <span className="spinner-border spinner-border-sm ms-2" role="status" aria-hidden="true"></span>}
+        </strong>
+        <button
+          type="button"
+          className="btn btn-sm btn-outline-secondary"
+          onClick={() => setMonth(month.clone().add(1, 'month'))}
+          aria-label="Next month"
+        >
+          <i className="bi bi-chevron-right"></i>
+        </button>
+      </div>
+
+      {error && <div className="alert alert-danger py-2">{error}</div>}
+
+      <div className="calendar-grid">
+        {WEEKDAYS.map(weekday => (
+          <div key={weekday} className="calendar-weekday">{weekday}</div>
+        ))}
+        {days.map(day => {
+          const state = dayState(day, busy);
+          const classes = [
+            'calendar-day',
+            dayClass(state),
+            day.month() !== month.month() ? 'calendar-day-outside' : '',
+            isSelected(day) ? 'calendar-day-selected' : '',
+            end && day.isSame(end, 'day') ? 'calendar-day-return' : ''
+          ].filter(Boolean).join(' ');
+          const title = state.hits.map(describeInterval).join('\n') || 'Free';
+
+          return onSelect ? (
+            <button
+              key={day.format('YYYY-MM-DD')}
+              type="button"
+              className={classes}
+              title={title}
+              disabled={day.isBefore(today)}
+              onClick={() => handleDayClick(day)}
+            >
+              {day.date()}
+            </button>
+          ) : (
+            <div key={day.format('YYYY-MM-DD')} className={classes} title={title}>{day.date()}</div>
+          );
+        })}
+      </div>
+
+      <div className="d-flex flex-wrap gap-3 small mt-2">
+        <span><span className="calendar-legend calendar-day-free"></span>Free</span>
+        <span><span className="calendar-legend calendar-day-partial"></span>Partly booked</span>
+        <span><span className="calendar-legend calendar-day-busy"></span>Booked</span>
+        <span><span className="calendar-legend calendar-day-mine"></span>Yours</span>
+        <span><span className="calendar-legend calendar-day-maintenance"></span>Out of service</span>
+      </div>
+      {onSelect && (
+        <div className="form-text">
+          {pendingStart ? 'Now click the day the item is due back.' : 'Click a start day, then the day the item is due back.'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AvailabilityCalendar;
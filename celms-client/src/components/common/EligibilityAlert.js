@@ -0,0 +1,54 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// Icon and follow-up link per eligibility reason code
+const REASON_META = {
+  ACCOUNT_INACTIVE: { icon: 'person-x' },
+  OVERDUE_LOANS: { icon: 'clock-history', to: '/loans', linkText: 'View loans' },
+  UNPAID_PENALTIES: { icon: 'cash-coin', to: '/penalties', linkText: 'View penalties' },
+  LOAN_LIMIT: { icon: 'stack' },
+  CATEGORY_RESTRICTED: { icon: 'slash-circle' },
+};
+
+/**
+ * Lists the reasons a user may not borrow, as returned by /api/eligibility
+ * or by a NOT_ELIGIBLE (409) error from reservation and checkout requests
+ * @param {Object} props - Component props
+ * @param {Array} props.reasons - [{ code, message }]
+ * @param {boolean} props.showLinks - Link to the user's loans/penalties (hide for staff acting on someone else)
+ */
+const EligibilityAlert = ({ reasons = [], showLinks = true }) => {
+  if (reasons.length === 0) return null;
+
+  return (
+    <div className="alert alert-warning" role="alert">
+      <strong>Borrowing is blocked:</strong>
+      <ul className="mb-0 mt-2 list-unstyled">
+        {reasons.map(reason => {
+          const meta = REASON_META[reason.code] || { icon: 'exclamation-circle' };
+          return (
+            <li key={reason.code} className="d-flex align-items-start mb-1">
+              <i className={`bi bi-${meta.icon} me-2`}></i>
+              <span>
+                {reason.message}
+                {showLinks && meta.to && (
+                  <Link to={meta.to} className="ms-2">{meta.linkText}</Link>
+                )}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * Pull the structured reasons out of a failed API call, if any
+ * @param {Object} error - Error thrown by apiClient
+ */
+export const eligibilityReasons = (error) => (
+  error?.code === 'NOT_ELIGIBLE' ? error.details?.reasons || [] : []
+);
+
+export default EligibilityAlert;
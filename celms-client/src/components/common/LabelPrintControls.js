@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import moment from 'moment';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+import { downloadFile } from '../../services/download';
+import { printDocument } from '../../services/print';
+
+const LABELS_PER_SHEET = 21;
+
+/**
+ * Print or download asset label sheets (3 x 7 labels per A4 sheet) for the selected items
+ * @param {Array} itemIds - selected item IDs, in print order
+ */
+const LabelPrintControls = ({ itemIds }) => {
+  const [skip, setSkip] = useState(0);
+  const [busy, setBusy] = useState(false);
+
+  const showError = (err) => {
+    toast.error(err.message || 'Failed to render labels');
+    console.error('Error rendering labels:', err);
+  };
+
+  const handlePrint = async () => {
+    setBusy(true);
+    try {
+      const opened = await printDocument(() => api.items.getLabels(itemIds, { format: 'html', skip }));
+      if (!opened) {
+        toast.error('Allow pop-ups for this site to print labels');
+      }
+    } catch (err) {
+      showError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    setBusy(true);
+    try {
+      const svg = await api.items.getLabels(itemIds, { format: 'svg', skip });
+      downloadFile(svg, `celms-labels-${moment().format('YYYY-MM-DD')}.svg`, 'image/svg+xml');
+    } catch (err) {
+      showError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const disabled = busy || itemIds.length === 0;
+
+  return (
+    <div className="d-flex flex-wrap align-items-center gap-2">
+      <div className="input-group input-group-sm" style={{ width: 'auto' }}>
+        <span className="input-group-text" title="Label positions already used on the first sheet">Skip</span>
+        <input
+          type="number"
+          className="form-control"
+          style={{ width: '4.5rem' }}
+          min="0"
+          max={LABELS_PER_SHEET - 1}
+          value={skip}
+          onChange={(e) => setSkip(Math.min(Math.max(parseInt(e.target.value, 10) || 0, 0), LABELS_PER_SHEET - 1))}
+        />
+      </div>
+      <button type="button" className="btn btn-sm btn-outline-dark" onClick={handlePrint} disabled={disabled}>
+        <i className="bi bi-printer me-1"></i>Print {itemIds.length} label{itemIds.length === 1 ? '' : 's'}
+      </button>
+      <button type="button" className="btn btn-sm btn-outline-secondary" onClick={handleDownload} disabled={disabled}>
+        <i className="bi bi-download me-1"></i>SVG
+      </button>
+    </div>
+  );
+};
+
+export default LabelPrintControls;
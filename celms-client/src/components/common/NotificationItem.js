@@ -0,0 +1,64 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import moment from 'moment';
+
+// Icon and landing page per notification type
+const TYPE_META = {
+  reservation: { icon: 'calendar-event', to: '/reservations' },
+  loan: { icon: 'box-arrow-up-right', to: '/loans' },
+  return: { icon: 'box-arrow-in-down-left', to: '/loans' },
+  penalty: { icon: 'exclamation-triangle', to: '/penalties' },
+  maintenance: { icon: 'tools', to: '/tickets' },
+  system: { icon: 'info-circle', to: null },
+};
+
+/**
+ * A single persisted notification, used by the navbar bell and the inbox page
+ * @param {Object} props - Component props
+ * @param {Object} props.notification - Row from /api/notifications
+ * @param {Function} props.onMarkRead - Called with notif_id when marked read
+ * @param {boolean} props.compact - Smaller layout for dropdowns
+ */
+const NotificationItem = ({ notification, onMarkRead, compact = false }) => {
+  const meta = TYPE_META[notification.type] || TYPE_META.system;
+  const message = notification.payload?.message || 'Notification';
+  const unread = notification.is_unread;
+
+  const handleOpen = () => {
+    if (unread && onMarkRead) {
+      onMarkRead(notification.notif_id);
+    }
+  };
+
+  const body = (
+    <div className="d-flex align-items-start">
+      <i className={`bi bi-${meta.icon} me-2 ${unread ? 'text-primary' : 'text-muted'}`}></i>
+      <div className="flex-grow-1">
+        <div className={`${unread ? 'fw-semibold' : ''} ${compact ? 'small text-wrap' : ''}`}>{message}</div>
+        <small className="text-muted">{moment(notification.created_at).fromNow()}</small>
+      </div>
+      {unread && !compact && onMarkRead && (
+        <button
+          type="button"
+          className="btn btn-sm btn-link text-decoration-none"
+          onClick={(e) => {
+            e.preventDefault();
+            onMarkRead(notification.notif_id);
+          }}
+        >
+          Mark read
+        </button>
+      )}
+    </div>
+  );
+
+  return meta.to ? (
+    <Link to={meta.to} className="text-reset text-decoration-none d-block" onClick={handleOpen}>
+      {body}
+    </Link>
+  ) : (
+    <div role="button" onClick={handleOpen}>{body}</div>
+  );
+};
+
+export default NotificationItem;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import moment from 'moment';
+import api from '../../services/api';
+
+const STATUS_CLASSES = {
+  open: 'bg-danger',
+  disputed: 'bg-warning text-dark',
+  paid: 'bg-success',
+  waived: 'bg-secondary',
+};
+
+const KIND_LABELS = {
+  charge: 'Charged',
+  payment: 'Payment',
+  waiver: 'Waived',
+  adjustment: 'Adjustment',
+};
+
+export const formatMad = (value) => `${Number(value || 0).toFixed(2)} MAD`;
+
+export const PenaltyStatusBadge = ({ status }) => (
+  <span className={`badge ${STATUS_CLASSES[status] || 'bg-secondary'}`}>{status}</span>
+);
+
+/**
+ * Human readable explanation of why a penalty was charged
+ * @param {Object} penalty - Row from /api/penalties
+ */
+export const penaltyReason = (penalty) => {
+  if (penalty.reason === 'overdue') {
+    const days = penalty.days_late || 0;
+    return `Returned ${days} day${days === 1 ? '' : 's'} late (due ${moment(penalty.due_at).format('MMM D, YYYY')})`;
+  }
+  return penalty.reason;
+};
+
+/**
+ * Ledger entries (charge, payments, waivers, adjustments) for one penalty
+ * @param {Object} props - Component props
+ * @param {number} props.penaltyId - Penalty to load
+ * @param {any} props.refreshKey - Reloads the history when it changes
+ */
+const PenaltyHistory = ({ penaltyId, refreshKey }) => {
+  const [penalty, setPenalty] = useState(null);
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        const response = await api.penalties.getById(penaltyId);
+        setPenalty(response?.penalty || null);
+        setTransactions(response?.transactions || []);
+      } catch (err) {
+        console.error('Error fetching penalty history:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [penaltyId, refreshKey]);
+
+  if (loading) {
+    return <div className="text-muted small py-2">Loading history...</div>;
+  }
+
+  return (
+    <div className="py-2">
+      {penalty?.dispute_reason && (
+        <p className="small mb-2">
+          <strong>Dispute:</strong> {penalty.dispute_reason}
+          {penalty.disputed_at && <span className="text-muted"> ({moment(penalty.disputed_at).format('MMM D, YYYY')})</span>}
+        </p>
+      )}
+      <table className="table table-sm mb-0">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Entry</th>
+            <th className="text-end">Amount</th>
+            <th>Details</th>
+          </tr>
+        </thead>
+        <tbody>
+          {transactions.map(txn => (
+            <tr key={txn.txn_id}>
+              <td>{moment(txn.created_at).format('MMM D, YYYY HH:mm')}</td>
+              <td>{KIND_LABELS[txn.kind] || txn.kind}</td>
+              <td className={`text-end ${Number(txn.amount_mad) < 0 ? 'text-success' : ''}`}>{formatMad(txn.amount_mad)}</td>
+              <td className="small">
+                {txn.reason}
+                {txn.method && <span> {txn.method}</span>}
+                {txn.reference && <span className="text-muted"> #{txn.reference}</span>}
+                {txn.recorded_by_first_name && (
+                  <span className="text-muted"> by {txn.recorded_by_first_name} {txn.recorded_by_last_name}</span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default PenaltyHistory;
@@ -3,6 +3,8 @@ import { Link, useParams, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import api from '../../services/api';
 import { useUser } from '../../contexts/UserContext';
+import LabelPrintControls from '../common/LabelPrintControls';
+import AvailabilityCalendar from '../common/AvailabilityCalendar';
 import moment from 'moment';
 
 const ItemDetail = () => {
@@ -15,6 +17,8 @@ const ItemDetail = () => {
   const [loans, setLoans] = useState([]);
   const [reservations, setReservations] = useState([]);
   const [tickets, setTickets] = useState([]);
+  const [units, setUnits] = useState([]); // other items of the same model, for label printing
+  const [labelIds, setLabelIds] = useState([]);
 
   const isAdmin = user?.role === 'admin';
   const isTechnician = user?.role === 'technician';
@@ -26,19 +30,19 @@ const ItemDetail = () => {
         setLoading(true);
 
         // Fetch item details
-        const response = await api.get(`/items/${id}`);
-        setItem(response.data);
+        setItem(await api.items.getById(id));
+        setLabelIds([Number(id)]);
 
         // Fetch related data
         const [loansRes, reservationsRes, ticketsRes] = await Promise.all([
-          api.get(`/items/${id}/loans`),
-          api.get(`/items/${id}/reservations`),
-          api.get(`/items/${id}/tickets`)
+          api.items.getLoans(id),
+          api.items.getReservations(id),
+          api.items.getTickets(id)
         ]);
 
-        setLoans(loansRes.data);
-        setReservations(reservationsRes.data);
-        setTickets(ticketsRes.data);
+        setLoans(loansRes?.loans || []);
+        setReservations(reservationsRes?.reservations || []);
+        setTickets(ticketsRes?.tickets || []);
 
         setError(null);
       } catch (err) {
@@ -53,15 +57,27 @@ const ItemDetail = () => {
     fetchItem();
   }, [id]);
 
+  useEffect(() => {
+    if (!item?.model_id || !(isAdmin || isTechnician)) return;
+
+    api.items.getAll({ model_id: item.model_id })
+      .then(rows => setUnits(rows))
+      .catch(err => console.error('Error fetching units of the model:', err));
+  }, [item?.model_id, isAdmin, isTechnician]);
+
+  const toggleLabel = (itemId) => {
+    setLabelIds(prev => (prev.includes(itemId) ? prev.filter(i => i !== itemId) : [...prev, itemId]));
+  };
+
   const handleDeleteItem = async () => {
     if (window.confirm('Are you sure you want to delete this item? This action cannot be undone.')) {
       try {
-        await api.delete(`/items/${id}`);
+        await api.items.remove(id);
         toast.success('Item deleted successfully');
         navigate('/items');
       } catch (err) {
         console.error('Error deleting item:', err);
-        toast.error(err.response?.data?.message || 'Failed to delete item');
+        toast.error(err.message || 'Failed to delete item');
       }
     }
   };
@@ -197,18 +213,54 @@ const ItemDetail = () => {
                     <button
                       className="btn btn-outline-info"
                       onClick={() => {
-                        api.put(`/items/${id}`, {
-                          ...item,
+                        api.items.update(id, {
+                          status: item.status,
+                          location: item.location,
                           last_serviced: new Date().toISOString().split('T')[0]
                         }).then(() => {
                           toast.success('Maintenance date updated');
                           // Refresh item data
-                          api.get(`/items/${id}`).then(res => setItem(res.data));
+                          api.items.getById(id).then(setItem);
                         });
                       }}
                     >
                       <i className="bi bi-calendar-check me-1"></i> Mark as Serviced
                     </button>
+                    <Link to={`/calendar-feeds?item=${id}`} className="btn btn-outline-secondary">
+                      <i className="bi bi-calendar-event me-1"></i> Calendar Feed
+                    </Link>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Asset Labels */}
+            {(isAdmin || isTechnician) && (
+              <div className="card shadow-sm mb-4">
+                <div className="card-header d-flex flex-wrap justify-content-between align-items-center gap-2">
+                  <h5 className="mb-0">Labels</h5>
+                  <LabelPrintControls itemIds={labelIds} />
+                </div>
+                <div className="card-body">
+                  <p className="small text-muted">
+                    Each label has a QR code linking to the item page and the asset tag as a barcode.
+                    Tick other units of this model to print their labels on the same sheet.
+                  </p>
+                  <div className="d-flex flex-wrap gap-3">
+                    {(units.length > 0 ? units : [item]).map(unit => (
+                      <div key={unit.item_id} className="form-check">
+                        <input
+                          id={`label-${unit.item_id}`}
+                          type="checkbox"
+                          className="form-check-input"
+                          checked={labelIds.includes(unit.item_id)}
+                          onChange={() => toggleLabel(unit.item_id)}
+                        />
+                        <label htmlFor={`label-${unit.item_id}`} className="form-check-label font-monospace">
+                          {unit.asset_tag}
+                        </label>
+                      </div>
+                    ))}
                   </div>
                 </div>
               </div>
@@ -216,6 +268,16 @@ const ItemDetail = () => {
           </div>
 
           <div className="col-lg-4">
+            {/* Availability */}
+            <div className="card shadow-sm mb-4">
+              <div className="card-header">
+                <h5 className="mb-0">Availability</h5>
+              </div>
+              <div className="card-body">
+                <AvailabilityCalendar itemId={id} />
+              </div>
+            </div>
+
             {/* Current Loan */}
             {loans.filter(loan => !loan.return_at).length > 0 && (
               <div className="card shadow-sm mb-4">
@@ -246,8 +308,8 @@ const ItemDetail = () => {
                 <div className="card-body">
                   <div className="list-group list-group-flush">
                     {reservations.map(res => {
-                      const startDate = new Date(res.period.slice(1).split(',')[0]);
-                      const endDate = new Date(res.period.split(',')[1].slice(0, -1));
+                      const startDate = new Date(res.start_at);
+                      const endDate = new Date(res.end_at);
 
                       return (
                         <Link
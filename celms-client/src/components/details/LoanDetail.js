@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link, useParams, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import api from '../../services/api';
+import { downloadFile } from '../../services/download';
 import { useUser } from '../../contexts/UserContext';
 import moment from 'moment';
 
@@ -17,18 +18,39 @@ const LoanDetail = () => {
     damaged: false,
     return_condition: ''
   });
+  const [extensions, setExtensions] = useState([]);
+  const [extensionData, setExtensionData] = useState({
+    due_at: '',
+    reason: ''
+  });
+  const [requestingExtension, setRequestingExtension] = useState(false);
 
   const isAdmin = user?.role === 'admin';
   const isTechnician = user?.role === 'technician';
   const canReturn = isAdmin || isTechnician;
+  const isBorrower = user?.id === loan?.user_id;
+  const hasPendingExtension = extensions.some(ext => ext.status === 'pending');
+
+  const refreshLoan = async () => {
+    const [loanData, extensionList] = await Promise.all([
+      api.loans.getById(id),
+      api.loans.getExtensions(id)
+    ]);
+    setLoan(loanData);
+    setExtensions(extensionList);
+  };
 
   // Fetch loan data
   useEffect(() => {
     const fetchLoan = async () => {
       try {
         setLoading(true);
-        const response = await api.get(`/loans/${id}`);
-        setLoan(response.data);
+        const [loanData, extensionList] = await Promise.all([
+          api.loans.getById(id),
+          api.loans.getExtensions(id)
+        ]);
+        setLoan(loanData);
+        setExtensions(extensionList);
         setError(null);
       } catch (err) {
         console.error('Error fetching loan details:', err);
@@ -45,12 +67,14 @@ const LoanDetail = () => {
   const handleReturnLoan = async () => {
     try {
       setReturningLoan(true);
-      await api.put(`/loans/${id}/return`, returnData);
+      await api.loans.returnLoan(id, {
+        damaged: returnData.damaged,
+        condition: returnData.return_condition
+      });
       toast.success('Item returned successfully');
 
       // Refresh loan data
-      const response = await api.get(`/loans/${id}`);
-      setLoan(response.data);
+      await refreshLoan();
 
       // Reset return form
       setReturnData({
@@ -59,12 +83,78 @@ const LoanDetail = () => {
       });
     } catch (err) {
       console.error('Error returning loan:', err);
-      toast.error(err.response?.data?.message || 'Failed to return item');
+      toast.error(err.message || 'Failed to return item');
     } finally {
       setReturningLoan(false);
     }
   };
 
+  const handleRequestExtension = async (e) => {
+    e.preventDefault();
+    try {
+      setRequestingExtension(true);
+      const response = await api.loans.requestExtension(id, {
+        due_at: moment(extensionData.due_at).toISOString(),
+        reason: extensionData.reason
+      });
+
+      if (response?.extension?.status === 'approved') {
+        toast.success('Loan extended');
+      } else {
+        toast.info('Extension requested and awaiting approval');
+      }
+
+      setExtensionData({ due_at: '', reason: '' });
+      await refreshLoan();
+    } catch (err) {
+      console.error('Error requesting extension:', err);
+      toast.error(err.message || 'Failed to request extension');
+    } finally {
+      setRequestingExtension(false);
+    }
+  };
+
+  const handleExtensionDecision = async (extension, approve) => {
+    const reason = window.prompt(approve ? 'Approval note (optional):' : 'Reason for denying this extension:');
+    if (reason === null || (!approve && !reason.trim())) {
+      return;
+    }
+
+    try {
+      if (approve) {
+        await api.loans.approveExtension(extension.extension_id, reason);
+        toast.success('Extension approved');
+      } else {
+        await api.loans.denyExtension(extension.extension_id, reason);
+        toast.success('Extension denied');
+      }
+      await refreshLoan();
+    } catch (err) {
+      console.error('Error deciding extension:', err);
+      toast.error(err.message || 'Failed to update extension');
+    }
+  };
+
+  // Extension status badge color helper
+  const getExtensionBadgeClass = (status) => {
+    switch (status) {
+      case 'approved': return 'bg-success';
+      case 'denied': return 'bg-danger';
+      case 'pending': return 'bg-warning text-dark';
+      default: return 'bg-secondary';
+    }
+  };
+
+  const handleDownloadIcs = async () => {
+    try {
+      const ics = await api.loans.downloadIcs(id);
+      downloadFile(ics, `loan-${id}.ics`, 'text/calendar');
+    } catch (err) {
+      toast.error(err.message || 'Failed to download calendar event');
+      console.error('Error downloading calendar event:', err);
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
     setReturnData({
@@ -103,6 +193,11 @@ const LoanDetail = () => {
       <div className="d-flex justify-content-between align-items-center mb-4">
         <h2>Loan Details</h2>
         <div>
+          {loan && !loan.return_at && (
+            <button className="btn btn-outline-secondary me-2" onClick={handleDownloadIcs}>
+              <i className="bi bi-calendar-plus me-1"></i> Add Due Date to Calendar
+            </button>
+          )}
           <button className="btn btn-outline-primary" onClick={() => navigate('/loans')}>
             <i className="bi bi-arrow-left me-1"></i> Back to Loans
           </button>
@@ -238,6 +333,91 @@ const LoanDetail = () => {
               </div>
             )}
 
+            {/* Extension Request Panel (borrower or staff) */}
+            {(isBorrower || canReturn) && !loan.return_at && !hasPendingExtension && (
+              <div className="card shadow-sm mb-4">
+                <div className="card-header bg-light">
+                  <h5 className="mb-0">Extend Loan</h5>
+                </div>
+                <div className="card-body">
+                  <form onSubmit={handleRequestExtension}>
+                    <div className="mb-3">
+                      <label htmlFor="due_at" className="form-label">New Due Date</label>
+                      <input
+                        type="datetime-local"
+                        className="form-control"
+                        id="due_at"
+                        name="due_at"
+                        min={moment(loan.due_at).format('YYYY-MM-DDTHH:mm')}
+                        value={extensionData.due_at}
+                        onChange={(e) => setExtensionData({ ...extensionData, due_at: e.target.value })}
+                        required
+                      />
+                    </div>
+
+                    <div className="mb-3">
+                      <label htmlFor="reason" className="form-label">Reason</label>
+                      <textarea
+                        className="form-control"
+                        id="reason"
+                        name="reason"
+                        rows="2"
+                        value={extensionData.reason}
+                        onChange={(e) => setExtensionData({ ...extensionData, reason: e.target.value })}
+                        placeholder="Why do you need the item longer?"
+                      />
+                    </div>
+
+                    <div className="d-grid">
+                      <button type="submit" className="btn btn-outline-primary" disabled={requestingExtension}>
+                        <i className="bi bi-calendar-plus me-1"></i>
+                        {requestingExtension ? 'Requesting...' : 'Request Extension'}
+                      </button>
+                    </div>
+                  </form>
+                </div>
+              </div>
+            )}
+
+            {/* Extension History */}
+            {extensions.length > 0 && (
+              <div className="card shadow-sm mb-4">
+                <div className="card-header bg-light">
+                  <h5 className="mb-0">Extensions</h5>
+                </div>
+                <ul className="list-group list-group-flush">
+                  {extensions.map(ext => (
+                    <li key={ext.extension_id} className="list-group-item">
+                      <div className="d-flex justify-content-between align-items-center">
+                        <span>
+                          {moment(ext.previous_due_at).format('MMM D')} &rarr; {moment(ext.requested_due_at).format('MMM D, YYYY')}
+                        </span>
+                        <span className={`badge ${getExtensionBadgeClass(ext.status)}`}>
+                          {ext.auto_approved ? 'auto-approved' : ext.status}
+                        </span>
+                      </div>
+                      {ext.reason && <small className="text-muted d-block">{ext.reason}</small>}
+                      {ext.decision_reason && (
+                        <small className="text-muted d-block">
+                          <i className="bi bi-chat-left-text me-1"></i>{ext.decision_reason}
+                        </small>
+                      )}
+                      {canReturn && ext.status === 'pending' && (
+                        <div className="mt-2">
+                          <button className="btn btn-sm btn-success me-2" onClick={() => handleExtensionDecision(ext, true)}>
+                            Approve
+                          </button>
+                          <button className="btn btn-sm btn-outline-danger" onClick={() => handleExtensionDecision(ext, false)}>
+                            Deny
+                          </button>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {/* Quick Actions */}
             <div className="card shadow-sm mb-4">
               <div className="card-header bg-light">
@@ -249,27 +429,6 @@ const LoanDetail = () => {
                     <i className="bi bi-tools me-1"></i> Report Issue
                   </Link>
 
-                  {isAdmin && (
-                    <button
-                      className="btn btn-outline-danger"
-                      onClick={() => {
-                        if (window.confirm('Are you sure you want to extend this loan?')) {
-                          api.put(`/loans/${loan.loan_id}/extend`, {
-                            days: 7
-                          }).then(() => {
-                            toast.success('Loan extended by 7 days');
-                            // Refresh loan data
-                            api.get(`/loans/${id}`).then(res => setLoan(res.data));
-                          }).catch(err => {
-                            toast.error(err.response?.data?.message || 'Failed to extend loan');
-                          });
-                        }
-                      }}
-                    >
-                      <i className="bi bi-calendar-plus me-1"></i> Extend Loan
-                    </button>
-                  )}
-
                   {loan.return_at && isAdmin && (
                     <button
                       className="btn btn-outline-secondary"
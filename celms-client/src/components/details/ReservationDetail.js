@@ -1,7 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link, useParams, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import api from '../../services/api';
+import { downloadFile } from '../../services/download';
 import { useUser } from '../../contexts/UserContext';
 import moment from 'moment';
 
@@ -14,6 +15,7 @@ const ReservationDetail = () => {
   const [error, setError] = useState(null);
   const [processing, setProcessing] = useState(false);
   const [reason, setReason] = useState('');
+  const [series, setSeries] = useState(null); // rule and occurrences of a recurring reservation
 
   const isAdmin = user?.role === 'admin';
   const isTechnician = user?.role === 'technician';
@@ -58,6 +60,53 @@ const ReservationDetail = () => {
     fetchReservation();
   }, [id]);
 
+  // Load the series this reservation is an occurrence of
+  const seriesId = reservation?.series_id;
+  const fetchSeries = useCallback(async () => {
+    if (!seriesId) {
+      setSeries(null);
+      return;
+    }
+    try {
+      setSeries(await api.reservations.getSeries(seriesId));
+    } catch (err) {
+      console.error('Error fetching reservation series:', err);
+    }
+  }, [seriesId]);
+
+  useEffect(() => {
+    fetchSeries();
+  }, [fetchSeries]);
+
+  // Approve, deny or cancel every remaining occurrence of the series
+  const handleSeriesAction = async (action) => {
+    if (action === 'deny' && !reason.trim()) {
+      toast.error('Please provide a reason for denying the reservations');
+      return;
+    }
+    if (action === 'cancel' && !window.confirm('Cancel every occurrence of this series that has not started?')) {
+      return;
+    }
+
+    try {
+      setProcessing(true);
+      const response = await api.reservations.updateSeries(seriesId, action, action === 'cancel' ? undefined : reason);
+      toast.success(`${response.updated} occurrence(s) ${action === 'approve' ? 'approved' : action === 'deny' ? 'denied' : 'cancelled'}`);
+
+      const current = response.reservations.find(occurrence => String(occurrence.reservation_id) === String(id));
+      if (current) {
+        setReservation({ ...reservation, status: current.status });
+      }
+      setReason('');
+      fetchSeries();
+    } catch (err) {
+      console.error(`Error updating reservation series (${action}):`, err);
+      toast.error(err.message || 'Failed to update the series');
+    } finally {
+      setProcessing(false);
+    }
+  };
+
   const handleApprove = async () => {
     try {
       setProcessing(true);
@@ -126,10 +175,21 @@ const ReservationDetail = () => {
       case 'cancelled': return 'bg-secondary';
       case 'expired': return 'bg-secondary';
       case 'confirmed': return 'bg-info';
+      case 'held': return 'bg-light text-dark';
       default: return 'bg-secondary';
     }
   };
 
+  const handleDownloadIcs = async () => {
+    try {
+      const ics = await api.reservations.downloadIcs(id);
+      downloadFile(ics, `reservation-${id}.ics`, 'text/calendar');
+    } catch (err) {
+      toast.error(err.message || 'Failed to download calendar event');
+      console.error('Error downloading calendar event:', err);
+    }
+  };
+
   if (loading) {
     return (
       <div className="container mt-4 text-center">
@@ -164,6 +224,9 @@ const ReservationDetail = () => {
       <div className="d-flex justify-content-between align-items-center mb-4">
         <h2>Reservation Details</h2>
         <div>
+          <button className="btn btn-outline-secondary me-2" onClick={handleDownloadIcs}>
+            <i className="bi bi-calendar-plus me-1"></i> Add to Calendar
+          </button>
           <button className="btn btn-outline-primary" onClick={() => navigate('/reservations')}>
             <i className="bi bi-arrow-left me-1"></i> Back to Reservations
           </button>
@@ -211,8 +274,18 @@ const ReservationDetail = () => {
               <h6 className="mb-3">Equipment Details</h6>
               <div className="row">
                 <div className="col-md-6">
-                  <p><strong>Asset Tag:</strong> {reservation.asset_tag}</p>
-                  <p><strong>Model:</strong> {reservation.model_name}</p>
+                  {(reservation.model_id || reservation.category_id) && (
+                    <p>
+                      <strong>Requested:</strong> Any {reservation.model_id
+                        ? `${reservation.brand} ${reservation.model_name}`
+                        : `item in ${reservation.category_name}`}
+                    </p>
+                  )}
+                  <p>
+                    <strong>Asset Tag:</strong>{' '}
+                    {reservation.asset_tag || <span className="text-muted">Assigned when the reservation is approved</span>}
+                  </p>
+                  <p><strong>Model:</strong> {reservation.item_id ? reservation.model_name : '-'}</p>
                 </div>
                 <div className="col-md-6">
                   <p><strong>Category:</strong> {reservation.category_name}</p>
@@ -225,13 +298,50 @@ const ReservationDetail = () => {
                       {reservation.status}
                     </span>
                   </p>
-                  <Link to={`/items/${reservation.item_id}`} className="btn btn-sm btn-outline-primary">
-                    View Item Details
-                  </Link>
+                  {reservation.item_id && (
+                    <Link to={`/items/${reservation.item_id}`} className="btn btn-sm btn-outline-primary">
+                      View Item Details
+                    </Link>
+                  )}
                 </div>
               </div>
             </div>
           </div>
+
+          {series && (
+            <div className="card shadow-sm mb-4">
+              <div className="card-header">
+                <h5 className="mb-0">Recurring Reservation</h5>
+              </div>
+              <div className="card-body">
+                <p className="mb-1">
+                  <strong>Repeats:</strong> {series.frequency === 'weekly' ? `every ${moment(series.start_at).format('dddd')}` : 'every day'},{' '}
+                  {moment(series.start_at).format('HH:mm')}–{moment(series.end_at).format('HH:mm')},{' '}
+                  from {moment(series.start_at).format('MMM D, YYYY')} until {moment(series.until_date).format('MMM D, YYYY')}
+                </p>
+                {series.skip_dates.length > 0 && (
+                  <p className="mb-1">
+                    <strong>Skipped:</strong> {series.skip_dates.map(date => moment(date).format('MMM D')).join(', ')}
+                  </p>
+                )}
+                <p className="text-muted small">Series {series.series_id}</p>
+                <ul className="list-group list-group-flush">
+                  {series.reservations.map(occurrence => (
+                    <li key={occurrence.reservation_id} className="list-group-item d-flex justify-content-between align-items-center px-0">
+                      {String(occurrence.reservation_id) === String(id) ? (
+                        <strong>{moment(occurrence.start_at).format('ddd MMM D, HH:mm')} – {moment(occurrence.end_at).format('HH:mm')}</strong>
+                      ) : (
+                        <Link to={`/reservations/${occurrence.reservation_id}`}>
+                          {moment(occurrence.start_at).format('ddd MMM D, HH:mm')} – {moment(occurrence.end_at).format('HH:mm')}
+                        </Link>
+                      )}
+                      <span className={`badge ${getStatusBadgeClass(occurrence.status)}`}>{occurrence.status}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )}
         </div>
 
         <div className="col-lg-4">
@@ -270,6 +380,25 @@ const ReservationDetail = () => {
                     <i className="bi bi-x-circle me-1"></i> Deny
                   </button>
                 </div>
+
+                {series && series.reservations.filter(occurrence => occurrence.status === 'pending').length > 1 && (
+                  <div className="d-flex gap-2 mt-2">
+                    <button
+                      className="btn btn-outline-success btn-sm flex-grow-1"
+                      onClick={() => handleSeriesAction('approve')}
+                      disabled={processing}
+                    >
+                      Approve whole series
+                    </button>
+                    <button
+                      className="btn btn-outline-danger btn-sm flex-grow-1"
+                      onClick={() => handleSeriesAction('deny')}
+                      disabled={processing || !reason.trim()}
+                    >
+                      Deny whole series
+                    </button>
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -287,8 +416,17 @@ const ReservationDetail = () => {
                     onClick={handleCancel}
                     disabled={processing}
                   >
-                    <i className="bi bi-x-circle me-1"></i> Cancel Reservation
+                    <i className="bi bi-x-circle me-1"></i> {series ? 'Cancel This Occurrence' : 'Cancel Reservation'}
                   </button>
+                  {series && isOwner && (
+                    <button
+                      className="btn btn-outline-danger"
+                      onClick={() => handleSeriesAction('cancel')}
+                      disabled={processing}
+                    >
+                      Cancel Remaining Occurrences
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
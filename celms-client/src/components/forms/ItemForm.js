@@ -17,17 +17,17 @@ const ItemForm = ({ item = null, onSubmitSuccess }) => {
   useEffect(() => {
     const fetchData = async () => {
       try {
-        const [categoriesResponse, modelsResponse] = await Promise.all([
-          api.get('/categories'),
-          api.get('/models')
+        const [categoriesList, modelsList] = await Promise.all([
+          api.categories.getAll(),
+          api.models.getAll()
         ]);
 
-        setCategories(categoriesResponse.data);
-        setModels(modelsResponse.data);
+        setCategories(categoriesList);
+        setModels(modelsList);
 
         // If editing, set the selected category
         if (item && item.model_id) {
-          const model = modelsResponse.data.find(m => m.model_id === item.model_id);
+          const model = modelsList.find(m => String(m.model_id) === String(item.model_id));
           if (model) {
             setSelectedCategory(model.category_id);
           }
@@ -43,7 +43,7 @@ const ItemForm = ({ item = null, onSubmitSuccess }) => {
 
   // Get models for the selected category
   const filteredModels = models.filter(model =>
-    selectedCategory ? model.category_id === selectedCategory : true
+    selectedCategory ? String(model.category_id) === String(selectedCategory) : true
   );
 
   // Form validation schema
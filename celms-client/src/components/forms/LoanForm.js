@@ -4,6 +4,7 @@ import * as Yup from 'yup';
 import { toast } from 'react-toastify';
 import api from '../../services/api';
 import moment from 'moment';
+import EligibilityAlert, { eligibilityReasons } from '../common/EligibilityAlert';
 
 const LoanForm = ({ onSubmitSuccess }) => {
   const [items, setItems] = useState([]);
@@ -12,6 +13,7 @@ const LoanForm = ({ onSubmitSuccess }) => {
   const [loading, setLoading] = useState(false);
   const [loadingData, setLoadingData] = useState(true);
   const [selectedUserId, setSelectedUserId] = useState('');
+  const [reasons, setReasons] = useState([]);
 
   // Load data
   useEffect(() => {
@@ -19,14 +21,14 @@ const LoanForm = ({ onSubmitSuccess }) => {
       try {
         setLoadingData(true);
         const [itemsRes, usersRes, reservationsRes] = await Promise.all([
-          api.get('/items?status=available'),
-          api.get('/users'),
-          api.get('/reservations?status=approved')
+          api.items.getAll({ available: true }),
+          api.users.getAll(),
+          api.reservations.getAll({ status: 'approved' })
         ]);
 
-        setItems(itemsRes.data);
-        setUsers(usersRes.data);
-        setReservations(reservationsRes.data);
+        setItems(itemsRes || []);
+        setUsers(usersRes || []);
+        setReservations(reservationsRes || []);
       } catch (error) {
         console.error('Error fetching data:', error);
         toast.error('Failed to load data');
@@ -49,10 +51,7 @@ const LoanForm = ({ onSubmitSuccess }) => {
       .required('Item is required'),
     user_id: Yup.string()
       .required('User is required'),
-    reservation_id: Yup.number(),
-    due_at: Yup.date()
-      .required('Due date is required')
-      .min(moment().format('YYYY-MM-DD'), 'Due date must be today or later')
+    reservation_id: Yup.number()
   });
 
   // Initialize form
@@ -60,22 +59,19 @@ const LoanForm = ({ onSubmitSuccess }) => {
     initialValues: {
       item_id: '',
       user_id: '',
-      reservation_id: '',
-      due_at: moment().add(7, 'days').format('YYYY-MM-DD')
+      reservation_id: ''
     },
     validationSchema,
     onSubmit: async (values) => {
       try {
         setLoading(true);
 
-        // Convert to proper format for API
-        const loanData = {
-          ...values,
-          due_at: moment(values.due_at).toISOString(),
-          reservation_id: values.reservation_id || null
-        };
-
-        await api.post('/loans', loanData);
+        // The due date comes from the default loan period (celms_settings)
+        if (values.reservation_id) {
+          await api.loans.createFromReservation(values.reservation_id);
+        } else {
+          await api.loans.createAdhoc(values.user_id, values.item_id);
+        }
         toast.success('Loan created successfully');
 
         if (onSubmitSuccess) {
@@ -85,7 +81,8 @@ const LoanForm = ({ onSubmitSuccess }) => {
         formik.resetForm();
       } catch (error) {
         console.error('Error creating loan:', error);
-        toast.error(error.response?.data?.message || 'Failed to create loan');
+        setReasons(eligibilityReasons(error));
+        toast.error(error.message || 'Failed to create loan');
       } finally {
         setLoading(false);
       }
@@ -122,6 +119,30 @@ const LoanForm = ({ onSubmitSuccess }) => {
     }
   };
 
+  // Check the borrower's eligibility as soon as a user and item are chosen
+  const { user_id: userId, item_id: itemId, reservation_id: reservationId } = formik.values;
+  useEffect(() => {
+    if (!userId || !itemId) {
+      setReasons([]);
+      return;
+    }
+
+    const checkEligibility = async () => {
+      try {
+        const response = await api.eligibility.check({
+          user_id: userId,
+          item_id: itemId,
+          reservation_id: reservationId
+        });
+        setReasons(response?.reasons || []);
+      } catch (error) {
+        console.error('Error checking eligibility:', error);
+      }
+    };
+
+    checkEligibility();
+  }, [userId, itemId, reservationId]);
+
   return (
     <form onSubmit={formik.handleSubmit}>
       <div className="mb-3">
@@ -161,16 +182,11 @@ const LoanForm = ({ onSubmitSuccess }) => {
           disabled={!selectedUserId || userReservations.length === 0}
         >
           <option value="">No reservation</option>
-          {userReservations.map(res => {
-            const startDate = new Date(res.period.slice(1).split(',')[0]);
-            const endDate = new Date(res.period.split(',')[1].slice(0, -1));
-
-            return (
-              <option key={res.reservation_id} value={res.reservation_id}>
-                {moment(startDate).format('MMM D')} - {moment(endDate).format('MMM D, YYYY')} | Item: {res.asset_tag}
-              </option>
-            );
-          })}
+          {userReservations.map(res => (
+            <option key={res.reservation_id} value={res.reservation_id}>
+              {moment(res.start_at).format('MMM D')} - {moment(res.end_at).format('MMM D, YYYY')} | Item: {res.asset_tag}
+            </option>
+          ))}
         </select>
       </div>
 
@@ -191,7 +207,7 @@ const LoanForm = ({ onSubmitSuccess }) => {
             <option value="">Select an item</option>
             {items.map(item => (
               <option key={item.item_id} value={item.item_id}>
-                {item.asset_tag} - {item.model} ({item.category})
+                {item.asset_tag} - {item.brand} {item.model_name} ({item.category_name})
               </option>
             ))}
           </select>
@@ -201,24 +217,13 @@ const LoanForm = ({ onSubmitSuccess }) => {
         )}
       </div>
 
-      <div className="mb-3">
-        <label htmlFor="due_at" className="form-label">Due Date</label>
-        <input
-          id="due_at"
-          type="date"
-          className={`form-control ${formik.touched.due_at && formik.errors.due_at ? 'is-invalid' : ''}`}
-          {...formik.getFieldProps('due_at')}
-        />
-        {formik.touched.due_at && formik.errors.due_at && (
-          <div className="invalid-feedback">{formik.errors.due_at}</div>
-        )}
-      </div>
+      <EligibilityAlert reasons={reasons} showLinks={false} />
 
       <div className="d-grid">
         <button
           type="submit"
           className="btn btn-primary"
-          disabled={loading || loadingData}
+          disabled={loading || loadingData || reasons.length > 0}
         >
           {loading ? (
             <span>
@@ -4,19 +4,58 @@ import * as Yup from 'yup';
 import { toast } from 'react-toastify';
 import api from '../../services/api';
 import moment from 'moment';
+import EligibilityAlert, { eligibilityReasons } from '../common/EligibilityAlert';
+import AvailabilityCalendar, { describeInterval } from '../common/AvailabilityCalendar';
+import { useUser } from '../../contexts/UserContext';
+
+// Units one model or category request may ask for (matches the API limit)
+const MAX_QUANTITY = 10;
+
+// Roles that may book recurring reservations (matches the API)
+const SERIES_ROLES = ['staff', 'technician', 'admin'];
+
+// Empty selects hold '', which means "not chosen" rather than an invalid number
+const selectedId = () => Yup.number().transform((value, original) => (original === '' ? undefined : value));
+
+// The API's recurring rule: the first occurrence runs on the start date between
+// the two times, repeating on the same local time (the browser's time zone)
+const seriesRule = (values) => ({
+  item_id: values.item_id,
+  start: moment(`${values.period_start}T${values.time_start}`).toISOString(),
+  end: moment(`${values.period_start}T${values.time_end}`).toISOString(),
+  frequency: values.repeat,
+  until: values.repeat_until,
+  skip_dates: values.skip_dates,
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+});
 
 const ReservationForm = ({ onSubmitSuccess }) => {
+  const { user } = useUser();
   const [items, setItems] = useState([]);
+  const [models, setModels] = useState([]);
+  const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [joining, setJoining] = useState(false);
   const [loadingItems, setLoadingItems] = useState(true);
+  const [reasons, setReasons] = useState([]);
+  const [conflicts, setConflicts] = useState([]); // busy intervals inside the chosen period
+  const [capacity, setCapacity] = useState(null); // free units of the chosen model or category
+  const [series, setSeries] = useState(null); // occurrences of a recurring reservation with their conflicts
+  const [skipDate, setSkipDate] = useState('');
 
-  // Load available items
+  // Load available items, models and categories
   useEffect(() => {
     const fetchItems = async () => {
       try {
         setLoadingItems(true);
-        const response = await api.get('/items?status=available');
-        setItems(response.data);
+        const [itemData, modelData, categoryData] = await Promise.all([
+          api.items.getAll({ available: true }),
+          api.models.getAll(),
+          api.categories.getAll()
+        ]);
+        setItems(itemData || []);
+        setModels(modelData || []);
+        setCategories(categoryData || []);
       } catch (error) {
         console.error('Error fetching items:', error);
         toast.error('Failed to load available items');
@@ -30,8 +69,23 @@ const ReservationForm = ({ onSubmitSuccess }) => {
 
   // Form validation schema
   const validationSchema = Yup.object({
-    item_id: Yup.number()
-      .required('Item is required'),
+    target: Yup.string().oneOf(['item', 'model', 'category']),
+    item_id: selectedId().when('target', {
+      is: 'item',
+      then: (schema) => schema.required('Item is required')
+    }),
+    model_id: selectedId().when('target', {
+      is: 'model',
+      then: (schema) => schema.required('Model is required')
+    }),
+    category_id: selectedId().when('target', {
+      is: 'category',
+      then: (schema) => schema.required('Category is required')
+    }),
+    quantity: Yup.number()
+      .integer('Quantity must be a whole number')
+      .min(1, 'Reserve at least one unit')
+      .max(MAX_QUANTITY, `Reserve at most ${MAX_QUANTITY} units at once`),
     period_start: Yup.date()
       .required('Start date is required')
       .min(moment().startOf('day'), 'Start date must be today or later'),
@@ -40,30 +94,70 @@ const ReservationForm = ({ onSubmitSuccess }) => {
       .min(
         Yup.ref('period_start'),
         'End date must be after the start date'
-      )
+      ),
+    repeat: Yup.string().oneOf(['', 'daily', 'weekly']),
+    repeat_until: Yup.date().when('repeat', {
+      is: (repeat) => Boolean(repeat),
+      then: (schema) => schema
+        .required('Repeat until is required')
+        .min(Yup.ref('period_start'), 'Repeat until must be on or after the start date')
+    }),
+    time_end: Yup.string().when('repeat', {
+      is: (repeat) => Boolean(repeat),
+      then: (schema) => schema.test('after-start', 'End time must be after the start time',
+        (value, context) => !value || !context.parent.time_start || value > context.parent.time_start)
+    })
   });
 
   // Initialize form
   const formik = useFormik({
     initialValues: {
+      target: 'item',
       item_id: '',
+      model_id: '',
+      category_id: '',
+      quantity: 1,
       period_start: moment().format('YYYY-MM-DD'),
-      period_end: moment().add(1, 'day').format('YYYY-MM-DD')
+      period_end: moment().add(1, 'day').format('YYYY-MM-DD'),
+      repeat: '',
+      repeat_until: '',
+      time_start: '10:00',
+      time_end: '12:00',
+      skip_dates: []
     },
     validationSchema,
     onSubmit: async (values) => {
       try {
         setLoading(true);
 
+        if (values.target === 'item' && SERIES_ROLES.includes(user?.role) && values.repeat) {
+          const response = await api.reservations.createSeries(seriesRule(values));
+          toast.success(`Recurring reservation requested: ${response.count} occurrences`);
+
+          if (onSubmitSuccess) {
+            onSubmitSuccess();
+          }
+
+          formik.resetForm();
+          return;
+        }
+
         // Convert to proper format for API
         const reservationData = {
-          ...values,
-          period_start: moment(values.period_start).toISOString(),
-          period_end: moment(values.period_end).toISOString()
+          start: moment(values.period_start).toISOString(),
+          end: moment(values.period_end).toISOString()
         };
+        if (values.target === 'item') {
+          reservationData.item_id = values.item_id;
+        } else {
+          reservationData[`${values.target}_id`] = values[`${values.target}_id`];
+          reservationData.quantity = values.quantity;
+        }
 
-        await api.post('/reservations', reservationData);
-        toast.success('Reservation created successfully');
+        await api.reservations.create(reservationData);
+        toast.success(values.target === 'item'
+          ? 'Reservation created successfully'
+          : 'Reservation requested; units are assigned when it is approved');
 
         if (onSubmitSuccess) {
           onSubmitSuccess();
@@ -72,23 +166,160 @@ const ReservationForm = ({ onSubmitSuccess }) => {
         formik.resetForm();
       } catch (error) {
         console.error('Error creating reservation:', error);
-        toast.error(error.response?.data?.message || 'Failed to create reservation');
+        setReasons(eligibilityReasons(error));
+        toast.error(error.message || 'Failed to create reservation');
       } finally {
         setLoading(false);
       }
     }
   });
 
+  // Check eligibility and availability up front so users see problems before submitting
+  const {
+    target,
+    item_id: itemId,
+    model_id: modelId,
+    category_id: categoryId,
+    quantity,
+    period_start: periodStart,
+    period_end: periodEnd
+  } = formik.values;
+  const poolId = target === 'model' ? modelId : target === 'category' ? categoryId : '';
+  useEffect(() => {
+    setCapacity(null);
+    if ((target === 'item' ? !itemId : !poolId) || !periodStart || !periodEnd || !moment(periodEnd).isAfter(periodStart)) {
+      setReasons([]);
+      setConflicts([]);
+      return;
+    }
+
+    const checkEligibility = async () => {
+      const period = {
+        start: moment(periodStart).toISOString(),
+        end: moment(periodEnd).toISOString()
+      };
+      try {
+        if (target === 'item') {
+          const [response, availability] = await Promise.all([
+            api.eligibility.check({ item_id: itemId, ...period }),
+            api.items.getAvailability(itemId, { from: period.start, to: period.end })
+          ]);
+          setReasons(response?.reasons || []);
+          setConflicts(availability?.busy || []);
+        } else {
+          const [response, pool] = await Promise.all([
+            api.eligibility.check(period),
+            api.reservations.getCapacity({ [`${target}_id`]: poolId, ...period })
+          ]);
+          setReasons(response?.reasons || []);
+          setConflicts([]);
+          setCapacity(pool);
+        }
+      } catch (error) {
+        console.error('Error checking eligibility:', error);
+      }
+    };
+
+    checkEligibility();
+  }, [target, itemId, poolId, periodStart, periodEnd]);
+
+  const notEnoughUnits = capacity !== null && capacity.available < Number(quantity);
+
+  // List the occurrences of a recurring reservation and what each would overlap
+  const canRepeat = target === 'item' && SERIES_ROLES.includes(user?.role);
+  const { repeat, repeat_until: repeatUntil, time_start: timeStart, time_end: timeEnd, skip_dates: skipDates } = formik.values;
+  const repeating = canRepeat && Boolean(repeat);
+  useEffect(() => {
+    setSeries(null);
+    if (!repeating || !itemId || !periodStart || !repeatUntil || !timeStart || !timeEnd || timeEnd <= timeStart) {
+      return;
+    }
+
+    const previewSeries = async () => {
+      try {
+        const response = await api.reservations.previewSeries(seriesRule({
+          item_id: itemId,
+          period_start: periodStart,
+          time_start: timeStart,
+          time_end: timeEnd,
+          repeat,
+          repeat_until: repeatUntil,
+          skip_dates: skipDates
+        }));
+        setSeries(response);
+      } catch (error) {
+        setSeries({ error: error.message || 'Failed to check the occurrences' });
+      }
+    };
+
+    previewSeries();
+  }, [repeating, itemId, periodStart, repeat, repeatUntil, timeStart, timeEnd, skipDates]);
+
+  const seriesConflicts = series?.occurrences?.filter(occurrence => occurrence.conflict) || [];
+
+  const addSkipDates = (dates) => {
+    const merged = [...new Set([...skipDates, ...dates])].sort();
+    formik.setFieldValue('skip_dates', merged);
+  };
+
+  // A booked item, or a model with no unit left, can be waited for instead
+  const canWait = (target === 'item' && !repeating && conflicts.length > 0) || (target === 'model' && capacity !== null && capacity.available === 0);
+
+  const joinWaitlist = async () => {
+    try {
+      setJoining(true);
+      await api.waitlist.join({
+        [`${target}_id`]: target === 'item' ? itemId : modelId,
+        start: moment(periodStart).toISOString(),
+        end: moment(periodEnd).toISOString()
+      });
+      toast.success('You are on the waitlist; we will notify you if a slot opens up');
+
+      if (onSubmitSuccess) {
+        onSubmitSuccess();
+      }
+    } catch (error) {
+      console.error('Error joining the waitlist:', error);
+      toast.error(error.message || 'Failed to join the waitlist');
+    } finally {
+      setJoining(false);
+    }
+  };
+
   return (
     <form onSubmit={formik.handleSubmit}>
       <div className="mb-3">
-        <label htmlFor="item_id" className="form-label">Equipment Item</label>
-        {loadingItems ? (
-          <div className="d-flex align-items-center mb-2">
-            <div className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></div>
-            <span>Loading items...</span>
-          </div>
-        ) : (
+        <label className="form-label d-block">Reserve</label>
+        <div className="btn-group" role="group" aria-label="What to reserve">
+          {[
+            { value: 'item', label: 'A specific item' },
+            { value: 'model', label: 'Any unit of a model' },
+            { value: 'category', label: 'Any item in a category' }
+          ].map(option => (
+            <React.Fragment key={option.value}>
+              <input
+                type="radio"
+                className="btn-check"
+                id={`target-${option.value}`}
+                name="target"
+                value={option.value}
+                checked={target === option.value}
+                onChange={formik.handleChange}
+              />
+              <label className="btn btn-outline-primary btn-sm" htmlFor={`target-${option.value}`}>{option.label}</label>
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+
+      {loadingItems ? (
+        <div className="d-flex align-items-center mb-3">
+          <div className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></div>
+          <span>Loading items...</span>
+        </div>
+      ) : target === 'item' ? (
+        <div className="mb-3">
+          <label htmlFor="item_id" className="form-label">Equipment Item</label>
           <select
             id="item_id"
             className={`form-select ${formik.touched.item_id && formik.errors.item_id ? 'is-invalid' : ''}`}
@@ -97,15 +328,74 @@ const ReservationForm = ({ onSubmitSuccess }) => {
             <option value="">Select an item</option>
             {items.map(item => (
               <option key={item.item_id} value={item.item_id}>
-                {item.asset_tag} - {item.model} ({item.category})
+                {item.asset_tag} - {item.brand} {item.model_name} ({item.category_name})
               </option>
             ))}
           </select>
-        )}
-        {formik.touched.item_id && formik.errors.item_id && (
-          <div className="invalid-feedback">{formik.errors.item_id}</div>
-        )}
-      </div>
+          {formik.touched.item_id && formik.errors.item_id && (
+            <div className="invalid-feedback">{formik.errors.item_id}</div>
+          )}
+        </div>
+      ) : (
+        <div className="row mb-3">
+          <div className="col-md-8">
+            {target === 'model' ? (
+              <>
+                <label htmlFor="model_id" className="form-label">Model</label>
+                <select
+                  id="model_id"
+                  className={`form-select ${formik.touched.model_id && formik.errors.model_id ? 'is-invalid' : ''}`}
+                  {...formik.getFieldProps('model_id')}
+                >
+                  <option value="">Select a model</option>
+                  {models.map(model => (
+                    <option key={model.model_id} value={model.model_id}>
+                      {model.brand} {model.model_name} ({model.category_name})
+                    </option>
+                  ))}
+                </select>
+                {formik.touched.model_id && formik.errors.model_id && (
+                  <div className="invalid-feedback">{formik.errors.model_id}</div>
+                )}
+              </>
+            ) : (
+              <>
+                <label htmlFor="category_id" className="form-label">Category</label>
+                <select
+                  id="category_id"
+                  className={`form-select ${formik.touched.category_id && formik.errors.category_id ? 'is-invalid' : ''}`}
+                  {...formik.getFieldProps('category_id')}
+                >
+                  <option value="">Select a category</option>
+                  {categories.map(category => (
+                    <option key={category.category_id} value={category.category_id}>{category.name}</option>
+                  ))}
+                </select>
+                {formik.touched.category_id && formik.errors.category_id && (
+                  <div className="invalid-feedback">{formik.errors.category_id}</div>
+                )}
+              </>
+            )}
+          </div>
+          <div className="col-md-4">
+            <label htmlFor="quantity" className="form-label">Quantity</label>
+            <input
+              id="quantity"
+              type="number"
+              min="1"
+              max={MAX_QUANTITY}
+              className={`form-control ${formik.touched.quantity && formik.errors.quantity ? 'is-invalid' : ''}`}
+              {...formik.getFieldProps('quantity')}
+            />
+            {formik.touched.quantity && formik.errors.quantity && (
+              <div className="invalid-feedback">{formik.errors.quantity}</div>
+            )}
+          </div>
+          <div className="form-text">
+            The units are picked for you when the reservation is approved; their asset tags then show on the reservation.
+          </div>
+        </div>
+      )}
 
       <div className="row mb-3">
         <div className="col-md-6">
@@ -121,25 +411,180 @@ const ReservationForm = ({ onSubmitSuccess }) => {
           )}
         </div>
 
-        <div className="col-md-6">
-          <label htmlFor="period_end" className="form-label">End Date</label>
-          <input
-            id="period_end"
-            type="date"
-            className={`form-control ${formik.touched.period_end && formik.errors.period_end ? 'is-invalid' : ''}`}
-            {...formik.getFieldProps('period_end')}
-          />
-          {formik.touched.period_end && formik.errors.period_end && (
-            <div className="invalid-feedback">{formik.errors.period_end}</div>
+        {repeating ? (
+          <div className="col-md-6">
+            <label htmlFor="time_start" className="form-label">From – To</label>
+            <div className="input-group has-validation">
+              <input id="time_start" type="time" className="form-control" {...formik.getFieldProps('time_start')} />
+              <input
+                id="time_end"
+                type="time"
+                className={`form-control ${formik.errors.time_end ? 'is-invalid' : ''}`}
+                {...formik.getFieldProps('time_end')}
+              />
+              {formik.errors.time_end && <div className="invalid-feedback">{formik.errors.time_end}</div>}
+            </div>
+          </div>
+        ) : (
+          <div className="col-md-6">
+            <label htmlFor="period_end" className="form-label">End Date</label>
+            <input
+              id="period_end"
+              type="date"
+              className={`form-control ${formik.touched.period_end && formik.errors.period_end ? 'is-invalid' : ''}`}
+              {...formik.getFieldProps('period_end')}
+            />
+            {formik.touched.period_end && formik.errors.period_end && (
+              <div className="invalid-feedback">{formik.errors.period_end}</div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {canRepeat && (
+        <div className="row mb-3">
+          <div className="col-md-4">
+            <label htmlFor="repeat" className="form-label">Repeat</label>
+            <select id="repeat" className="form-select" {...formik.getFieldProps('repeat')}>
+              <option value="">Does not repeat</option>
+              <option value="weekly">Every week</option>
+              <option value="daily">Every day</option>
+            </select>
+          </div>
+          {repeating && (
+            <>
+              <div className="col-md-4">
+                <label htmlFor="repeat_until" className="form-label">Until</label>
+                <input
+                  id="repeat_until"
+                  type="date"
+                  className={`form-control ${formik.touched.repeat_until && formik.errors.repeat_until ? 'is-invalid' : ''}`}
+                  {...formik.getFieldProps('repeat_until')}
+                />
+                {formik.touched.repeat_until && formik.errors.repeat_until && (
+                  <div className="invalid-feedback">{formik.errors.repeat_until}</div>
+                )}
+              </div>
+              <div className="col-md-4">
+                <label htmlFor="skip_date" className="form-label">Skip dates</label>
+                <div className="input-group">
+                  <input
+                    id="skip_date"
+                    type="date"
+                    className="form-control"
+                    value={skipDate}
+                    onChange={(e) => setSkipDate(e.target.value)}
+                  />
+                  <button
+                    type="button"
+                    className="btn btn-outline-secondary"
+                    disabled={!skipDate}
+                    onClick={() => { addSkipDates([skipDate]); setSkipDate(''); }}
+                  >
+                    Add
+                  </button>
+                </div>
+              </div>
+              {skipDates.length > 0 && (
+                <div className="col-12 mt-2 d-flex flex-wrap gap-2">
+                  {skipDates.map(date => (
+                    <span key={date} className="badge bg-light text-dark border">
+                      {moment(date).format('ddd MMM D')}
+                      <button
+                        type="button"
+                        className="btn-close btn-close-sm ms-1"
+                        style={{ fontSize: '0.6rem' }}
+                        aria-label={`Stop skipping ${date}`}
+                        onClick={() => formik.setFieldValue('skip_dates', skipDates.filter(skipped => skipped !== date))}
+                      ></button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </>
           )}
         </div>
-      </div>
+      )}
+
+      {repeating && series?.error && (
+        <div className="alert alert-danger" role="alert">{series.error}</div>
+      )}
+
+      {repeating && series?.occurrences && (
+        <div className={`alert ${seriesConflicts.length > 0 ? 'alert-warning' : 'alert-info'}`} role="alert">
+          <div className="d-flex justify-content-between align-items-center">
+            <strong>
+              {series.count} occurrence(s){seriesConflicts.length > 0 && `, ${seriesConflicts.length} already booked`}
+            </strong>
+            {seriesConflicts.length > 0 && (
+              <button
+                type="button"
+                className="btn btn-sm btn-outline-dark"
+                onClick={() => addSkipDates(seriesConflicts.map(occurrence => moment(occurrence.start_at).format('YYYY-MM-DD')))}
+              >
+                Skip booked dates
+              </button>
+            )}
+          </div>
+          <ul className="mb-0 mt-2 small">
+            {series.occurrences.map(occurrence => (
+              <li key={occurrence.occurrence} className={occurrence.conflict ? 'text-danger' : ''}>
+                {moment(occurrence.start_at).format('ddd MMM D, HH:mm')} – {moment(occurrence.end_at).format('HH:mm')}
+                {occurrence.conflict && ` – overlaps ${occurrence.conflict.mine ? 'your' : 'a'} ${occurrence.conflict.status} reservation`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {target === 'item' && itemId && (
+        <div className="mb-3">
+          <AvailabilityCalendar
+            itemId={itemId}
+            start={periodStart}
+            end={periodEnd}
+            onSelect={({ start, end }) => formik.setValues({ ...formik.values, period_start: start, period_end: end })}
+          />
+        </div>
+      )}
+
+      {!repeating && conflicts.length > 0 && (
+        <div className="alert alert-warning" role="alert">
+          <strong>The item is not free for these dates:</strong>
+          <ul className="mb-0 mt-2">
+            {conflicts.map(interval => (
+              <li key={`${interval.kind}-${interval.reservation_id || interval.loan_id || 'maintenance'}`}>
+                {describeInterval(interval)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {capacity && (
+        <div className={`alert ${notEnoughUnits ? 'alert-warning' : 'alert-info'}`} role="alert">
+          {capacity.available} of {capacity.units} unit(s) free for these dates
+          {notEnoughUnits && ` – not enough for ${quantity}`}
+        </div>
+      )}
+
+      <EligibilityAlert reasons={reasons} />
+
+      {canWait && reasons.length === 0 && (
+        <div className="alert alert-secondary d-flex justify-content-between align-items-center" role="alert">
+          <span>Join the waitlist to be offered these dates if they free up.</span>
+          <button type="button" className="btn btn-sm btn-outline-primary" onClick={joinWaitlist} disabled={joining}>
+            {joining ? 'Joining...' : 'Join the waitlist'}
+          </button>
+        </div>
+      )}
 
       <div className="d-grid">
         <button
           type="submit"
           className="btn btn-primary"
-          disabled={loading || loadingItems}
+          disabled={loading || loadingItems || reasons.length > 0 || notEnoughUnits
+            || (repeating ? !series?.occurrences || seriesConflicts.length > 0 : conflicts.length > 0)}
         >
           {loading ? (
             <span>
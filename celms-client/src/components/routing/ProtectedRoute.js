@@ -1,10 +1,11 @@
 import React from 'react';
-import { Navigate, Outlet } from 'react-router-dom';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
 import { useUser } from '../../contexts/UserContext';
 import LoadingSpinner from '../common/LoadingSpinner';
 
 const ProtectedRoute = ({ allowedRoles = [] }) => {
   const { user, loading, hasRole } = useUser();
+  const location = useLocation();
 
   // Show loading spinner while checking authentication
   if (loading) {
@@ -17,6 +18,11 @@ const ProtectedRoute = ({ allowedRoles = [] }) => {
     return <Navigate to="/login" replace />;
   }
 
+  // After an admin reset nothing else is reachable until the password is changed
+  if (user.mustChangePassword && location.pathname !== '/change-password') {
+    return <Navigate to="/change-password" replace />;
+  }
+
   // If allowedRoles array is empty, allow all authenticated users
   if (allowedRoles.length === 0) {
     return <Outlet />;
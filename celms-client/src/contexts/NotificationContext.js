@@ -1,5 +1,13 @@
-import React, { createContext, useContext, useState, useCallback } from 'react';
+import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
 import { toast } from 'react-toastify';
+import { useUser } from './UserContext';
+import api from '../services/api';
+import { subscribe } from '../services/eventStream';
+
+// Fallback re-check of the persisted inbox; new notifications are pushed live
+const INBOX_POLL_INTERVAL = 5 * 60000;
+// How many recent notifications the bell dropdown shows
+const INBOX_PREVIEW_SIZE = 5;
 
 // Create the context
 const NotificationContext = createContext();
@@ -8,7 +16,11 @@ const NotificationContext = createContext();
  * Provider component for notification management
  */
 export const NotificationProvider = ({ children }) => {
+  const { user } = useUser();
   const [notifications, setNotifications] = useState([]);
+  const [inbox, setInbox] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const isAuthenticated = Boolean(user?.isAuthenticated);
 
   // Add a new notification
   const addNotification = useCallback((notification) => {
@@ -65,6 +77,67 @@ export const NotificationProvider = ({ children }) => {
     return addNotification({ type: 'info', message, description, ...options });
   }, [addNotification]);
 
+  // Reload the unread count and latest persisted notifications
+  const refreshInbox = useCallback(async () => {
+    if (!isAuthenticated) {
+      return;
+    }
+
+    try {
+      const [count, latest] = await Promise.all([
+        api.notifications.getUnreadCount(),
+        api.notifications.list({ limit: INBOX_PREVIEW_SIZE })
+      ]);
+      setUnreadCount(count);
+      setInbox(latest?.notifications || []);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    }
+  }, [isAuthenticated]);
+
+  // Load the inbox while logged in, clear it on logout
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setInbox([]);
+      setUnreadCount(0);
+      return undefined;
+    }
+
+    refreshInbox();
+    const timer = setInterval(refreshInbox, INBOX_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [isAuthenticated, refreshInbox]);
+
+  // Mark a persisted notification as read
+  const markRead = useCallback(async (notifId) => {
+    await api.notifications.markRead(notifId);
+    await refreshInbox();
+  }, [refreshInbox]);
+
+  // Mark every persisted notification as read
+  const markAllRead = useCallback(async () => {
+    await api.notifications.markAllRead();
+    await refreshInbox();
+  }, [refreshInbox]);
+
+  // Live push: refresh the inbox and toast each new notification as it arrives
+  useEffect(() => {
+    if (!isAuthenticated) {
+      return undefined;
+    }
+
+    return subscribe((event) => {
+      if (event.entity !== 'notification') {
+        return;
+      }
+
+      refreshInbox();
+      if (event.message) {
+        addNotification({ type: 'info', message: event.message });
+      }
+    });
+  }, [isAuthenticated, refreshInbox, addNotification]);
+
   // Create the context value
   const contextValue = {
     notifications,
@@ -75,6 +148,11 @@ export const NotificationProvider = ({ children }) => {
     error,
     warning,
     info,
+    inbox,
+    unreadCount,
+    refreshInbox,
+    markRead,
+    markAllRead,
   };
 
   return (
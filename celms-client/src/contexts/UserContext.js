@@ -23,6 +23,7 @@ export const UserProvider = ({ children }) => {
     lastName: null,
     email: null,
     role: null,
+    mustChangePassword: false,
     isAuthenticated: false,
   });
   const [loading, setLoading] = useState(true);
@@ -39,16 +40,18 @@ export const UserProvider = ({ children }) => {
       }
       
       try {
-        // Verify token expiration
+        // An expired access token is fine while there is a refresh token:
+        // the request below renews it
         const decoded = jwtDecode(token);
-        if (decoded.exp * 1000 < Date.now()) {
-          logout();
+        if (decoded.exp * 1000 < Date.now() && !localStorage.getItem('refreshToken')) {
+          clearSession();
           setLoading(false);
           return;
         }
         
         // Fetch current user data
-        const userData = await api.auth.getCurrentUser();
+        const response = await api.auth.getCurrentUser();
+        const userData = response?.user;
         
         if (userData) {
           setUser({
@@ -57,12 +60,13 @@ export const UserProvider = ({ children }) => {
             lastName: userData.last_name,
             email: userData.email,
             role: userData.role,
+            mustChangePassword: !!userData.must_change_password,
             isAuthenticated: true
           });
         }
       } catch (error) {
         console.error('Error verifying token:', error);
-        logout();
+        clearSession();
       } finally {
         setLoading(false);
       }
@@ -71,26 +75,31 @@ export const UserProvider = ({ children }) => {
     verifyToken();
   }, []);
 
+  // Store the tokens from a login response and set the user state
+  const startSession = ({ token, refreshToken, user: userData }) => {
+    // Save the access token and the refresh token that renews it
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+
+    // Update user state
+    setUser({
+      id: userData.user_id,
+      firstName: userData.first_name,
+      lastName: userData.last_name,
+      email: userData.email,
+      role: userData.role,
+      mustChangePassword: !!userData.must_change_password,
+      isAuthenticated: true
+    });
+  };
+
   // Function to handle login
   const login = async (email, password) => {
     try {
       const response = await api.auth.login(email, password);
-      const { token, user: userData } = response;
+      startSession(response);
       
-      // Save token
-      localStorage.setItem('token', token);
-      
-      // Update user state
-      setUser({
-        id: userData.user_id,
-        firstName: userData.first_name,
-        lastName: userData.last_name,
-        email: userData.email,
-        role: userData.role,
-        isAuthenticated: true
-      });
-      
-      return { success: true };
+      return { success: true, mustChangePassword: !!response.user.must_change_password };
     } catch (error) {
       console.error('Login error:', error);
       return {
@@ -99,35 +108,47 @@ export const UserProvider = ({ children }) => {
       };
     }
   };
+
+  // Set a password from an invitation link; signs the new user in
+  const acceptInvitation = async (token, password) => {
+    const response = await api.invitations.accept(token, password);
+    startSession(response);
+    return response;
+  };
   
-  // Function to log out a user
-  const logout = () => {
+  // Forget the tokens and reset the user state
+  const clearSession = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     setUser({
       id: null,
       firstName: null,
       lastName: null,
       email: null,
       role: null,
+      mustChangePassword: false,
       isAuthenticated: false
     });
   };
 
-  // Function to register a new user
-  const register = async (userData) => {
-    try {
-      const response = await api.auth.register(userData);
-      return { 
-        success: true,
-        message: 'Registration successful. Please login.'
-      };
-    } catch (error) {
-      console.error('Registration error:', error);
-      return {
-        success: false,
-        message: error.message || 'Registration failed. Please try again.'
-      };
+  // Function to log out a user: ends the server-side session, then signs out locally
+  const logout = async () => {
+    if (localStorage.getItem('token')) {
+      await api.auth.logout();
     }
+    clearSession();
+  };
+
+  // Sign out of every device, this one included
+  const logoutAll = async () => {
+    const response = await api.auth.logoutAll();
+    clearSession();
+    return response;
+  };
+
+  // Clear the forced-change flag once the user has picked a new password
+  const passwordChanged = () => {
+    setUser(prev => ({ ...prev, mustChangePassword: false }));
   };
 
   // Helper to check if user has specific role(s)
@@ -154,7 +175,9 @@ export const UserProvider = ({ children }) => {
     loading,
     login,
     logout,
-    register,
+    logoutAll,
+    passwordChanged,
+    acceptInvitation,
     hasRole,
     isAdmin,
     isTechnician,
@@ -0,0 +1,27 @@
+import { useEffect, useRef } from 'react';
+import { subscribe } from '../services/eventStream';
+
+/**
+ * Custom hook that runs a callback whenever the server pushes a change
+ * for one of the given entities
+ * @param {string[]} entities - e.g. ['loan'] or ['reservation', 'loan']
+ * @param {Function} onEvent - Called with the event ({ entity, id, action, status, ... })
+ */
+const useLiveEvents = (entities, onEvent) => {
+  const handlerRef = useRef(onEvent);
+  handlerRef.current = onEvent;
+
+  const entityKey = entities.join(',');
+
+  useEffect(() => {
+    const wanted = entityKey.split(',');
+
+    return subscribe((event) => {
+      if (wanted.includes(event.entity)) {
+        handlerRef.current(event);
+      }
+    });
+  }, [entityKey]);
+};
+
+export default useLiveEvents;
@@ -0,0 +1,504 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import moment from 'moment';
+import { toast } from 'react-toastify';
+import api from '../services/api';
+import EligibilityAlert, { eligibilityReasons } from '../components/common/EligibilityAlert';
+
+/**
+ * Text field for a barcode scanner or the keyboard: scanners type the code
+ * and press Enter, which submits the value and clears the field
+ */
+const ScanInput = ({ inputRef, id, label, placeholder, disabled, onScan }) => {
+  const [value, setValue] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const scanned = value.trim();
+    if (scanned) {
+      onScan(scanned);
+      setValue('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <label htmlFor={id} className="form-label">{label}</label>
+      <div className="input-group">
+        <span className="input-group-text"><i className="bi bi-upc-scan"></i></span>
+        <input
+          id={id}
+          ref={inputRef}
+          type="text"
+          className="form-control"
+          placeholder={placeholder}
+          value={value}
+          disabled={disabled}
+          autoComplete="off"
+          onChange={(e) => setValue(e.target.value)}
+        />
+        <button type="submit" className="btn btn-outline-primary" disabled={disabled || !value.trim()}>Enter</button>
+      </div>
+    </form>
+  );
+};
+
+const formatDate = (date) => moment(date).format('MMM D, YYYY HH:mm');
+
+// Why a scanned item cannot go out, from the item lookup's checkout block
+const checkoutProblems = ({ item, loan, checkout }) => {
+  const problems = [];
+  if (loan) {
+    problems.push(`On loan to ${loan.first_name} ${loan.last_name} until ${formatDate(loan.due_at)}`);
+  } else if (!item.is_available) {
+    problems.push(`Item is ${item.status.replace('_', ' ')}`);
+  }
+  return problems.concat(checkout.reasons.map(reason => reason.message));
+};
+
+/**
+ * Front desk: scan a borrower and asset tags to check items out (picking up the
+ * borrower's approved reservation when there is one), or scan asset tags to return them
+ */
+const DeskPage = () => {
+  const [mode, setMode] = useState('checkout'); // 'checkout' or 'return'
+  const [borrower, setBorrower] = useState(null); // user lookup response
+  const [cart, setCart] = useState([]); // item lookup responses
+  const [returns, setReturns] = useState([]); // { lookup, damaged, condition }
+  const [lastResult, setLastResult] = useState(null); // { mode, loans } of the last confirmed batch
+  const [checkoutReasons, setCheckoutReasons] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const borrowerInput = useRef(null);
+  const itemInput = useRef(null);
+
+  const focusItemInput = () => setTimeout(() => itemInput.current?.focus(), 0);
+
+  // Start each checkout by scanning the borrower
+  useEffect(() => {
+    if (mode === 'checkout' && !borrower) {
+      borrowerInput.current?.focus();
+    }
+  }, [mode, borrower]);
+
+  const switchMode = (next) => {
+    setMode(next);
+    setLastResult(null);
+    setCheckoutReasons([]);
+    focusItemInput();
+  };
+
+  const loadBorrower = async (identifier) => {
+    const response = await api.desk.lookupUser(identifier);
+    setBorrower(response);
+    return response;
+  };
+
+  const handleBorrowerScan = async (identifier) => {
+    setBusy(true);
+    try {
+      await loadBorrower(identifier);
+      setCart([]);
+      setCheckoutReasons([]);
+      setLastResult(null);
+      focusItemInput();
+    } catch (err) {
+      toast.error(err.status === 404 ? `No borrower found for "${identifier}"` : err.message || 'Failed to look up the borrower');
+      console.error('Error looking up borrower:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const clearBorrower = () => {
+    setBorrower(null);
+    setCart([]);
+    setCheckoutReasons([]);
+  };
+
+  const handleItemScan = async (assetTag) => {
+    const inList = (mode === 'checkout' ? cart.map(entry => entry.item) : returns.map(entry => entry.lookup.item))
+      .some(item => item.asset_tag.toUpperCase() === assetTag.toUpperCase());
+    if (inList) {
+      toast.info(`${assetTag} is already in the list`);
+      return;
+    }
+
+    setBusy(true);
+    try {
+      if (mode === 'checkout') {
+        const lookup = await api.desk.lookupItem(assetTag, borrower.user.user_id);
+        setCart(prev => [...prev, lookup]);
+        setCheckoutReasons([]);
+      } else {
+        const lookup = await api.desk.lookupItem(assetTag);
+        if (!lookup.loan) {
+          toast.warning(`${lookup.item.asset_tag} is not checked out`);
+        } else {
+          setReturns(prev => [...prev, { lookup, damaged: false, condition: '' }]);
+        }
+      }
+      setLastResult(null);
+    } catch (err) {
+      toast.error(err.status === 404 ? `No item with asset tag "${assetTag}"` : err.message || 'Failed to look up the item');
+      console.error('Error looking up item:', err);
+    } finally {
+      setBusy(false);
+      focusItemInput();
+    }
+  };
+
+  const removeFromCart = (itemId) => setCart(prev => prev.filter(entry => entry.item.item_id !== itemId));
+
+  const removeFromReturns = (itemId) => setReturns(prev => prev.filter(entry => entry.lookup.item.item_id !== itemId));
+
+  const updateReturn = (itemId, changes) => {
+    setReturns(prev => prev.map(entry => (entry.lookup.item.item_id === itemId ? { ...entry, ...changes } : entry)));
+  };
+
+  const handleCheckout = async () => {
+    setBusy(true);
+    try {
+      const response = await api.desk.checkout(borrower.user.user_id, cart.map(entry => entry.item.asset_tag));
+      toast.success(response.message);
+      setLastResult({ mode: 'checkout', loans: response.loans });
+      setCart([]);
+      setCheckoutReasons([]);
+      await loadBorrower(borrower.user.user_id);
+    } catch (err) {
+      setCheckoutReasons(eligibilityReasons(err));
+      toast.error(err.message || 'Checkout failed');
+      console.error('Error checking out items:', err);
+    } finally {
+      setBusy(false);
+      focusItemInput();
+    }
+  };
+
+  const handleReturn = async () => {
+    setBusy(true);
+    try {
+      const response = await api.desk.returnItems(returns.map(entry => ({
+        asset_tag: entry.lookup.item.asset_tag,
+        damaged: entry.damaged,
+        condition: entry.condition.trim() || null
+      })));
+      toast.success(response.message);
+      setLastResult({ mode: 'return', loans: response.loans });
+      setReturns([]);
+    } catch (err) {
+      toast.error(err.message || 'Return failed');
+      console.error('Error returning items:', err);
+    } finally {
+      setBusy(false);
+      focusItemInput();
+    }
+  };
+
+  const cartReady = cart.length > 0 && cart.every(entry => entry.checkout.can_checkout);
+
+  return (
+    <div className="container mt-4">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2 className="mb-0">Front Desk</h2>
+        <div className="btn-group" role="group" aria-label="Desk mode">
+          <button
+            type="button"
+            className={`btn ${mode === 'checkout' ? 'btn-primary' : 'btn-outline-primary'}`}
+            onClick={() => switchMode('checkout')}
+          >
+            <i className="bi bi-box-arrow-right me-2"></i>Check out
+          </button>
+          <button
+            type="button"
+            className={`btn ${mode === 'return' ? 'btn-primary' : 'btn-outline-primary'}`}
+            onClick={() => switchMode('return')}
+          >
+            <i className="bi bi-box-arrow-in-left me-2"></i>Return
+          </button>
+        </div>
+      </div>
+
+      {mode === 'checkout' && (
+        <div className="row g-4">
+          <div className="col-lg-5">
+            <div className="card">
+              <div className="card-header">Borrower</div>
+              <div className="card-body">
+                {!borrower ? (
+                  <ScanInput
+                    inputRef={borrowerInput}
+                    id="deskBorrower"
+                    label="Scan or type the borrower's ID or email"
+                    placeholder="ID or email"
+                    disabled={busy}
+                    onScan={handleBorrowerScan}
+                  />
+                ) : (
+                  <>
+                    <div className="d-flex justify-content-between align-items-start mb-3">
+                      <div>
+                        <h5 className="mb-0">{borrower.user.first_name} {borrower.user.last_name}</h5>
+                        <div className="small text-muted">{borrower.user.email} &middot; {borrower.user.role}</div>
+                      </div>
+                      <button type="button" className="btn btn-sm btn-outline-secondary" onClick={clearBorrower}>
+                        Next borrower
+                      </button>
+                    </div>
+
+                    {borrower.eligible ? (
+                      <div className="alert alert-success py-2">
+                        <i className="bi bi-check-circle me-2"></i>Eligible to borrow
+                      </div>
+                    ) : (
+                      <EligibilityAlert reasons={borrower.reasons} showLinks={false} />
+                    )}
+                    {borrower.penalty_balance_mad > 0 && (
+                      <div className="small mb-2">Unpaid penalties: <strong>{borrower.penalty_balance_mad.toFixed(2)} MAD</strong></div>
+                    )}
+
+                    <h6 className="mt-3">Ready for pickup</h6>
+                    {borrower.reservations.length === 0 ? (
+                      <p className="small text-muted">No approved reservation for today</p>
+                    ) : (
+                      <ul className="list-group list-group-flush small mb-2">
+                        {borrower.reservations.map(reservation => (
+                          <li key={reservation.reservation_id} className="list-group-item px-0 d-flex justify-content-between align-items-center">
+                            <span>
+                              <span className="font-monospace">{reservation.asset_tag}</span> {reservation.brand} {reservation.model_name}
+                              <div className="text-muted">
+                                {formatDate(reservation.start_at)} – {formatDate(reservation.end_at)}
+                                {reservation.model_id && ' · any unit of this model can be scanned'}
+                                {reservation.category_id && ` · any ${reservation.category_name} item can be scanned`}
+                              </div>
+                            </span>
+                            <button
+                              type="button"
+                              className="btn btn-sm btn-outline-primary"
+                              disabled={busy || cart.some(entry => entry.item.item_id === reservation.item_id)}
+                              onClick={() => handleItemScan(reservation.asset_tag)}
+                            >
+                              Add
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    <h6 className="mt-3">On loan</h6>
+                    {borrower.loans.length === 0 ? (
+                      <p className="small text-muted mb-0">Nothing checked out</p>
+                    ) : (
+                      <ul className="list-group list-group-flush small mb-0">
+                        {borrower.loans.map(loan => (
+                          <li key={loan.loan_id} className="list-group-item px-0">
+                            <span className="font-monospace">{loan.asset_tag}</span> {loan.brand} {loan.model_name}
+                            <div className={loan.is_overdue ? 'text-danger' : 'text-muted'}>
+                              Due {formatDate(loan.due_at)}
+                              {loan.is_overdue && ` (${loan.days_overdue} day(s) overdue)`}
+                            </div>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div className="col-lg-7">
+            <div className="card">
+              <div className="card-header">Items to check out</div>
+              <div className="card-body">
+                <ScanInput
+                  inputRef={itemInput}
+                  id="deskCheckoutItem"
+                  label="Scan or type an asset tag"
+                  placeholder={borrower ? 'Asset tag' : 'Scan the borrower first'}
+                  disabled={busy || !borrower}
+                  onScan={handleItemScan}
+                />
+
+                {cart.length > 0 && (
+                  <div className="table-responsive mt-3">
+                    <table className="table table-sm align-middle">
+                      <thead>
+                        <tr>
+                          <th>Asset Tag</th>
+                          <th>Item</th>
+                          <th>Checkout</th>
+                          <th>Due</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {cart.map(entry => {
+                          const problems = checkoutProblems(entry);
+                          return (
+                            <tr key={entry.item.item_id} className={entry.checkout.can_checkout ? '' : 'table-danger'}>
+                              <td className="font-monospace">
+                                <Link to={`/items/${entry.item.item_id}`}>{entry.item.asset_tag}</Link>
+                              </td>
+                              <td>
+                                {entry.item.brand} {entry.item.model_name}
+                                {problems.map(problem => (
+                                  <div key={problem} className="small text-danger">{problem}</div>
+                                ))}
+                                {entry.checkout.conflicts.map(conflict => (
+                                  <div key={conflict.reservation_id} className="small text-warning-emphasis">
+                                    <i className="bi bi-exclamation-triangle me-1"></i>
+                                    Reserved by {conflict.first_name} {conflict.last_name} from {formatDate(conflict.start_at)}
+                                  </div>
+                                ))}
+                              </td>
+                              <td>
+                                {entry.checkout.mode === 'reservation' ? (
+                                  <span className="badge bg-success">Reservation #{entry.checkout.reservation.reservation_id}</span>
+                                ) : (
+                                  <span className="badge bg-secondary">Ad hoc</span>
+                                )}
+                              </td>
+                              <td className="small">{formatDate(entry.checkout.due_at)}</td>
+                              <td className="text-end">
+                                <button
+                                  type="button"
+                                  className="btn btn-sm btn-outline-danger"
+                                  onClick={() => removeFromCart(entry.item.item_id)}
+                                  aria-label={`Remove ${entry.item.asset_tag}`}
+                                >
+                                  <i className="bi bi-x-lg"></i>
+                                </button>
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                <EligibilityAlert reasons={checkoutReasons} showLinks={false} />
+
+                <button
+                  type="button"
+                  className="btn btn-primary mt-3"
+                  onClick={handleCheckout}
+                  disabled={busy || !cartReady}
+                >
+                  <i className="bi bi-check2-circle me-2"></i>
+                  Confirm checkout of {cart.length} item(s)
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {mode === 'return' && (
+        <div className="card">
+          <div className="card-header">Items to return</div>
+          <div className="card-body">
+            <div className="col-md-6">
+              <ScanInput
+                inputRef={itemInput}
+                id="deskReturnItem"
+                label="Scan or type an asset tag"
+                placeholder="Asset tag"
+                disabled={busy}
+                onScan={handleItemScan}
+              />
+            </div>
+
+            {returns.length > 0 && (
+              <div className="table-responsive mt-3">
+                <table className="table table-sm align-middle">
+                  <thead>
+                    <tr>
+                      <th>Asset Tag</th>
+                      <th>Item</th>
+                      <th>Borrower</th>
+                      <th>Due</th>
+                      <th>Damaged</th>
+                      <th>Condition notes</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {returns.map(({ lookup, damaged, condition }) => (
+                      <tr key={lookup.item.item_id}>
+                        <td className="font-monospace">{lookup.item.asset_tag}</td>
+                        <td>{lookup.item.brand} {lookup.item.model_name}</td>
+                        <td>{lookup.loan.first_name} {lookup.loan.last_name}</td>
+                        <td className={`small ${lookup.loan.is_overdue ? 'text-danger' : ''}`}>
+                          {formatDate(lookup.loan.due_at)}
+                          {lookup.loan.is_overdue && <span className="badge bg-danger ms-1">overdue</span>}
+                        </td>
+                        <td>
+                          <input
+                            type="checkbox"
+                            className="form-check-input"
+                            checked={damaged}
+                            onChange={(e) => updateReturn(lookup.item.item_id, { damaged: e.target.checked })}
+                            aria-label={`${lookup.item.asset_tag} is damaged`}
+                          />
+                        </td>
+                        <td>
+                          <input
+                            type="text"
+                            className="form-control form-control-sm"
+                            maxLength="500"
+                            placeholder={damaged ? 'Describe the damage' : ''}
+                            value={condition}
+                            onChange={(e) => updateReturn(lookup.item.item_id, { condition: e.target.value })}
+                          />
+                        </td>
+                        <td className="text-end">
+                          <button
+                            type="button"
+                            className="btn btn-sm btn-outline-danger"
+                            onClick={() => removeFromReturns(lookup.item.item_id)}
+                            aria-label={`Remove ${lookup.item.asset_tag}`}
+                          >
+                            <i className="bi bi-x-lg"></i>
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <button
+              type="button"
+              className="btn btn-primary mt-3"
+              onClick={handleReturn}
+              disabled={busy || returns.length === 0}
+            >
+              <i className="bi bi-check2-circle me-2"></i>
+              Confirm return of {returns.length} item(s)
+            </button>
+          </div>
+        </div>
+      )}
+
+      {lastResult && lastResult.mode === mode && (
+        <div className="alert alert-success mt-4">
+          <strong>{lastResult.mode === 'checkout' ? 'Checked out:' : 'Returned:'}</strong>
+          <ul className="mb-0 mt-2">
+            {lastResult.loans.map(loan => (
+              <li key={loan.loan_id}>
+                <span className="font-monospace">{loan.asset_tag}</span> {loan.brand} {loan.model_name}
+                {lastResult.mode === 'checkout' && ` — due ${formatDate(loan.due_at)}`}
+                {loan.damaged && ' — marked damaged, maintenance ticket opened'}
+                {loan.penalty_mad && ` — late return penalty ${loan.penalty_mad} MAD`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeskPage;
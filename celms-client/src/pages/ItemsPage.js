@@ -52,10 +52,10 @@ const ItemsPage = () => {
             <tbody>
               {items.length > 0 ? (
                 items.map(item => (
-                  <tr key={item.id}>
+                  <tr key={item.item_id}>
                     <td>{item.asset_tag}</td>
-                    <td>{item.model}</td>
-                    <td>{item.category}</td>
+                    <td>{item.brand} {item.model_name}</td>
+                    <td>{item.category_name}</td>
                     <td>
                       <span className={`badge ${item.status === 'available' ? 'bg-success' : 
                                                item.status === 'checked_out' ? 'bg-warning' :
@@ -1,28 +1,36 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import api from '../services/api';
+import useLiveEvents from '../hooks/useLiveEvents';
+
+// Loans have no status column; derive it from return_at and is_overdue
+const loanStatus = (loan) => (loan.return_at ? 'returned' : loan.is_overdue ? 'overdue' : 'active');
 
 const LoansPage = () => {
   const [loans, setLoans] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  useEffect(() => {
-    const fetchLoans = async () => {
-      try {
-        setLoading(true);
-        const data = await api.loans.getAll();
-        setLoans(data || []);
-        setError(null);
-      } catch (err) {
-        setError('Failed to fetch loans');
-        console.error('Error fetching loans:', err);
-      } finally {
-        setLoading(false);
-      }
-    };
+  // quiet = true refreshes in place without the loading spinner
+  const fetchLoans = useCallback(async (quiet = false) => {
+    try {
+      if (!quiet) setLoading(true);
+      const data = await api.loans.getAll();
+      setLoans(data || []);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch loans');
+      console.error('Error fetching loans:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
 
+  useEffect(() => {
     fetchLoans();
-  }, []);
+  }, [fetchLoans]);
+
+  // Refresh when the server pushes a loan change
+  useLiveEvents(['loan'], () => fetchLoans(true));
 
   return (
     <div className="container mt-4">
@@ -52,17 +60,17 @@ const LoansPage = () => {
             <tbody>
               {loans.length > 0 ? (
                 loans.map(loan => (
-                  <tr key={loan.id}>
-                    <td>{loan.id}</td>
-                    <td>{loan.item_name}</td>
-                    <td>{loan.borrower_name}</td>
+                  <tr key={loan.loan_id}>
+                    <td>{loan.loan_id}</td>
+                    <td>{loan.asset_tag} - {loan.brand} {loan.model_name}</td>
+                    <td>{loan.first_name} {loan.last_name}</td>
                     <td>{new Date(loan.checkout_at).toLocaleDateString()}</td>
                     <td>{new Date(loan.due_at).toLocaleDateString()}</td>
                     <td>
-                      <span className={`badge ${loan.status === 'active' ? 'bg-primary' : 
-                                              loan.status === 'overdue' ? 'bg-danger' : 
-                                              loan.status === 'returned' ? 'bg-success' : 'bg-secondary'}`}>
-                        {loan.status}
+                      <span className={`badge ${loanStatus(loan) === 'active' ? 'bg-primary' : 
+                                              loanStatus(loan) === 'overdue' ? 'bg-danger' : 
+                                              loanStatus(loan) === 'returned' ? 'bg-success' : 'bg-secondary'}`}>
+                        {loanStatus(loan)}
                       </span>
                     </td>
                   </tr>
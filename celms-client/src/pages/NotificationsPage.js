@@ -0,0 +1,156 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import { useNotification } from '../contexts/NotificationContext';
+import NotificationItem from '../components/common/NotificationItem';
+import EmptyState from '../components/common/EmptyState';
+
+const PAGE_SIZE = 20;
+
+const NotificationsPage = () => {
+  const { unreadCount, refreshInbox } = useNotification();
+  const [notifications, setNotifications] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [filters, setFilters] = useState({
+    status: '',
+    type: '',
+  });
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchNotifications = useCallback(async (cursor = null) => {
+    const response = await api.notifications.list({ ...filters, limit: PAGE_SIZE, cursor });
+    setTotal(response?.total || 0);
+    setNextCursor(response?.next_cursor || null);
+    return response?.notifications || [];
+  }, [filters]);
+
+  useEffect(() => {
+    const loadFirstPage = async () => {
+      try {
+        setLoading(true);
+        setNotifications(await fetchNotifications());
+        setError(null);
+      } catch (err) {
+        setError('Failed to fetch notifications');
+        console.error('Error fetching notifications:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadFirstPage();
+  }, [fetchNotifications]);
+
+  const handleLoadMore = async () => {
+    try {
+      setLoadingMore(true);
+      const more = await fetchNotifications(nextCursor);
+      setNotifications(prev => [...prev, ...more]);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleMarkRead = async (notifId) => {
+    try {
+      const response = await api.notifications.markRead(notifId);
+      setNotifications(prev => prev.map(n => (n.notif_id === notifId ? response.notification : n)));
+      refreshInbox();
+    } catch (err) {
+      console.error('Error marking notification read:', err);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await api.notifications.markAllRead();
+      setNotifications(prev => prev.map(n => ({ ...n, is_unread: false, read_at: n.read_at || new Date().toISOString() })));
+      refreshInbox();
+    } catch (err) {
+      console.error('Error marking notifications read:', err);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  return (
+    <div className="container mt-4">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>Notifications</h2>
+        <button className="btn btn-outline-primary" onClick={handleMarkAllRead} disabled={unreadCount === 0}>
+          <i className="bi bi-check2-all me-2"></i>
+          Mark all as read
+        </button>
+      </div>
+
+      <div className="row g-3 mb-3">
+        <div className="col-md-4">
+          <select name="status" className="form-select" value={filters.status} onChange={handleFilterChange}>
+            <option value="">All notifications</option>
+            <option value="unread">Unread</option>
+            <option value="read">Read</option>
+          </select>
+        </div>
+        <div className="col-md-4">
+          <select name="type" className="form-select" value={filters.type} onChange={handleFilterChange}>
+            <option value="">All types</option>
+            <option value="reservation">Reservations</option>
+            <option value="loan">Loans</option>
+            <option value="return">Returns</option>
+            <option value="penalty">Penalties</option>
+            <option value="maintenance">Maintenance</option>
+            <option value="system">System</option>
+          </select>
+        </div>
+        <div className="col-md-4 d-flex align-items-center text-muted">
+          {total} notification{total === 1 ? '' : 's'}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="d-flex justify-content-center">
+          <div className="spinner-border" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      ) : error ? (
+        <div className="alert alert-danger">{error}</div>
+      ) : notifications.length === 0 ? (
+        <EmptyState icon="bell-slash" message="No notifications" description="You're all caught up." />
+      ) : (
+        <>
+          <ul className="list-group shadow-sm">
+            {notifications.map(notification => (
+              <li
+                key={notification.notif_id}
+                className={`list-group-item ${notification.is_unread ? 'list-group-item-light border-start border-primary border-3' : ''}`}
+              >
+                <NotificationItem notification={notification} onMarkRead={handleMarkRead} />
+              </li>
+            ))}
+          </ul>
+
+          {nextCursor && (
+            <div className="text-center mt-3">
+              <button className="btn btn-outline-secondary" onClick={handleLoadMore} disabled={loadingMore}>
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationsPage;
@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import moment from 'moment';
+import { toast } from 'react-toastify';
+import api from '../services/api';
+import useLiveEvents from '../hooks/useLiveEvents';
+import EmptyState from '../components/common/EmptyState';
+import PenaltyHistory, { PenaltyStatusBadge, penaltyReason, formatMad } from '../components/common/PenaltyHistory';
+
+/**
+ * What the current user owes, why, and the history of each penalty
+ */
+const PenaltiesPage = () => {
+  const [penalties, setPenalties] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [status, setStatus] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // quiet = true refreshes in place without the loading spinner
+  const fetchPenalties = useCallback(async (quiet = false) => {
+    try {
+      if (!quiet) setLoading(true);
+      const [listResponse, summaryResponse] = await Promise.all([
+        api.penalties.getAll({ status }),
+        api.penalties.getSummary(),
+      ]);
+      setPenalties(listResponse || []);
+      setSummary(summaryResponse || null);
+      setRefreshKey(key => key + 1);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch penalties');
+      console.error('Error fetching penalties:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchPenalties();
+  }, [fetchPenalties]);
+
+  // Refresh when staff record a payment or decision
+  useLiveEvents(['penalty'], () => fetchPenalties(true));
+
+  const handleDispute = async (penalty) => {
+    const reason = window.prompt('Why do you think this penalty is wrong?');
+    if (!reason || !reason.trim()) return;
+
+    try {
+      await api.penalties.dispute(penalty.penalty_id, reason.trim());
+      toast.success('Dispute submitted for review');
+      fetchPenalties(true);
+    } catch (err) {
+      console.error('Error disputing penalty:', err);
+      toast.error(err.message || 'Failed to dispute penalty');
+    }
+  };
+
+  return (
+    <div className="container mt-4">
+      <h2 className="mb-4">My Penalties</h2>
+
+      {summary && (
+        <div className="row g-3 mb-4">
+          <div className="col-md-3">
+            <div className={`card shadow-sm ${Number(summary.balance_mad) > 0 ? 'border-danger' : 'border-success'}`}>
+              <div className="card-body">
+                <div className="text-muted small">Outstanding balance</div>
+                <div className={`fs-4 fw-bold ${Number(summary.balance_mad) > 0 ? 'text-danger' : 'text-success'}`}>
+                  {formatMad(summary.balance_mad)}
+                </div>
+              </div>
+            </div>
+          </div>
+          <div className="col-md-3">
+            <div className="card shadow-sm">
+              <div className="card-body">
+                <div className="text-muted small">Total charged</div>
+                <div className="fs-4">{formatMad(summary.charged_mad)}</div>
+              </div>
+            </div>
+          </div>
+          <div className="col-md-3">
+            <div className="card shadow-sm">
+              <div className="card-body">
+                <div className="text-muted small">Paid</div>
+                <div className="fs-4">{formatMad(summary.paid_mad)}</div>
+              </div>
+            </div>
+          </div>
+          <div className="col-md-3">
+            <div className="card shadow-sm">
+              <div className="card-body">
+                <div className="text-muted small">Waived</div>
+                <div className="fs-4">{formatMad(summary.waived_mad)}</div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="row g-3 mb-3">
+        <div className="col-md-4">
+          <select className="form-select" value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="">All penalties</option>
+            <option value="outstanding">Outstanding</option>
+            <option value="disputed">Disputed</option>
+            <option value="paid">Paid</option>
+            <option value="waived">Waived</option>
+          </select>
+        </div>
+        {summary?.disputed_count > 0 && (
+          <div className="col-md-8 d-flex align-items-center text-muted">
+            {summary.disputed_count} dispute{summary.disputed_count === 1 ? '' : 's'} awaiting review
+          </div>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="d-flex justify-content-center">
+          <div className="spinner-border" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      ) : error ? (
+        <div className="alert alert-danger">{error}</div>
+      ) : penalties.length === 0 ? (
+        <EmptyState icon="emoji-smile" message="No penalties" description="Return items on time to keep it this way." />
+      ) : (
+        <div className="table-responsive">
+          <table className="table table-hover align-middle">
+            <thead className="table-dark">
+              <tr>
+                <th>Date</th>
+                <th>Item</th>
+                <th>Why</th>
+                <th className="text-end">Amount</th>
+                <th className="text-end">Balance</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {penalties.map(penalty => (
+                <React.Fragment key={penalty.penalty_id}>
+                  <tr>
+                    <td>{moment(penalty.created_at).format('MMM D, YYYY')}</td>
+                    <td>{penalty.asset_tag} - {penalty.brand} {penalty.model_name}</td>
+                    <td>{penaltyReason(penalty)}</td>
+                    <td className="text-end">{formatMad(penalty.amount_mad)}</td>
+                    <td className="text-end fw-semibold">{formatMad(penalty.balance_mad)}</td>
+                    <td><PenaltyStatusBadge status={penalty.status} /></td>
+                    <td className="text-end text-nowrap">
+                      <button
+                        className="btn btn-sm btn-outline-secondary me-2"
+                        onClick={() => setExpandedId(expandedId === penalty.penalty_id ? null : penalty.penalty_id)}
+                      >
+                        {expandedId === penalty.penalty_id ? 'Hide' : 'History'}
+                      </button>
+                      {penalty.status === 'open' && Number(penalty.balance_mad) > 0 && (
+                        <button className="btn btn-sm btn-outline-warning" onClick={() => handleDispute(penalty)}>
+                          Dispute
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {expandedId === penalty.penalty_id && (
+                    <tr>
+                      <td colSpan="7" className="bg-light">
+                        <PenaltyHistory penaltyId={penalty.penalty_id} refreshKey={refreshKey} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PenaltiesPage;
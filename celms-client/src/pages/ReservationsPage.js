@@ -1,29 +1,73 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import moment from 'moment';
 import api from '../services/api';
+import { useUser } from '../contexts/UserContext';
+import useLiveEvents from '../hooks/useLiveEvents';
 
 const ReservationsPage = () => {
+  const { user } = useUser();
   const [reservations, setReservations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [waitlist, setWaitlist] = useState([]);
+  const [busyEntry, setBusyEntry] = useState(null); // waitlist entry being claimed or left
 
-  useEffect(() => {
-    const fetchReservations = async () => {
-      try {
-        setLoading(true);
-        const data = await api.reservations.getAll();
-        setReservations(data || []);
-        setError(null);
-      } catch (err) {
-        setError('Failed to fetch reservations');
-        console.error('Error fetching reservations:', err);
-      } finally {
-        setLoading(false);
-      }
-    };
+  // quiet = true refreshes in place without the loading spinner
+  const fetchReservations = useCallback(async (quiet = false) => {
+    try {
+      if (!quiet) setLoading(true);
+      const data = await api.reservations.getAll();
+      setReservations(data || []);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch reservations');
+      console.error('Error fetching reservations:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
 
-    fetchReservations();
+  // Open waitlist entries: still waiting, or holding an offer to claim
+  const fetchWaitlist = useCallback(async () => {
+    try {
+      const response = await api.waitlist.list({ status: 'waiting,offered', sort: 'start_at' });
+      setWaitlist(response?.entries || []);
+    } catch (err) {
+      console.error('Error fetching waitlist:', err);
+    }
   }, []);
 
+  useEffect(() => {
+    fetchReservations();
+    fetchWaitlist();
+  }, [fetchReservations, fetchWaitlist]);
+
+  // Refresh when the server pushes a reservation change (offers arrive as reservation notifications)
+  useLiveEvents(['reservation'], () => {
+    fetchReservations(true);
+    fetchWaitlist();
+  });
+
+  const handleWaitlist = async (entry, action) => {
+    try {
+      setBusyEntry(entry.waitlist_id);
+      if (action === 'claim') {
+        await api.waitlist.claim(entry.waitlist_id);
+        toast.success('Offer claimed; your reservation request is waiting for approval');
+      } else {
+        await api.waitlist.leave(entry.waitlist_id);
+        toast.success('You left the waitlist');
+      }
+      fetchReservations(true);
+    } catch (err) {
+      toast.error(err.message || 'Failed to update the waitlist');
+    } finally {
+      setBusyEntry(null);
+      fetchWaitlist();
+    }
+  };
+
   return (
     <div className="container mt-4">
       <h2>Equipment Reservations</h2>
@@ -52,10 +96,15 @@ const ReservationsPage = () => {
             <tbody>
               {reservations.length > 0 ? (
                 reservations.map(reservation => (
-                  <tr key={reservation.id}>
-                    <td>{reservation.id}</td>
-                    <td>{reservation.item_name}</td>
-                    <td>{reservation.user_name || "You"}</td>
+                  <tr key={reservation.reservation_id}>
+                    <td>{reservation.reservation_id}</td>
+                    <td>
+                      {reservation.asset_tag
+                        ? `${reservation.asset_tag} - ${reservation.brand} ${reservation.model_name}`
+                        : `Any ${reservation.model_id ? `${reservation.brand} ${reservation.model_name}` : reservation.category_name}`}
+                      {reservation.series_id && <i className="bi bi-arrow-repeat ms-1" title="Part of a recurring reservation"></i>}
+                    </td>
+                    <td>{reservation.first_name ? `${reservation.first_name} ${reservation.last_name}` : "You"}</td>
                     <td>{new Date(reservation.start_at).toLocaleDateString()}</td>
                     <td>{new Date(reservation.end_at).toLocaleDateString()}</td>
                     <td>
@@ -76,6 +125,52 @@ const ReservationsPage = () => {
           </table>
         </div>
       )}
+
+      {waitlist.length > 0 && (
+        <div className="card mt-4">
+          <div className="card-header">Waitlist</div>
+          <ul className="list-group list-group-flush">
+            {waitlist.map(entry => (
+              <li key={entry.waitlist_id} className="list-group-item d-flex justify-content-between align-items-center">
+                <div>
+                  <div>
+                    {entry.asset_tag ? `${entry.asset_tag} - ` : 'Any '}{entry.brand} {entry.model_name}
+                    {entry.user_id !== user?.id && <span className="text-muted"> · {entry.first_name} {entry.last_name}</span>}
+                  </div>
+                  <small className="text-muted">
+                    {moment(entry.start_at).format('MMM D HH:mm')} – {moment(entry.end_at).format('MMM D HH:mm')}
+                    {entry.status === 'waiting'
+                      ? ` · position ${entry.position} in line`
+                      : ` · offer open until ${moment(entry.offer_expires_at).format('MMM D HH:mm')}`}
+                  </small>
+                </div>
+                <div className="d-flex gap-2">
+                  {entry.status === 'offered' && entry.user_id === user?.id && (
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-success"
+                      disabled={busyEntry === entry.waitlist_id}
+                      onClick={() => handleWaitlist(entry, 'claim')}
+                    >
+                      Claim
+                    </button>
+                  )}
+                  {entry.user_id === user?.id && (
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-outline-secondary"
+                      disabled={busyEntry === entry.waitlist_id}
+                      onClick={() => handleWaitlist(entry, 'leave')}
+                    >
+                      {entry.status === 'offered' ? 'Decline' : 'Leave'}
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 };
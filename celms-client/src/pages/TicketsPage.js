@@ -1,7 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import api from '../services/api';
 import { useUser } from '../contexts/UserContext';
+import useLiveEvents from '../hooks/useLiveEvents';
 import moment from 'moment';
 
 const TicketsPage = () => {
@@ -10,7 +11,7 @@ const TicketsPage = () => {
   const [error, setError] = useState(null);
   const [filters, setFilters] = useState({
     status: '',
-    priority: '',
+    severity: '',
     technicianId: '',
   });
   const { user } = useUser();
@@ -19,53 +20,54 @@ const TicketsPage = () => {
   // Determine if user can create tickets
   const canCreateTicket = user?.role !== 'guest';
 
-  // Determine if user can see all tickets or only their own
-  const canSeeAllTickets = ['admin', 'technician', 'staff'].includes(user?.role);
-
+  // Fetch technicians if admin or technician
   useEffect(() => {
-    const fetchTickets = async () => {
-      try {
-        setLoading(true);
-
-        // Fetch technicians if admin or technician
-        if (['admin', 'technician'].includes(user?.role)) {
-          try {
-            const techResponse = await api.users.getAll({ role: 'technician' });
-            // Make sure technicians is always an array
-            setTechnicians(Array.isArray(techResponse) ? techResponse : []);
-          } catch (err) {
-            console.error('Error fetching technicians:', err);
-            setTechnicians([]); // Set empty array on error
-          }
-        }
-
-        // Fetch tickets with filters
-        const queryParams = { ...filters };
-
-        // If not admin/technician/staff, only show user's tickets
-        if (!canSeeAllTickets) {
-          queryParams.userId = user?.id;
-        }
-
-        // Remove empty filters
-        Object.keys(queryParams).forEach(key =>
-          !queryParams[key] && delete queryParams[key]
-        );
+    const fetchTechnicians = async () => {
+      if (!['admin', 'technician'].includes(user?.role)) {
+        return;
+      }
 
-        // Use the tickets.getAll method instead of direct api.get
-        const response = await api.tickets.getAll();
-        setTickets(response || []);
-        setError(null);
+      try {
+        const techResponse = await api.users.getAll({ role: 'technician' });
+        // Make sure technicians is always an array
+        setTechnicians(Array.isArray(techResponse) ? techResponse : []);
       } catch (err) {
-        console.error('Error fetching tickets:', err);
-        setError('Failed to load tickets. Please try again later.');
-      } finally {
-        setLoading(false);
+        console.error('Error fetching technicians:', err);
+        setTechnicians([]); // Set empty array on error
       }
     };
 
+    fetchTechnicians();
+  }, [user]);
+
+  // quiet = true refreshes in place without the loading spinner
+  const fetchTickets = useCallback(async (quiet = false) => {
+    try {
+      if (!quiet) setLoading(true);
+
+      // Fetch tickets with filters applied server-side; the API already
+      // limits non-staff users to their own tickets
+      const response = await api.tickets.getAll({
+        status: filters.status,
+        severity: filters.severity,
+        assigned_to: filters.technicianId
+      });
+      setTickets(response || []);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching tickets:', err);
+      setError('Failed to load tickets. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
     fetchTickets();
-  }, [user, filters, canSeeAllTickets]);
+  }, [fetchTickets]);
+
+  // Refresh when the server pushes a ticket change
+  useLiveEvents(['ticket'], () => fetchTickets(true));
 
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
@@ -78,7 +80,7 @@ const TicketsPage = () => {
   const resetFilters = () => {
     setFilters({
       status: '',
-      priority: '',
+      severity: '',
       technicianId: '',
     });
   };
@@ -95,10 +97,10 @@ const TicketsPage = () => {
     }
   };
 
-  // Priority badge color helper
-  const getPriorityBadgeClass = (priority) => {
-    switch (priority) {
-      case 'urgent': case 'high': return 'bg-danger';
+  // Severity badge color helper
+  const getSeverityBadgeClass = (severity) => {
+    switch (severity) {
+      case 'critical': case 'high': return 'bg-danger';
       case 'medium': return 'bg-warning text-dark';
       case 'low': return 'bg-info text-dark';
       default: return 'bg-secondary';
@@ -135,25 +137,24 @@ const TicketsPage = () => {
                 <option value="open">Open</option>
                 <option value="in_progress">In Progress</option>
                 <option value="on_hold">On Hold</option>
-                <option value="resolved">Resolved</option>
                 <option value="closed">Closed</option>
               </select>
             </div>
 
             <div className="col-md-4">
-              <label htmlFor="priority" className="form-label">Priority</label>
+              <label htmlFor="severity" className="form-label">Severity</label>
               <select
-                id="priority"
-                name="priority"
+                id="severity"
+                name="severity"
                 className="form-select"
-                value={filters.priority}
+                value={filters.severity}
                 onChange={handleFilterChange}
               >
-                <option value="">All Priorities</option>
+                <option value="">All Severities</option>
                 <option value="low">Low</option>
                 <option value="medium">Medium</option>
                 <option value="high">High</option>
-                <option value="urgent">Urgent</option>
+                <option value="critical">Critical</option>
               </select>
             </div>
 
@@ -222,9 +223,9 @@ const TicketsPage = () => {
                     <span className="text-muted"># {ticket.id || ticket.ticket_id}</span> - {ticket.asset_tag || ticket.item_name}: {ticket.model_name || ticket.description.substring(0, 30)}
                   </h5>
                   <div>
-                    {ticket.priority && (
-                      <span className={`badge me-2 ${getPriorityBadgeClass(ticket.priority)}`}>
-                        {ticket.priority}
+                    {ticket.severity && (
+                      <span className={`badge me-2 ${getSeverityBadgeClass(ticket.severity)}`}>
+                        {ticket.severity}
                       </span>
                     )}
                     <span className={`badge ${getStatusBadgeClass(ticket.status)}`}>
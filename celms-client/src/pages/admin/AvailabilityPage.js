@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import moment from 'moment';
+import api from '../../services/api';
+import { INTERVAL_LABELS, describeInterval } from '../../components/common/AvailabilityCalendar';
+
+const SPANS = [7, 14, 30, 60];
+
+// Bar colour per interval, matching the calendar legend
+const barClass = (interval) => {
+  if (interval.kind === 'maintenance') return 'timeline-bar-maintenance';
+  if (interval.kind === 'loan') return interval.status === 'overdue' ? 'timeline-bar-overdue' : 'timeline-bar-loan';
+  return ['pending', 'held'].includes(interval.status) ? 'timeline-bar-pending' : 'timeline-bar-reservation';
+};
+
+/**
+ * Admin availability timeline: one row per item with its reservations,
+ * loans and out-of-service periods as bars (Gantt style)
+ */
+const AdminAvailabilityPage = () => {
+  const [categories, setCategories] = useState([]);
+  const [categoryId, setCategoryId] = useState('');
+  const [windowStart, setWindowStart] = useState(moment().startOf('day').format('YYYY-MM-DD'));
+  const [span, setSpan] = useState(14);
+  const [hideFree, setHideFree] = useState(false);
+  const [timeline, setTimeline] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const from = moment(windowStart).startOf('day');
+  const to = from.clone().add(span, 'days');
+
+  const fetchTimeline = useCallback(async () => {
+    try {
+      setLoading(true);
+      const start = moment(windowStart).startOf('day');
+      const response = await api.items.getTimeline({
+        category_id: categoryId,
+        from: start.toISOString(),
+        to: start.clone().add(span, 'days').toISOString()
+      });
+      setTimeline(response);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load the availability timeline');
+      console.error('Error fetching availability timeline:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [categoryId, windowStart, span]);
+
+  useEffect(() => {
+    fetchTimeline();
+  }, [fetchTimeline]);
+
+  useEffect(() => {
+    api.categories.getAll()
+      .then(setCategories)
+      .catch(err => console.error('Error fetching categories:', err));
+  }, []);
+
+  const shiftWindow = (days) => setWindowStart(moment(windowStart).add(days, 'days').format('YYYY-MM-DD'));
+
+  // Position within the window as a percentage, clipped to the edges
+  const total = to.diff(from);
+  const position = (time) => Math.min(Math.max((moment(time).diff(from) / total) * 100, 0), 100);
+
+  const days = [];
+  for (let day = from.clone(); day.isBefore(to); day.add(1, 'day')) {
+    days.push(day.clone());
+  }
+  const labelEvery = span <= 14 ? 1 : span <= 30 ? 2 : 7;
+  const nowPosition = moment().isBetween(from, to) ? position(moment()) : null;
+
+  const items = (timeline?.items || []).filter(item => !hideFree || item.busy.length > 0);
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h1 className="h2">Availability</h1>
+      </div>
+
+      <div className="row g-2 mb-3 align-items-center">
+        <div className="col-md-3">
+          <select className="form-select" value={categoryId} onChange={(e) => setCategoryId(e.target.value)}>
+            <option value="">All Categories</option>
+            {categories.map(category => (
+              <option key={category.category_id} value={category.category_id}>{category.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-md-5">
+          <div className="input-group">
+            <button type="button" className="btn btn-outline-secondary" onClick={() => shiftWindow(-span)} aria-label="Earlier">
+              <i className="bi bi-chevron-left"></i>
+            </button>
+            <input
+              type="date"
+              className="form-control"
+              value={windowStart}
+              onChange={(e) => e.target.value && setWindowStart(e.target.value)}
+            />
+            <select className="form-select" value={span} onChange={(e) => setSpan(Number(e.target.value))}>
+              {SPANS.map(days => <option key={days} value={days}>{days} days</option>)}
+            </select>
+            <button type="button" className="btn btn-outline-secondary" onClick={() => shiftWindow(span)} aria-label="Later">
+              <i className="bi bi-chevron-right"></i>
+            </button>
+          </div>
+        </div>
+        <div className="col-md-2">
+          <button
+            type="button"
+            className="btn btn-outline-secondary"
+            onClick={() => setWindowStart(moment().startOf('day').format('YYYY-MM-DD'))}
+          >
+            Today
+          </button>
+        </div>
+        <div className="col-md-2">
+          <div className="form-check">
+            <input
+              id="hideFree"
+              type="checkbox"
+              className="form-check-input"
+              checked={hideFree}
+              onChange={(e) => setHideFree(e.target.checked)}
+            />
+            <label htmlFor="hideFree" className="form-check-label">Hide free items</label>
+          </div>
+        </div>
+      </div>
+
+      <div className="d-flex flex-wrap gap-3 small mb-3">
+        <span><span className="calendar-legend timeline-bar-pending"></span>Requested</span>
+        <span><span className="calendar-legend timeline-bar-reservation"></span>Reserved</span>
+        <span><span className="calendar-legend timeline-bar-loan"></span>On loan</span>
+        <span><span className="calendar-legend timeline-bar-overdue"></span>Overdue</span>
+        <span><span className="calendar-legend timeline-bar-maintenance"></span>Out of service</span>
+      </div>
+
+      {error && <div className="alert alert-danger" role="alert">{error}</div>}
+
+      {loading && !timeline ? (
+        <div className="text-center my-5">
+          <div className="spinner-border" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      ) : (
+        <div className="table-responsive">
+          <table className="table table-sm align-middle" style={{ minWidth: '60rem' }}>
+            <thead>
+              <tr>
+                <th style={{ width: '14rem' }}>Item</th>
+                <th>
+                  <div className="position-relative" style={{ height: '1.2rem' }}>
+                    {days.map((day, i) => (i % labelEvery === 0) && (
+                      <span
+                        key={day.format('YYYY-MM-DD')}
+                        className="position-absolute small fw-normal text-muted"
+                        style={{ left: `${position(day)}%` }}
+                      >
+                        {day.format(span <= 14 ? 'ddd D' : 'MMM D')}
+                      </span>
+                    ))}
+                  </div>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.length === 0 ? (
+                <tr>
+                  <td colSpan="2" className="text-center text-muted">No items to show</td>
+                </tr>
+              ) : items.map(item => (
+                <tr key={item.item_id}>
+                  <td className="small">
+                    <Link to={`/items/${item.item_id}`} className="font-monospace">{item.asset_tag}</Link>
+                    <div className="text-muted text-truncate" style={{ maxWidth: '14rem' }}>{item.brand} {item.model_name}</div>
+                  </td>
+                  <td>
+                    <div className="timeline-row">
+                      {days.map(day => (
+                        <div key={day.format('YYYY-MM-DD')} className="timeline-gridline" style={{ left: `${position(day)}%` }}></div>
+                      ))}
+                      {item.busy.map(interval => {
+                        const left = position(interval.start_at);
+                        const right = interval.end_at ? position(interval.end_at) : 100;
+                        return (
+                          <div
+                            key={`${interval.kind}-${interval.reservation_id || ''}-${interval.loan_id || ''}`}
+                            className={`timeline-bar ${barClass(interval)}`}
+                            style={{ left: `${left}%`, width: `${Math.max(right - left, 0.5)}%` }}
+                            title={describeInterval(interval)}
+                          >
+                            {interval.user ? `${interval.user.first_name} ${interval.user.last_name}` : INTERVAL_LABELS[interval.kind]}
+                          </div>
+                        );
+                      })}
+                      {nowPosition !== null && <div className="timeline-now" style={{ left: `${nowPosition}%` }}></div>}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {timeline?.truncated && (
+            <div className="small text-muted">Showing the first {timeline.count} items; choose a category to narrow the list.</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminAvailabilityPage;
@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import moment from 'moment';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+
+const PAGE_SIZE = 50;
+
+const STATUSES = [
+  { key: 'pending', label: 'Queued', badge: 'bg-secondary' },
+  { key: 'sending', label: 'Sending', badge: 'bg-info text-dark' },
+  { key: 'sent', label: 'Sent', badge: 'bg-success' },
+  { key: 'failed', label: 'Failed', badge: 'bg-danger' },
+];
+
+const TYPES = ['reservation', 'loan', 'return', 'penalty', 'maintenance', 'system'];
+
+const StatusBadge = ({ status }) => {
+  const info = STATUSES.find(s => s.key === status);
+  return <span className={`badge ${info?.badge || 'bg-secondary'}`}>{info?.label || status}</span>;
+};
+
+/**
+ * Admin view of the email outbox: delivery status of notification emails,
+ * retrying failed ones and sending a test email to check the SMTP settings
+ */
+const AdminEmailPage = () => {
+  const [emails, setEmails] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [statusCounts, setStatusCounts] = useState({});
+  const [smtpConfigured, setSmtpConfigured] = useState(true);
+  const [filters, setFilters] = useState({ status: '', type: '', q: '' });
+  const [offset, setOffset] = useState(0);
+  const [testTo, setTestTo] = useState('');
+  const [busy, setBusy] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchEmails = useCallback(async () => {
+    try {
+      const response = await api.admin.getEmails({ ...filters, limit: PAGE_SIZE, offset });
+      setEmails(response?.emails || []);
+      setTotal(response?.total || 0);
+      setStatusCounts(response?.status_counts || {});
+      setSmtpConfigured(response?.smtp_configured !== false);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load emails');
+      console.error('Error fetching emails:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, offset]);
+
+  useEffect(() => {
+    fetchEmails();
+  }, [fetchEmails]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+    setOffset(0);
+  };
+
+  const handleRetry = async (email) => {
+    setBusy(`retry-${email.email_id}`);
+    try {
+      const response = await api.admin.retryEmail(email.email_id);
+      toast.success(response.message);
+      fetchEmails();
+    } catch (err) {
+      toast.error(err.message || 'Failed to retry email');
+      console.error('Error retrying email:', err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSendTest = async (e) => {
+    e.preventDefault();
+    setBusy('test');
+    try {
+      const response = await api.admin.sendTestEmail(testTo.trim());
+      toast.success(response.message);
+    } catch (err) {
+      toast.error(err.message || 'Failed to send test email');
+      console.error('Error sending test email:', err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center my-5">
+        <div className="spinner-border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h1 className="h2">Email</h1>
+        <button className="btn btn-outline-secondary" onClick={fetchEmails}>
+          <i className="bi bi-arrow-clockwise me-1"></i> Refresh
+        </button>
+      </div>
+
+      {error && <div className="alert alert-danger" role="alert">{error}</div>}
+
+      {!smtpConfigured && (
+        <div className="alert alert-warning" role="alert">
+          Email is not configured on this server (SMTP_HOST is not set). Notification emails stay queued until it is.
+        </div>
+      )}
+
+      <div className="row g-3 mb-4">
+        {STATUSES.map(status => (
+          <div className="col-6 col-md-3" key={status.key}>
+            <button
+              type="button"
+              className={`card shadow-sm w-100 text-start ${filters.status === status.key ? 'border-primary' : ''}`}
+              onClick={() => handleFilterChange({ target: { name: 'status', value: filters.status === status.key ? '' : status.key } })}
+            >
+              <div className="card-body py-3">
+                <div className="small text-muted">{status.label}</div>
+                <div className="h4 mb-0">{statusCounts[status.key] || 0}</div>
+              </div>
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="card shadow-sm mb-4">
+        <div className="card-body">
+          <form className="row g-2 align-items-center" onSubmit={handleSendTest}>
+            <div className="col-md-6">
+              <input
+                type="email"
+                className="form-control"
+                placeholder="Recipient (empty = your own address)"
+                value={testTo}
+                onChange={(e) => setTestTo(e.target.value)}
+                aria-label="Test email recipient"
+              />
+            </div>
+            <div className="col-auto">
+              <button type="submit" className="btn btn-outline-primary" disabled={!smtpConfigured || busy === 'test'}>
+                {busy === 'test' ? (
+                  <span className="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span>
+                ) : (
+                  <><i className="bi bi-send me-1"></i>Send test email</>
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <div className="card shadow-sm">
+        <div className="card-header d-flex flex-wrap justify-content-between align-items-center gap-2">
+          <h5 className="mb-0">Outbox</h5>
+          <div className="d-flex gap-2">
+            <input
+              className="form-control form-control-sm"
+              name="q"
+              placeholder="Search address, subject, error"
+              value={filters.q}
+              onChange={handleFilterChange}
+            />
+            <select className="form-select form-select-sm" name="type" value={filters.type} onChange={handleFilterChange}>
+              <option value="">All types</option>
+              {TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+            <select className="form-select form-select-sm" name="status" value={filters.status} onChange={handleFilterChange}>
+              <option value="">Any status</option>
+              {STATUSES.map(status => <option key={status.key} value={status.key}>{status.label}</option>)}
+            </select>
+          </div>
+        </div>
+        <div className="table-responsive">
+          <table className="table table-sm align-middle mb-0">
+            <thead className="table-light">
+              <tr>
+                <th>Queued</th>
+                <th>To</th>
+                <th>Type</th>
+                <th>Message</th>
+                <th>Status</th>
+                <th>Attempts</th>
+                <th className="text-end">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {emails.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="text-center text-muted">No emails</td>
+                </tr>
+              ) : emails.map(email => (
+                <tr key={email.email_id}>
+                  <td className="small text-nowrap">{moment(email.created_at).format('MMM D, HH:mm')}</td>
+                  <td className="small">
+                    <div>{email.first_name} {email.last_name}</div>
+                    <div className="text-muted">{email.to_address}</div>
+                  </td>
+                  <td className="small text-capitalize">{email.type}</td>
+                  <td className="small">
+                    {email.subject && <div className="fw-semibold">{email.subject}</div>}
+                    <div className="text-truncate" style={{ maxWidth: '22rem' }} title={email.message}>{email.message}</div>
+                  </td>
+                  <td className="small">
+                    <StatusBadge status={email.status} />
+                    {email.status === 'sent' && email.sent_at && (
+                      <div className="text-muted">{moment(email.sent_at).fromNow()}</div>
+                    )}
+                    {email.status === 'pending' && email.attempts > 0 && (
+                      <div className="text-muted">retry {moment(email.next_attempt_at).fromNow()}</div>
+                    )}
+                    {email.last_error && email.status !== 'sent' && (
+                      <div className="text-danger text-truncate" style={{ maxWidth: '14rem' }} title={email.last_error}>{email.last_error}</div>
+                    )}
+                  </td>
+                  <td className="small">{email.attempts}</td>
+                  <td className="text-end">
+                    {email.status === 'failed' && (
+                      <button
+                        className="btn btn-sm btn-outline-primary"
+                        onClick={() => handleRetry(email)}
+                        disabled={busy === `retry-${email.email_id}`}
+                      >
+                        <i className="bi bi-arrow-repeat me-1"></i>Retry
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {total > PAGE_SIZE && (
+          <div className="card-footer d-flex justify-content-between align-items-center small">
+            <span className="text-muted">
+              {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+            </span>
+            <div className="btn-group btn-group-sm">
+              <button className="btn btn-outline-secondary" disabled={offset === 0} onClick={() => setOffset(offset - PAGE_SIZE)}>
+                Previous
+              </button>
+              <button className="btn btn-outline-secondary" disabled={offset + PAGE_SIZE >= total} onClick={() => setOffset(offset + PAGE_SIZE)}>
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminEmailPage;
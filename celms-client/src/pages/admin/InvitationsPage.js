@@ -0,0 +1,404 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import moment from 'moment';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+
+const ROLES = ['student', 'staff', 'technician', 'admin'];
+const BULK_COLUMNS = ['email', 'first_name', 'last_name', 'role', 'phone'];
+
+const STATUS_BADGES = {
+  pending: 'bg-primary',
+  accepted: 'bg-success',
+  expired: 'bg-warning text-dark',
+  revoked: 'bg-secondary'
+};
+
+const emptyInvitee = { email: '', first_name: '', last_name: '', role: 'student', phone: '' };
+
+/**
+ * Parse "email,first_name,last_name,role[,phone]" lines; a header row is skipped
+ * @param {string} text - pasted CSV
+ */
+const parseBulkCsv = (text) => text
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(line => line && !line.toLowerCase().startsWith('email,'))
+  .map(line => {
+    const values = line.split(',').map(value => value.trim());
+    const invitee = Object.fromEntries(BULK_COLUMNS.map((column, i) => [column, values[i] || '']));
+    return { ...invitee, role: invitee.role.toLowerCase(), phone: invitee.phone || undefined };
+  });
+
+/**
+ * Admin page for inviting users: single and bulk invitations, the invitation
+ * list with resend and revoke, and the allowed email domains
+ */
+const AdminInvitationsPage = () => {
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filterStatus, setFilterStatus] = useState('');
+  const [invitee, setInvitee] = useState(emptyInvitee);
+  const [bulkText, setBulkText] = useState('');
+  const [bulkErrors, setBulkErrors] = useState([]);
+  const [domains, setDomains] = useState([]);
+  const [domainsText, setDomainsText] = useState('');
+  const [newLinks, setNewLinks] = useState([]); // [{ email, invite_url }], shown once
+  const [busy, setBusy] = useState(null);
+
+  const fetchInvitations = useCallback(async () => {
+    try {
+      setInvitations(await api.invitations.getAll({ status: filterStatus }));
+      setError(null);
+    } catch (err) {
+      setError('Failed to load invitations. Please try again.');
+      console.error('Error fetching invitations:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [filterStatus]);
+
+  useEffect(() => {
+    fetchInvitations();
+  }, [fetchInvitations]);
+
+  useEffect(() => {
+    api.invitations.getDomains()
+      .then(list => {
+        setDomains(list);
+        setDomainsText(list.join(', '));
+      })
+      .catch(err => console.error('Error fetching allowed domains:', err));
+  }, []);
+
+  const showLinks = (created) => {
+    setNewLinks(created.map(({ email, invite_url: inviteUrl }) => ({ email, inviteUrl })));
+    fetchInvitations();
+  };
+
+  const handleInviteChange = (e) => {
+    setInvitee({ ...invitee, [e.target.name]: e.target.value });
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setBusy('single');
+    try {
+      const response = await api.invitations.create({ ...invitee, phone: invitee.phone || undefined });
+      toast.success(response.message);
+      setInvitee(emptyInvitee);
+      showLinks([response.invitation]);
+    } catch (err) {
+      toast.error(err.message || 'Failed to create invitation');
+      console.error('Error creating invitation:', err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleBulkInvite = async (e) => {
+    e.preventDefault();
+    const rows = parseBulkCsv(bulkText);
+    if (rows.length === 0) {
+      toast.error('Paste at least one row');
+      return;
+    }
+
+    setBusy('bulk');
+    setBulkErrors([]);
+    try {
+      const response = await api.invitations.createBulk(rows);
+      toast.success(response.message);
+      setBulkText('');
+      showLinks(response.invitations);
+    } catch (err) {
+      setBulkErrors(err.details?.errors || []);
+      toast.error(err.message || 'Failed to create invitations');
+      console.error('Error creating invitations:', err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleResend = async (invitation) => {
+    setBusy(invitation.invitation_id);
+    try {
+      const response = await api.invitations.resend(invitation.invitation_id);
+      toast.success(response.message);
+      showLinks([response.invitation]);
+    } catch (err) {
+      toast.error(err.message || 'Failed to resend invitation');
+      console.error('Error resending invitation:', err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation for ${invitation.email}? The link will stop working.`)) {
+      return;
+    }
+    setBusy(invitation.invitation_id);
+    try {
+      const response = await api.invitations.revoke(invitation.invitation_id);
+      toast.success(response.message);
+      fetchInvitations();
+    } catch (err) {
+      toast.error(err.message || 'Failed to revoke invitation');
+      console.error('Error revoking invitation:', err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSaveDomains = async (e) => {
+    e.preventDefault();
+    setBusy('domains');
+    try {
+      const list = domainsText.split(/[\s,]+/).filter(Boolean);
+      const response = await api.invitations.updateDomains(list);
+      setDomains(response.domains);
+      setDomainsText(response.domains.join(', '));
+      toast.success(response.message);
+    } catch (err) {
+      toast.error(err.message || 'Failed to update allowed domains');
+      console.error('Error updating allowed domains:', err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const copyLink = (url) => {
+    navigator.clipboard.writeText(url)
+      .then(() => toast.info('Link copied'))
+      .catch(() => toast.error('Copy failed; select the link instead'));
+  };
+
+  return (
+    <div>
+      <h1 className="h2 mb-4">Invitations</h1>
+
+      {error && (
+        <div className="alert alert-danger" role="alert">
+          {error}
+          <button
+            type="button"
+            className="btn-close float-end"
+            onClick={() => setError(null)}
+            aria-label="Close"
+          ></button>
+        </div>
+      )}
+
+      {newLinks.length > 0 && (
+        <div className="alert alert-info" role="alert">
+          <button
+            type="button"
+            className="btn-close float-end"
+            onClick={() => setNewLinks([])}
+            aria-label="Close"
+          ></button>
+          <div className="mb-2">
+            Invitation links are shown only once. Send each one to its recipient; resending issues a new link.
+          </div>
+          {newLinks.map(link => (
+            <div key={link.inviteUrl} className="d-flex align-items-center small mb-1">
+              <strong className="me-2">{link.email}</strong>
+              <code className="user-select-all text-truncate me-2">{link.inviteUrl}</code>
+              <button type="button" className="btn btn-sm btn-outline-primary" onClick={() => copyLink(link.inviteUrl)}>
+                <i className="bi bi-clipboard"></i>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="row g-4 mb-4">
+        <div className="col-lg-6">
+          <div className="card h-100">
+            <div className="card-header">Invite a user</div>
+            <div className="card-body">
+              <form onSubmit={handleInvite}>
+                <div className="row g-2">
+                  <div className="col-md-6">
+                    <input className="form-control" name="first_name" placeholder="First name"
+                      value={invitee.first_name} onChange={handleInviteChange} required />
+                  </div>
+                  <div className="col-md-6">
+                    <input className="form-control" name="last_name" placeholder="Last name"
+                      value={invitee.last_name} onChange={handleInviteChange} required />
+                  </div>
+                  <div className="col-md-8">
+                    <input className="form-control" type="email" name="email" placeholder="Email"
+                      value={invitee.email} onChange={handleInviteChange} required />
+                  </div>
+                  <div className="col-md-4">
+                    <select className="form-select" name="role" value={invitee.role} onChange={handleInviteChange}>
+                      {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                    </select>
+                  </div>
+                  <div className="col-md-8">
+                    <input className="form-control" name="phone" placeholder="Phone (optional)"
+                      value={invitee.phone} onChange={handleInviteChange} />
+                  </div>
+                  <div className="col-md-4 d-grid">
+                    <button type="submit" className="btn btn-primary" disabled={busy === 'single'}>
+                      <i className="bi bi-envelope-plus me-2"></i>Invite
+                    </button>
+                  </div>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+
+        <div className="col-lg-6">
+          <div className="card h-100">
+            <div className="card-header">Bulk invite</div>
+            <div className="card-body">
+              <form onSubmit={handleBulkInvite}>
+                <textarea
+                  className="form-control font-monospace small mb-2"
+                  rows="4"
+                  placeholder={'email,first_name,last_name,role,phone\nsara.student@uni.local,Sara,Amrani,student'}
+                  value={bulkText}
+                  onChange={(e) => setBulkText(e.target.value)}
+                ></textarea>
+                {bulkErrors.length > 0 && (
+                  <ul className="small text-danger mb-2">
+                    {bulkErrors.map(rowError => (
+                      <li key={rowError.index}>
+                        Row {rowError.index + 1}{rowError.email ? ` (${rowError.email})` : ''}: {rowError.problems.join('; ')}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <div className="d-flex justify-content-between align-items-center">
+                  <span className="small text-muted">Nothing is created unless every row is valid.</span>
+                  <button type="submit" className="btn btn-outline-primary" disabled={busy === 'bulk'}>
+                    Invite all
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">Allowed email domains</div>
+        <div className="card-body">
+          <form className="row g-2 align-items-center" onSubmit={handleSaveDomains}>
+            <div className="col-md-8">
+              <input
+                className="form-control"
+                placeholder="uni.local, partner.edu"
+                value={domainsText}
+                onChange={(e) => setDomainsText(e.target.value)}
+              />
+            </div>
+            <div className="col-md-4 d-grid">
+              <button type="submit" className="btn btn-outline-secondary" disabled={busy === 'domains'}>
+                Save domains
+              </button>
+            </div>
+          </form>
+          <div className="small text-muted mt-2">
+            {domains.length > 0
+              ? `Invitations can only be sent to ${domains.map(domain => `@${domain}`).join(', ')}.`
+              : 'Leave empty to allow any email domain.'}
+          </div>
+        </div>
+      </div>
+
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <h2 className="h5 mb-0">Sent invitations</h2>
+        <div className="input-group w-auto">
+          <span className="input-group-text">Status</span>
+          <select className="form-select" value={filterStatus} onChange={(e) => setFilterStatus(e.target.value)}>
+            <option value="">All</option>
+            {Object.keys(STATUS_BADGES).map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="table-responsive">
+        <table className="table table-hover">
+          <thead>
+            <tr>
+              <th>Invitee</th>
+              <th>Role</th>
+              <th>Status</th>
+              <th>Sent</th>
+              <th>Expires</th>
+              <th className="text-end">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="6" className="text-center">
+                  <div className="spinner-border text-primary" role="status">
+                    <span className="visually-hidden">Loading...</span>
+                  </div>
+                </td>
+              </tr>
+            ) : invitations.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="text-center">No invitations found</td>
+              </tr>
+            ) : (
+              invitations.map(invitation => (
+                <tr key={invitation.invitation_id}>
+                  <td>
+                    {invitation.first_name} {invitation.last_name}
+                    <div className="small text-muted">{invitation.email}</div>
+                  </td>
+                  <td>{invitation.role}</td>
+                  <td>
+                    <span className={`badge ${STATUS_BADGES[invitation.status]}`}>{invitation.status}</span>
+                  </td>
+                  <td>
+                    {moment(invitation.created_at).format('MMM D, YYYY')}
+                    {invitation.invited_by_first_name && (
+                      <div className="small text-muted">by {invitation.invited_by_first_name} {invitation.invited_by_last_name}</div>
+                    )}
+                  </td>
+                  <td>
+                    {invitation.status === 'accepted'
+                      ? <span className="text-muted">Accepted {moment(invitation.accepted_at).format('MMM D')}</span>
+                      : moment(invitation.expires_at).format('MMM D, YYYY HH:mm')}
+                  </td>
+                  <td className="text-end">
+                    {invitation.status !== 'accepted' && (
+                      <button
+                        className="btn btn-sm btn-outline-primary me-2"
+                        onClick={() => handleResend(invitation)}
+                        disabled={busy === invitation.invitation_id}
+                        title="Resend with a new link"
+                      >
+                        <i className="bi bi-arrow-repeat"></i>
+                      </button>
+                    )}
+                    {['pending', 'expired'].includes(invitation.status) && (
+                      <button
+                        className="btn btn-sm btn-outline-danger"
+                        onClick={() => handleRevoke(invitation)}
+                        disabled={busy === invitation.invitation_id}
+                        title="Revoke"
+                      >
+                        <i className="bi bi-x-circle"></i>
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AdminInvitationsPage;
@@ -0,0 +1,234 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import moment from 'moment';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+import { downloadFile } from '../../services/download';
+import ItemImportPanel from '../../components/admin/ItemImportPanel';
+import ItemUnitsPanel from '../../components/admin/ItemUnitsPanel';
+import LabelPrintControls from '../../components/common/LabelPrintControls';
+
+const STATUS_BADGES = {
+  available: 'bg-success',
+  checked_out: 'bg-warning text-dark',
+  out_of_service: 'bg-danger',
+  retired: 'bg-secondary'
+};
+
+/**
+ * Admin inventory: item list with filters, label printing for selected items,
+ * bulk unit creation, import and export
+ */
+const AdminItemsPage = () => {
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [categories, setCategories] = useState([]);
+  const [filters, setFilters] = useState({ q: '', category_id: '', status: '' });
+  const [panel, setPanel] = useState(null); // null, 'units' or 'import'
+  const [selected, setSelected] = useState([]); // item IDs, in the order they were ticked
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchItems = useCallback(async () => {
+    try {
+      const response = await api.items.list({ ...filters, limit: 200 });
+      setItems(response?.items || []);
+      setTotal(response?.total || 0);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load items. Please try again.');
+      console.error('Error fetching items:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchItems();
+  }, [fetchItems]);
+
+  useEffect(() => {
+    api.categories.getAll()
+      .then(setCategories)
+      .catch(err => console.error('Error fetching categories:', err));
+  }, []);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const content = await api.items.exportInventory(filters, format);
+      const date = moment().format('YYYY-MM-DD');
+      if (format === 'json') {
+        downloadFile(JSON.stringify(content.items, null, 2), `celms-inventory-${date}.json`, 'application/json');
+      } else {
+        downloadFile(content, `celms-inventory-${date}.csv`);
+      }
+    } catch (err) {
+      toast.error('Failed to export items');
+      console.error('Error exporting items:', err);
+    }
+  };
+
+  const togglePanel = (name) => setPanel(panel === name ? null : name);
+
+  const toggleSelected = (itemId) => {
+    setSelected(prev => (prev.includes(itemId) ? prev.filter(id => id !== itemId) : [...prev, itemId]));
+  };
+
+  const allVisibleSelected = items.length > 0 && items.every(item => selected.includes(item.item_id));
+
+  const toggleAllVisible = () => {
+    const visible = items.map(item => item.item_id);
+    setSelected(prev => (allVisibleSelected
+      ? prev.filter(id => !visible.includes(id))
+      : [...prev, ...visible.filter(id => !prev.includes(id))]));
+  };
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h1 className="h2">Inventory</h1>
+        <div>
+          <div className="btn-group me-2">
+            <button className="btn btn-outline-secondary" onClick={() => handleExport('csv')}>
+              <i className="bi bi-download me-2"></i>Export CSV
+            </button>
+            <button className="btn btn-outline-secondary" onClick={() => handleExport('json')}>
+              JSON
+            </button>
+          </div>
+          <button className="btn btn-outline-secondary me-2" onClick={() => togglePanel('import')}>
+            <i className="bi bi-upload me-2"></i>Import
+          </button>
+          <button className="btn btn-primary" onClick={() => togglePanel('units')}>
+            <i className="bi bi-plus-lg me-2"></i>Add Units
+          </button>
+        </div>
+      </div>
+
+      {panel === 'import' && <ItemImportPanel onImported={fetchItems} onClose={() => setPanel(null)} />}
+      {panel === 'units' && <ItemUnitsPanel onCreated={fetchItems} onClose={() => setPanel(null)} />}
+
+      {error && <div className="alert alert-danger" role="alert">{error}</div>}
+
+      <div className="row g-2 mb-4">
+        <div className="col-md-6">
+          <div className="input-group">
+            <span className="input-group-text">
+              <i className="bi bi-search"></i>
+            </span>
+            <input
+              type="text"
+              name="q"
+              className="form-control"
+              placeholder="Search asset tag, model or location..."
+              value={filters.q}
+              onChange={handleFilterChange}
+            />
+          </div>
+        </div>
+        <div className="col-md-3">
+          <select name="category_id" className="form-select" value={filters.category_id} onChange={handleFilterChange}>
+            <option value="">All Categories</option>
+            {categories.map(category => (
+              <option key={category.category_id} value={category.category_id}>{category.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-md-3">
+          <select name="status" className="form-select" value={filters.status} onChange={handleFilterChange}>
+            <option value="">All Statuses</option>
+            <option value="available">Available</option>
+            <option value="checked_out">Checked out</option>
+            <option value="out_of_service">Out of service</option>
+            <option value="retired">Retired</option>
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center my-5">
+          <div className="spinner-border" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-2">
+            <div className="small text-muted">
+              Showing {items.length} of {total} item(s)
+              {selected.length > 0 && (
+                <>
+                  {' '}&middot; {selected.length} selected{' '}
+                  <button type="button" className="btn btn-link btn-sm p-0 align-baseline" onClick={() => setSelected([])}>
+                    clear
+                  </button>
+                </>
+              )}
+            </div>
+            <LabelPrintControls itemIds={selected} />
+          </div>
+          <div className="table-responsive">
+            <table className="table table-hover">
+              <thead>
+                <tr>
+                  <th>
+                    <input
+                      type="checkbox"
+                      className="form-check-input"
+                      checked={allVisibleSelected}
+                      onChange={toggleAllVisible}
+                      aria-label="Select all shown items"
+                    />
+                  </th>
+                  <th>Asset Tag</th>
+                  <th>Model</th>
+                  <th>Category</th>
+                  <th>Status</th>
+                  <th>Location</th>
+                  <th>Purchased</th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="text-center text-muted">No items found</td>
+                  </tr>
+                ) : items.map(item => (
+                  <tr key={item.item_id}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        className="form-check-input"
+                        checked={selected.includes(item.item_id)}
+                        onChange={() => toggleSelected(item.item_id)}
+                        aria-label={`Select ${item.asset_tag}`}
+                      />
+                    </td>
+                    <td className="font-monospace">
+                      <Link to={`/items/${item.item_id}`}>{item.asset_tag}</Link>
+                    </td>
+                    <td>{item.brand} {item.model_name}</td>
+                    <td>{item.category_name}</td>
+                    <td>
+                      <span className={`badge ${STATUS_BADGES[item.status] || 'bg-secondary'}`}>
+                        {item.status.replace('_', ' ')}
+                      </span>
+                    </td>
+                    <td>{item.location || '—'}</td>
+                    <td>{item.purchase_date ? moment(item.purchase_date).format('MMM D, YYYY') : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AdminItemsPage;
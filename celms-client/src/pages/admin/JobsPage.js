@@ -0,0 +1,286 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import moment from 'moment';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+
+const STATUS_BADGES = {
+  running: 'bg-info text-dark',
+  succeeded: 'bg-success',
+  failed: 'bg-danger',
+};
+
+const RunStatusBadge = ({ status }) => (
+  status ? <span className={`badge ${STATUS_BADGES[status] || 'bg-secondary'}`}>{status}</span> : <span className="text-muted">never run</span>
+);
+
+// "loan_reminders: 2, reservation_reminders: 0" from a run's result object
+const formatResult = (result) => {
+  if (!result || typeof result !== 'object') return '';
+  return Object.entries(result).map(([key, value]) => `${key}: ${value}`).join(', ');
+};
+
+/**
+ * Admin view of the background jobs: schedules, pause/resume, manual runs
+ * and the run history with results and errors
+ */
+const AdminJobsPage = () => {
+  const [jobs, setJobs] = useState([]);
+  const [schedulerEnabled, setSchedulerEnabled] = useState(true);
+  const [schedules, setSchedules] = useState({}); // job_name -> edited schedule
+  const [runs, setRuns] = useState([]);
+  const [runFilters, setRunFilters] = useState({ job_name: '', status: '' });
+  const [busy, setBusy] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await api.admin.getJobs();
+      setJobs(response?.jobs || []);
+      setSchedulerEnabled(response?.scheduler_enabled !== false);
+      setSchedules(Object.fromEntries((response?.jobs || []).map(job => [job.job_name, job.schedule])));
+      setError(null);
+    } catch (err) {
+      setError('Failed to load jobs');
+      console.error('Error fetching jobs:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchRuns = useCallback(async () => {
+    try {
+      const response = await api.admin.getJobRuns({ ...runFilters, limit: 50 });
+      setRuns(response?.runs || []);
+    } catch (err) {
+      console.error('Error fetching job runs:', err);
+    }
+  }, [runFilters]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  useEffect(() => {
+    fetchRuns();
+  }, [fetchRuns]);
+
+  const handleRun = async (job) => {
+    setBusy(`run-${job.job_name}`);
+    try {
+      const response = await api.admin.runJob(job.job_name);
+      if (response.run?.status === 'failed') {
+        toast.error(response.message);
+      } else {
+        toast.success(`${job.label}: ${formatResult(response.run?.result) || 'done'}`);
+      }
+      fetchJobs();
+      fetchRuns();
+    } catch (err) {
+      toast.error(err.message || 'Failed to run job');
+      console.error('Error running job:', err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleUpdate = async (job, changes) => {
+    setBusy(`update-${job.job_name}`);
+    try {
+      const response = await api.admin.updateJob(job.job_name, changes);
+      toast.success(response.message);
+      fetchJobs();
+    } catch (err) {
+      toast.error(err.message || 'Failed to update job');
+      console.error('Error updating job:', err);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRunFilterChange = (e) => {
+    const { name, value } = e.target;
+    setRunFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center my-5">
+        <div className="spinner-border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h1 className="h2">Jobs</h1>
+        <button className="btn btn-outline-secondary" onClick={() => { fetchJobs(); fetchRuns(); }}>
+          <i className="bi bi-arrow-clockwise me-1"></i> Refresh
+        </button>
+      </div>
+
+      {error && <div className="alert alert-danger" role="alert">{error}</div>}
+
+      {!schedulerEnabled && (
+        <div className="alert alert-warning" role="alert">
+          The scheduler is turned off on this server (SCHEDULER_ENABLED=false). Jobs only run when triggered here
+          or by another server instance.
+        </div>
+      )}
+
+      <div className="card shadow-sm mb-4">
+        <div className="table-responsive">
+          <table className="table align-middle mb-0">
+            <thead className="table-light">
+              <tr>
+                <th>Job</th>
+                <th style={{ width: '14rem' }}>Schedule</th>
+                <th>Next run</th>
+                <th>Last run</th>
+                <th className="text-end">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.map(job => {
+                const edited = schedules[job.job_name] ?? job.schedule;
+                return (
+                  <tr key={job.job_name}>
+                    <td>
+                      <div className="fw-semibold">
+                        {job.label}
+                        {job.paused && <span className="badge bg-warning text-dark ms-2">paused</span>}
+                        {job.running && <span className="badge bg-info text-dark ms-2">running</span>}
+                      </div>
+                      <div className="small text-muted">{job.description}</div>
+                    </td>
+                    <td>
+                      <form
+                        className="input-group input-group-sm"
+                        onSubmit={(e) => {
+                          e.preventDefault();
+                          handleUpdate(job, { schedule: edited });
+                        }}
+                      >
+                        <input
+                          className="form-control font-monospace"
+                          value={edited}
+                          onChange={(e) => setSchedules(prev => ({ ...prev, [job.job_name]: e.target.value }))}
+                          aria-label={`Schedule of ${job.label}`}
+                        />
+                        <button
+                          type="submit"
+                          className="btn btn-outline-primary"
+                          disabled={edited === job.schedule || busy === `update-${job.job_name}`}
+                        >
+                          Save
+                        </button>
+                      </form>
+                    </td>
+                    <td className="small">
+                      {job.paused ? <span className="text-muted">paused</span>
+                        : job.next_run_at ? (
+                          <span title={moment(job.next_run_at).format('YYYY-MM-DD HH:mm')}>{moment(job.next_run_at).fromNow()}</span>
+                        ) : '—'}
+                    </td>
+                    <td className="small">
+                      <RunStatusBadge status={job.last_status} />
+                      {job.last_started_at && <div className="text-muted">{moment(job.last_started_at).fromNow()}</div>}
+                      {job.last_status === 'failed' && job.last_error && (
+                        <div className="text-danger text-truncate" style={{ maxWidth: '14rem' }} title={job.last_error}>{job.last_error}</div>
+                      )}
+                    </td>
+                    <td className="text-end text-nowrap">
+                      <button
+                        className="btn btn-sm btn-outline-primary me-1"
+                        onClick={() => handleRun(job)}
+                        disabled={job.running || busy === `run-${job.job_name}`}
+                      >
+                        {busy === `run-${job.job_name}` ? (
+                          <span className="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span>
+                        ) : (
+                          <><i className="bi bi-play-fill me-1"></i>Run now</>
+                        )}
+                      </button>
+                      <button
+                        className="btn btn-sm btn-outline-secondary"
+                        onClick={() => handleUpdate(job, { paused: !job.paused })}
+                        disabled={busy === `update-${job.job_name}`}
+                      >
+                        {job.paused ? 'Resume' : 'Pause'}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <div className="card-footer small text-muted">
+          Schedules use five cron fields in server time: minute, hour, day of month, month, day of week
+          (e.g. <code>*/15 * * * *</code> every 15 minutes, <code>30 3 * * *</code> daily at 03:30).
+        </div>
+      </div>
+
+      <div className="card shadow-sm">
+        <div className="card-header d-flex flex-wrap justify-content-between align-items-center gap-2">
+          <h5 className="mb-0">Run history</h5>
+          <div className="d-flex gap-2">
+            <select className="form-select form-select-sm" name="job_name" value={runFilters.job_name} onChange={handleRunFilterChange}>
+              <option value="">All jobs</option>
+              {jobs.map(job => <option key={job.job_name} value={job.job_name}>{job.label}</option>)}
+            </select>
+            <select className="form-select form-select-sm" name="status" value={runFilters.status} onChange={handleRunFilterChange}>
+              <option value="">Any status</option>
+              <option value="succeeded">Succeeded</option>
+              <option value="failed">Failed</option>
+              <option value="running">Running</option>
+            </select>
+          </div>
+        </div>
+        <div className="table-responsive">
+          <table className="table table-sm align-middle mb-0">
+            <thead className="table-light">
+              <tr>
+                <th>Started</th>
+                <th>Job</th>
+                <th>Trigger</th>
+                <th>Status</th>
+                <th>Duration</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="text-center text-muted">No runs yet</td>
+                </tr>
+              ) : runs.map(run => (
+                <tr key={run.run_id}>
+                  <td className="small text-nowrap">{moment(run.started_at).format('MMM D, HH:mm:ss')}</td>
+                  <td className="small">{jobs.find(job => job.job_name === run.job_name)?.label || run.job_name}</td>
+                  <td className="small">
+                    {run.trigger === 'manual'
+                      ? `Manual${run.triggered_by_first_name ? ` (${run.triggered_by_first_name} ${run.triggered_by_last_name})` : ''}`
+                      : 'Schedule'}
+                  </td>
+                  <td><RunStatusBadge status={run.status} /></td>
+                  <td className="small">{run.duration_ms !== null ? `${run.duration_ms} ms` : '—'}</td>
+                  <td className="small">
+                    {run.status === 'failed'
+                      ? <span className="text-danger">{run.error}</span>
+                      : formatResult(run.result)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminJobsPage;
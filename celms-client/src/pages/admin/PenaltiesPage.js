@@ -0,0 +1,348 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import moment from 'moment';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+import useLiveEvents from '../../hooks/useLiveEvents';
+import PenaltyHistory, { PenaltyStatusBadge, penaltyReason, formatMad } from '../../components/common/PenaltyHistory';
+
+const PERIOD_FORMATS = {
+  day: 'MMM D, YYYY',
+  week: '[Week of] MMM D, YYYY',
+  month: 'MMMM YYYY',
+  year: 'YYYY',
+};
+
+/**
+ * Admin ledger: totals per period, balances per user and penalty actions
+ */
+const AdminPenaltiesPage = () => {
+  const [ledger, setLedger] = useState(null);
+  const [balances, setBalances] = useState([]);
+  const [penalties, setPenalties] = useState([]);
+  const [ledgerFilters, setLedgerFilters] = useState({
+    period: 'month',
+    from: moment().subtract(1, 'year').format('YYYY-MM-DD'),
+    to: '',
+  });
+  const [listFilters, setListFilters] = useState({
+    status: 'outstanding',
+    search: '',
+  });
+  const [expandedId, setExpandedId] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchLedger = useCallback(async () => {
+    try {
+      const [ledgerResponse, balanceRows] = await Promise.all([
+        api.penalties.getLedger(ledgerFilters),
+        api.penalties.getBalances(),
+      ]);
+      setLedger(ledgerResponse);
+      setBalances(balanceRows);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch penalty ledger');
+      console.error('Error fetching penalty ledger:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [ledgerFilters]);
+
+  const fetchPenalties = useCallback(async () => {
+    try {
+      setPenalties(await api.penalties.getAll(listFilters));
+      setRefreshKey(key => key + 1);
+    } catch (err) {
+      console.error('Error fetching penalties:', err);
+    }
+  }, [listFilters]);
+
+  useEffect(() => {
+    fetchLedger();
+  }, [fetchLedger]);
+
+  useEffect(() => {
+    fetchPenalties();
+  }, [fetchPenalties]);
+
+  useLiveEvents(['penalty'], () => {
+    fetchLedger();
+    fetchPenalties();
+  });
+
+  const runAction = async (action, successMessage) => {
+    try {
+      await action();
+      toast.success(successMessage);
+      fetchLedger();
+      fetchPenalties();
+    } catch (err) {
+      console.error('Error updating penalty:', err);
+      toast.error(err.message || 'Failed to update penalty');
+    }
+  };
+
+  const handlePayment = (penalty) => {
+    const amount = window.prompt(`Payment amount (balance ${formatMad(penalty.balance_mad)}):`, penalty.balance_mad);
+    if (!amount) return;
+    const method = window.prompt('Payment method (cash, card, transfer):', 'cash');
+    runAction(() => api.penalties.recordPayment(penalty.penalty_id, { amount, method }), 'Payment recorded');
+  };
+
+  const handleAdjust = (penalty) => {
+    const amount = window.prompt('Adjust balance by (negative to reduce):');
+    if (!amount) return;
+    const reason = window.prompt('Reason for the adjustment:');
+    if (!reason || !reason.trim()) return;
+    runAction(() => api.penalties.adjust(penalty.penalty_id, amount, reason.trim()), 'Penalty adjusted');
+  };
+
+  const handleWaive = (penalty) => {
+    const reason = window.prompt(`Reason for waiving ${formatMad(penalty.balance_mad)}:`);
+    if (!reason || !reason.trim()) return;
+    runAction(() => api.penalties.waive(penalty.penalty_id, reason.trim()), 'Penalty waived');
+  };
+
+  const handleRejectDispute = (penalty) => {
+    const reason = window.prompt('Reason for rejecting the dispute:');
+    if (!reason || !reason.trim()) return;
+    runAction(() => api.penalties.rejectDispute(penalty.penalty_id, reason.trim()), 'Dispute rejected');
+  };
+
+  const handleLedgerFilterChange = (e) => {
+    const { name, value } = e.target;
+    setLedgerFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleListFilterChange = (e) => {
+    const { name, value } = e.target;
+    setListFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  if (loading) {
+    return (
+      <div className="d-flex justify-content-center">
+        <div className="spinner-border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+      </div>
+    );
+  }
+
+  const totals = ledger?.totals || {};
+
+  return (
+    <div>
+      <h2 className="mb-4">Penalties Ledger</h2>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      <div className="row g-3 mb-3">
+        <div className="col-md-3">
+          <label className="form-label small text-muted">Group by</label>
+          <select name="period" className="form-select" value={ledgerFilters.period} onChange={handleLedgerFilterChange}>
+            <option value="day">Day</option>
+            <option value="week">Week</option>
+            <option value="month">Month</option>
+            <option value="year">Year</option>
+          </select>
+        </div>
+        <div className="col-md-3">
+          <label className="form-label small text-muted">From</label>
+          <input type="date" name="from" className="form-control" value={ledgerFilters.from} onChange={handleLedgerFilterChange} />
+        </div>
+        <div className="col-md-3">
+          <label className="form-label small text-muted">To</label>
+          <input type="date" name="to" className="form-control" value={ledgerFilters.to} onChange={handleLedgerFilterChange} />
+        </div>
+      </div>
+
+      <div className="row g-3 mb-4">
+        {[
+          ['Charged', totals.charged_mad, ''],
+          ['Adjusted', totals.adjusted_mad, ''],
+          ['Paid', totals.paid_mad, 'text-success'],
+          ['Waived', totals.waived_mad, 'text-secondary'],
+          ['Net outstanding', totals.net_mad, 'text-danger'],
+        ].map(([label, value, className]) => (
+          <div className="col" key={label}>
+            <div className="card shadow-sm">
+              <div className="card-body">
+                <div className="text-muted small">{label}</div>
+                <div className={`fs-5 fw-bold ${className}`}>{formatMad(value)}</div>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="row g-4 mb-4">
+        <div className="col-lg-7">
+          <div className="card shadow-sm">
+            <div className="card-header bg-light"><strong>Totals per period</strong></div>
+            <div className="table-responsive">
+              <table className="table table-sm mb-0">
+                <thead>
+                  <tr>
+                    <th>Period</th>
+                    <th className="text-end">Charged</th>
+                    <th className="text-end">Adjusted</th>
+                    <th className="text-end">Paid</th>
+                    <th className="text-end">Waived</th>
+                    <th className="text-end">Net</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ledger?.periods?.length > 0 ? (
+                    ledger.periods.map(row => (
+                      <tr key={row.period_start}>
+                        <td>{moment(row.period_start).format(PERIOD_FORMATS[ledger.period])}</td>
+                        <td className="text-end">{formatMad(row.charged_mad)}</td>
+                        <td className="text-end">{formatMad(row.adjusted_mad)}</td>
+                        <td className="text-end">{formatMad(row.paid_mad)}</td>
+                        <td className="text-end">{formatMad(row.waived_mad)}</td>
+                        <td className="text-end fw-semibold">{formatMad(row.net_mad)}</td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="6" className="text-center text-muted">No ledger activity in this range</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+
+        <div className="col-lg-5">
+          <div className="card shadow-sm">
+            <div className="card-header bg-light"><strong>Outstanding balances</strong></div>
+            <ul className="list-group list-group-flush">
+              {balances.length > 0 ? (
+                balances.map(row => (
+                  <li key={row.user_id} className="list-group-item d-flex justify-content-between align-items-center">
+                    <div>
+                      {row.first_name} {row.last_name}
+                      <div className="small text-muted">{row.email}</div>
+                    </div>
+                    <div className="text-end">
+                      <div className="fw-semibold text-danger">{formatMad(row.balance_mad)}</div>
+                      {row.disputed_count > 0 && <span className="badge bg-warning text-dark">{row.disputed_count} disputed</span>}
+                    </div>
+                  </li>
+                ))
+              ) : (
+                <li className="list-group-item text-muted text-center">Nobody owes anything</li>
+              )}
+            </ul>
+          </div>
+        </div>
+      </div>
+
+      <div className="row g-3 mb-3">
+        <div className="col-md-4">
+          <select name="status" className="form-select" value={listFilters.status} onChange={handleListFilterChange}>
+            <option value="">All penalties</option>
+            <option value="outstanding">Outstanding</option>
+            <option value="disputed">Disputed</option>
+            <option value="paid">Paid</option>
+            <option value="waived">Waived</option>
+          </select>
+        </div>
+        <div className="col-md-8">
+          <input
+            type="text"
+            name="search"
+            className="form-control"
+            placeholder="Search by borrower or item..."
+            value={listFilters.search}
+            onChange={handleListFilterChange}
+          />
+        </div>
+      </div>
+
+      <div className="table-responsive">
+        <table className="table table-hover align-middle">
+          <thead className="table-dark">
+            <tr>
+              <th>Date</th>
+              <th>Borrower</th>
+              <th>Item</th>
+              <th>Why</th>
+              <th className="text-end">Balance</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {penalties.length > 0 ? (
+              penalties.map(penalty => {
+                const outstanding = Number(penalty.balance_mad) > 0;
+                return (
+                  <React.Fragment key={penalty.penalty_id}>
+                    <tr>
+                      <td>{moment(penalty.created_at).format('MMM D, YYYY')}</td>
+                      <td>{penalty.first_name} {penalty.last_name}</td>
+                      <td>{penalty.asset_tag}</td>
+                      <td>{penaltyReason(penalty)}</td>
+                      <td className="text-end fw-semibold">{formatMad(penalty.balance_mad)}</td>
+                      <td><PenaltyStatusBadge status={penalty.status} /></td>
+                      <td className="text-end text-nowrap">
+                        <button
+                          className="btn btn-sm btn-outline-secondary me-1"
+                          onClick={() => setExpandedId(expandedId === penalty.penalty_id ? null : penalty.penalty_id)}
+                        >
+                          History
+                        </button>
+                        {outstanding && (
+                          <button className="btn btn-sm btn-outline-success me-1" onClick={() => handlePayment(penalty)}>
+                            Payment
+                          </button>
+                        )}
+                        <button className="btn btn-sm btn-outline-primary me-1" onClick={() => handleAdjust(penalty)}>
+                          Adjust
+                        </button>
+                        {outstanding && (
+                          <button className="btn btn-sm btn-outline-danger me-1" onClick={() => handleWaive(penalty)}>
+                            Waive
+                          </button>
+                        )}
+                        {penalty.status === 'disputed' && (
+                          <button className="btn btn-sm btn-outline-warning" onClick={() => handleRejectDispute(penalty)}>
+                            Reject dispute
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {expandedId === penalty.penalty_id && (
+                      <tr>
+                        <td colSpan="7" className="bg-light">
+                          <PenaltyHistory penaltyId={penalty.penalty_id} refreshKey={refreshKey} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })
+            ) : (
+              <tr>
+                <td colSpan="7" className="text-center">No penalties found</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AdminPenaltiesPage;
@@ -0,0 +1,374 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import moment from 'moment';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+
+const GROUPS = [
+  { key: 'loans', title: 'Loans & penalties' },
+  { key: 'extensions', title: 'Extensions' },
+  { key: 'eligibility', title: 'Borrowing eligibility' },
+  { key: 'security', title: 'Password policy' },
+  { key: 'login', title: 'Login protection' },
+  { key: 'invitations', title: 'Invitations' },
+  { key: 'reservations', title: 'Reservations & waitlist' },
+  { key: 'reminders', title: 'Reminders' },
+  { key: 'email', title: 'Email' },
+];
+
+const ROLES = ['student', 'staff', 'technician', 'admin'];
+
+// Form inputs hold strings; '' means "no value" for nullable settings and overrides
+const toInput = (value) => (value === null || value === undefined ? '' : String(value));
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return 'none';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'none';
+  if (typeof value === 'boolean') return value ? 'on' : 'off';
+  return String(value);
+};
+
+/**
+ * Admin settings: global values, per-category overrides and restrictions,
+ * and the audit trail of recent changes
+ */
+const SettingsPage = () => {
+  const [settings, setSettings] = useState([]);
+  const [form, setForm] = useState({});
+  const [categories, setCategories] = useState([]);
+  const [categoryForms, setCategoryForms] = useState({});
+  const [history, setHistory] = useState([]);
+  const [savingKey, setSavingKey] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const applySettings = (rows) => {
+    setSettings(rows);
+    setForm(Object.fromEntries(rows.map(s => [s.key, s.type === 'boolean' ? s.value : toInput(s.value)])));
+  };
+
+  const applyCategories = (rows, rules) => {
+    const restricted = Object.fromEntries((rules?.categories || []).map(c => [c.category_id, c.restricted_roles]));
+    setCategories(rows);
+    setCategoryForms(Object.fromEntries(rows.map(c => [c.category_id, {
+      overrides: Object.fromEntries(Object.entries(c.overrides).map(([key, value]) => [key, toInput(value)])),
+      roles: restricted[c.category_id] || [],
+      savedRoles: restricted[c.category_id] || [],
+    }])));
+  };
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      setHistory(await api.admin.getSettingsHistory({ limit: 20 }));
+    } catch (err) {
+      console.error('Error fetching settings history:', err);
+    }
+  }, []);
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const [settingsResponse, rules] = await Promise.all([
+        api.admin.getSettings(),
+        api.eligibility.getRules(),
+      ]);
+      applySettings(settingsResponse.settings || []);
+      applyCategories(settingsResponse.categories || [], rules);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch settings');
+      console.error('Error fetching settings:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSettings();
+    fetchHistory();
+  }, [fetchSettings, fetchHistory]);
+
+  const fieldErrorsFrom = (err) => Object.fromEntries(
+    (err.details?.errors || []).filter(e => e.key).map(e => [e.key, e.message])
+  );
+
+  const handleChange = (key, value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+    setFieldErrors(prev => ({ ...prev, [key]: undefined }));
+  };
+
+  const changedSettings = settings.filter(s => (
+    s.type === 'boolean' ? form[s.key] !== s.value : form[s.key] !== toInput(s.value)
+  ));
+  const overridableSettings = settings.filter(s => s.categoryOverride);
+  const globalValues = Object.fromEntries(settings.map(s => [s.key, s.value]));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (changedSettings.length === 0) return;
+
+    setSavingKey('global');
+    try {
+      const values = Object.fromEntries(changedSettings.map(s => [
+        s.key,
+        s.type === 'boolean' ? form[s.key] : (form[s.key] === '' ? null : Number(form[s.key])),
+      ]));
+      const response = await api.admin.updateSettings(values);
+      applySettings(response.settings || []);
+      setFieldErrors({});
+      toast.success(response.message || 'Settings saved');
+      fetchHistory();
+    } catch (err) {
+      console.error('Error saving settings:', err);
+      setFieldErrors(fieldErrorsFrom(err));
+      toast.error(err.message || 'Failed to save settings');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  const handleOverrideChange = (categoryId, key, value) => {
+    setCategoryForms(prev => ({
+      ...prev,
+      [categoryId]: {
+        ...prev[categoryId],
+        overrides: { ...prev[categoryId].overrides, [key]: value },
+      },
+    }));
+  };
+
+  const handleRoleToggle = (categoryId, role) => {
+    setCategoryForms(prev => {
+      const roles = prev[categoryId].roles;
+      return {
+        ...prev,
+        [categoryId]: {
+          ...prev[categoryId],
+          roles: roles.includes(role) ? roles.filter(r => r !== role) : [...roles, role].sort(),
+        },
+      };
+    });
+  };
+
+  const handleSaveCategory = async (category) => {
+    const categoryForm = categoryForms[category.category_id];
+    const overrides = Object.fromEntries(
+      overridableSettings
+        .filter(s => (categoryForm.overrides[s.key] ?? '') !== toInput(category.overrides[s.key]))
+        .map(s => [s.key, categoryForm.overrides[s.key] === '' ? null : Number(categoryForm.overrides[s.key])])
+    );
+    const rolesChanged = categoryForm.roles.join() !== categoryForm.savedRoles.join();
+
+    if (Object.keys(overrides).length === 0 && !rolesChanged) return;
+
+    setSavingKey(category.category_id);
+    try {
+      if (Object.keys(overrides).length > 0) {
+        const response = await api.admin.updateCategorySettings(category.category_id, overrides);
+        setCategories(prev => prev.map(c => (c.category_id === category.category_id ? response.category : c)));
+      }
+      if (rolesChanged) {
+        await api.eligibility.setCategoryRestrictions(category.category_id, categoryForm.roles);
+        setCategoryForms(prev => ({
+          ...prev,
+          [category.category_id]: { ...prev[category.category_id], savedRoles: categoryForm.roles },
+        }));
+      }
+      toast.success(`${category.name} updated`);
+      fetchHistory();
+    } catch (err) {
+      console.error('Error saving category settings:', err);
+      toast.error(err.message || 'Failed to save category settings');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  const renderInput = (setting) => {
+    if (setting.type === 'boolean') {
+      return (
+        <div className="form-check form-switch">
+          <input
+            id={setting.key}
+            type="checkbox"
+            className="form-check-input"
+            checked={!!form[setting.key]}
+            onChange={(e) => handleChange(setting.key, e.target.checked)}
+          />
+        </div>
+      );
+    }
+
+    return (
+      <div className="input-group">
+        <input
+          id={setting.key}
+          type="number"
+          className={`form-control ${fieldErrors[setting.key] ? 'is-invalid' : ''}`}
+          min={setting.min}
+          max={setting.max}
+          step={setting.type === 'decimal' ? '0.01' : '1'}
+          placeholder={setting.nullable ? 'No limit' : ''}
+          value={form[setting.key] ?? ''}
+          onChange={(e) => handleChange(setting.key, e.target.value)}
+        />
+        {setting.unit && <span className="input-group-text">{setting.unit}</span>}
+        {fieldErrors[setting.key] && <div className="invalid-feedback">{fieldErrors[setting.key]}</div>}
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="d-flex justify-content-center">
+        <div className="spinner-border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2 className="mb-4">System Settings</h2>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      <form onSubmit={handleSave}>
+        {GROUPS.map(group => (
+          <div className="card shadow-sm mb-4" key={group.key}>
+            <div className="card-header bg-light"><strong>{group.title}</strong></div>
+            <ul className="list-group list-group-flush">
+              {settings.filter(s => s.group === group.key).map(setting => (
+                <li className="list-group-item" key={setting.key}>
+                  <div className="row align-items-center g-2">
+                    <div className="col-md-7">
+                      <label htmlFor={setting.key} className="form-label mb-0 fw-semibold">{setting.label}</label>
+                      <div className="small text-muted">{setting.description}</div>
+                      {setting.updated_by_name && (
+                        <div className="small text-muted">
+                          Changed {moment(setting.updated_at).fromNow()} by {setting.updated_by_name}
+                        </div>
+                      )}
+                    </div>
+                    <div className="col-md-5">{renderInput(setting)}</div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+
+        <div className="d-flex justify-content-end mb-5">
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={changedSettings.length === 0 || savingKey === 'global'}
+          >
+            {savingKey === 'global' ? 'Saving...' : `Save changes${changedSettings.length > 0 ? ` (${changedSettings.length})` : ''}`}
+          </button>
+        </div>
+      </form>
+
+      <div className="card shadow-sm mb-4">
+        <div className="card-header bg-light">
+          <strong>Category overrides</strong>
+          <div className="small text-muted">Leave a field empty to use the global value. Checked roles may not borrow from the category.</div>
+        </div>
+        <div className="table-responsive">
+          <table className="table table-sm align-middle mb-0">
+            <thead>
+              <tr>
+                <th>Category</th>
+                {overridableSettings.map(s => (
+                  <th key={s.key}>{s.label} <span className="text-muted small">({s.unit})</span></th>
+                ))}
+                <th>Restricted roles</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {categories.map(category => {
+                const categoryForm = categoryForms[category.category_id];
+                if (!categoryForm) return null;
+                return (
+                  <tr key={category.category_id}>
+                    <td className="fw-semibold">{category.name}</td>
+                    {overridableSettings.map(s => (
+                      <td key={s.key} style={{ minWidth: '7rem' }}>
+                        <input
+                          type="number"
+                          className="form-control form-control-sm"
+                          min={s.min}
+                          max={s.max}
+                          step={s.type === 'decimal' ? '0.01' : '1'}
+                          placeholder={formatValue(globalValues[s.key])}
+                          value={categoryForm.overrides[s.key] ?? ''}
+                          onChange={(e) => handleOverrideChange(category.category_id, s.key, e.target.value)}
+                        />
+                      </td>
+                    ))}
+                    <td className="text-nowrap">
+                      {ROLES.map(role => (
+                        <div className="form-check form-check-inline" key={role}>
+                          <input
+                            id={`restrict-${category.category_id}-${role}`}
+                            type="checkbox"
+                            className="form-check-input"
+                            checked={categoryForm.roles.includes(role)}
+                            onChange={() => handleRoleToggle(category.category_id, role)}
+                          />
+                          <label className="form-check-label small" htmlFor={`restrict-${category.category_id}-${role}`}>
+                            {role}
+                          </label>
+                        </div>
+                      ))}
+                    </td>
+                    <td className="text-end">
+                      <button
+                        className="btn btn-sm btn-outline-primary"
+                        disabled={savingKey === category.category_id}
+                        onClick={() => handleSaveCategory(category)}
+                      >
+                        Save
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="card shadow-sm">
+        <div className="card-header bg-light"><strong>Recent changes</strong></div>
+        <ul className="list-group list-group-flush">
+          {history.length > 0 ? (
+            history.map(event => {
+              const restrictions = event.action === 'update_restrictions';
+              const key = event.entity === 'setting' ? event.entity_id : event.details?.key;
+              const label = restrictions ? 'Restricted roles' : settings.find(s => s.key === key)?.label || key;
+              return (
+                <li className="list-group-item small d-flex justify-content-between" key={event.event_id}>
+                  <span>
+                    <strong>{label}</strong>
+                    {event.entity === 'category' && ` for ${event.category_name}`}
+                    {': '}
+                    {formatValue(event.details?.previous)} &rarr; {formatValue(restrictions ? event.details?.roles : event.details?.value)}
+                  </span>
+                  <span className="text-muted">
+                    {event.first_name} {event.last_name}, {moment(event.occurred_at).format('MMM D, YYYY HH:mm')}
+                  </span>
+                </li>
+              );
+            })
+          ) : (
+            <li className="list-group-item text-muted text-center">No changes recorded yet</li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPage;
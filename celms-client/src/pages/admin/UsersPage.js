@@ -1,10 +1,14 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useUser } from '../../contexts/UserContext';
 import api from '../../services/api';
+import { downloadFile } from '../../services/download';
+import UserImportPanel from '../../components/admin/UserImportPanel';
 
 /**
  * AdminUsersPage component provides user management functionality for administrators
- * including viewing, editing, and deleting users.
+ * including viewing, editing, and deleting users. New users are invited from
+ * the invitations page.
  */
 const AdminUsersPage = () => {
   const { user: currentUser } = useUser();
@@ -17,12 +21,15 @@ const AdminUsersPage = () => {
     last_name: '',
     email: '',
     role: '',
-    department: '',
-    is_active: true
+    department: ''
   });
-  const [modalMode, setModalMode] = useState('edit'); // 'edit' or 'create'
   const [searchTerm, setSearchTerm] = useState('');
   const [filterRole, setFilterRole] = useState('');
+  const [filterStatus, setFilterStatus] = useState(''); // '', 'active' or 'inactive'
+  const [togglingId, setTogglingId] = useState(null);
+  const [statusMessage, setStatusMessage] = useState(null);
+  const [resetResult, setResetResult] = useState(null); // { email, temporaryPassword }
+  const [showImport, setShowImport] = useState(false);
 
   // Fetch users on component mount
   useEffect(() => {
@@ -33,8 +40,7 @@ const AdminUsersPage = () => {
   const fetchUsers = async () => {
     setLoading(true);
     try {
-      const response = await api.get('/users');
-      setUsers(response.data);
+      setUsers(await api.users.getAll());
       setError(null);
     } catch (err) {
       setError('Failed to load users. Please try again.');
@@ -63,7 +69,9 @@ const AdminUsersPage = () => {
 
     const matchesRole = filterRole === '' || user.role === filterRole;
 
-    return matchesSearch && matchesRole;
+    const matchesStatus = filterStatus === '' || user.is_active === (filterStatus === 'active');
+
+    return matchesSearch && matchesRole && matchesStatus;
   });
 
   // Handle opening the edit modal
@@ -74,24 +82,8 @@ const AdminUsersPage = () => {
       last_name: user.last_name,
       email: user.email,
       role: user.role,
-      department: user.department || '',
-      is_active: user.is_active
-    });
-    setModalMode('edit');
-  };
-
-  // Handle opening the create modal
-  const handleCreateUser = () => {
-    setEditingUser(null);
-    setFormData({
-      first_name: '',
-      last_name: '',
-      email: '',
-      role: 'user',
-      department: '',
-      is_active: true
+      department: user.department || ''
     });
-    setModalMode('create');
   };
 
   // Handle form input change
@@ -108,20 +100,103 @@ const AdminUsersPage = () => {
     e.preventDefault();
 
     try {
-      if (modalMode === 'edit' && editingUser) {
-        // Update existing user
-        await api.put(`/users/${editingUser.id}`, formData);
-      } else {
-        // Create new user
-        await api.post('/users', formData);
-      }
+      // Update existing user; new users are added through invitations
+      await api.put(`/users/${editingUser.id}`, formData);
 
       // Close modal and refresh user list
       document.getElementById('userFormModal').querySelector('.btn-close').click();
       fetchUsers();
     } catch (err) {
-      setError(`Failed to ${modalMode} user. Please try again.`);
-      console.error(`Error ${modalMode}ing user:`, err);
+      setError('Failed to edit user. Please try again.');
+      console.error('Error editing user:', err);
+    }
+  };
+
+  // Reset a password; the API generates a temporary one and forces a change at next login
+  const handleResetPassword = async (user) => {
+    if (!window.confirm(`Reset the password for ${user.email}? They will have to choose a new one at next login.`)) {
+      return;
+    }
+    try {
+      const response = await api.users.resetPassword(user.user_id);
+      setResetResult({ email: user.email, temporaryPassword: response.temporary_password });
+      fetchUsers();
+    } catch (err) {
+      setError(err.message || 'Failed to reset password. Please try again.');
+      console.error('Error resetting password:', err);
+    }
+  };
+
+  // Activate or deactivate an account; deactivation can also cancel upcoming reservations
+  const handleToggleStatus = async (user) => {
+    const name = `${user.first_name} ${user.last_name}`;
+    let options = {};
+
+    if (user.is_active) {
+      const reason = window.prompt(`Deactivate ${name}? They will be signed out and unable to log in.\n\nReason (optional):`, '');
+      if (reason === null) return;
+      options = {
+        reason: reason.trim() || undefined,
+        cancel_reservations: window.confirm(`Also cancel ${name}'s upcoming reservations and waitlist entries?`)
+      };
+    } else if (!window.confirm(`Reactivate ${name}?`)) {
+      return;
+    }
+
+    setTogglingId(user.user_id);
+    try {
+      const response = user.is_active
+        ? await api.users.deactivate(user.user_id, options)
+        : await api.users.activate(user.user_id);
+      setStatusMessage(response.message);
+      fetchUsers();
+    } catch (err) {
+      setError(err.message || 'Failed to change account status. Please try again.');
+      console.error('Error changing account status:', err);
+    } finally {
+      setTogglingId(null);
+    }
+  };
+
+  // Lift a lockout caused by failed login attempts
+  const handleClearLockout = async (user) => {
+    try {
+      const response = await api.admin.clearLockout(user.lockout_id);
+      setStatusMessage(response.message);
+      fetchUsers();
+    } catch (err) {
+      setError(err.message || 'Failed to clear lockout. Please try again.');
+      console.error('Error clearing lockout:', err);
+    }
+  };
+
+  // Sign a user out of every device
+  const handleRevokeSessions = async (user) => {
+    if (!window.confirm(`Sign ${user.email} out of all ${user.active_sessions} session(s)?`)) {
+      return;
+    }
+    try {
+      const response = await api.users.revokeSessions(user.user_id);
+      setStatusMessage(response.message);
+      fetchUsers();
+    } catch (err) {
+      setError(err.message || 'Failed to revoke sessions. Please try again.');
+      console.error('Error revoking sessions:', err);
+    }
+  };
+
+  // Download the users matching the current filters as CSV
+  const handleExport = async () => {
+    try {
+      const csv = await api.users.exportCsv({
+        role: filterRole,
+        is_active: filterStatus === '' ? undefined : filterStatus === 'active',
+        search: searchTerm
+      });
+      downloadFile(csv, `celms-users-${new Date().toISOString().slice(0, 10)}.csv`);
+    } catch (err) {
+      setError(err.message || 'Failed to export users. Please try again.');
+      console.error('Error exporting users:', err);
     }
   };
 
@@ -142,16 +217,23 @@ const AdminUsersPage = () => {
     <div>
       <div className="d-flex justify-content-between align-items-center mb-4">
         <h1 className="h2">User Management</h1>
-        <button
-          className="btn btn-primary"
-          onClick={handleCreateUser}
-          data-bs-toggle="modal"
-          data-bs-target="#userFormModal"
-        >
-          <i className="bi bi-person-plus-fill me-2"></i>Add New User
-        </button>
+        <div>
+          <button className="btn btn-outline-secondary me-2" onClick={handleExport}>
+            <i className="bi bi-download me-2"></i>Export CSV
+          </button>
+          <button className="btn btn-outline-secondary me-2" onClick={() => setShowImport(!showImport)}>
+            <i className="bi bi-upload me-2"></i>Import CSV
+          </button>
+          <Link className="btn btn-primary" to="/admin/invitations">
+            <i className="bi bi-person-plus-fill me-2"></i>Invite Users
+          </Link>
+        </div>
       </div>
 
+      {showImport && (
+        <UserImportPanel onImported={fetchUsers} onClose={() => setShowImport(false)} />
+      )}
+
       {error && (
         <div className="alert alert-danger" role="alert">
           {error}
@@ -164,6 +246,32 @@ const AdminUsersPage = () => {
         </div>
       )}
 
+      {statusMessage && (
+        <div className="alert alert-success" role="alert">
+          {statusMessage}
+          <button
+            type="button"
+            className="btn-close float-end"
+            onClick={() => setStatusMessage(null)}
+            aria-label="Close"
+          ></button>
+        </div>
+      )}
+
+      {resetResult && (
+        <div className="alert alert-info" role="alert">
+          <button
+            type="button"
+            className="btn-close float-end"
+            onClick={() => setResetResult(null)}
+            aria-label="Close"
+          ></button>
+          Temporary password for <strong>{resetResult.email}</strong>:{' '}
+          <code className="user-select-all">{resetResult.temporaryPassword}</code>
+          <div className="small mt-1">It is shown only once. Share it with the user securely.</div>
+        </div>
+      )}
+
       {/* Search and Filter Section */}
       <div className="row mb-4">
         <div className="col-md-6">
@@ -180,9 +288,9 @@ const AdminUsersPage = () => {
             />
           </div>
         </div>
-        <div className="col-md-6">
+        <div className="col-md-3">
           <div className="input-group">
-            <span className="input-group-text">Filter by Role</span>
+            <span className="input-group-text">Role</span>
             <select
               className="form-select"
               value={filterRole}
@@ -190,8 +298,23 @@ const AdminUsersPage = () => {
             >
               <option value="">All Roles</option>
               <option value="admin">Admin</option>
-              <option value="manager">Manager</option>
-              <option value="user">User</option>
+              <option value="technician">Technician</option>
+              <option value="staff">Staff</option>
+              <option value="student">Student</option>
+            </select>
+          </div>
+        </div>
+        <div className="col-md-3">
+          <div className="input-group">
+            <span className="input-group-text">Status</span>
+            <select
+              className="form-select"
+              value={filterStatus}
+              onChange={(e) => setFilterStatus(e.target.value)}
+            >
+              <option value="">All</option>
+              <option value="active">Active</option>
+              <option value="inactive">Inactive</option>
             </select>
           </div>
         </div>
@@ -225,10 +348,10 @@ const AdminUsersPage = () => {
               </tr>
             ) : (
               filteredUsers.map((user) => (
-                <tr key={user.id}>
+                <tr key={user.user_id}>
                   <td>
                     {user.first_name} {user.last_name}
-                    {user.id === currentUser?.id && (
+                    {user.user_id === currentUser?.id && (
                       <span className="badge bg-secondary ms-2">You</span>
                     )}
                   </td>
@@ -236,7 +359,7 @@ const AdminUsersPage = () => {
                   <td>
                     <span className={`badge bg-${user.role === 'admin'
                         ? 'danger'
-                        : user.role === 'manager'
+                        : user.role === 'technician'
                           ? 'warning'
                           : 'info'
                       }`}>
@@ -250,6 +373,25 @@ const AdminUsersPage = () => {
                     ) : (
                       <span className="badge bg-secondary">Inactive</span>
                     )}
+                    {user.pending_invitation && (
+                      <span className="badge bg-info text-dark ms-1" title="Has not set a password yet">Pending invitation</span>
+                    )}
+                    {user.must_change_password && (
+                      <span className="badge bg-warning text-dark ms-1">Password reset</span>
+                    )}
+                    {user.lockout_id && (
+                      <span className="badge bg-danger ms-1" title={`Locked until ${new Date(user.locked_until).toLocaleString()}`}>
+                        Locked
+                        <button
+                          type="button"
+                          className="btn btn-link btn-sm p-0 ms-1 text-white align-baseline"
+                          onClick={() => handleClearLockout(user)}
+                          title="Unlock"
+                        >
+                          <i className="bi bi-unlock"></i>
+                        </button>
+                      </span>
+                    )}
                   </td>
                   <td className="text-end">
                     <button
@@ -260,11 +402,36 @@ const AdminUsersPage = () => {
                     >
                       <i className="bi bi-pencil"></i>
                     </button>
+                    <button
+                      className="btn btn-sm btn-outline-secondary me-2"
+                      onClick={() => handleRevokeSessions(user)}
+                      disabled={!user.active_sessions}
+                      title={`Sign out of all devices (${user.active_sessions || 0} active session(s))`}
+                    >
+                      <i className="bi bi-box-arrow-right"></i>
+                    </button>
+                    <button
+                      className="btn btn-sm btn-outline-warning me-2"
+                      onClick={() => handleResetPassword(user)}
+                      title="Reset password"
+                    >
+                      <i className="bi bi-key"></i>
+                    </button>
+                    <button
+                      className={`btn btn-sm me-2 ${user.is_active ? 'btn-outline-secondary' : 'btn-outline-success'}`}
+                      onClick={() => handleToggleStatus(user)}
+                      disabled={user.user_id === currentUser?.id || togglingId === user.user_id}
+                      title={user.user_id === currentUser?.id
+                        ? 'You cannot deactivate your own account'
+                        : user.is_active ? 'Deactivate account' : 'Activate account'}
+                    >
+                      <i className={`bi ${user.is_active ? 'bi-person-slash' : 'bi-person-check'}`}></i>
+                    </button>
                     <button
                       className="btn btn-sm btn-outline-danger"
-                      onClick={() => handleDeleteUser(user.id)}
-                      disabled={user.id === currentUser?.id} // Prevent deleting yourself
-                      title={user.id === currentUser?.id ? "You cannot delete your own account" : ""}
+                      onClick={() => handleDeleteUser(user.user_id)}
+                      disabled={user.user_id === currentUser?.id} // Prevent deleting yourself
+                      title={user.user_id === currentUser?.id ? "You cannot delete your own account" : ""}
                     >
                       <i className="bi bi-trash"></i>
                     </button>
@@ -282,7 +449,7 @@ const AdminUsersPage = () => {
           <div className="modal-content">
             <div className="modal-header">
               <h5 className="modal-title" id="userFormModalLabel">
-                {modalMode === 'edit' ? 'Edit User' : 'Create New User'}
+                Edit User
               </h5>
               <button type="button" className="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
             </div>
@@ -334,8 +501,9 @@ const AdminUsersPage = () => {
                     onChange={handleInputChange}
                     required
                   >
-                    <option value="user">User</option>
-                    <option value="manager">Manager</option>
+                    <option value="student">Student</option>
+                    <option value="staff">Staff</option>
+                    <option value="technician">Technician</option>
                     <option value="admin">Admin</option>
                   </select>
                 </div>
@@ -350,29 +518,11 @@ const AdminUsersPage = () => {
                     onChange={handleInputChange}
                   />
                 </div>
-                <div className="mb-3 form-check">
-                  <input
-                    type="checkbox"
-                    className="form-check-input"
-                    id="is_active"
-                    name="is_active"
-                    checked={formData.is_active}
-                    onChange={handleInputChange}
-                  />
-                  <label className="form-check-label" htmlFor="is_active">Active</label>
-                </div>
-
-                {modalMode === 'create' && (
-                  <div className="alert alert-info">
-                    <i className="bi bi-info-circle me-2"></i>
-                    A temporary password will be generated and sent to the user's email.
-                  </div>
-                )}
 
                 <div className="modal-footer">
                   <button type="button" className="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
                   <button type="submit" className="btn btn-primary">
-                    {modalMode === 'edit' ? 'Save Changes' : 'Create User'}
+                    Save Changes
                   </button>
                 </div>
               </form>
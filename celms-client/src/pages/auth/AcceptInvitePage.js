@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { useFormik } from 'formik';
+import * as Yup from 'yup';
+import moment from 'moment';
+import { toast } from 'react-toastify';
+import { useUser } from '../../contexts/UserContext';
+import api from '../../services/api';
+import PasswordRules, { policyRules } from '../../components/auth/PasswordRules';
+
+/**
+ * Landing page for an invitation link: the invitee picks a password and is signed in
+ */
+const AcceptInvitePage = () => {
+  const { acceptInvitation } = useUser();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [invitation, setInvitation] = useState(null);
+  const [policy, setPolicy] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [details, passwordPolicy] = await Promise.all([
+          api.invitations.verify(token),
+          api.auth.getPasswordPolicy()
+        ]);
+        setInvitation(details);
+        setPolicy(passwordPolicy);
+      } catch (err) {
+        setError(err.message || 'This invitation link is not valid');
+        console.error('Error verifying invitation:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [token]);
+
+  const rules = policyRules(policy);
+
+  const formik = useFormik({
+    initialValues: {
+      password: '',
+      confirmPassword: ''
+    },
+    validationSchema: Yup.object({
+      password: Yup.string()
+        .required('Password is required')
+        .test('policy', 'Does not meet the password policy', value => rules.every(rule => rule.test(value || ''))),
+      confirmPassword: Yup.string()
+        .required('Please confirm the password')
+        .oneOf([Yup.ref('password')], 'Passwords do not match')
+    }),
+    onSubmit: async (values, { setFieldError, setSubmitting }) => {
+      try {
+        const response = await acceptInvitation(token, values.password);
+        toast.success(response.message || 'Password set');
+        navigate('/');
+      } catch (err) {
+        console.error('Error accepting invitation:', err);
+        if (err.code === 'WEAK_PASSWORD') {
+          setFieldError('password', (err.details?.problems || [err.message]).join('; '));
+        } else if (err.code) {
+          setError(err.message);
+        } else {
+          toast.error(err.message || 'Failed to set password');
+        }
+      } finally {
+        setSubmitting(false);
+      }
+    }
+  });
+
+  const fieldClass = (name) => `form-control ${formik.touched[name] && formik.errors[name] ? 'is-invalid' : ''}`;
+
+  if (loading) {
+    return (
+      <div className="d-flex justify-content-center mt-5">
+        <div className="spinner-border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mt-5">
+      <div className="row justify-content-center">
+        <div className="col-md-6 col-lg-5">
+          <div className="card shadow">
+            <div className="card-body p-4">
+              <h2 className="text-center mb-4">Welcome to CELMS</h2>
+
+              {error ? (
+                <>
+                  <div className="alert alert-danger">
+                    <i className="bi bi-exclamation-triangle me-2"></i>{error}
+                  </div>
+                  <div className="text-center">
+                    <Link to="/login">Go to login</Link>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <p className="text-muted">
+                    Hello {invitation.first_name}, choose a password for <strong>{invitation.email}</strong> to
+                    activate your {invitation.role} account. This link expires {moment(invitation.expires_at).fromNow()}.
+                  </p>
+
+                  <form onSubmit={formik.handleSubmit} noValidate>
+                    {[
+                      ['password', 'Password'],
+                      ['confirmPassword', 'Confirm password'],
+                    ].map(([name, label]) => (
+                      <div className="mb-3" key={name}>
+                        <label htmlFor={name} className="form-label">{label}</label>
+                        <input
+                          id={name}
+                          type="password"
+                          autoComplete="new-password"
+                          className={fieldClass(name)}
+                          {...formik.getFieldProps(name)}
+                        />
+                        {formik.touched[name] && formik.errors[name] && (
+                          <div className="invalid-feedback">{formik.errors[name]}</div>
+                        )}
+                      </div>
+                    ))}
+
+                    <PasswordRules rules={rules} value={formik.values.password} />
+
+                    <div className="d-grid">
+                      <button type="submit" className="btn btn-primary" disabled={formik.isSubmitting}>
+                        {formik.isSubmitting ? 'Saving...' : 'Set password and sign in'}
+                      </button>
+                    </div>
+                  </form>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitePage;
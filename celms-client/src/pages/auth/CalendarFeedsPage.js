@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import moment from 'moment';
+import { toast } from 'react-toastify';
+import { useUser } from '../../contexts/UserContext';
+import api from '../../services/api';
+
+/**
+ * The current user's calendar feed subscriptions: create a feed URL for a
+ * calendar app, and revoke feeds that should stop working. Admins and
+ * technicians arriving from an item (?item=<id>) create that item's feed.
+ */
+const CalendarFeedsPage = () => {
+  const { user } = useUser();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [feeds, setFeeds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [label, setLabel] = useState('');
+  const [newFeed, setNewFeed] = useState(null); // { url, feed } right after creation
+  const [busyId, setBusyId] = useState(null);
+
+  const isStaff = user?.role === 'admin' || user?.role === 'technician';
+  const itemId = isStaff ? searchParams.get('item') : null;
+
+  const fetchFeeds = useCallback(async () => {
+    try {
+      setFeeds(await api.calendar.listFeeds());
+      setError(null);
+    } catch (err) {
+      setError('Failed to load calendar feeds');
+      console.error('Error fetching calendar feeds:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFeeds();
+  }, [fetchFeeds]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusyId('new');
+    try {
+      const response = await api.calendar.createFeed({ label: label.trim() || undefined, item_id: itemId || undefined });
+      setNewFeed(response);
+      setLabel('');
+      if (itemId) {
+        setSearchParams({});
+      }
+      fetchFeeds();
+    } catch (err) {
+      toast.error(err.message || 'Failed to create calendar feed');
+      console.error('Error creating calendar feed:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevoke = async (feed) => {
+    if (!window.confirm('Revoke this feed? Calendars subscribed to it stop updating.')) {
+      return;
+    }
+    setBusyId(feed.feed_id);
+    try {
+      await api.calendar.revokeFeed(feed.feed_id);
+      toast.success('Calendar feed revoked');
+      if (newFeed?.feed.feed_id === feed.feed_id) {
+        setNewFeed(null);
+      }
+      fetchFeeds();
+    } catch (err) {
+      toast.error(err.message || 'Failed to revoke calendar feed');
+      console.error('Error revoking calendar feed:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const copyUrl = (url) => {
+    navigator.clipboard.writeText(url)
+      .then(() => toast.info('Feed URL copied'))
+      .catch(() => toast.error('Copy failed; select the URL instead'));
+  };
+
+  if (loading) {
+    return (
+      <div className="d-flex justify-content-center mt-5">
+        <div className="spinner-border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mt-4">
+      <h2 className="mb-2">Calendar Feeds</h2>
+      <p className="text-muted">
+        Subscribe to a feed in Google Calendar, Outlook or Apple Calendar to see your approved
+        reservations, loan due dates{isStaff && ' and assigned maintenance tickets'} next to your other events.
+        Anyone with a feed URL can read it, so revoke feeds you no longer use.
+      </p>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      {newFeed && (
+        <div className="alert alert-info" role="alert">
+          <button
+            type="button"
+            className="btn-close float-end"
+            onClick={() => setNewFeed(null)}
+            aria-label="Close"
+          ></button>
+          <div className="mb-2">{newFeed.message}</div>
+          <div className="d-flex align-items-center small">
+            <code className="user-select-all text-truncate me-2">{newFeed.url}</code>
+            <button type="button" className="btn btn-sm btn-outline-primary" onClick={() => copyUrl(newFeed.url)}>
+              <i className="bi bi-clipboard"></i>
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="card shadow-sm mb-4">
+        <div className="card-body">
+          <form className="row g-2 align-items-center" onSubmit={handleCreate}>
+            <div className="col-md-6">
+              <input
+                className="form-control"
+                placeholder="Label, e.g. Phone calendar (optional)"
+                maxLength={100}
+                value={label}
+                onChange={(e) => setLabel(e.target.value)}
+              />
+            </div>
+            <div className="col-md-6">
+              <button type="submit" className="btn btn-primary me-2" disabled={busyId === 'new'}>
+                <i className="bi bi-calendar-plus me-2"></i>
+                {itemId ? `Create feed for item #${itemId}` : 'Create feed'}
+              </button>
+              {itemId && (
+                <button type="button" className="btn btn-link" onClick={() => setSearchParams({})}>
+                  My own feed instead
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+      </div>
+
+      <div className="card shadow-sm">
+        <ul className="list-group list-group-flush">
+          {feeds.length > 0 ? (
+            feeds.map(feed => (
+              <li className="list-group-item d-flex justify-content-between align-items-center" key={feed.feed_id}>
+                <div>
+                  <div className="fw-semibold">
+                    <i className="bi bi-calendar-event me-2"></i>
+                    {feed.label || (feed.item_id ? 'Item calendar' : 'My calendar')}
+                    {feed.item_id && (
+                      <Link to={`/items/${feed.item_id}`} className="badge bg-secondary ms-2 text-decoration-none">
+                        {feed.asset_tag}
+                      </Link>
+                    )}
+                  </div>
+                  <div className="small text-muted">
+                    Created {moment(feed.created_at).format('MMM D, YYYY HH:mm')}
+                    {' · '}
+                    {feed.last_used_at ? `last fetched ${moment(feed.last_used_at).fromNow()}` : 'never fetched'}
+                  </div>
+                </div>
+                <button
+                  className="btn btn-sm btn-outline-danger"
+                  onClick={() => handleRevoke(feed)}
+                  disabled={busyId === feed.feed_id}
+                >
+                  Revoke
+                </button>
+              </li>
+            ))
+          ) : (
+            <li className="list-group-item text-muted text-center">No calendar feeds</li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeedsPage;
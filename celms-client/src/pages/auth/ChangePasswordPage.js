@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useFormik } from 'formik';
+import * as Yup from 'yup';
+import { toast } from 'react-toastify';
+import { useUser } from '../../contexts/UserContext';
+import api from '../../services/api';
+import PasswordRules, { policyRules } from '../../components/auth/PasswordRules';
+
+/**
+ * Self-service password change; also the only page reachable after an admin reset
+ */
+const ChangePasswordPage = () => {
+  const { user, passwordChanged } = useUser();
+  const navigate = useNavigate();
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    api.auth.getPasswordPolicy()
+      .then(setPolicy)
+      .catch(err => console.error('Error fetching password policy:', err));
+  }, []);
+
+  const rules = policyRules(policy);
+
+  const formik = useFormik({
+    initialValues: {
+      currentPassword: '',
+      newPassword: '',
+      confirmPassword: ''
+    },
+    validationSchema: Yup.object({
+      currentPassword: Yup.string().required('Current password is required'),
+      newPassword: Yup.string()
+        .required('New password is required')
+        .notOneOf([Yup.ref('currentPassword')], 'Must be different from the current password')
+        .test('policy', 'Does not meet the password policy', value => rules.every(rule => rule.test(value || ''))),
+      confirmPassword: Yup.string()
+        .required('Please confirm the new password')
+        .oneOf([Yup.ref('newPassword')], 'Passwords do not match')
+    }),
+    onSubmit: async (values, { setFieldError, setSubmitting }) => {
+      try {
+        await api.auth.changePassword(values.currentPassword, values.newPassword);
+        passwordChanged();
+        toast.success('Password changed');
+        navigate('/');
+      } catch (err) {
+        console.error('Error changing password:', err);
+        if (err.code === 'INVALID_CURRENT_PASSWORD') {
+          setFieldError('currentPassword', err.message);
+        } else if (err.code === 'WEAK_PASSWORD') {
+          setFieldError('newPassword', (err.details?.problems || [err.message]).join('; '));
+        } else {
+          toast.error(err.message || 'Failed to change password');
+        }
+      } finally {
+        setSubmitting(false);
+      }
+    }
+  });
+
+  const fieldClass = (name) => `form-control ${formik.touched[name] && formik.errors[name] ? 'is-invalid' : ''}`;
+
+  return (
+    <div className="container mt-4">
+      <div className="row justify-content-center">
+        <div className="col-md-6 col-lg-5">
+          <div className="card shadow-sm">
+            <div className="card-body p-4">
+              <h2 className="mb-4">Change Password</h2>
+
+              {user.mustChangePassword && (
+                <div className="alert alert-warning">
+                  <i className="bi bi-shield-lock me-2"></i>
+                  Your password was reset by an administrator. Choose a new one to continue.
+                </div>
+              )}
+
+              <form onSubmit={formik.handleSubmit} noValidate>
+                {[
+                  ['currentPassword', 'Current password', 'current-password'],
+                  ['newPassword', 'New password', 'new-password'],
+                  ['confirmPassword', 'Confirm new password', 'new-password'],
+                ].map(([name, label, autoComplete]) => (
+                  <div className="mb-3" key={name}>
+                    <label htmlFor={name} className="form-label">{label}</label>
+                    <input
+                      id={name}
+                      type="password"
+                      autoComplete={autoComplete}
+                      className={fieldClass(name)}
+                      {...formik.getFieldProps(name)}
+                    />
+                    {formik.touched[name] && formik.errors[name] && (
+                      <div className="invalid-feedback">{formik.errors[name]}</div>
+                    )}
+                  </div>
+                ))}
+
+                <PasswordRules rules={rules} value={formik.values.newPassword} />
+
+                <div className="d-grid">
+                  <button type="submit" className="btn btn-primary" disabled={formik.isSubmitting}>
+                    {formik.isSubmitting ? 'Saving...' : 'Change password'}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePasswordPage;
@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import moment from 'moment';
+import { toast } from 'react-toastify';
+import { useUser } from '../../contexts/UserContext';
+import api from '../../services/api';
+
+/**
+ * Short "Browser on OS" label from a user agent string
+ * @param {string} userAgent - sessions.user_agent
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ].find(([, pattern]) => pattern.test(userAgent));
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/],
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return userAgent.slice(0, 60);
+  return [browser?.[0], os?.[0]].filter(Boolean).join(' on ');
+};
+
+/**
+ * Devices the current user is signed in on, with per-device and
+ * all-device sign out
+ */
+const SessionsPage = () => {
+  const { logoutAll } = useUser();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setSessions(await api.auth.getSessions());
+      setError(null);
+    } catch (err) {
+      setError('Failed to load sessions');
+      console.error('Error fetching sessions:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    setBusyId(session.session_id);
+    try {
+      await api.auth.revokeSession(session.session_id);
+      toast.success('Device signed out');
+      fetchSessions();
+    } catch (err) {
+      toast.error(err.message || 'Failed to sign out device');
+      console.error('Error revoking session:', err);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) {
+      return;
+    }
+    setBusyId('all');
+    try {
+      const response = await logoutAll();
+      toast.info(response?.message || 'Signed out of all devices');
+      navigate('/login');
+    } catch (err) {
+      toast.error(err.message || 'Failed to sign out');
+      console.error('Error signing out of all devices:', err);
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="d-flex justify-content-center mt-5">
+        <div className="spinner-border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mt-4">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2 className="mb-0">Active Sessions</h2>
+        <button
+          className="btn btn-outline-danger"
+          onClick={handleLogoutAll}
+          disabled={busyId === 'all'}
+        >
+          <i className="bi bi-box-arrow-right me-2"></i>Log out all devices
+        </button>
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      <div className="card shadow-sm">
+        <ul className="list-group list-group-flush">
+          {sessions.length > 0 ? (
+            sessions.map(session => (
+              <li className="list-group-item d-flex justify-content-between align-items-center" key={session.session_id}>
+                <div>
+                  <div className="fw-semibold">
+                    <i className="bi bi-laptop me-2"></i>
+                    {describeDevice(session.user_agent)}
+                    {session.current && <span className="badge bg-success ms-2">This device</span>}
+                  </div>
+                  <div className="small text-muted">
+                    Signed in {moment(session.created_at).format('MMM D, YYYY HH:mm')}
+                    {session.ip_address && ` from ${session.ip_address}`}
+                    {' · '}last active {moment(session.last_used_at).fromNow()}
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    className="btn btn-sm btn-outline-secondary"
+                    onClick={() => handleRevoke(session)}
+                    disabled={busyId === session.session_id}
+                  >
+                    Sign out
+                  </button>
+                )}
+              </li>
+            ))
+          ) : (
+            <li className="list-group-item text-muted text-center">No active sessions</li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default SessionsPage;
@@ -9,7 +9,9 @@ const handleApiError = (error) => {
       case 401:
         console.error('Authentication error:', error.message);
         // Clear user data from localStorage if authentication fails
+        // (apiClient has already tried the refresh token)
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         // Redirect to login page if not already there
         if (window.location.pathname !== '/login') {
           window.location.href = '/login';
@@ -17,6 +19,13 @@ const handleApiError = (error) => {
         break;
       case 403:
         console.error('Authorization error:', error.message);
+        // After an admin reset every call is refused until the password is changed
+        if (error.code === 'PASSWORD_CHANGE_REQUIRED') {
+          if (window.location.pathname !== '/change-password') {
+            window.location.href = '/change-password';
+          }
+          break;
+        }
         // Redirect to unauthorized page
         if (window.location.pathname !== '/unauthorized') {
           window.location.href = '/unauthorized';
@@ -38,6 +47,31 @@ const handleApiError = (error) => {
   return Promise.reject(error);
 };
 
+// Build "?a=1&b=2" from a filters object, skipping empty values
+const toQueryString = (params = {}) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.append(key, Array.isArray(value) ? value.join(',') : value);
+    }
+  });
+  const text = query.toString();
+  return text ? `?${text}` : '';
+};
+
+// List endpoints return one page at a time; follow next_cursor until every
+// matching row is loaded
+const getAllPages = async (path, params, key) => {
+  const rows = [];
+  let cursor = null;
+  do {
+    const response = await apiClient.get(`${path}${toQueryString({ limit: 200, ...params, cursor })}`);
+    rows.push(...(response?.[key] || []));
+    cursor = response?.next_cursor || null;
+  } while (cursor);
+  return rows;
+};
+
 // Authentication Services
 const auth = {
   login: async (email, password) => {
@@ -48,9 +82,36 @@ const auth = {
     }
   },
 
-  register: async (userData) => {
+  // Ends the session server-side; local sign-out must not depend on it succeeding
+  logout: async () => {
+    try {
+      return await apiClient.post('/auth/logout', {});
+    } catch (error) {
+      console.error('Error logging out:', error);
+      return null;
+    }
+  },
+
+  logoutAll: async () => {
+    try {
+      return await apiClient.post('/auth/logout-all', {});
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getSessions: async () => {
+    try {
+      const response = await apiClient.get('/auth/sessions');
+      return Array.isArray(response?.sessions) ? response.sessions : [];
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  revokeSession: async (sessionId) => {
     try {
-      return await apiClient.post('/auth/register', userData);
+      return await apiClient.delete(`/auth/sessions/${sessionId}`);
     } catch (error) {
       return handleApiError(error);
     }
@@ -62,6 +123,23 @@ const auth = {
     } catch (error) {
       return handleApiError(error);
     }
+  },
+
+  changePassword: async (currentPassword, newPassword) => {
+    try {
+      return await apiClient.post('/auth/change-password', { currentPassword, newPassword });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getPasswordPolicy: async () => {
+    try {
+      const response = await apiClient.get('/auth/password-policy');
+      return response?.policy || null;
+    } catch (error) {
+      return handleApiError(error);
+    }
   }
 };
 
@@ -69,9 +147,9 @@ const auth = {
 const users = {
   getAll: async (filters = {}) => {
     try {
-      const response = await apiClient.get('/users');
+      const response = await apiClient.get(`/users${toQueryString(filters)}`);
       // Ensure we return an array even if the API doesn't
-      return Array.isArray(response) ? response : [];
+      return Array.isArray(response?.users) ? response.users : [];
     } catch (error) {
       console.error('Error fetching users:', error);
       return []; // Return empty array on error instead of rejecting
@@ -92,15 +170,168 @@ const users = {
     } catch (error) {
       return handleApiError(error);
     }
+  },
+
+  activate: async (id, { reason } = {}) => {
+    try {
+      return await apiClient.post(`/users/${id}/activate`, { reason });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // cancel_reservations also cancels the user's upcoming reservations and waitlist entries
+  deactivate: async (id, { reason, cancel_reservations = false } = {}) => {
+    try {
+      return await apiClient.post(`/users/${id}/deactivate`, { reason, cancel_reservations });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getSessions: async (id) => {
+    try {
+      const response = await apiClient.get(`/users/${id}/sessions`);
+      return Array.isArray(response?.sessions) ? response.sessions : [];
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Signs the user out on every device
+  revokeSessions: async (id) => {
+    try {
+      return await apiClient.post(`/users/${id}/revoke-sessions`, {});
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Without newPassword the API generates a temporary one and returns it once
+  resetPassword: async (id, newPassword) => {
+    try {
+      return await apiClient.post(`/users/${id}/reset-password`, newPassword ? { newPassword } : {});
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Same filters as getAll; resolves to the CSV text
+  exportCsv: async (filters = {}) => {
+    try {
+      return await apiClient.get(`/users/export${toQueryString(filters)}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // options: { dry_run (default true), deactivate_missing, deactivate_roles }
+  importCsv: async (csv, options = {}) => {
+    try {
+      return await apiClient.post('/users/import', { csv, ...options });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }
+};
+
+// Invitation Services: admins invite users, invitees set their own password
+const invitations = {
+  // status: pending | accepted | expired | revoked
+  getAll: async (params = {}) => {
+    try {
+      const response = await apiClient.get(`/invitations${toQueryString(params)}`);
+      return response?.invitations || [];
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // invitee: { email, first_name, last_name, role, phone }
+  create: async (invitee) => {
+    try {
+      return await apiClient.post('/invitations', invitee);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // All-or-nothing; a 400 carries per-row errors in details.errors
+  createBulk: async (invitees) => {
+    try {
+      return await apiClient.post('/invitations/bulk', { invitations: invitees });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  resend: async (invitationId) => {
+    try {
+      return await apiClient.post(`/invitations/${invitationId}/resend`, {});
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  revoke: async (invitationId) => {
+    try {
+      return await apiClient.post(`/invitations/${invitationId}/revoke`, {});
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getDomains: async () => {
+    try {
+      const response = await apiClient.get('/invitations/domains');
+      return response?.domains || [];
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // [] allows any domain
+  updateDomains: async (domains) => {
+    try {
+      return await apiClient.put('/invitations/domains', { domains });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  verify: async (token) => {
+    try {
+      const response = await apiClient.get(`/invitations/verify${toQueryString({ token })}`);
+      return response?.invitation || null;
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Returns a login response (token, refreshToken, user)
+  accept: async (token, password) => {
+    try {
+      return await apiClient.post('/invitations/accept', { token, password });
+    } catch (error) {
+      return handleApiError(error);
+    }
   }
 };
 
 // Item Services
 const items = {
-  getAll: async () => {
+  // List endpoints return { total, count, limit, offset, next_cursor, items }
+  list: async (params = {}) => {
+    try {
+      return await apiClient.get(`/items${toQueryString(params)}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getAll: async (params = {}) => {
     try {
-      const response = await apiClient.get('/items');
-      return Array.isArray(response) ? response : [];
+      return await getAllPages('/items', params, 'items');
     } catch (error) {
       console.error('Error fetching items:', error);
       throw error; // Let the component handle the error with its error state
@@ -129,57 +360,102 @@ const items = {
     } catch (error) {
       return handleApiError(error);
     }
-  }
-};
+  },
 
-// Loan Services
-const loans = {
-  getAll: async () => {
+  remove: async (id) => {
     try {
-      return await apiClient.get('/loans');
+      return await apiClient.delete(`/items/${id}`);
     } catch (error) {
       return handleApiError(error);
     }
   },
 
-  getById: async (id) => {
+  // History endpoints return { total, limit, offset, <loans|reservations|tickets> }
+  getLoans: async (id, { limit = 20, offset = 0 } = {}) => {
     try {
-      return await apiClient.get(`/loans/${id}`);
+      return await apiClient.get(`/items/${id}/loans?limit=${limit}&offset=${offset}`);
     } catch (error) {
       return handleApiError(error);
     }
   },
 
-  createFromReservation: async (reservation_id) => {
+  getReservations: async (id, { limit = 20, offset = 0 } = {}) => {
     try {
-      return await apiClient.post('/loans/from-reservation', { reservation_id });
+      return await apiClient.get(`/items/${id}/reservations?limit=${limit}&offset=${offset}`);
     } catch (error) {
       return handleApiError(error);
     }
   },
 
-  createAdhoc: async (borrower_user_id, item_id) => {
+  getTickets: async (id, { limit = 20, offset = 0 } = {}) => {
     try {
-      return await apiClient.post('/loans/adhoc', { borrower_user_id, item_id });
+      return await apiClient.get(`/items/${id}/tickets?limit=${limit}&offset=${offset}`);
     } catch (error) {
       return handleApiError(error);
     }
   },
 
-  returnLoan: async (id, returnData) => {
+  // Same filters as list(); format 'csv' returns the file text, 'json' returns { count, items }
+  exportInventory: async (filters = {}, format = 'csv') => {
     try {
-      return await apiClient.post(`/loans/${id}/return`, returnData);
+      return await apiClient.get(`/items/export${toQueryString({ ...filters, format })}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // payload: { csv } or { items: [...] }; options: { dry_run (default true), create_models }
+  importItems: async (payload, options = {}) => {
+    try {
+      return await apiClient.post('/items/import', { ...payload, ...options });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Label sheets as text: format 'html' (print-ready) or 'svg'; skip leaves positions empty on the first sheet
+  // Busy intervals ({ kind, status, start_at, end_at, mine }) and whether the whole window is free
+  getAvailability: async (id, { from, to } = {}) => {
+    try {
+      return await apiClient.get(`/items/${id}/availability${toQueryString({ from, to })}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Staff timeline: { items: [{ ...item, busy }] } for ?from=&to=&category_id=&ids=
+  getTimeline: async (params = {}) => {
+    try {
+      return await apiClient.get(`/items/availability${toQueryString(params)}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getLabels: async (itemIds, { format = 'html', skip = 0 } = {}) => {
+    try {
+      return await apiClient.get(`/items/labels${toQueryString({ ids: itemIds, format, skip })}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // { model_id, count, status, location, purchase_date, notes, dry_run }
+  createUnits: async (unitsData) => {
+    try {
+      return await apiClient.post('/items/units', unitsData);
     } catch (error) {
       return handleApiError(error);
     }
   }
 };
 
-// Reservation Services
-const reservations = {
+// Category Services
+const categories = {
   getAll: async () => {
     try {
-      return await apiClient.get('/reservations');
+      const response = await apiClient.get('/categories');
+      return response?.categories || [];
     } catch (error) {
       return handleApiError(error);
     }
@@ -187,87 +463,736 @@ const reservations = {
 
   getById: async (id) => {
     try {
-      return await apiClient.get(`/reservations/${id}`);
+      const response = await apiClient.get(`/categories/${id}`);
+      return response?.category;
     } catch (error) {
       return handleApiError(error);
     }
   },
 
-  create: async (reservationData) => {
+  create: async (categoryData) => {
     try {
-      return await apiClient.post('/reservations', reservationData);
+      return await apiClient.post('/categories', categoryData);
     } catch (error) {
       return handleApiError(error);
     }
   },
 
-  approve: async (id, reason) => {
+  update: async (id, categoryData) => {
     try {
-      return await apiClient.post(`/reservations/${id}/approve`, { reason });
+      return await apiClient.put(`/categories/${id}`, categoryData);
     } catch (error) {
       return handleApiError(error);
     }
   },
 
-  deny: async (id, reason) => {
+  remove: async (id) => {
     try {
-      return await apiClient.post(`/reservations/${id}/deny`, { reason });
+      return await apiClient.delete(`/categories/${id}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }
+};
+
+// Equipment Model Services
+const models = {
+  getAll: async (categoryId = null) => {
+    try {
+      const query = categoryId ? `?category_id=${encodeURIComponent(categoryId)}` : '';
+      const response = await apiClient.get(`/models${query}`);
+      return response?.models || [];
     } catch (error) {
       return handleApiError(error);
     }
   },
 
-  cancel: async (id) => {
+  getById: async (id) => {
     try {
-      return await apiClient.post(`/reservations/${id}/cancel`);
+      const response = await apiClient.get(`/models/${id}`);
+      return response?.model;
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  create: async (modelData) => {
+    try {
+      return await apiClient.post('/models', modelData);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  update: async (id, modelData) => {
+    try {
+      return await apiClient.put(`/models/${id}`, modelData);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  remove: async (id) => {
+    try {
+      return await apiClient.delete(`/models/${id}`);
     } catch (error) {
       return handleApiError(error);
     }
   }
 };
 
-// Ticket Services
-const tickets = {
-  getAll: async () => {
+// Loan Services
+const loans = {
+  list: async (params = {}) => {
     try {
-      const response = await apiClient.get('/tickets');
-      return Array.isArray(response) ? response : [];
+      return await apiClient.get(`/loans${toQueryString(params)}`);
     } catch (error) {
-      console.error('Error fetching tickets:', error);
-      throw error; // Let the component handle the error with its error state
+      return handleApiError(error);
+    }
+  },
+
+  getAll: async (params = {}) => {
+    try {
+      return await getAllPages('/loans', params, 'loans');
+    } catch (error) {
+      return handleApiError(error);
     }
   },
 
   getById: async (id) => {
     try {
-      return await apiClient.get(`/tickets/${id}`);
+      return await apiClient.get(`/loans/${id}`);
     } catch (error) {
       return handleApiError(error);
     }
   },
 
-  create: async (ticketData) => {
+  // Resolves to the .ics text of the loan's due date
+  downloadIcs: async (id) => {
     try {
-      return await apiClient.post('/tickets', ticketData);
+      return await apiClient.get(`/loans/${id}/ics`);
     } catch (error) {
       return handleApiError(error);
     }
   },
 
-  update: async (id, ticketData) => {
+  createFromReservation: async (reservation_id) => {
     try {
-      return await apiClient.patch(`/tickets/${id}`, ticketData);
+      return await apiClient.post('/loans/from-reservation', { reservation_id });
     } catch (error) {
       return handleApiError(error);
     }
-  }
-};
+  },
 
-// Admin utilities
-const admin = {
-  expireReservations: async () => {
+  createAdhoc: async (borrower_user_id, item_id) => {
     try {
-      return await apiClient.post('/admin/expire-reservations');
+      return await apiClient.post('/loans/adhoc', { borrower_user_id, item_id });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  returnLoan: async (id, returnData) => {
+    try {
+      return await apiClient.post(`/loans/${id}/return`, returnData);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Extension requests: { due_at } or { days }, optional reason
+  requestExtension: async (id, extensionData) => {
+    try {
+      return await apiClient.put(`/loans/${id}/extend`, extensionData);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getExtensions: async (id) => {
+    try {
+      const response = await apiClient.get(`/loans/${id}/extensions`);
+      return response?.extensions || [];
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getExtensionRequests: async (status = 'pending') => {
+    try {
+      const response = await apiClient.get(`/loans/extensions${toQueryString({ status })}`);
+      return response?.extensions || [];
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  approveExtension: async (extensionId, reason) => {
+    try {
+      return await apiClient.post(`/loans/extensions/${extensionId}/approve`, { reason });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  denyExtension: async (extensionId, reason) => {
+    try {
+      return await apiClient.post(`/loans/extensions/${extensionId}/deny`, { reason });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }
+};
+
+// Front desk Services (admin/technician): lookups by asset tag or borrower ID/email
+const desk = {
+  lookupUser: async (q) => {
+    try {
+      return await apiClient.get(`/desk/lookup/user${toQueryString({ q })}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // With a user, the response's checkout block says how lending the item to them would go
+  lookupItem: async (assetTag, user) => {
+    try {
+      return await apiClient.get(`/desk/lookup/item${toQueryString({ asset_tag: assetTag, user })}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  checkout: async (user, assetTags) => {
+    try {
+      return await apiClient.post('/desk/checkout', { user, asset_tags: assetTags });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // returns: [{ asset_tag, damaged, condition }]
+  returnItems: async (returns) => {
+    try {
+      return await apiClient.post('/desk/return', { returns });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }
+};
+
+// Reservation Services
+const reservations = {
+  list: async (params = {}) => {
+    try {
+      return await apiClient.get(`/reservations${toQueryString(params)}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getAll: async (params = {}) => {
+    try {
+      return await getAllPages('/reservations', params, 'reservations');
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getById: async (id) => {
+    try {
+      return await apiClient.get(`/reservations/${id}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Resolves to the .ics text of the reservation
+  downloadIcs: async (id) => {
+    try {
+      return await apiClient.get(`/reservations/${id}/ics`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  create: async (reservationData) => {
+    try {
+      return await apiClient.post('/reservations', reservationData);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Free units of a model or category for a period ({ model_id | category_id, start, end })
+  getCapacity: async (params) => {
+    try {
+      return await apiClient.get(`/reservations/capacity${toQueryString(params)}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  approve: async (id, reason) => {
+    try {
+      return await apiClient.post(`/reservations/${id}/approve`, { reason });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  deny: async (id, reason) => {
+    try {
+      return await apiClient.post(`/reservations/${id}/deny`, { reason });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  cancel: async (id) => {
+    try {
+      return await apiClient.post(`/reservations/${id}/cancel`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Recurring reservations: { item_id, start, end, frequency, until, skip_dates, timezone }
+  previewSeries: async (rule) => {
+    try {
+      return await apiClient.post('/reservations/series/preview', rule);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  createSeries: async (rule) => {
+    try {
+      return await apiClient.post('/reservations/series', rule);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getSeries: async (seriesId) => {
+    try {
+      return await apiClient.get(`/reservations/series/${seriesId}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // action: 'approve' | 'deny' | 'cancel'
+  updateSeries: async (seriesId, action, reason) => {
+    try {
+      return await apiClient.post(`/reservations/series/${seriesId}/${action}`, { reason });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }
+};
+
+// Waitlist Services
+const waitlist = {
+  // Returns { total, count, limit, offset, next_cursor, entries }; own entries unless staff
+  list: async (params = {}) => {
+    try {
+      return await apiClient.get(`/waitlist${toQueryString(params)}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // { item_id | model_id, start, end }
+  join: async (entryData) => {
+    try {
+      return await apiClient.post('/waitlist', entryData);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  claim: async (id) => {
+    try {
+      return await apiClient.post(`/waitlist/${id}/claim`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  leave: async (id) => {
+    try {
+      return await apiClient.post(`/waitlist/${id}/cancel`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }
+};
+
+// Calendar feed Services
+const calendar = {
+  // The current user's active feeds (without their URLs)
+  listFeeds: async () => {
+    try {
+      const response = await apiClient.get('/calendar/feeds');
+      return Array.isArray(response?.feeds) ? response.feeds : [];
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // { label?, item_id? (admin/technician) }; returns { url, feed }, the only time the URL is shown
+  createFeed: async (feedData = {}) => {
+    try {
+      return await apiClient.post('/calendar/feeds', feedData);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  revokeFeed: async (feedId) => {
+    try {
+      return await apiClient.delete(`/calendar/feeds/${feedId}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }
+};
+
+// Notification Services
+const notifications = {
+  // Returns { total, count, limit, offset, next_cursor, notifications }
+  list: async (params = {}) => {
+    try {
+      return await apiClient.get(`/notifications${toQueryString(params)}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getUnreadCount: async () => {
+    try {
+      const response = await apiClient.get('/notifications/unread-count');
+      return response?.unread_count || 0;
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  markRead: async (id) => {
+    try {
+      return await apiClient.put(`/notifications/${id}/read`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  markAllRead: async () => {
+    try {
+      return await apiClient.put('/notifications/read-all');
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }
+};
+
+// Penalty Services
+const penalties = {
+  // Returns { total, count, limit, offset, next_cursor, penalties }
+  list: async (params = {}) => {
+    try {
+      return await apiClient.get(`/penalties${toQueryString(params)}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Every matching penalty, across pages
+  getAll: async (params = {}) => {
+    try {
+      return await getAllPages('/penalties', params, 'penalties');
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Returns { penalty, transactions }
+  getById: async (id) => {
+    try {
+      return await apiClient.get(`/penalties/${id}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getSummary: async (params = {}) => {
+    try {
+      const response = await apiClient.get(`/penalties/summary${toQueryString(params)}`);
+      return response?.summary;
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getBalances: async (params = {}) => {
+    try {
+      const response = await apiClient.get(`/penalties/balances${toQueryString(params)}`);
+      return response?.balances || [];
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Returns { period, totals, periods }
+  getLedger: async (params = {}) => {
+    try {
+      return await apiClient.get(`/penalties/ledger${toQueryString(params)}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  recordPayment: async (id, payment) => {
+    try {
+      return await apiClient.post(`/penalties/${id}/payments`, payment);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  waive: async (id, reason) => {
+    try {
+      return await apiClient.post(`/penalties/${id}/waive`, { reason });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  adjust: async (id, amount, reason) => {
+    try {
+      return await apiClient.post(`/penalties/${id}/adjust`, { amount, reason });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  dispute: async (id, reason) => {
+    try {
+      return await apiClient.post(`/penalties/${id}/dispute`, { reason });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  rejectDispute: async (id, reason) => {
+    try {
+      return await apiClient.post(`/penalties/${id}/dispute/reject`, { reason });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }
+};
+
+// Eligibility Services
+const eligibility = {
+  // Returns { eligible, reasons: [{ code, message }] }
+  check: async (params = {}) => {
+    try {
+      return await apiClient.get(`/eligibility${toQueryString(params)}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getRules: async () => {
+    try {
+      return await apiClient.get('/eligibility/rules');
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  setCategoryRestrictions: async (categoryId, roles) => {
+    try {
+      return await apiClient.put(`/eligibility/restrictions/${categoryId}`, { roles });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }
+};
+
+// Ticket Services
+const tickets = {
+  list: async (params = {}) => {
+    try {
+      return await apiClient.get(`/tickets${toQueryString(params)}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getAll: async (params = {}) => {
+    try {
+      return await getAllPages('/tickets', params, 'tickets');
+    } catch (error) {
+      console.error('Error fetching tickets:', error);
+      throw error; // Let the component handle the error with its error state
+    }
+  },
+
+  getById: async (id) => {
+    try {
+      return await apiClient.get(`/tickets/${id}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  create: async (ticketData) => {
+    try {
+      return await apiClient.post('/tickets', ticketData);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  update: async (id, ticketData) => {
+    try {
+      return await apiClient.patch(`/tickets/${id}`, ticketData);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  }
+};
+
+// Admin utilities
+const admin = {
+  expireReservations: async () => {
+    try {
+      return await apiClient.post('/admin/expire-reservations');
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getSettings: async () => {
+    try {
+      return await apiClient.get('/admin/settings');
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  updateSettings: async (settings) => {
+    try {
+      return await apiClient.put('/admin/settings', { settings });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // overrides: { key: value }, null clears an override
+  updateCategorySettings: async (categoryId, overrides) => {
+    try {
+      return await apiClient.put(`/admin/settings/categories/${categoryId}`, { overrides });
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getSettingsHistory: async (params = {}) => {
+    try {
+      const response = await apiClient.get(`/admin/settings/history${toQueryString(params)}`);
+      return response?.history || [];
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // status: 'active' (default) or 'all'
+  getLockouts: async (params = {}) => {
+    try {
+      const response = await apiClient.get(`/admin/lockouts${toQueryString(params)}`);
+      return response?.lockouts || [];
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  getLoginAttempts: async (params = {}) => {
+    try {
+      const response = await apiClient.get(`/admin/lockouts/attempts${toQueryString(params)}`);
+      return response?.attempts || [];
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  clearLockout: async (lockoutId) => {
+    try {
+      return await apiClient.post(`/admin/lockouts/${lockoutId}/clear`, {});
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Returns { scheduler_enabled, jobs }
+  getJobs: async () => {
+    try {
+      return await apiClient.get('/admin/jobs');
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Returns { total, count, limit, offset, next_cursor, runs }
+  getJobRuns: async (params = {}) => {
+    try {
+      return await apiClient.get(`/admin/jobs/runs${toQueryString(params)}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Runs the job now and resolves once it has finished, with { run, job }
+  runJob: async (jobName) => {
+    try {
+      return await apiClient.post(`/admin/jobs/${jobName}/run`, {});
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // changes: { schedule?, paused? }
+  updateJob: async (jobName, changes) => {
+    try {
+      return await apiClient.put(`/admin/jobs/${jobName}`, changes);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Returns { total, count, limit, offset, next_cursor, emails, smtp_configured, status_counts }
+  getEmails: async (params = {}) => {
+    try {
+      return await apiClient.get(`/admin/email${toQueryString(params)}`);
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  retryEmail: async (emailId) => {
+    try {
+      return await apiClient.post(`/admin/email/${emailId}/retry`, {});
+    } catch (error) {
+      return handleApiError(error);
+    }
+  },
+
+  // Sends straight away to `to`, or to the admin's own address when omitted
+  sendTestEmail: async (to) => {
+    try {
+      return await apiClient.post('/admin/email/test', to ? { to } : {});
     } catch (error) {
       return handleApiError(error);
     }
@@ -290,10 +1215,19 @@ const system = {
 const api = {
   auth,
   users,
+  invitations,
   items,
+  categories,
+  models,
   loans,
+  desk,
   reservations,
+  waitlist,
+  calendar,
   tickets,
+  notifications,
+  penalties,
+  eligibility,
   admin,
   system
 };
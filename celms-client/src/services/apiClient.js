@@ -2,14 +2,68 @@
  * CELMS API Client
  * A service for making requests to the CELMS API with proper authorization
  */
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
+
+// 401 codes that a fresh access token can fix
+const REFRESHABLE_CODES = ['TOKEN_EXPIRED', 'ROLE_CHANGED'];
+
+// In-flight refresh shared by every request that hit an expired token
+let refreshing = null;
+
+const requestNewTokens = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    return false;
+  }
+
+  try {
+    const response = await fetch(`${API_URL}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+      credentials: 'include',
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (response.ok) {
+      localStorage.setItem('token', data.token);
+      localStorage.setItem('refreshToken', data.refreshToken);
+      return true;
+    }
+
+    // Another tab refreshed with the same token a moment ago; give it time to store the new pair
+    if (data.code === 'REFRESH_TOKEN_ROTATED') {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    return localStorage.getItem('refreshToken') !== refreshToken;
+  } catch (error) {
+    console.error('Session refresh failed:', error);
+    return false;
+  }
+};
+
+/**
+ * Get a new access token with the stored refresh token.
+ * Concurrent callers share one request.
+ * @returns {Promise<boolean>} - Whether a usable token is now stored
+ */
+export const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = requestNewTokens().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
 /**
  * Make a request to the API with authorization headers
  * @param {string} endpoint - The API endpoint (e.g., '/items')
  * @param {object} options - Request options (method, body, etc.)
+ * @param {boolean} canRefresh - Retry once after refreshing an expired token
  * @returns {Promise} - Promise resolving to the response data
  */
-export const apiRequest = async (endpoint, options = {}) => {
+export const apiRequest = async (endpoint, options = {}, canRefresh = true) => {
   
   // Set up headers with auth token
   const token = localStorage.getItem('token');
@@ -34,6 +88,13 @@ export const apiRequest = async (endpoint, options = {}) => {
     // Check if response is OK
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
+
+      // Access tokens are short-lived: refresh transparently and replay the request once
+      if (response.status === 401 && canRefresh && REFRESHABLE_CODES.includes(errorData.code)
+        && await refreshSession()) {
+        return apiRequest(endpoint, options, false);
+      }
+
       throw {
         status: response.status,
         message: errorData.message || 'An error occurred',
@@ -47,6 +108,11 @@ export const apiRequest = async (endpoint, options = {}) => {
       return null;
     }
 
+    // Exports (CSV and the like) come back as text
+    if (!(response.headers.get('content-type') || '').includes('application/json')) {
+      return await response.text();
+    }
+
     return await response.json();
   } catch (error) {
     // Format error and rethrow
@@ -0,0 +1,18 @@
+/**
+ * Save text returned by the API (CSV exports and the like) as a file
+ * @param {string} content - file contents
+ * @param {string} filename - suggested file name
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (content, filename, type = 'text/csv') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export default downloadFile;
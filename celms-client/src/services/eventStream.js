@@ -0,0 +1,81 @@
+/**
+ * CELMS Live Event Stream
+ * One shared EventSource on /api/events/stream for the whole app. Components
+ * subscribe with a handler and receive { entity, id, action, status, ... }
+ * for notifications and reservation, loan and ticket changes.
+ */
+import { API_URL, refreshSession } from './apiClient';
+
+const ENTITIES = ['notification', 'reservation', 'loan', 'ticket'];
+
+const handlers = new Set();
+let source = null;
+
+const connect = (afterRefresh = false) => {
+  const token = localStorage.getItem('token');
+  if (!token || typeof EventSource === 'undefined') {
+    return;
+  }
+
+  // EventSource cannot send headers, so the token goes in the query string
+  source = new EventSource(`${API_URL}/api/events/stream?token=${encodeURIComponent(token)}`);
+  const current = source;
+  let opened = false;
+
+  source.addEventListener('open', () => {
+    opened = true;
+  });
+
+  // A refused connection (usually an expired access token) closes the
+  // EventSource for good; refresh and reconnect, but give up if even a
+  // freshly refreshed token is refused
+  source.addEventListener('error', async () => {
+    if (current.readyState !== EventSource.CLOSED || (afterRefresh && !opened)) {
+      return;
+    }
+    if (await refreshSession() && source === current && handlers.size > 0) {
+      source = null;
+      connect(true);
+    }
+  });
+
+  ENTITIES.forEach(entity => {
+    source.addEventListener(entity, (e) => {
+      let event;
+      try {
+        event = JSON.parse(e.data);
+      } catch (err) {
+        console.error('Invalid live event:', err);
+        return;
+      }
+      handlers.forEach(handler => handler(event));
+    });
+  });
+};
+
+const disconnect = () => {
+  if (source) {
+    source.close();
+    source = null;
+  }
+};
+
+/**
+ * Subscribe to live events; the stream opens with the first subscriber
+ * and closes with the last one.
+ * @param {Function} handler - Called with each event
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribe = (handler) => {
+  handlers.add(handler);
+  if (!source) {
+    connect();
+  }
+
+  return () => {
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      disconnect();
+    }
+  };
+};
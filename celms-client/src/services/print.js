@@ -0,0 +1,31 @@
+/**
+ * Print an HTML document returned by the API (label sheets and the like)
+ * from a new window, so the current page keeps its state. The window is
+ * opened before the document is fetched so pop-up blockers treat it as
+ * part of the click.
+ * @param {Function} loadHtml - async function resolving to a complete HTML document
+ * @returns {Promise<boolean>} false when the browser blocked the window
+ */
+export const printDocument = async (loadHtml) => {
+  const win = window.open('', '_blank');
+  if (!win) {
+    return false;
+  }
+
+  let html;
+  try {
+    html = await loadHtml();
+  } catch (err) {
+    win.close();
+    throw err;
+  }
+
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  win.print();
+  return true;
+};
+
+export default printDocument;
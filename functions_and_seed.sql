@@ -18,6 +18,37 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Password hashing (bcrypt through pgcrypto); hashes are never returned to clients
+CREATE OR REPLACE FUNCTION fn_hash_password(_password TEXT)
+RETURNS TEXT AS $$
+  SELECT crypt(_password, gen_salt('bf', 10));
+$$ LANGUAGE sql VOLATILE;
+
+CREATE OR REPLACE FUNCTION fn_check_password(_user_id UUID, _password TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT COALESCE((SELECT password_hash = crypt(_password, password_hash)
+                   FROM users WHERE user_id = _user_id), FALSE);
+$$ LANGUAGE sql STABLE;
+
+-- One-time migration: databases created before password hashing kept plaintext
+-- in users.password. Hash those rows, then drop the column.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns
+             WHERE table_schema = current_schema() AND table_name = 'users' AND column_name = 'password') THEN
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS password_hash TEXT,
+      ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+
+    UPDATE users
+      SET password_hash = fn_hash_password(password), password_changed_at = now()
+      WHERE password IS NOT NULL AND password_hash IS NULL;
+
+    ALTER TABLE users DROP COLUMN password;
+  END IF;
+END $$;
+
 -- Enforce technician role when inserting into technicians
 CREATE OR REPLACE FUNCTION trg_technician_role_enforce()
 RETURNS TRIGGER AS $$
@@ -39,31 +70,51 @@ CREATE TRIGGER trg_technician_role_enforce
 BEFORE INSERT OR UPDATE ON technicians
 FOR EACH ROW EXECUTE FUNCTION trg_technician_role_enforce();
 
--- Penalty computation
-CREATE OR REPLACE FUNCTION fn_compute_penalty_amount(_due_at TIMESTAMPTZ, _return_at TIMESTAMPTZ)
+-- Setting lookup: the item's category override, then the global value, then _default
+CREATE OR REPLACE FUNCTION fn_setting(_key TEXT, _default NUMERIC, _item_id BIGINT DEFAULT NULL)
+RETURNS NUMERIC AS $$
+DECLARE v_value NUMERIC;
+BEGIN
+  IF _item_id IS NOT NULL THEN
+    SELECT cs.value INTO v_value
+    FROM category_settings cs
+    JOIN equipment_models m ON m.category_id = cs.category_id
+    JOIN equipment_items i ON i.model_id = m.model_id
+    WHERE i.item_id = _item_id AND cs.key = _key;
+    IF FOUND THEN RETURN v_value; END IF;
+  END IF;
+
+  SELECT value INTO v_value FROM celms_settings WHERE key = _key;
+  RETURN COALESCE(v_value, _default);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Penalty computation (per-day rate may be overridden for the item's category)
+DROP FUNCTION IF EXISTS fn_compute_penalty_amount(TIMESTAMPTZ, TIMESTAMPTZ);
+CREATE OR REPLACE FUNCTION fn_compute_penalty_amount(_due_at TIMESTAMPTZ, _return_at TIMESTAMPTZ, _item_id BIGINT DEFAULT NULL)
 RETURNS NUMERIC AS $$
 DECLARE
   per_day NUMERIC;
   days_late INT;
 BEGIN
-  SELECT value INTO per_day FROM celms_settings WHERE key='penalty_per_day_mad';
+  per_day := fn_setting('penalty_per_day_mad', 10, _item_id);
   IF _return_at <= _due_at THEN
     RETURN 0;
   END IF;
   days_late := CEIL(EXTRACT(EPOCH FROM (_return_at - _due_at))/86400.0);
-  RETURN GREATEST(0, days_late) * COALESCE(per_day, 10);
+  RETURN GREATEST(0, days_late) * per_day;
 END;
-$$ LANGUAGE plpgsql IMMUTABLE;
+$$ LANGUAGE plpgsql STABLE;
 
 -- Notification creation function
 CREATE OR REPLACE FUNCTION fn_create_notification(_user_id UUID, _type TEXT, _payload JSONB)
 RETURNS BIGINT AS $$
-DECLARE notif_id BIGINT;
+DECLARE v_notif_id BIGINT;
 BEGIN
   INSERT INTO notifications(user_id, type, payload)
   VALUES (_user_id, _type, _payload)
-  RETURNING notif_id INTO notif_id;
-  RETURN notif_id;
+  RETURNING notifications.notif_id INTO v_notif_id;
+  RETURN v_notif_id;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -77,16 +128,189 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- User management: activate/deactivate
-CREATE OR REPLACE FUNCTION fn_toggle_user_status(_admin_id UUID, _user_id UUID, _active BOOLEAN)
-RETURNS VOID AS $$
+-- User management: activate/deactivate. Deactivation can also cancel the
+-- user's reservations that have not been picked up (requested, approved or
+-- held for a waitlist offer) and close their waitlist entries, passing the
+-- freed slots on; returns how many reservations were cancelled.
+DROP FUNCTION IF EXISTS fn_toggle_user_status(UUID, UUID, BOOLEAN);
+CREATE OR REPLACE FUNCTION fn_toggle_user_status(_admin_id UUID, _user_id UUID, _active BOOLEAN,
+                                                 _cancel_reservations BOOLEAN DEFAULT FALSE, _reason TEXT DEFAULT NULL)
+RETURNS INT AS $$
+DECLARE
+  v_was_active BOOLEAN;
+  v_cancelled BIGINT[] := '{}';
+  v_waitlist BIGINT[] := '{}';
 BEGIN
+  SELECT is_active INTO v_was_active FROM users WHERE user_id = _user_id FOR UPDATE;
+  IF NOT FOUND THEN RAISE EXCEPTION 'User % not found', _user_id; END IF;
+  IF _user_id = _admin_id AND NOT _active THEN
+    RAISE EXCEPTION 'You cannot deactivate your own account';
+  END IF;
+  IF v_was_active = _active THEN
+    RAISE EXCEPTION 'User is already %', CASE WHEN _active THEN 'active' ELSE 'inactive' END;
+  END IF;
+
   UPDATE users SET is_active = _active WHERE user_id = _user_id;
-  PERFORM fn_audit(_admin_id, 'user', _user_id::TEXT, 
-                  CASE WHEN _active THEN 'activate' ELSE 'deactivate' END, NULL);
+
+  IF NOT _active AND _cancel_reservations THEN
+    WITH cancelled AS (
+      UPDATE reservations x SET status = 'cancelled'
+      WHERE x.user_id = _user_id
+        AND upper(x.period) > now()
+        AND x.status IN ('pending','approved','held')
+      RETURNING x.reservation_id
+    )
+    SELECT COALESCE(array_agg(reservation_id), '{}') INTO v_cancelled FROM cancelled;
+
+    PERFORM fn_audit(_admin_id, 'reservation', rid::TEXT, 'cancel',
+                     jsonb_build_object('reason', 'Account deactivated'))
+    FROM unnest(v_cancelled) AS rid;
+
+    WITH closed AS (
+      UPDATE waitlist_entries SET status = 'cancelled', closed_at = now()
+      WHERE user_id = _user_id AND status IN ('waiting','offered')
+      RETURNING waitlist_id
+    )
+    SELECT COALESCE(array_agg(waitlist_id), '{}') INTO v_waitlist FROM closed;
+
+    PERFORM fn_audit(_admin_id, 'waitlist', wid::TEXT, 'cancel',
+                     jsonb_build_object('reason', 'Account deactivated'))
+    FROM unnest(v_waitlist) AS wid;
+
+    PERFORM fn_offer_waitlist_slots();
+  END IF;
+
+  PERFORM fn_audit(_admin_id, 'user', _user_id::TEXT,
+                  CASE WHEN _active THEN 'activate' ELSE 'deactivate' END,
+                  NULLIF(jsonb_strip_nulls(jsonb_build_object(
+                    'reason', _reason,
+                    'cancelled_reservations', CASE WHEN cardinality(v_cancelled) > 0 THEN to_jsonb(v_cancelled) END)), '{}'::jsonb));
+
+  PERFORM fn_create_notification(_user_id, 'system', jsonb_strip_nulls(jsonb_build_object(
+    'message', CASE WHEN _active THEN 'Your account has been reactivated'
+                    ELSE 'Your account has been deactivated' END,
+    'reason', _reason,
+    'cancelled_reservations', CASE WHEN cardinality(v_cancelled) > 0 THEN cardinality(v_cancelled) END)));
+
+  RETURN cardinality(v_cancelled);
 END;
 $$ LANGUAGE plpgsql;
 
+-- Borrowing eligibility. Returns a JSONB array of {code, message, ...} reasons;
+-- an empty array means the user may borrow the item. _period defaults to a
+-- loan starting now; _reservation_id is left out of the concurrency count
+-- when that reservation is the one being checked out.
+CREATE OR REPLACE FUNCTION fn_check_eligibility(_user_id UUID, _item_id BIGINT DEFAULT NULL, _period TSTZRANGE DEFAULT NULL, _reservation_id BIGINT DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+  u RECORD;
+  c RECORD;
+  v_reasons JSONB := '[]'::jsonb;
+  v_period TSTZRANGE;
+  v_overdue INT;
+  v_balance NUMERIC;
+  v_max_balance NUMERIC;
+  v_max_loans INT;
+  v_concurrent INT;
+BEGIN
+  SELECT user_id, role, is_active INTO u FROM users WHERE user_id = _user_id;
+  IF NOT FOUND THEN RAISE EXCEPTION 'User % not found', _user_id; END IF;
+
+  v_period := COALESCE(_period, tstzrange(now(),
+    now() + make_interval(days => fn_setting('default_loan_days', 7, _item_id)::INT), '[)'));
+
+  IF NOT u.is_active THEN
+    v_reasons := v_reasons || jsonb_build_object(
+      'code', 'ACCOUNT_INACTIVE',
+      'message', 'This account is deactivated');
+  END IF;
+
+  -- Overdue loans block all new borrowing
+  IF COALESCE((SELECT value FROM celms_settings WHERE key='block_on_overdue_loans'), 1) <> 0 THEN
+    SELECT COUNT(*) INTO v_overdue FROM loans
+    WHERE user_id = _user_id AND return_at IS NULL AND due_at < now();
+
+    IF v_overdue > 0 THEN
+      v_reasons := v_reasons || jsonb_build_object(
+        'code', 'OVERDUE_LOANS',
+        'message', 'Return ' || v_overdue || ' overdue item(s) before borrowing again',
+        'count', v_overdue);
+    END IF;
+  END IF;
+
+  -- Unpaid penalties above the allowed balance (disputed ones are on hold)
+  SELECT COALESCE(SUM(balance_mad), 0) INTO v_balance FROM v_penalties
+  WHERE user_id = _user_id AND status <> 'disputed';
+  v_max_balance := COALESCE((SELECT value FROM celms_settings WHERE key='max_unpaid_penalty_mad'), 0);
+
+  IF v_balance > v_max_balance THEN
+    v_reasons := v_reasons || jsonb_build_object(
+      'code', 'UNPAID_PENALTIES',
+      'message', 'Outstanding penalties of ' || v_balance || ' MAD must be settled first',
+      'balance', v_balance,
+      'limit', v_max_balance);
+  END IF;
+
+  -- Concurrent loans per role: active loans and open reservations overlapping the period
+  SELECT value::INT INTO v_max_loans FROM celms_settings WHERE key = 'max_active_loans_' || u.role;
+
+  IF v_max_loans IS NOT NULL THEN
+    SELECT (SELECT COUNT(*) FROM loans l
+            WHERE l.user_id = _user_id AND l.return_at IS NULL
+              AND tstzrange(l.checkout_at, GREATEST(l.due_at, now()), '[)') && v_period)
+         + (SELECT COUNT(*) FROM reservations r
+            WHERE r.user_id = _user_id AND r.status IN ('pending','approved')
+              AND r.period && v_period
+              AND r.reservation_id IS DISTINCT FROM _reservation_id)
+      INTO v_concurrent;
+
+    IF v_concurrent >= v_max_loans THEN
+      v_reasons := v_reasons || jsonb_build_object(
+        'code', 'LOAN_LIMIT',
+        'message', initcap(u.role) || ' accounts may hold at most ' || v_max_loans || ' item(s) at a time',
+        'limit', v_max_loans,
+        'current', v_concurrent);
+    END IF;
+  END IF;
+
+  -- Category restrictions per role
+  IF _item_id IS NOT NULL THEN
+    SELECT ec.category_id, ec.name INTO c
+    FROM equipment_items i
+    JOIN equipment_models em ON em.model_id = i.model_id
+    JOIN equipment_categories ec ON ec.category_id = em.category_id
+    WHERE i.item_id = _item_id;
+
+    IF NOT FOUND THEN RAISE EXCEPTION 'Item % not found', _item_id; END IF;
+
+    IF EXISTS (SELECT 1 FROM category_role_restrictions
+               WHERE category_id = c.category_id AND role = u.role) THEN
+      v_reasons := v_reasons || jsonb_build_object(
+        'code', 'CATEGORY_RESTRICTED',
+        'message', c.name || ' cannot be borrowed by ' || u.role || ' accounts',
+        'category_id', c.category_id,
+        'category', c.name);
+    END IF;
+  END IF;
+
+  RETURN v_reasons;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Raise when the user may not borrow; the reasons travel in the error DETAIL
+CREATE OR REPLACE FUNCTION fn_assert_eligible(_user_id UUID, _item_id BIGINT DEFAULT NULL, _period TSTZRANGE DEFAULT NULL, _reservation_id BIGINT DEFAULT NULL)
+RETURNS VOID AS $$
+DECLARE v_reasons JSONB;
+BEGIN
+  v_reasons := fn_check_eligibility(_user_id, _item_id, _period, _reservation_id);
+
+  IF jsonb_array_length(v_reasons) > 0 THEN
+    RAISE EXCEPTION 'User is not eligible to borrow this item'
+      USING DETAIL = v_reasons::TEXT;
+  END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
 -- Request reservation (pending)
 CREATE OR REPLACE FUNCTION fn_request_reservation(_actor UUID, _item BIGINT, _start TIMESTAMPTZ, _end TIMESTAMPTZ)
 RETURNS BIGINT AS $$
@@ -96,6 +320,8 @@ BEGIN
     RAISE EXCEPTION 'Start must be before end';
   END IF;
 
+  PERFORM fn_assert_eligible(_actor, _item, tstzrange(_start, _end, '[)'));
+
   INSERT INTO reservations(item_id, user_id, period, status)
   VALUES (_item, _actor, tstzrange(_start, _end, '[)'), 'pending')
   RETURNING reservation_id INTO rid;
@@ -115,25 +341,192 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- Approve reservation (admin/tech)
+-- Units of a model or category that are free for a whole period: in service,
+-- not held by another active reservation and not on a loan overlapping it.
+-- An overdue loan holds its unit until it comes back. Units on the shelf come first.
+CREATE OR REPLACE FUNCTION fn_pool_free_items(_model BIGINT, _category BIGINT, _period TSTZRANGE, _exclude_reservation_id BIGINT DEFAULT NULL)
+RETURNS SETOF BIGINT AS $$
+  SELECT i.item_id
+  FROM equipment_items i
+  JOIN equipment_models em ON em.model_id = i.model_id
+  WHERE (i.model_id = _model OR em.category_id = _category)
+    AND i.status IN ('available','checked_out')
+    AND NOT EXISTS (
+      SELECT 1 FROM reservations x
+      WHERE x.item_id = i.item_id
+        AND x.status IN ('pending','approved','confirmed','held')
+        AND x.period && _period
+        AND x.reservation_id IS DISTINCT FROM _exclude_reservation_id)
+    AND NOT EXISTS (
+      SELECT 1 FROM loans l
+      WHERE l.item_id = i.item_id AND l.return_at IS NULL
+        AND tstzrange(l.checkout_at, CASE WHEN l.due_at < now() THEN NULL ELSE l.due_at END, '[)') && _period)
+  ORDER BY i.status <> 'available', i.asset_tag;
+$$ LANGUAGE sql STABLE;
+
+-- How many more units of a model or category can be reserved for a period:
+-- its free units less the reservations still waiting for one of them.
+-- Waiting category reservations also count against each model in the category,
+-- since any of its units may be the one that serves them.
+CREATE OR REPLACE FUNCTION fn_pool_capacity(_model BIGINT, _category BIGINT, _period TSTZRANGE)
+RETURNS INT AS $$
+  SELECT (SELECT COUNT(*) FROM fn_pool_free_items(_model, _category, _period))::INT
+       - (SELECT COUNT(*) FROM reservations x
+          LEFT JOIN equipment_models xm ON xm.model_id = x.model_id
+          WHERE x.item_id IS NULL
+            AND x.status IN ('pending','approved','confirmed','held')
+            AND x.period && _period
+            AND (x.model_id = _model
+                 OR x.category_id = COALESCE(_category, (SELECT category_id FROM equipment_models WHERE model_id = _model))
+                 OR xm.category_id = _category))::INT;
+$$ LANGUAGE sql STABLE;
+
+-- Request any _quantity units of a model or category (pending, one row per
+-- unit). Units are assigned at approval. Returns the rows' shared group_id.
+CREATE OR REPLACE FUNCTION fn_request_pool_reservation(_actor UUID, _model BIGINT, _category BIGINT, _start TIMESTAMPTZ, _end TIMESTAMPTZ, _quantity INT DEFAULT 1)
+RETURNS UUID AS $$
+DECLARE
+  v_period TSTZRANGE;
+  v_label TEXT;
+  v_free INT;
+  v_unit BIGINT;
+  v_group UUID := gen_random_uuid();
+  v_ids BIGINT[] := '{}';
+  rid BIGINT;
+BEGIN
+  IF _start >= _end THEN
+    RAISE EXCEPTION 'Start must be before end';
+  END IF;
+  IF (_model IS NULL) = (_category IS NULL) THEN
+    RAISE EXCEPTION 'Reserve either a model or a category';
+  END IF;
+  IF _quantity IS NULL OR _quantity < 1 THEN
+    RAISE EXCEPTION 'Quantity must be at least 1';
+  END IF;
+  v_period := tstzrange(_start, _end, '[)');
+
+  IF _model IS NOT NULL THEN
+    SELECT brand || ' ' || model_name INTO v_label FROM equipment_models WHERE model_id = _model;
+    IF NOT FOUND THEN RAISE EXCEPTION 'Model % not found', _model; END IF;
+  ELSE
+    SELECT name INTO v_label FROM equipment_categories WHERE category_id = _category;
+    IF NOT FOUND THEN RAISE EXCEPTION 'Category % not found', _category; END IF;
+  END IF;
+
+  -- Lock the pool's units so concurrent requests count each other's reservations
+  PERFORM 1 FROM equipment_items i
+  JOIN equipment_models em ON em.model_id = i.model_id
+  WHERE i.model_id = _model OR em.category_id = _category
+  FOR UPDATE OF i;
+
+  v_free := GREATEST(fn_pool_capacity(_model, _category, v_period), 0);
+  IF v_free < _quantity THEN
+    RAISE EXCEPTION 'Not enough units available: % free, % requested', v_free, _quantity
+      USING DETAIL = v_free::TEXT;
+  END IF;
+
+  -- Category restrictions are the same for every unit of the pool
+  SELECT fn_pool_free_items(_model, _category, v_period) INTO v_unit LIMIT 1;
+
+  -- One row at a time so each counts towards the user's loan limit
+  FOR n IN 1.._quantity LOOP
+    PERFORM fn_assert_eligible(_actor, v_unit, v_period);
+
+    INSERT INTO reservations(model_id, category_id, group_id, user_id, period, status)
+    VALUES (_model, _category, v_group, _actor, v_period, 'pending')
+    RETURNING reservation_id INTO rid;
+
+    v_ids := v_ids || rid;
+    PERFORM fn_audit(_actor, 'reservation', rid::TEXT, 'request', jsonb_build_object(
+      'start', _start, 'end', _end, 'model_id', _model, 'category_id', _category, 'group_id', v_group));
+  END LOOP;
+
+  PERFORM fn_create_notification(_actor, 'reservation', jsonb_build_object(
+    'message', 'Reservation request submitted for ' || CASE WHEN _quantity > 1 THEN _quantity || ' x ' ELSE '' END || v_label,
+    'reservation_id', v_ids[1],
+    'reservation_ids', to_jsonb(v_ids),
+    'group_id', v_group,
+    'period', jsonb_build_object('start', _start, 'end', _end),
+    'status', 'pending'
+  ));
+
+  RETURN v_group;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Pick the unit of a model or category reservation, or move it to another
+-- unit of the same pool. With _item that unit is taken (the one handed out at
+-- the desk); otherwise the current unit is kept while it is still free and a
+-- free one is picked when it is not. Reservations of a specific unit keep it.
+-- reservations_no_overlap backs the choice against concurrent assignments.
+CREATE OR REPLACE FUNCTION fn_assign_reservation_unit(_actor UUID, _reservation_id BIGINT, _item BIGINT DEFAULT NULL)
+RETURNS BIGINT AS $$
+DECLARE r RECORD; v_item BIGINT;
+BEGIN
+  SELECT * INTO r FROM reservations WHERE reservation_id = _reservation_id FOR UPDATE;
+  IF NOT FOUND THEN RAISE EXCEPTION 'Reservation % not found', _reservation_id; END IF;
+
+  IF r.model_id IS NULL AND r.category_id IS NULL THEN
+    IF _item IS NOT NULL AND _item <> r.item_id THEN
+      RAISE EXCEPTION 'Reservation % is for another item', _reservation_id;
+    END IF;
+    RETURN r.item_id;
+  END IF;
+
+  IF _item IS NOT NULL THEN
+    IF NOT EXISTS (SELECT 1 FROM fn_pool_free_items(r.model_id, r.category_id, r.period, r.reservation_id) f
+                   WHERE f = _item) THEN
+      RAISE EXCEPTION 'Item % cannot be assigned to reservation %', _item, _reservation_id;
+    END IF;
+    v_item := _item;
+  ELSIF r.item_id IS NOT NULL
+        AND EXISTS (SELECT 1 FROM fn_pool_free_items(r.model_id, r.category_id, r.period, r.reservation_id) f
+                    WHERE f = r.item_id) THEN
+    RETURN r.item_id;
+  ELSE
+    SELECT f INTO v_item FROM fn_pool_free_items(r.model_id, r.category_id, r.period, r.reservation_id) f LIMIT 1;
+    IF v_item IS NULL THEN
+      RAISE EXCEPTION 'No unit available for reservation %', _reservation_id;
+    END IF;
+  END IF;
+
+  IF v_item IS DISTINCT FROM r.item_id THEN
+    UPDATE reservations SET item_id = v_item WHERE reservation_id = _reservation_id;
+    PERFORM fn_audit(_actor, 'reservation', _reservation_id::TEXT, 'assign_unit',
+      jsonb_build_object('from_item_id', r.item_id, 'item_id', v_item));
+  END IF;
+
+  RETURN v_item;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Approve reservation (admin/tech). Model and category reservations get their unit here.
 CREATE OR REPLACE FUNCTION fn_approve_reservation(_approver UUID, _reservation_id BIGINT, _reason TEXT DEFAULT NULL)
 RETURNS VOID AS $$
 DECLARE 
   r RECORD;
-  user_id UUID;
+  v_user_id UUID;
   item_tag TEXT;
 BEGIN
-  SELECT res.*, i.asset_tag 
-  INTO r 
-  FROM reservations res
-  JOIN equipment_items i ON res.item_id = i.item_id
-  WHERE reservation_id = _reservation_id 
-  FOR UPDATE;
+  SELECT res.status INTO r FROM reservations res WHERE reservation_id = _reservation_id FOR UPDATE;
   
   IF NOT FOUND THEN RAISE EXCEPTION 'Reservation % not found', _reservation_id; END IF;
   IF r.status NOT IN ('pending','approved','confirmed') THEN
     RAISE EXCEPTION 'Reservation % cannot be approved from status %', _reservation_id, r.status;
   END IF;
+
+  -- Only a pending pool request needs a unit; an approved or confirmed one
+  -- already has its unit, and may be checked out on it
+  IF r.status = 'pending' THEN
+    PERFORM fn_assign_reservation_unit(_approver, _reservation_id);
+  END IF;
+
+  SELECT res.*, i.asset_tag
+  INTO r
+  FROM reservations res
+  JOIN equipment_items i ON res.item_id = i.item_id
+  WHERE reservation_id = _reservation_id;
+
   -- Ensure no overlap against other approved/confirmed reservations for same item
   IF EXISTS (
     SELECT 1 FROM reservations x
@@ -148,12 +541,12 @@ BEGIN
   UPDATE reservations
     SET status='approved', decided_by=_approver, decision_reason=_reason
     WHERE reservation_id = _reservation_id
-    RETURNING user_id INTO user_id;
+    RETURNING reservations.user_id INTO v_user_id;
 
   PERFORM fn_audit(_approver, 'reservation', _reservation_id::TEXT, 'approve', to_jsonb(r));
   
   -- Create notification for the requestor
-  PERFORM fn_create_notification(user_id, 'reservation', jsonb_build_object(
+  PERFORM fn_create_notification(v_user_id, 'reservation', jsonb_build_object(
     'message', 'Your reservation for ' || r.asset_tag || ' has been approved',
     'reservation_id', _reservation_id,
     'asset_tag', r.asset_tag,
@@ -165,12 +558,11 @@ $$ LANGUAGE plpgsql;
 -- Deny reservation
 CREATE OR REPLACE FUNCTION fn_deny_reservation(_approver UUID, _reservation_id BIGINT, _reason TEXT)
 RETURNS VOID AS $$
-DECLARE r RECORD; user_id UUID; item_tag TEXT;
+DECLARE r RECORD; v_user_id UUID; item_tag TEXT;
 BEGIN
-  SELECT res.*, i.asset_tag 
+  SELECT v.*, COALESCE(v.asset_tag, v.brand || ' ' || v.model_name, v.category_name) AS label
   INTO r 
-  FROM reservations res
-  JOIN equipment_items i ON res.item_id = i.item_id
+  FROM v_reservations_admin v
   WHERE reservation_id = _reservation_id;
   
   IF NOT FOUND THEN RAISE EXCEPTION 'Reservation not found'; END IF;
@@ -178,17 +570,19 @@ BEGIN
   UPDATE reservations
     SET status='denied', decided_by=_approver, decision_reason=_reason
     WHERE reservation_id = _reservation_id
-    RETURNING user_id INTO user_id;
+    RETURNING reservations.user_id INTO v_user_id;
     
   PERFORM fn_audit(_approver, 'reservation', _reservation_id::TEXT, 'deny', jsonb_build_object('reason', _reason));
   
   -- Create notification for the requestor
-  PERFORM fn_create_notification(user_id, 'reservation', jsonb_build_object(
-    'message', 'Your reservation for ' || r.asset_tag || ' was denied: ' || _reason,
+  PERFORM fn_create_notification(v_user_id, 'reservation', jsonb_build_object(
+    'message', 'Your reservation for ' || r.label || ' was denied: ' || _reason,
     'reservation_id', _reservation_id,
     'asset_tag', r.asset_tag,
     'reason', _reason
   ));
+
+  PERFORM fn_offer_waitlist_slots();
 END;
 $$ LANGUAGE plpgsql;
 
@@ -202,7 +596,202 @@ BEGIN
   IF r.user_id <> _actor THEN RAISE EXCEPTION 'Only owner can cancel'; END IF;
   IF lower(r.period) <= now() THEN RAISE EXCEPTION 'Cannot cancel after start'; END IF;
   UPDATE reservations SET status='cancelled' WHERE reservation_id=_reservation_id;
+  -- Cancelling a held slot declines its waitlist offer
+  UPDATE waitlist_entries SET status='cancelled', closed_at=now()
+    WHERE reservation_id=_reservation_id AND status='offered';
   PERFORM fn_audit(_actor, 'reservation', _reservation_id::TEXT, 'cancel', NULL);
+
+  PERFORM fn_offer_waitlist_slots();
+END;
+$$ LANGUAGE plpgsql;
+
+-- ----- Recurring reservations -----
+
+-- Occurrences of a recurring period: _start/_end repeated every day or week
+-- on the wall clock of _tz (so DST does not shift them) through _until,
+-- leaving out _skip dates. Validates the rule; at most 100 occurrences.
+CREATE OR REPLACE FUNCTION fn_series_occurrences(_start TIMESTAMPTZ, _end TIMESTAMPTZ, _frequency TEXT, _until DATE, _skip DATE[] DEFAULT '{}', _tz TEXT DEFAULT NULL)
+RETURNS TABLE(occurrence INT, period TSTZRANGE) AS $$
+DECLARE v_step INT; v_first DATE; v_count INT;
+BEGIN
+  _tz := COALESCE(_tz, current_setting('TimeZone'));
+
+  IF _start >= _end THEN
+    RAISE EXCEPTION 'Start must be before end';
+  END IF;
+  IF _frequency IS NULL OR _frequency NOT IN ('daily','weekly') THEN
+    RAISE EXCEPTION 'Frequency must be daily or weekly';
+  END IF;
+  v_step := CASE _frequency WHEN 'daily' THEN 1 ELSE 7 END;
+  IF _end - _start > make_interval(days => v_step) THEN
+    RAISE EXCEPTION 'Each occurrence must be shorter than the repeat interval';
+  END IF;
+  v_first := (_start AT TIME ZONE _tz)::DATE;
+  IF _until IS NULL OR _until < v_first THEN
+    RAISE EXCEPTION 'The series must end on or after its first day';
+  END IF;
+  -- Refuse an over-long rule before generating any rows
+  IF (_until - v_first) / v_step > 100 THEN
+    RAISE EXCEPTION 'A series can have at most 100 occurrences; end it sooner';
+  END IF;
+
+  RETURN QUERY
+  SELECT (row_number() OVER (ORDER BY n))::INT,
+         tstzrange(((_start AT TIME ZONE _tz) + make_interval(days => n * v_step)) AT TIME ZONE _tz,
+                   ((_end AT TIME ZONE _tz) + make_interval(days => n * v_step)) AT TIME ZONE _tz, '[)')
+  FROM generate_series(0, (_until - v_first) / v_step) n
+  WHERE NOT ((v_first + n * v_step) = ANY(COALESCE(_skip, '{}')))
+  ORDER BY n;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  IF v_count = 0 THEN
+    RAISE EXCEPTION 'Every occurrence of the series is skipped';
+  END IF;
+  IF v_count > 100 THEN
+    RAISE EXCEPTION 'A series can have at most 100 occurrences, this one has %', v_count;
+  END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Occurrences of a prospective series of _item, each with the first active
+-- reservation it would overlap (reservations_no_overlap), if any
+CREATE OR REPLACE FUNCTION fn_series_conflicts(_item BIGINT, _start TIMESTAMPTZ, _end TIMESTAMPTZ, _frequency TEXT, _until DATE, _skip DATE[] DEFAULT '{}', _tz TEXT DEFAULT NULL)
+RETURNS TABLE(occurrence INT, period TSTZRANGE, conflict_reservation_id BIGINT, conflict_status TEXT, conflict_period TSTZRANGE, conflict_user_id UUID) AS $$
+  SELECT o.occurrence, o.period, x.reservation_id, x.status, x.period, x.user_id
+  FROM fn_series_occurrences(_start, _end, _frequency, _until, _skip, _tz) o
+  LEFT JOIN LATERAL (
+    SELECT r.reservation_id, r.status, r.period, r.user_id
+    FROM reservations r
+    WHERE r.item_id = _item
+      AND r.status IN ('pending','approved','confirmed','held')
+      AND r.period && o.period
+    ORDER BY lower(r.period)
+    LIMIT 1
+  ) x ON true
+  ORDER BY o.occurrence;
+$$ LANGUAGE sql STABLE;
+
+-- Request a recurring reservation of an item: one pending reservation per
+-- occurrence, sharing a new series_id. Refused as a whole when an occurrence
+-- overlaps an active reservation; DETAIL then lists the conflicts as JSON.
+CREATE OR REPLACE FUNCTION fn_request_reservation_series(_actor UUID, _item BIGINT, _start TIMESTAMPTZ, _end TIMESTAMPTZ, _frequency TEXT, _until DATE, _skip DATE[] DEFAULT '{}', _tz TEXT DEFAULT NULL)
+RETURNS UUID AS $$
+DECLARE
+  v_tz TEXT := COALESCE(_tz, current_setting('TimeZone'));
+  v_tag TEXT;
+  v_conflicts JSONB;
+  v_series UUID;
+  v_ids BIGINT[] := '{}';
+  o RECORD;
+  rid BIGINT;
+BEGIN
+  SELECT asset_tag INTO v_tag FROM equipment_items WHERE item_id = _item;
+  IF NOT FOUND THEN RAISE EXCEPTION 'Item % not found', _item; END IF;
+
+  SELECT jsonb_agg(jsonb_build_object(
+           'occurrence', c.occurrence,
+           'start', lower(c.period),
+           'end', upper(c.period),
+           'reservation_id', c.conflict_reservation_id) ORDER BY c.occurrence)
+  INTO v_conflicts
+  FROM fn_series_conflicts(_item, _start, _end, _frequency, _until, _skip, v_tz) c
+  WHERE c.conflict_reservation_id IS NOT NULL;
+
+  IF v_conflicts IS NOT NULL THEN
+    RAISE EXCEPTION 'Series overlaps % existing reservation(s)', jsonb_array_length(v_conflicts)
+      USING DETAIL = v_conflicts::TEXT;
+  END IF;
+
+  INSERT INTO reservation_series(user_id, item_id, frequency, first_period, until_date, skip_dates, time_zone)
+  VALUES (_actor, _item, _frequency, tstzrange(_start, _end, '[)'), _until, COALESCE(_skip, '{}'), v_tz)
+  RETURNING series_id INTO v_series;
+
+  FOR o IN SELECT * FROM fn_series_occurrences(_start, _end, _frequency, _until, _skip, v_tz) LOOP
+    PERFORM fn_assert_eligible(_actor, _item, o.period);
+
+    INSERT INTO reservations(item_id, series_id, user_id, period, status)
+    VALUES (_item, v_series, _actor, o.period, 'pending')
+    RETURNING reservation_id INTO rid;
+
+    v_ids := v_ids || rid;
+    PERFORM fn_audit(_actor, 'reservation', rid::TEXT, 'request', jsonb_build_object(
+      'start', lower(o.period), 'end', upper(o.period), 'series_id', v_series, 'occurrence', o.occurrence));
+  END LOOP;
+
+  PERFORM fn_create_notification(_actor, 'reservation', jsonb_build_object(
+    'message', 'Recurring reservation requested for ' || v_tag || ' (' || array_length(v_ids, 1) || ' occurrences)',
+    'reservation_id', v_ids[1],
+    'reservation_ids', to_jsonb(v_ids),
+    'series_id', v_series,
+    'period', jsonb_build_object('start', _start, 'end', _end),
+    'status', 'pending'
+  ));
+
+  RETURN v_series;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Approve every pending occurrence of a series that has not ended. Returns how many.
+CREATE OR REPLACE FUNCTION fn_approve_reservation_series(_approver UUID, _series_id UUID, _reason TEXT DEFAULT NULL)
+RETURNS INT AS $$
+DECLARE rid BIGINT; n INT := 0;
+BEGIN
+  PERFORM 1 FROM reservation_series WHERE series_id = _series_id;
+  IF NOT FOUND THEN RAISE EXCEPTION 'Series % not found', _series_id; END IF;
+
+  FOR rid IN
+    SELECT reservation_id FROM reservations
+    WHERE series_id = _series_id AND status = 'pending' AND upper(period) > now()
+    ORDER BY lower(period)
+  LOOP
+    PERFORM fn_approve_reservation(_approver, rid, _reason);
+    n := n + 1;
+  END LOOP;
+
+  RETURN n;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Deny every pending occurrence of a series. Returns how many.
+CREATE OR REPLACE FUNCTION fn_deny_reservation_series(_approver UUID, _series_id UUID, _reason TEXT)
+RETURNS INT AS $$
+DECLARE rid BIGINT; n INT := 0;
+BEGIN
+  PERFORM 1 FROM reservation_series WHERE series_id = _series_id;
+  IF NOT FOUND THEN RAISE EXCEPTION 'Series % not found', _series_id; END IF;
+
+  FOR rid IN
+    SELECT reservation_id FROM reservations
+    WHERE series_id = _series_id AND status = 'pending'
+    ORDER BY lower(period)
+  LOOP
+    PERFORM fn_deny_reservation(_approver, rid, _reason);
+    n := n + 1;
+  END LOOP;
+
+  RETURN n;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Cancel the occurrences of a series that have not started (owner). Returns how many.
+CREATE OR REPLACE FUNCTION fn_cancel_reservation_series(_actor UUID, _series_id UUID)
+RETURNS INT AS $$
+DECLARE v_owner UUID; rid BIGINT; n INT := 0;
+BEGIN
+  SELECT user_id INTO v_owner FROM reservation_series WHERE series_id = _series_id;
+  IF NOT FOUND THEN RAISE EXCEPTION 'Series % not found', _series_id; END IF;
+  IF v_owner <> _actor THEN RAISE EXCEPTION 'Only owner can cancel'; END IF;
+
+  FOR rid IN
+    SELECT reservation_id FROM reservations
+    WHERE series_id = _series_id AND status IN ('pending','approved') AND lower(period) > now()
+    ORDER BY lower(period)
+  LOOP
+    PERFORM fn_cancel_reservation(_actor, rid);
+    n := n + 1;
+  END LOOP;
+
+  RETURN n;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -220,10 +809,13 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- Checkout from reservation
-CREATE OR REPLACE FUNCTION fn_checkout_from_reservation(_actor UUID, _reservation_id BIGINT)
+-- Checkout from reservation. A model or category reservation may go out on
+-- another unit of its pool: _item (scanned at the desk), or a free unit when
+-- the assigned one is still on loan or out of service.
+DROP FUNCTION IF EXISTS fn_checkout_from_reservation(UUID, BIGINT);
+CREATE OR REPLACE FUNCTION fn_checkout_from_reservation(_actor UUID, _reservation_id BIGINT, _item BIGINT DEFAULT NULL)
 RETURNS BIGINT AS $$
-DECLARE r RECORD; loan_id BIGINT; due TIMESTAMPTZ; nowts TIMESTAMPTZ := now();
+DECLARE r RECORD; v_loan_id BIGINT; due TIMESTAMPTZ; nowts TIMESTAMPTZ := now();
 BEGIN
   SELECT * INTO r FROM reservations WHERE reservation_id = _reservation_id FOR UPDATE;
   IF NOT FOUND THEN RAISE EXCEPTION 'Reservation % not found', _reservation_id; END IF;
@@ -231,6 +823,10 @@ BEGIN
     RAISE EXCEPTION 'Reservation % not approved/confirmed', _reservation_id;
   END IF;
 
+  r.item_id := fn_assign_reservation_unit(_actor, _reservation_id, _item);
+
+  PERFORM fn_assert_eligible(r.user_id, r.item_id, NULL, r.reservation_id);
+
   -- Ensure item available: status and no active loan
   IF EXISTS (SELECT 1 FROM loans l WHERE l.item_id=r.item_id AND l.return_at IS NULL) THEN
     RAISE EXCEPTION 'Item is currently checked out';
@@ -240,29 +836,29 @@ BEGIN
   IF NOT FOUND THEN RAISE EXCEPTION 'Item not available'; END IF;
 
   -- Compute due date
-  SELECT nowts + make_interval(days => COALESCE((SELECT value::INT FROM celms_settings WHERE key='default_loan_days'),7))
+  SELECT nowts + make_interval(days => fn_setting('default_loan_days', 7, r.item_id)::INT)
     INTO due;
 
   INSERT INTO loans(item_id, user_id, reservation_id, checkout_at, due_at)
   VALUES (r.item_id, r.user_id, r.reservation_id, nowts, due)
-  RETURNING loan_id INTO loan_id;
+  RETURNING loans.loan_id INTO v_loan_id;
 
   -- Mark reservation confirmed
   UPDATE reservations SET status='confirmed' WHERE reservation_id=_reservation_id;
   -- Mark item checked_out
   UPDATE equipment_items SET status='checked_out' WHERE item_id=r.item_id;
 
-  PERFORM fn_audit(_actor, 'loan', loan_id::TEXT, 'checkout_from_reservation', to_jsonb(r));
+  PERFORM fn_audit(_actor, 'loan', v_loan_id::TEXT, 'checkout_from_reservation', to_jsonb(r));
   
   -- Create notification for the user
   PERFORM fn_create_notification(r.user_id, 'loan', jsonb_build_object(
     'message', 'Your item has been checked out from reservation',
-    'loan_id', loan_id,
+    'loan_id', v_loan_id,
     'reservation_id', _reservation_id,
     'due_date', due
   ));
   
-  RETURN loan_id;
+  RETURN v_loan_id;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -270,11 +866,13 @@ $$ LANGUAGE plpgsql;
 CREATE OR REPLACE FUNCTION fn_checkout_adhoc(_actor UUID, _user UUID, _item BIGINT)
 RETURNS BIGINT AS $$
 DECLARE 
-  loan_id BIGINT; 
+  v_loan_id BIGINT;
   due TIMESTAMPTZ; 
   nowts TIMESTAMPTZ := now();
   item_tag TEXT;
 BEGIN
+  PERFORM fn_assert_eligible(_user, _item);
+
   IF EXISTS (SELECT 1 FROM loans l WHERE l.item_id=_item AND l.return_at IS NULL) THEN
     RAISE EXCEPTION 'Item is currently checked out';
   END IF;
@@ -285,26 +883,26 @@ BEGIN
   
   IF NOT FOUND THEN RAISE EXCEPTION 'Item not available'; END IF;
 
-  SELECT nowts + make_interval(days => COALESCE((SELECT value::INT FROM celms_settings WHERE key='default_loan_days'),7))
+  SELECT nowts + make_interval(days => fn_setting('default_loan_days', 7, _item)::INT)
     INTO due;
 
   INSERT INTO loans(item_id, user_id, checkout_at, due_at)
   VALUES (_item, _user, nowts, due)
-  RETURNING loan_id INTO loan_id;
+  RETURNING loans.loan_id INTO v_loan_id;
 
   UPDATE equipment_items SET status='checked_out' WHERE item_id=_item;
 
-  PERFORM fn_audit(_actor, 'loan', loan_id::TEXT, 'checkout_adhoc', NULL);
+  PERFORM fn_audit(_actor, 'loan', v_loan_id::TEXT, 'checkout_adhoc', NULL);
   
   -- Create notification for the borrower
   PERFORM fn_create_notification(_user, 'loan', jsonb_build_object(
     'message', 'You have checked out: ' || item_tag,
-    'loan_id', loan_id,
+    'loan_id', v_loan_id,
     'due_date', due,
     'asset_tag', item_tag
   ));
   
-  RETURN loan_id;
+  RETURN v_loan_id;
 END;
 $$ LANGUAGE plpgsql;
 
@@ -316,9 +914,9 @@ DECLARE
   amount NUMERIC;
   item_tag TEXT;
 BEGIN
-  SELECT l.*, i.asset_tag INTO l FROM loans l
-  JOIN equipment_items i ON l.item_id = i.item_id
-  WHERE loan_id=_loan_id FOR UPDATE;
+  SELECT lo.*, i.asset_tag INTO l FROM loans lo
+  JOIN equipment_items i ON lo.item_id = i.item_id
+  WHERE lo.loan_id=_loan_id FOR UPDATE OF lo;
   
   IF NOT FOUND THEN RAISE EXCEPTION 'Loan % not found', _loan_id; END IF;
   IF l.return_at IS NOT NULL THEN RAISE EXCEPTION 'Loan already returned'; END IF;
@@ -335,7 +933,7 @@ BEGIN
   END IF;
 
   -- Penalty if overdue
-  amount := fn_compute_penalty_amount(l.due_at, now());
+  amount := fn_compute_penalty_amount(l.due_at, now(), l.item_id);
   IF amount > 0 THEN
     INSERT INTO penalties(loan_id, user_id, amount_mad, reason)
     VALUES (_loan_id, l.user_id, amount, 'overdue');
@@ -366,39 +964,677 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- Expire old reservations utility
+-- Request a loan extension (borrower or staff on their behalf).
+-- Auto-approved while the loan is under the auto-approve renewal/day limits.
+CREATE OR REPLACE FUNCTION fn_request_loan_extension(_actor UUID, _loan_id BIGINT, _new_due TIMESTAMPTZ, _reason TEXT DEFAULT NULL)
+RETURNS BIGINT AS $$
+DECLARE
+  l RECORD;
+  v_extension_id BIGINT;
+  v_renewals INT;
+  v_max_renewals INT;
+  v_max_days INT;
+  v_auto_renewals INT;
+  v_auto_days INT;
+BEGIN
+  SELECT lo.*, i.asset_tag
+  INTO l
+  FROM loans lo
+  JOIN equipment_items i ON lo.item_id = i.item_id
+  WHERE lo.loan_id = _loan_id
+  FOR UPDATE OF lo;
+
+  IF NOT FOUND THEN RAISE EXCEPTION 'Loan % not found', _loan_id; END IF;
+  IF l.return_at IS NOT NULL THEN RAISE EXCEPTION 'Loan already returned'; END IF;
+  IF _new_due <= l.due_at THEN
+    RAISE EXCEPTION 'Requested due date must be after the current due date';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM loan_extensions WHERE loan_id = _loan_id AND status = 'pending') THEN
+    RAISE EXCEPTION 'Loan % already has a pending extension request', _loan_id;
+  END IF;
+
+  SELECT fn_setting('max_loan_renewals', 3, l.item_id)::INT,
+         fn_setting('max_extension_days', 14, l.item_id)::INT,
+         COALESCE((SELECT value::INT FROM celms_settings WHERE key='extension_auto_approve_renewals'), 1),
+         COALESCE((SELECT value::INT FROM celms_settings WHERE key='extension_auto_approve_days'), 7)
+    INTO v_max_renewals, v_max_days, v_auto_renewals, v_auto_days;
+
+  SELECT COUNT(*) INTO v_renewals FROM loan_extensions WHERE loan_id = _loan_id AND status = 'approved';
+
+  IF v_renewals >= v_max_renewals THEN
+    RAISE EXCEPTION 'Renewal limit reached (% of %)', v_renewals, v_max_renewals;
+  END IF;
+  IF _new_due > l.due_at + make_interval(days => v_max_days) THEN
+    RAISE EXCEPTION 'Extension exceeds maximum of % days', v_max_days;
+  END IF;
+
+  -- The item must not be promised to someone else during the extra time
+  IF NOT fn_is_period_available(l.item_id, l.due_at, _new_due, l.reservation_id) THEN
+    RAISE EXCEPTION 'Extension conflicts with an upcoming reservation on this item';
+  END IF;
+
+  INSERT INTO loan_extensions(loan_id, requested_by, previous_due_at, requested_due_at, status, reason)
+  VALUES (_loan_id, _actor, l.due_at, _new_due, 'pending', _reason)
+  RETURNING extension_id INTO v_extension_id;
+
+  PERFORM fn_audit(_actor, 'loan_extension', v_extension_id::TEXT, 'request', jsonb_build_object(
+    'loan_id', _loan_id, 'previous_due_at', l.due_at, 'requested_due_at', _new_due, 'reason', _reason
+  ));
+
+  IF v_renewals < v_auto_renewals AND _new_due <= l.due_at + make_interval(days => v_auto_days) THEN
+    PERFORM fn_approve_loan_extension(NULL, v_extension_id, 'Auto-approved by renewal policy');
+  ELSE
+    PERFORM fn_create_notification(l.user_id, 'loan', jsonb_build_object(
+      'message', 'Your extension request for ' || l.asset_tag || ' is awaiting approval',
+      'loan_id', _loan_id,
+      'extension_id', v_extension_id,
+      'requested_due_at', _new_due
+    ));
+  END IF;
+
+  RETURN v_extension_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Approve a loan extension (admin/tech, or NULL approver for policy auto-approval)
+CREATE OR REPLACE FUNCTION fn_approve_loan_extension(_approver UUID, _extension_id BIGINT, _reason TEXT DEFAULT NULL)
+RETURNS VOID AS $$
+DECLARE e RECORD;
+BEGIN
+  SELECT x.*, lo.item_id, lo.user_id, lo.reservation_id, lo.return_at, i.asset_tag
+  INTO e
+  FROM loan_extensions x
+  JOIN loans lo ON x.loan_id = lo.loan_id
+  JOIN equipment_items i ON lo.item_id = i.item_id
+  WHERE x.extension_id = _extension_id
+  FOR UPDATE OF x, lo;
+
+  IF NOT FOUND THEN RAISE EXCEPTION 'Extension % not found', _extension_id; END IF;
+  IF e.status <> 'pending' THEN
+    RAISE EXCEPTION 'Extension % cannot be approved from status %', _extension_id, e.status;
+  END IF;
+  IF e.return_at IS NOT NULL THEN RAISE EXCEPTION 'Loan already returned'; END IF;
+
+  -- Re-check: a reservation may have been approved since the request
+  IF NOT fn_is_period_available(e.item_id, e.previous_due_at, e.requested_due_at, e.reservation_id) THEN
+    RAISE EXCEPTION 'Extension conflicts with an upcoming reservation on this item';
+  END IF;
+
+  UPDATE loans SET due_at = e.requested_due_at WHERE loan_id = e.loan_id;
+
+  UPDATE loan_extensions
+    SET status = 'approved', decided_by = _approver, decided_at = now(),
+        decision_reason = _reason, auto_approved = (_approver IS NULL)
+    WHERE extension_id = _extension_id;
+
+  PERFORM fn_audit(COALESCE(_approver, e.requested_by), 'loan_extension', _extension_id::TEXT,
+                   CASE WHEN _approver IS NULL THEN 'auto_approve' ELSE 'approve' END,
+                   jsonb_build_object('loan_id', e.loan_id, 'previous_due_at', e.previous_due_at,
+                                      'new_due_at', e.requested_due_at, 'reason', _reason));
+
+  PERFORM fn_create_notification(e.user_id, 'loan', jsonb_build_object(
+    'message', 'Your loan of ' || e.asset_tag || ' has been extended to ' || to_char(e.requested_due_at, 'YYYY-MM-DD HH24:MI'),
+    'loan_id', e.loan_id,
+    'extension_id', _extension_id,
+    'due_date', e.requested_due_at
+  ));
+END;
+$$ LANGUAGE plpgsql;
+
+-- Deny a loan extension (admin/tech)
+CREATE OR REPLACE FUNCTION fn_deny_loan_extension(_approver UUID, _extension_id BIGINT, _reason TEXT)
+RETURNS VOID AS $$
+DECLARE e RECORD;
+BEGIN
+  SELECT x.*, lo.user_id, i.asset_tag
+  INTO e
+  FROM loan_extensions x
+  JOIN loans lo ON x.loan_id = lo.loan_id
+  JOIN equipment_items i ON lo.item_id = i.item_id
+  WHERE x.extension_id = _extension_id
+  FOR UPDATE OF x;
+
+  IF NOT FOUND THEN RAISE EXCEPTION 'Extension % not found', _extension_id; END IF;
+  IF e.status <> 'pending' THEN
+    RAISE EXCEPTION 'Extension % cannot be denied from status %', _extension_id, e.status;
+  END IF;
+
+  UPDATE loan_extensions
+    SET status = 'denied', decided_by = _approver, decided_at = now(), decision_reason = _reason
+    WHERE extension_id = _extension_id;
+
+  PERFORM fn_audit(_approver, 'loan_extension', _extension_id::TEXT, 'deny',
+                   jsonb_build_object('loan_id', e.loan_id, 'reason', _reason));
+
+  PERFORM fn_create_notification(e.user_id, 'loan', jsonb_build_object(
+    'message', 'Your extension request for ' || e.asset_tag || ' was denied: ' || COALESCE(_reason, 'no reason given'),
+    'loan_id', e.loan_id,
+    'extension_id', _extension_id,
+    'reason', _reason
+  ));
+END;
+$$ LANGUAGE plpgsql;
+
+-- Outstanding balance of a penalty (sum of its ledger rows)
+CREATE OR REPLACE FUNCTION fn_penalty_balance(_penalty_id BIGINT)
+RETURNS NUMERIC AS $$
+  SELECT COALESCE(SUM(amount_mad), 0) FROM penalty_transactions WHERE penalty_id = _penalty_id;
+$$ LANGUAGE sql STABLE;
+
+-- Record a payment against a penalty (admin/tech)
+CREATE OR REPLACE FUNCTION fn_record_penalty_payment(_actor UUID, _penalty_id BIGINT, _amount NUMERIC, _method TEXT DEFAULT NULL, _reference TEXT DEFAULT NULL)
+RETURNS BIGINT AS $$
+DECLARE
+  p RECORD;
+  v_balance NUMERIC;
+  v_txn_id BIGINT;
+BEGIN
+  SELECT * INTO p FROM penalties WHERE penalty_id = _penalty_id FOR UPDATE;
+
+  IF NOT FOUND THEN RAISE EXCEPTION 'Penalty % not found', _penalty_id; END IF;
+  IF _amount IS NULL OR _amount <= 0 THEN RAISE EXCEPTION 'Payment amount must be positive'; END IF;
+
+  v_balance := fn_penalty_balance(_penalty_id);
+  IF v_balance <= 0 THEN RAISE EXCEPTION 'Penalty % is already settled', _penalty_id; END IF;
+  IF _amount > v_balance THEN
+    RAISE EXCEPTION 'Payment of % exceeds outstanding balance of %', _amount, v_balance;
+  END IF;
+
+  INSERT INTO penalty_transactions(penalty_id, user_id, kind, amount_mad, method, reference, recorded_by)
+  VALUES (_penalty_id, p.user_id, 'payment', -_amount, _method, _reference, _actor)
+  RETURNING txn_id INTO v_txn_id;
+
+  IF _amount = v_balance THEN
+    UPDATE penalties SET status = 'paid', settled_at = now() WHERE penalty_id = _penalty_id;
+  END IF;
+
+  PERFORM fn_audit(_actor, 'penalty', _penalty_id::TEXT, 'payment', jsonb_build_object(
+    'amount', _amount, 'method', _method, 'reference', _reference, 'balance', v_balance - _amount
+  ));
+
+  PERFORM fn_create_notification(p.user_id, 'penalty', jsonb_build_object(
+    'message', 'Payment of ' || _amount || ' MAD recorded. Remaining balance: ' || (v_balance - _amount) || ' MAD',
+    'penalty_id', _penalty_id,
+    'amount', _amount,
+    'balance', v_balance - _amount
+  ));
+
+  RETURN v_txn_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Waive the remaining balance of a penalty (admin, reason required)
+CREATE OR REPLACE FUNCTION fn_waive_penalty(_actor UUID, _penalty_id BIGINT, _reason TEXT)
+RETURNS BIGINT AS $$
+DECLARE
+  p RECORD;
+  v_balance NUMERIC;
+  v_txn_id BIGINT;
+BEGIN
+  SELECT * INTO p FROM penalties WHERE penalty_id = _penalty_id FOR UPDATE;
+
+  IF NOT FOUND THEN RAISE EXCEPTION 'Penalty % not found', _penalty_id; END IF;
+  IF COALESCE(btrim(_reason), '') = '' THEN RAISE EXCEPTION 'A reason is required'; END IF;
+
+  v_balance := fn_penalty_balance(_penalty_id);
+  IF v_balance <= 0 THEN RAISE EXCEPTION 'Penalty % is already settled', _penalty_id; END IF;
+
+  INSERT INTO penalty_transactions(penalty_id, user_id, kind, amount_mad, reason, recorded_by)
+  VALUES (_penalty_id, p.user_id, 'waiver', -v_balance, _reason, _actor)
+  RETURNING txn_id INTO v_txn_id;
+
+  UPDATE penalties SET status = 'waived', settled_at = now() WHERE penalty_id = _penalty_id;
+
+  PERFORM fn_audit(_actor, 'penalty', _penalty_id::TEXT, 'waive', jsonb_build_object(
+    'amount', v_balance, 'previous_status', p.status, 'reason', _reason
+  ));
+
+  PERFORM fn_create_notification(p.user_id, 'penalty', jsonb_build_object(
+    'message', 'Your penalty of ' || v_balance || ' MAD has been waived: ' || _reason,
+    'penalty_id', _penalty_id,
+    'amount', v_balance,
+    'reason', _reason
+  ));
+
+  RETURN v_txn_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Adjust a penalty up or down (admin, reason required). Resolves an open
+-- dispute; reopens a settled penalty when the balance goes back above zero.
+CREATE OR REPLACE FUNCTION fn_adjust_penalty(_actor UUID, _penalty_id BIGINT, _delta NUMERIC, _reason TEXT)
+RETURNS BIGINT AS $$
+DECLARE
+  p RECORD;
+  v_balance NUMERIC;
+  v_new_balance NUMERIC;
+  v_txn_id BIGINT;
+BEGIN
+  SELECT * INTO p FROM penalties WHERE penalty_id = _penalty_id FOR UPDATE;
+
+  IF NOT FOUND THEN RAISE EXCEPTION 'Penalty % not found', _penalty_id; END IF;
+  IF _delta IS NULL OR _delta = 0 THEN RAISE EXCEPTION 'Adjustment amount must not be zero'; END IF;
+  IF COALESCE(btrim(_reason), '') = '' THEN RAISE EXCEPTION 'A reason is required'; END IF;
+
+  v_balance := fn_penalty_balance(_penalty_id);
+  v_new_balance := v_balance + _delta;
+  IF v_new_balance < 0 THEN
+    RAISE EXCEPTION 'Adjustment would take the balance below zero (balance %)', v_balance;
+  END IF;
+
+  INSERT INTO penalty_transactions(penalty_id, user_id, kind, amount_mad, reason, recorded_by)
+  VALUES (_penalty_id, p.user_id, 'adjustment', _delta, _reason, _actor)
+  RETURNING txn_id INTO v_txn_id;
+
+  IF v_new_balance = 0 THEN
+    UPDATE penalties SET status = 'waived', settled_at = now() WHERE penalty_id = _penalty_id;
+  ELSE
+    UPDATE penalties SET status = 'open', settled_at = NULL WHERE penalty_id = _penalty_id;
+  END IF;
+
+  PERFORM fn_audit(_actor, 'penalty', _penalty_id::TEXT, 'adjust', jsonb_build_object(
+    'delta', _delta, 'previous_balance', v_balance, 'new_balance', v_new_balance,
+    'previous_status', p.status, 'reason', _reason
+  ));
+
+  PERFORM fn_create_notification(p.user_id, 'penalty', jsonb_build_object(
+    'message', 'Your penalty balance was adjusted to ' || v_new_balance || ' MAD: ' || _reason,
+    'penalty_id', _penalty_id,
+    'delta', _delta,
+    'balance', v_new_balance,
+    'reason', _reason
+  ));
+
+  RETURN v_txn_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Dispute a penalty (borrower). Admins are notified for review.
+CREATE OR REPLACE FUNCTION fn_dispute_penalty(_actor UUID, _penalty_id BIGINT, _reason TEXT)
+RETURNS VOID AS $$
+DECLARE p RECORD;
+BEGIN
+  SELECT * INTO p FROM penalties WHERE penalty_id = _penalty_id FOR UPDATE;
+
+  IF NOT FOUND OR p.user_id <> _actor THEN RAISE EXCEPTION 'Penalty % not found', _penalty_id; END IF;
+  IF COALESCE(btrim(_reason), '') = '' THEN RAISE EXCEPTION 'A reason is required'; END IF;
+  IF p.status <> 'open' THEN
+    RAISE EXCEPTION 'Penalty % cannot be disputed from status %', _penalty_id, p.status;
+  END IF;
+
+  UPDATE penalties
+    SET status = 'disputed', dispute_reason = _reason, disputed_at = now()
+    WHERE penalty_id = _penalty_id;
+
+  PERFORM fn_audit(_actor, 'penalty', _penalty_id::TEXT, 'dispute', jsonb_build_object('reason', _reason));
+
+  PERFORM fn_create_notification(u.user_id, 'penalty', jsonb_build_object(
+    'message', 'Penalty #' || _penalty_id || ' has been disputed: ' || _reason,
+    'penalty_id', _penalty_id,
+    'reason', _reason
+  ))
+  FROM users u
+  WHERE u.role = 'admin' AND u.is_active;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Reject a dispute and put the penalty back to open (admin, reason required)
+CREATE OR REPLACE FUNCTION fn_reject_penalty_dispute(_actor UUID, _penalty_id BIGINT, _reason TEXT)
+RETURNS VOID AS $$
+DECLARE p RECORD;
+BEGIN
+  SELECT * INTO p FROM penalties WHERE penalty_id = _penalty_id FOR UPDATE;
+
+  IF NOT FOUND THEN RAISE EXCEPTION 'Penalty % not found', _penalty_id; END IF;
+  IF COALESCE(btrim(_reason), '') = '' THEN RAISE EXCEPTION 'A reason is required'; END IF;
+  IF p.status <> 'disputed' THEN
+    RAISE EXCEPTION 'Penalty % is not under dispute', _penalty_id;
+  END IF;
+
+  UPDATE penalties SET status = 'open' WHERE penalty_id = _penalty_id;
+
+  PERFORM fn_audit(_actor, 'penalty', _penalty_id::TEXT, 'reject_dispute', jsonb_build_object(
+    'dispute_reason', p.dispute_reason, 'reason', _reason
+  ));
+
+  PERFORM fn_create_notification(p.user_id, 'penalty', jsonb_build_object(
+    'message', 'Your dispute of penalty #' || _penalty_id || ' was rejected: ' || _reason,
+    'penalty_id', _penalty_id,
+    'reason', _reason
+  ));
+END;
+$$ LANGUAGE plpgsql;
+
+-- Expire old reservations utility. Also lapses unclaimed waitlist offers,
+-- which passes freed slots on to the waitlist.
 CREATE OR REPLACE FUNCTION fn_expire_old_reservations()
 RETURNS INT AS $$
 DECLARE 
   n INT;
   expired_reservations CURSOR FOR 
-    SELECT reservation_id, user_id, i.asset_tag
-    FROM reservations r
-    JOIN equipment_items i ON r.item_id = i.item_id
-    WHERE r.status IN ('pending','approved')
-      AND upper(r.period) < now();
+    SELECT reservation_id, user_id, asset_tag,
+           COALESCE(asset_tag, brand || ' ' || model_name, category_name) AS label
+    FROM v_reservations_admin
+    WHERE status IN ('pending','approved')
+      AND upper(period) < now();
   rec RECORD;
 BEGIN
+  -- Send notifications for each reservation about to expire
+  FOR rec IN expired_reservations LOOP
+    PERFORM fn_create_notification(rec.user_id, 'reservation', jsonb_build_object(
+      'message', 'Your reservation for ' || rec.label || ' has expired',
+      'reservation_id', rec.reservation_id,
+      'asset_tag', rec.asset_tag
+    ));
+  END LOOP;
+
   -- Update status to expired
   UPDATE reservations
     SET status='expired'
   WHERE status IN ('pending','approved')
     AND upper(period) < now();
   GET DIAGNOSTICS n = ROW_COUNT;
+
+  PERFORM fn_expire_waitlist_offers();
   
-  -- Send notifications for each expired reservation
-  FOR rec IN expired_reservations LOOP
-    PERFORM fn_create_notification(rec.user_id, 'reservation', jsonb_build_object(
-      'message', 'Your reservation for ' || rec.asset_tag || ' has expired',
-      'reservation_id', rec.reservation_id,
-      'asset_tag', rec.asset_tag
+  RETURN n;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Remind borrowers before a loan is due and users before an approved
+-- reservation starts (run by the send_reminders job). The lead times are the
+-- loan_reminder_hours and reservation_reminder_hours settings; 0 turns a
+-- reminder off. Each loan or reservation is reminded once per due date or
+-- start, so extending a loan arms its reminder again.
+CREATE OR REPLACE FUNCTION fn_send_reminders()
+RETURNS JSONB AS $$
+DECLARE
+  v_loan_hours NUMERIC := COALESCE((SELECT value FROM celms_settings WHERE key='loan_reminder_hours'), 24);
+  v_reservation_hours NUMERIC := COALESCE((SELECT value FROM celms_settings WHERE key='reservation_reminder_hours'), 24);
+  n_loans INT := 0;
+  n_reservations INT := 0;
+  rec RECORD;
+BEGIN
+  IF v_loan_hours > 0 THEN
+    FOR rec IN
+      UPDATE loans l SET due_reminder_for = l.due_at
+      FROM equipment_items i
+      JOIN equipment_models em ON em.model_id = i.model_id
+      WHERE i.item_id = l.item_id
+        AND l.return_at IS NULL
+        AND l.due_at > now()
+        AND l.due_at <= now() + make_interval(hours => v_loan_hours::INT)
+        AND l.due_reminder_for IS DISTINCT FROM l.due_at
+      RETURNING l.loan_id, l.user_id, l.due_at, i.asset_tag, em.brand, em.model_name
+    LOOP
+      PERFORM fn_create_notification(rec.user_id, 'loan', jsonb_build_object(
+        'message', 'Reminder: ' || rec.brand || ' ' || rec.model_name || ' (' || rec.asset_tag || ') is due back on '
+                   || to_char(rec.due_at, 'YYYY-MM-DD HH24:MI'),
+        'loan_id', rec.loan_id,
+        'asset_tag', rec.asset_tag,
+        'due_at', rec.due_at
+      ));
+      n_loans := n_loans + 1;
+    END LOOP;
+  END IF;
+
+  IF v_reservation_hours > 0 THEN
+    FOR rec IN
+      UPDATE reservations r SET start_reminder_for = lower(r.period)
+      FROM v_reservations_admin v
+      WHERE v.reservation_id = r.reservation_id
+        AND r.status = 'approved'
+        AND lower(r.period) > now()
+        AND lower(r.period) <= now() + make_interval(hours => v_reservation_hours::INT)
+        AND r.start_reminder_for IS DISTINCT FROM lower(r.period)
+      RETURNING r.reservation_id, r.user_id, lower(r.period) AS start_at, v.asset_tag,
+                COALESCE(v.asset_tag, v.brand || ' ' || v.model_name, v.category_name) AS label
+    LOOP
+      PERFORM fn_create_notification(rec.user_id, 'reservation', jsonb_build_object(
+        'message', 'Reminder: your reservation for ' || rec.label || ' starts on '
+                   || to_char(rec.start_at, 'YYYY-MM-DD HH24:MI'),
+        'reservation_id', rec.reservation_id,
+        'asset_tag', rec.asset_tag
+      ));
+      n_reservations := n_reservations + 1;
+    END LOOP;
+  END IF;
+
+  RETURN jsonb_build_object('loan_reminders', n_loans, 'reservation_reminders', n_reservations);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Tell borrowers when a loan becomes overdue (run by the detect_overdue_loans
+-- job). Sent once per due date, so a loan extended and overdue again is
+-- reported again.
+CREATE OR REPLACE FUNCTION fn_detect_overdue_loans()
+RETURNS INT AS $$
+DECLARE
+  n INT := 0;
+  rec RECORD;
+BEGIN
+  FOR rec IN
+    UPDATE loans l SET overdue_notice_for = l.due_at
+    FROM equipment_items i
+    JOIN equipment_models em ON em.model_id = i.model_id
+    WHERE i.item_id = l.item_id
+      AND l.return_at IS NULL
+      AND l.due_at < now()
+      AND l.overdue_notice_for IS DISTINCT FROM l.due_at
+    RETURNING l.loan_id, l.user_id, l.due_at, i.asset_tag, em.brand, em.model_name
+  LOOP
+    PERFORM fn_create_notification(rec.user_id, 'loan', jsonb_build_object(
+      'message', 'Your item ' || rec.brand || ' ' || rec.model_name || ' (' || rec.asset_tag || ') is overdue since '
+                 || to_char(rec.due_at, 'YYYY-MM-DD HH24:MI') || '; please return it as soon as possible',
+      'loan_id', rec.loan_id,
+      'asset_tag', rec.asset_tag,
+      'due_at', rec.due_at
     ));
+    n := n + 1;
   END LOOP;
-  
+
+  RETURN n;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ----- Waitlist -----
+
+-- Whether a waitlist entry's item (or any unit of its model) is free for the window
+CREATE OR REPLACE FUNCTION fn_waitlist_slot_free(_item BIGINT, _model BIGINT, _period TSTZRANGE)
+RETURNS BOOLEAN AS $$
+  SELECT CASE
+    WHEN _item IS NOT NULL THEN EXISTS (
+      SELECT 1 FROM fn_pool_free_items((SELECT model_id FROM equipment_items WHERE item_id = _item), NULL, _period) f
+      WHERE f = _item)
+    ELSE fn_pool_capacity(_model, NULL, _period) > 0
+  END;
+$$ LANGUAGE sql STABLE;
+
+-- Join the waitlist for an item or a model over a period. Refused while the
+-- slot can be reserved directly. Returns the waitlist_id.
+CREATE OR REPLACE FUNCTION fn_join_waitlist(_actor UUID, _item BIGINT, _model BIGINT, _start TIMESTAMPTZ, _end TIMESTAMPTZ)
+RETURNS BIGINT AS $$
+DECLARE v_period TSTZRANGE; wid BIGINT;
+BEGIN
+  IF _start >= _end THEN
+    RAISE EXCEPTION 'Start must be before end';
+  END IF;
+  IF _end <= now() THEN
+    RAISE EXCEPTION 'The period has already ended';
+  END IF;
+  IF (_item IS NULL) = (_model IS NULL) THEN
+    RAISE EXCEPTION 'Wait for either an item or a model';
+  END IF;
+  IF _item IS NOT NULL AND NOT EXISTS (SELECT 1 FROM equipment_items WHERE item_id = _item) THEN
+    RAISE EXCEPTION 'Item % not found', _item;
+  END IF;
+  IF _model IS NOT NULL AND NOT EXISTS (SELECT 1 FROM equipment_models WHERE model_id = _model) THEN
+    RAISE EXCEPTION 'Model % not found', _model;
+  END IF;
+  v_period := tstzrange(_start, _end, '[)');
+
+  IF fn_waitlist_slot_free(_item, _model, v_period) THEN
+    RAISE EXCEPTION 'The slot is available, reserve it instead';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM waitlist_entries
+    WHERE user_id = _actor AND status IN ('waiting','offered')
+      AND item_id IS NOT DISTINCT FROM _item AND model_id IS NOT DISTINCT FROM _model
+      AND period && v_period
+  ) THEN
+    RAISE EXCEPTION 'Already on the waitlist for this period';
+  END IF;
+
+  INSERT INTO waitlist_entries(user_id, item_id, model_id, period)
+  VALUES (_actor, _item, _model, v_period)
+  RETURNING waitlist_id INTO wid;
+
+  PERFORM fn_audit(_actor, 'waitlist', wid::TEXT, 'join', jsonb_build_object(
+    'item_id', _item, 'model_id', _model, 'start', _start, 'end', _end));
+
+  RETURN wid;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Offer freed slots to the waitlist, oldest entry first: each waiting entry
+-- whose item or model is free for the rest of its window goes to its user, if
+-- they may borrow, as a 'held' reservation until the offer lapses after
+-- waitlist_hold_hours. Ineligible users keep their place. Returns the offers made.
+CREATE OR REPLACE FUNCTION fn_offer_waitlist_slots()
+RETURNS INT AS $$
+DECLARE
+  w RECORD;
+  v_period TSTZRANGE;
+  v_unit BIGINT;
+  v_hours INT;
+  v_expires TIMESTAMPTZ;
+  v_label TEXT;
+  rid BIGINT;
+  n INT := 0;
+BEGIN
+  -- Windows that have ended cannot be offered any more
+  UPDATE waitlist_entries SET status = 'expired', closed_at = now()
+  WHERE status = 'waiting' AND upper(period) <= now();
+
+  v_hours := fn_setting('waitlist_hold_hours', 24)::INT;
+
+  FOR w IN
+    SELECT * FROM waitlist_entries
+    WHERE status = 'waiting'
+    ORDER BY created_at, waitlist_id
+    FOR UPDATE SKIP LOCKED
+  LOOP
+    v_period := tstzrange(GREATEST(lower(w.period), now()), upper(w.period), '[)');
+    CONTINUE WHEN NOT fn_waitlist_slot_free(w.item_id, w.model_id, v_period);
+
+    -- Category restrictions are the same for every unit of a model
+    v_unit := COALESCE(w.item_id, (SELECT f FROM fn_pool_free_items(w.model_id, NULL, v_period) f LIMIT 1));
+    CONTINUE WHEN jsonb_array_length(fn_check_eligibility(w.user_id, v_unit, v_period)) > 0;
+
+    INSERT INTO reservations(item_id, model_id, user_id, period, status)
+    VALUES (w.item_id, w.model_id, w.user_id, v_period, 'held')
+    RETURNING reservation_id INTO rid;
+
+    v_expires := LEAST(now() + make_interval(hours => v_hours), upper(v_period));
+    UPDATE waitlist_entries
+      SET status = 'offered', reservation_id = rid, offered_at = now(), offer_expires_at = v_expires
+      WHERE waitlist_id = w.waitlist_id;
+
+    SELECT COALESCE(asset_tag, brand || ' ' || model_name) INTO v_label
+    FROM v_reservations_admin WHERE reservation_id = rid;
+
+    PERFORM fn_audit(NULL, 'waitlist', w.waitlist_id::TEXT, 'offer', jsonb_build_object(
+      'reservation_id', rid, 'offer_expires_at', v_expires));
+
+    PERFORM fn_create_notification(w.user_id, 'reservation', jsonb_build_object(
+      'message', 'A slot opened up for ' || v_label || ' – claim it from your waitlist before the offer lapses',
+      'waitlist_id', w.waitlist_id,
+      'reservation_id', rid,
+      'offer_expires_at', v_expires,
+      'period', jsonb_build_object('start', lower(v_period), 'end', upper(v_period))
+    ));
+
+    n := n + 1;
+  END LOOP;
+
   RETURN n;
 END;
 $$ LANGUAGE plpgsql;
 
+-- Lapse offers nobody claimed in time and pass their slots on. Returns the offers lapsed.
+CREATE OR REPLACE FUNCTION fn_expire_waitlist_offers()
+RETURNS INT AS $$
+DECLARE w RECORD; n INT := 0;
+BEGIN
+  FOR w IN
+    UPDATE waitlist_entries SET status = 'expired', closed_at = now()
+    WHERE status = 'offered' AND offer_expires_at <= now()
+    RETURNING waitlist_id, user_id, reservation_id
+  LOOP
+    UPDATE reservations SET status = 'expired' WHERE reservation_id = w.reservation_id AND status = 'held';
+    PERFORM fn_audit(NULL, 'waitlist', w.waitlist_id::TEXT, 'offer_lapsed', NULL);
+    PERFORM fn_create_notification(w.user_id, 'reservation', jsonb_build_object(
+      'message', 'Your waitlist offer lapsed and was passed on',
+      'waitlist_id', w.waitlist_id,
+      'reservation_id', w.reservation_id
+    ));
+    n := n + 1;
+  END LOOP;
+
+  PERFORM fn_offer_waitlist_slots();
+  RETURN n;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Claim a waitlist offer: the held slot becomes a pending reservation request
+CREATE OR REPLACE FUNCTION fn_claim_waitlist_offer(_actor UUID, _waitlist_id BIGINT)
+RETURNS BIGINT AS $$
+DECLARE w RECORD; r RECORD; v_unit BIGINT;
+BEGIN
+  SELECT * INTO w FROM waitlist_entries WHERE waitlist_id = _waitlist_id FOR UPDATE;
+  IF NOT FOUND THEN RAISE EXCEPTION 'Waitlist entry % not found', _waitlist_id; END IF;
+  IF w.user_id <> _actor THEN RAISE EXCEPTION 'Only the waiting user can claim'; END IF;
+
+  SELECT * INTO r FROM reservations WHERE reservation_id = w.reservation_id FOR UPDATE;
+  IF w.status <> 'offered' OR w.offer_expires_at <= now() OR r.status IS DISTINCT FROM 'held' THEN
+    RAISE EXCEPTION 'No open offer on waitlist entry %', _waitlist_id;
+  END IF;
+
+  v_unit := COALESCE(r.item_id, (SELECT item_id FROM equipment_items WHERE model_id = r.model_id LIMIT 1));
+  PERFORM fn_assert_eligible(_actor, v_unit, r.period, r.reservation_id);
+
+  UPDATE reservations SET status = 'pending', requested_at = now() WHERE reservation_id = r.reservation_id;
+  UPDATE waitlist_entries SET status = 'claimed', closed_at = now() WHERE waitlist_id = _waitlist_id;
+
+  PERFORM fn_audit(_actor, 'waitlist', _waitlist_id::TEXT, 'claim', jsonb_build_object('reservation_id', r.reservation_id));
+  RETURN r.reservation_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Leave the waitlist, declining any open offer (which passes to the next waiter)
+CREATE OR REPLACE FUNCTION fn_leave_waitlist(_actor UUID, _waitlist_id BIGINT)
+RETURNS VOID AS $$
+DECLARE w RECORD;
+BEGIN
+  SELECT * INTO w FROM waitlist_entries WHERE waitlist_id = _waitlist_id FOR UPDATE;
+  IF NOT FOUND THEN RAISE EXCEPTION 'Waitlist entry % not found', _waitlist_id; END IF;
+  IF w.user_id <> _actor THEN RAISE EXCEPTION 'Only the waiting user can leave'; END IF;
+  IF w.status NOT IN ('waiting','offered') THEN
+    RAISE EXCEPTION 'Waitlist entry % is already closed', _waitlist_id;
+  END IF;
+
+  UPDATE waitlist_entries SET status = 'cancelled', closed_at = now() WHERE waitlist_id = _waitlist_id;
+  PERFORM fn_audit(_actor, 'waitlist', _waitlist_id::TEXT, 'leave', NULL);
+
+  IF w.status = 'offered' THEN
+    UPDATE reservations SET status = 'cancelled' WHERE reservation_id = w.reservation_id AND status = 'held';
+    PERFORM fn_offer_waitlist_slots();
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Item update helper
 CREATE OR REPLACE FUNCTION fn_item_update(_actor UUID, _item BIGINT, _status TEXT, _location TEXT, _last_serviced DATE)
 RETURNS VOID AS $$
@@ -438,22 +1674,110 @@ CREATE TRIGGER trg_loans_after_update
 AFTER UPDATE ON loans
 FOR EACH ROW EXECUTE FUNCTION trg_loans_after_update();
 
+-- Trigger: every new penalty opens its ledger with a charge row
+CREATE OR REPLACE FUNCTION trg_penalties_charge()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO penalty_transactions(penalty_id, user_id, kind, amount_mad, reason, created_at)
+  VALUES (NEW.penalty_id, NEW.user_id, 'charge', NEW.amount_mad, NEW.reason, NEW.created_at);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_penalties_charge ON penalties;
+CREATE TRIGGER trg_penalties_charge
+AFTER INSERT ON penalties
+FOR EACH ROW EXECUTE FUNCTION trg_penalties_charge();
+
+-- Trigger: publish row changes on the celms_events channel (LISTEN/NOTIFY)
+-- TG_ARGV: entity name, primary key column, owning user column.
+-- Payloads stay small (pg_notify limit is 8000 bytes); clients refetch details.
+CREATE OR REPLACE FUNCTION trg_publish_change()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_row JSONB := to_jsonb(NEW);
+BEGIN
+  PERFORM pg_notify('celms_events', jsonb_strip_nulls(jsonb_build_object(
+    'entity', TG_ARGV[0],
+    'id', v_row->>TG_ARGV[1],
+    'action', lower(TG_OP),
+    'user_id', v_row->>TG_ARGV[2],
+    'assigned_to', v_row->>'assigned_to',
+    'item_id', v_row->>'item_id',
+    'status', v_row->>'status',
+    'type', v_row->>'type',
+    'message', left(v_row->'payload'->>'message', 500)
+  ))::TEXT);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_notifications_publish ON notifications;
+CREATE TRIGGER trg_notifications_publish
+AFTER INSERT ON notifications
+FOR EACH ROW EXECUTE FUNCTION trg_publish_change('notification', 'notif_id', 'user_id');
+
+DROP TRIGGER IF EXISTS trg_reservations_publish ON reservations;
+CREATE TRIGGER trg_reservations_publish
+AFTER INSERT OR UPDATE ON reservations
+FOR EACH ROW EXECUTE FUNCTION trg_publish_change('reservation', 'reservation_id', 'user_id');
+
+DROP TRIGGER IF EXISTS trg_loans_publish ON loans;
+CREATE TRIGGER trg_loans_publish
+AFTER INSERT OR UPDATE ON loans
+FOR EACH ROW EXECUTE FUNCTION trg_publish_change('loan', 'loan_id', 'user_id');
+
+DROP TRIGGER IF EXISTS trg_tickets_publish ON maintenance_tickets;
+CREATE TRIGGER trg_tickets_publish
+AFTER INSERT OR UPDATE ON maintenance_tickets
+FOR EACH ROW EXECUTE FUNCTION trg_publish_change('ticket', 'ticket_id', 'opened_by');
+
+DROP TRIGGER IF EXISTS trg_penalties_publish ON penalties;
+CREATE TRIGGER trg_penalties_publish
+AFTER INSERT OR UPDATE ON penalties
+FOR EACH ROW EXECUTE FUNCTION trg_publish_change('penalty', 'penalty_id', 'user_id');
+
+-- Trigger: queue an email for each new notification (see email_outbox).
+-- Skipped when the email_notifications setting is 0, for inactive users, and
+-- for rows dated more than an hour back (imported or seeded history).
+CREATE OR REPLACE FUNCTION trg_notifications_email()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF COALESCE((SELECT value FROM celms_settings WHERE key='email_notifications'), 1) = 0
+     OR NEW.created_at < now() - interval '1 hour' THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO email_outbox(notif_id, user_id, to_address, type, payload)
+  SELECT NEW.notif_id, u.user_id, u.email, NEW.type, NEW.payload
+  FROM users u
+  WHERE u.user_id = NEW.user_id AND u.is_active;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_notifications_email ON notifications;
+CREATE TRIGGER trg_notifications_email
+AFTER INSERT ON notifications
+FOR EACH ROW EXECUTE FUNCTION trg_notifications_email();
+
 -- ===== PART 2: SEED DATA =====
 
 -- =============================
 -- Users with various roles
 -- =============================
-INSERT INTO users (role, first_name, last_name, email, phone, password, profile_image, is_active, last_login) VALUES
- ('admin','Alice','Admin','alice.admin@uni.local','+212600000001', 'Admin123!', 'https://randomuser.me/api/portraits/women/22.jpg', TRUE, now() - interval '2 days'),
- ('technician','Tariq','Tech','tariq.tech@uni.local','+212600000002', 'Admin123!', 'https://randomuser.me/api/portraits/men/35.jpg', TRUE, now() - interval '5 hours'),
- ('staff','Samira','Staff','samira.staff@uni.local','+212600000003', 'User123!', 'https://randomuser.me/api/portraits/women/68.jpg', TRUE, now() - interval '1 day'),
- ('student','Youssef','Student','youssef.student@uni.local','+212600000004', 'User123!', 'https://randomuser.me/api/portraits/men/45.jpg', TRUE, now() - interval '3 days'),
- ('student','Meriem','Student','meriem.student@uni.local','+212600000005', 'User123!', 'https://randomuser.me/api/portraits/women/32.jpg', TRUE, now() - interval '12 hours'),
- ('technician','Omar','Support','omar.support@uni.local','+212600000006', 'Admin123!', 'https://randomuser.me/api/portraits/men/55.jpg', TRUE, now() - interval '4 days'),
- ('staff','Fatima','Professor','fatima.professor@uni.local','+212600000007', 'User123!', 'https://randomuser.me/api/portraits/women/41.jpg', TRUE, now() - interval '6 hours'),
- ('student','Hassan','Researcher','hassan.researcher@uni.local','+212600000008', 'User123!', 'https://randomuser.me/api/portraits/men/22.jpg', TRUE, now() - interval '5 days'),
- ('student','Layla','Graduate','layla.graduate@uni.local','+212600000009', 'User123!', 'https://randomuser.me/api/portraits/women/57.jpg', TRUE, now() - interval '2 hours'),
- ('student','Karim','Inactive','karim.inactive@uni.local','+212600000010', 'User123!', NULL, FALSE, now() - interval '60 days');
+INSERT INTO users (role, first_name, last_name, email, phone, password_hash, profile_image, is_active, last_login) VALUES
+ ('admin','Alice','Admin','alice.admin@uni.local','+212600000001', fn_hash_password('Admin123!'), 'https://randomuser.me/api/portraits/women/22.jpg', TRUE, now() - interval '2 days'),
+ ('technician','Tariq','Tech','tariq.tech@uni.local','+212600000002', fn_hash_password('Admin123!'), 'https://randomuser.me/api/portraits/men/35.jpg', TRUE, now() - interval '5 hours'),
+ ('staff','Samira','Staff','samira.staff@uni.local','+212600000003', fn_hash_password('User123!'), 'https://randomuser.me/api/portraits/women/68.jpg', TRUE, now() - interval '1 day'),
+ ('student','Youssef','Student','youssef.student@uni.local','+212600000004', fn_hash_password('User123!'), 'https://randomuser.me/api/portraits/men/45.jpg', TRUE, now() - interval '3 days'),
+ ('student','Meriem','Student','meriem.student@uni.local','+212600000005', fn_hash_password('User123!'), 'https://randomuser.me/api/portraits/women/32.jpg', TRUE, now() - interval '12 hours'),
+ ('technician','Omar','Support','omar.support@uni.local','+212600000006', fn_hash_password('Admin123!'), 'https://randomuser.me/api/portraits/men/55.jpg', TRUE, now() - interval '4 days'),
+ ('staff','Fatima','Professor','fatima.professor@uni.local','+212600000007', fn_hash_password('User123!'), 'https://randomuser.me/api/portraits/women/41.jpg', TRUE, now() - interval '6 hours'),
+ ('student','Hassan','Researcher','hassan.researcher@uni.local','+212600000008', fn_hash_password('User123!'), 'https://randomuser.me/api/portraits/men/22.jpg', TRUE, now() - interval '5 days'),
+ ('student','Layla','Graduate','layla.graduate@uni.local','+212600000009', fn_hash_password('User123!'), 'https://randomuser.me/api/portraits/women/57.jpg', TRUE, now() - interval '2 hours'),
+ ('student','Karim','Inactive','karim.inactive@uni.local','+212600000010', fn_hash_password('User123!'), NULL, FALSE, now() - interval '60 days');
 
 -- Promote technicians
 INSERT INTO technicians(technician_id, specialization, notes)
@@ -467,15 +1791,15 @@ FROM users WHERE email='omar.support@uni.local';
 -- =============================
 -- Equipment Categories & Models
 -- =============================
-INSERT INTO equipment_categories(name, description) VALUES
- ('Laptops','Portable computers for general use'),
- ('Cameras','DSLR/Mirrorless cameras for photography and video'),
- ('Projectors','Conference and classroom projectors'),
- ('Lab Kits','Electronics and experimental kits'),
- ('Audio Equipment', 'Microphones, recorders, and sound equipment'),
- ('VR Equipment', 'Virtual reality headsets and accessories'),
- ('Photography Tools', 'Tripods, lighting, and camera accessories'),
- ('Computing Accessories', 'Mice, keyboards, adapters, and dongles');
+INSERT INTO equipment_categories(name, description, asset_tag_pattern) VALUES
+ ('Laptops','Portable computers for general use', 'LAP-{seq:3}'),
+ ('Cameras','DSLR/Mirrorless cameras for photography and video', 'CAM-{seq:3}'),
+ ('Projectors','Conference and classroom projectors', 'PROJ-{seq:3}'),
+ ('Lab Kits','Electronics and experimental kits', 'KIT-{seq:3}'),
+ ('Audio Equipment', 'Microphones, recorders, and sound equipment', 'AUD-{seq:3}'),
+ ('VR Equipment', 'Virtual reality headsets and accessories', 'VR-{seq:3}'),
+ ('Photography Tools', 'Tripods, lighting, and camera accessories', 'PHO-{seq:3}'),
+ ('Computing Accessories', 'Mice, keyboards, adapters, and dongles', 'ACC-{seq:3}');
 
 INSERT INTO equipment_models(category_id, brand, model_name, spec_json) VALUES
  ((SELECT category_id FROM equipment_categories WHERE name='Laptops'),'Dell','Latitude 7420',
@@ -514,6 +1838,10 @@ INSERT INTO equipment_models(category_id, brand, model_name, spec_json) VALUES
  ((SELECT category_id FROM equipment_categories WHERE name='Computing Accessories'),'Logitech','MX Master 3',
   '{"connection":["Bluetooth","USB-C"],"buttons":7,"dpi":4000,"battery":"70 days","weight":"141g","scroll_wheel":"MagSpeed"}');
 
+-- Students may not borrow VR headsets
+INSERT INTO category_role_restrictions(category_id, role)
+SELECT category_id, 'student' FROM equipment_categories WHERE name='VR Equipment';
+
 -- =============================
 -- Equipment Items
 -- =============================